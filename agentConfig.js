@@ -1,22 +1,77 @@
 // agentConfig.js (or wherever buildSystemPrompt lives)
 import { getBusinessProfile } from "./businessProfiles.js";
+import { describeToday } from "./src/utils/dateResolver.js";
+import { describeWeeklyHours, isOpenNow, nextOpening, describeDay } from "./src/utils/businessHours.js";
+import { formatSpokenTime } from "./src/utils/slots.js";
+import { t, languageName } from "./src/i18n/index.js";
 
-export async function buildSystemPrompt(handle) {
+export async function buildSystemPrompt(handle, { caller = null } = {}) {
   const profile = await getBusinessProfile(handle);
 
-  // Handle services from API (business.services) or category defaults
-  const services = profile.services || profile.defaultServices || [];
+  // Normalized profile: services already fall back to the category defaults
+  const services = profile.services;
   const servicesSpoken = services.length
     ? services.map(s => s.name).join(", ")
     : "No services configured";
 
   // Use bookingSettings from API if available, otherwise use bookingStyle from category template
-  const bookingStyle = profile.bookingSettings || profile.bookingStyle || "Confirm service, date, and time before booking.";
+  const bookingStyle = profile.bookingSettings || profile.bookingStyle;
+
+  const timezone = profile.timezone;
+
+  const weeklyHours = describeWeeklyHours(profile.hours);
+  const closures = (Array.isArray(profile.closures) ? profile.closures : [])
+    .map(c => {
+      const when = c.date || (c.to && c.to !== c.from ? `${c.from} to ${c.to}` : c.from);
+      return when ? `${when}${c.reason ? ` (${c.reason})` : ""}` : null;
+    })
+    .filter(Boolean);
+  const serviceHours = services
+    .filter(s => s.hours)
+    .map(s => `  - ${s.name}: ${describeWeeklyHours(s.hours)}`);
+  const hoursSection = weeklyHours
+    ? `Opening hours (business-local time): ${weeklyHours}.
+${closures.length ? `Closed on: ${closures.join(", ")}.\n` : ""}${serviceHours.length ? `Some services have their own hours:\n${serviceHours.join("\n")}\n` : ""}- Answer "are you open ...?" questions from these hours.
+- Never offer or book a day or time outside them. check_availability reports closed days and out-of-hours times as closed.`
+    : "No opening hours are configured; rely on check_availability.";
+
+  // Calls that come in while the business is closed get the after-hours greeting
+  const afterHours = !isOpenNow(profile);
+  const reopening = afterHours ? nextOpening(profile) : null;
+  const greetingRule = afterHours
+    ? `- The business is CLOSED right now. Greet with: "${profile.afterHoursGreeting}"${reopening ? `
+- If it helps, mention that it opens again ${describeDay(reopening.date, profile)} at ${formatSpokenTime(reopening.time)}.` : ""}`
+    : t(profile.language, "promptGreetingExamples", { business: profile.name }).map(example => `- Example: "${example}"`).join("\n");
+
+  // Callers are answered in any language the business takes calls in, else its primary one
+  const languages = profile.languages.map(languageName);
+  const languageSection = languages.length > 1
+    ? `- This business takes calls in ${languages.join(", ")}. Greet in ${languages[0]}.
+- If the caller speaks one of these languages, switch to it and stay in it for the rest of the call, including the greeting's wording if they spoke first.
+- If they speak any other language, reply in ${languages[0]} and keep it simple.`
+    : `- Speak ${languages[0]}. If the caller speaks another language, reply in ${languages[0]} and keep it simple.`;
+
+  const cancellationHours = profile.policies?.cancellationHours;
+  const cancellationRule = cancellationHours
+    ? `Bookings starting within ${cancellationHours} hours cannot be cancelled or moved by phone. Tell the caller they are inside the ${cancellationHours}-hour cancellation window and ask them to contact the business directly.`
+    : "There is no cancellation window.";
+
+  // A returning caller (callerLookup.js): greet them by name, but never read out what's on file
+  const callerSection = caller?.name
+    ? `
+Returning caller:
+- The number they're calling from belongs to ${caller.name}, a returning customer. Greet them by name.${caller.lastService ? `
+- Their last booking was ${caller.lastService}. If they want to book, ask whether they'd like the same as last time.` : ""}
+- Only confirm who they are. Never read out or spell the email address on file; if asked, say you'll use the one on file.
+- If it's someone else, ask for their name; the details on file are then not theirs.
+- book_appointment uses their name and the email on file when you don't pass others.
+`
+    : "";
 
   return `
-You are a professional AI phone receptionist for ${profile.name || "this business"}.
+You are a professional AI phone receptionist for ${profile.name}.
 
-Business category: ${profile.categoryName || "General"}.
+Business category: ${profile.categoryName}.
 
 Rules (phone mode):
 - Speak in 1–2 short sentences.
@@ -24,36 +79,172 @@ Rules (phone mode):
 - Ask one question at a time.
 - If the caller asks what you offer:
   - Answer in ONE sentence using this list: ${servicesSpoken}.
-  - Then ask: "Which one would you like?"
+  - Then ask: "${t(profile.language, "promptWhichOne")}"
 - Never repeat the full menu unless asked.
 
+Language:
+${languageSection}
+- Service names, dates and times passed to tools stay exactly as listed, whatever language the call is in.
+
 Greeting (FIRST TURN ONLY):
-- First turn after connection: MUST greet using ${profile.name || "the business name"} and ask intent.
-- Example: "Thanks for calling ${profile.name || "us"}. What can I help you with today?"
-- Example: "Hi, this is ${profile.name || "us"}. How can I assist you?"
+- First turn after connection: MUST greet using ${profile.name} and ask intent.
+${greetingRule}
 - NEVER use generic "How can I assist?" without including the business name.
 - After greeting, ask what they need (booking, information, etc.).
 - Keep responses short, 1–2 sentences.
 - No markdown, no bullet lists, no emojis.
 - Speak like a human, not an email.
-
+${callerSection}
 Booking style:
 ${bookingStyle}
 
+Business hours:
+${hoursSection}
+
+Dates and times:
+- Today is ${describeToday(timezone)}. The business is in the ${timezone} timezone.
+- Work out "tomorrow", "next Friday" and similar from today's date, and read the actual date back to the caller.
+- Never book a date or time that has already passed.
+- If the caller gives a vague time ("in the morning", "around 3"), ask for or suggest an exact time before checking availability.
+- Pass dates as YYYY-MM-DD and start times as YYYY-MM-DDTHH:mm in business-local time.
+
 Core rules:
 - Always confirm date, time, and service.
 - Use the caller's name once you know it.
+- Before booking, spell an email the caller gives back letter by letter ("J O H N at gmail dot com") and read a number back digit by digit, and get a yes. If part of it is wrong, ask again for just that part: before or after the @, or the area code, next three digits or last four.
 - If the caller sounds confused, slow down and simplify.
-- If tools fail, apologize briefly and suggest they text or email the business.
+- If tools fail, apologize briefly and offer to take a message so the business can call them back.
 
 You have access to tools:
-- check_availability(date, timezone, durationMinutes)
+- check_availability(date, time, service)
 - book_appointment(start, guestName, guestEmail, guestPhone)
+- find_bookings(phone, email)
+- cancel_booking(bookingId)
+- reschedule_booking(bookingId, start)
+- transfer_to_human(reason, summary)
+- take_message(name, callbackPhone, message, reason)
 
 When the caller clearly wants to book and you've collected the necessary info:
 1. Call check_availability.
-2. If a suitable slot exists, call book_appointment.
-3. Confirm the booking out loud with date & time.
+2. If the requested time is available, call book_appointment. If not, offer the returned alternatives.
+3. Confirm the booking out loud with date & time. If the result has confirmationTexted, tell them a confirmation text is on its way.
+
+When the caller wants to cancel or reschedule an existing booking:
+1. Call find_bookings with the caller's phone number or the email they booked with.
+2. Read back the booking (service, date, time) and confirm it is the one they mean.
+3. For a reschedule, ask for the new day and time and call check_availability first.
+4. Call cancel_booking or reschedule_booking, then confirm out loud.
+- ${cancellationRule}
+
+When the caller asks for a real person, is angry or upset, or you still can't understand them after a few tries:
+1. Call transfer_to_human with a one- or two-sentence summary of what they want (service, day, time, name).
+2. If it succeeds, say nothing more. If it fails, apologize and offer to take a message.
+
+When the caller wants to leave a message or be called back (or the business is closed, or booking isn't working):
+1. Ask for their name and what they'd like passed on. Use the number they're calling from unless they give another.
+2. Read the name, number and message back and get a yes.
+3. Call take_message, then tell them the business will call them back.
 `;
 }
 
+
+// Function tools declared in the Realtime session (session.update → tools).
+// Every tool is executed by runTool in the /media-stream handler.
+export const REALTIME_TOOLS = [
+  {
+    type: "function",
+    name: "check_availability",
+    description: "Check open appointment times for a day. Pass the caller's preferred time to learn whether it is open and get the closest alternatives.",
+    parameters: {
+      type: "object",
+      properties: {
+        date: { type: "string", description: "Day to check, YYYY-MM-DD" },
+        time: { type: "string", description: "Preferred start time, HH:mm (24h)" },
+        service: { type: "string", description: "Service name, used for the appointment length" },
+        durationMinutes: { type: "number", description: "Appointment length if no service is known" }
+      },
+      required: ["date"]
+    }
+  },
+  {
+    type: "function",
+    name: "book_appointment",
+    description: "Book the appointment after the caller has confirmed service, date, time and name.",
+    parameters: {
+      type: "object",
+      properties: {
+        start: { type: "string", description: "Start as YYYY-MM-DDTHH:mm in the business's local time" },
+        guestName: { type: "string" },
+        guestEmail: { type: "string", description: "As spelled back to and confirmed by the caller, e.g. john.smith@gmail.com" },
+        service: { type: "string", description: "Service being booked, for the confirmation text" },
+        guestPhone: { type: "string", description: "Leave empty to use the number the caller is calling from" }
+      },
+      required: ["start", "guestName"]
+    }
+  },
+  {
+    type: "function",
+    name: "find_bookings",
+    description: "Look up the caller's upcoming bookings by phone number or email.",
+    parameters: {
+      type: "object",
+      properties: {
+        phone: { type: "string", description: "Leave empty to use the number the caller is calling from" },
+        email: { type: "string" }
+      }
+    }
+  },
+  {
+    type: "function",
+    name: "cancel_booking",
+    description: "Cancel a booking returned by find_bookings, after the caller confirms which one.",
+    parameters: {
+      type: "object",
+      properties: {
+        bookingId: { type: "string" }
+      },
+      required: ["bookingId"]
+    }
+  },
+  {
+    type: "function",
+    name: "reschedule_booking",
+    description: "Move a booking returned by find_bookings to a new start time the caller confirmed.",
+    parameters: {
+      type: "object",
+      properties: {
+        bookingId: { type: "string" },
+        start: { type: "string", description: "New start as YYYY-MM-DDTHH:mm in the business's local time" }
+      },
+      required: ["bookingId", "start"]
+    }
+  },
+  {
+    type: "function",
+    name: "transfer_to_human",
+    description: "Transfer the live call to a person at the business. Use when the caller asks for someone, is upset, or can't be understood.",
+    parameters: {
+      type: "object",
+      properties: {
+        reason: { type: "string", enum: ["caller_request", "repeated_failures"] },
+        summary: { type: "string", description: "What the caller wants, for the staff member who picks up" }
+      },
+      required: ["reason", "summary"]
+    }
+  },
+  {
+    type: "function",
+    name: "take_message",
+    description: "Pass a message and callback request on to the business, after reading it back to the caller.",
+    parameters: {
+      type: "object",
+      properties: {
+        name: { type: "string", description: "Caller's name" },
+        callbackPhone: { type: "string", description: "Leave empty to use the number the caller is calling from" },
+        message: { type: "string", description: "What the caller wants passed on, in their words" },
+        reason: { type: "string", enum: ["caller_request", "handoff", "booking_unavailable"] }
+      },
+      required: ["name", "message"]
+    }
+  }
+];
@@ -1,12 +1,16 @@
 // businessProfiles.js
 
-const CORE_API_URL = process.env.CORE_API_URL || process.env.BOOK8_CORE_API_URL || 'https://book8-core-api.onrender.com';
+import fs from "fs";
+import { normalizeProfile, formatProfileErrors } from "./src/utils/profileSchema.js";
+import { t, baseLanguage } from "./src/i18n/index.js";
 
 export const CATEGORY_TEMPLATES = {
   fitness: {
     categoryName: "Fitness / Personal Training",
     defaultGreeting:
       "You've reached {businessName}, a personal training studio.",
+    afterHoursGreeting:
+      "You've reached {businessName}. The studio is closed right now, but I can still help you book a session.",
     defaultServices: [
       { id: "intro_call_30", name: "30-minute intro call", duration: 30 },
       { id: "pt_60", name: "60-minute 1:1 training", duration: 60 },
@@ -19,6 +23,8 @@ export const CATEGORY_TEMPLATES = {
     categoryName: "Car Wash / Detailing",
     defaultGreeting:
       "You've reached {businessName}, your local car wash and detailing service.",
+    afterHoursGreeting:
+      "You've reached {businessName}. We're closed right now, but I can still book your wash or detail.",
     defaultServices: [
       { id: "exterior", name: "Exterior wash", duration: 30 },
       { id: "full_detail", name: "Full interior & exterior detail", duration: 120 },
@@ -31,6 +37,8 @@ export const CATEGORY_TEMPLATES = {
     categoryName: "Hair / Beauty Salon",
     defaultGreeting:
       "You've reached {businessName}, how can we make you feel great today?",
+    afterHoursGreeting:
+      "You've reached {businessName}. The salon is closed right now, but I can still help you book an appointment.",
     defaultServices: [
       { id: "haircut", name: "Haircut", duration: 45 },
       { id: "color", name: "Color treatment", duration: 120 },
@@ -43,6 +51,8 @@ export const CATEGORY_TEMPLATES = {
     categoryName: "General Business",
     defaultGreeting:
       "You've reached {businessName}, how can I help you today?",
+    afterHoursGreeting:
+      "You've reached {businessName}. We're closed right now, but I can still help you.",
     defaultServices: [],
     bookingStyle:
       "Confirm service, date, and time before booking.",
@@ -51,81 +61,99 @@ export const CATEGORY_TEMPLATES = {
   // Add more as you go: dentist, clinics, home_services, etc.
 };
 
-// Example initial businesses. Eventually these will come from your DB.
-export const BUSINESSES = {
-  waismofit: {
-    id: "waismofit",
-    name: "Wais Mo Fitness",
-    category: "fitness",
-    timezone: "America/Toronto",
-    location: "Toronto, Canada",
-    // business-specific overrides
-    services: [
-      { id: "intro_call_30", name: "30-minute intro call", duration: 30, price: 0 },
-      { id: "pt_60", name: "60-minute 1:1 training", duration: 60, price: 120 },
-    ],
-    greetingOverride:
-      "You've reached Wais Mo Fitness. I'm the AI assistant. How can I help you today?",
-    policies: {
-      cancellationHours: 24,
-      latePolicy:
-        "If you're more than 15 minutes late, the session may need to be rescheduled.",
-      notes:
-        "Remote and in-person options are available. Payment is handled after booking.",
-    },
-  },
+const PROFILE_FETCH_TIMEOUT_MS = 3000;
+const DEFAULT_PROFILE_TTL_SECONDS = 300;
+const DEFAULT_PROFILE_STALE_SECONDS = 3600;
+const MAX_CACHED_PROFILES = 500;
 
-  cutzbarber: {
-    id: "cutzbarber",
-    name: "Cutz Barber Shop",
-    category: "salon",
-    timezone: "America/Toronto",
-    location: "Downtown Toronto",
-    services: [
-      { id: "mens_cut", name: "Men's haircut", duration: 30, price: 35 },
-      { id: "fade_beard", name: "Skin fade + beard trim", duration: 45, price: 55 },
-    ],
-    policies: {
-      cancellationHours: 12,
-      latePolicy:
-        "If you're more than 10 minutes late, we may need to shorten or reschedule.",
-      notes: "Cash or card accepted. Walk-ins welcome but appointments preferred.",
-    },
-  },
+// Env is read lazily because dotenv loads after module imports
+function coreApiUrl() {
+  return process.env.CORE_API_URL || process.env.BOOK8_CORE_API_URL || "https://book8-core-api.onrender.com";
+}
 
-  // future:
-  // sparkle_car_wash: { id: "sparkle_car_wash", name: "Sparkle Car Wash", category: "car_wash", ... }
-};
+function cacheWindows() {
+  const ttlSeconds = Number(process.env.PROFILE_CACHE_TTL_SECONDS) || DEFAULT_PROFILE_TTL_SECONDS;
+  const staleSeconds = Number(process.env.PROFILE_CACHE_STALE_SECONDS) || DEFAULT_PROFILE_STALE_SECONDS;
+  return { ttlMs: ttlSeconds * 1000, staleMs: Math.max(staleSeconds, ttlSeconds) * 1000 };
+}
 
-export async function getBusinessProfile(handle) {
-  if (!CORE_API_URL) {
-    // Fallback to local businesses if no API URL
-    const fallbackBusiness = BUSINESSES[handle] || BUSINESSES["waismofit"];
-    const category = fallbackBusiness.category || "fitness";
-    const categoryTemplate = CATEGORY_TEMPLATES[category] || CATEGORY_TEMPLATES["fitness"];
-    return {
-      ...categoryTemplate,
-      ...fallbackBusiness,
-      greeting: fallbackBusiness.greetingOverride || categoryTemplate.defaultGreeting.replace("{businessName}", fallbackBusiness.name || "this business"),
-    };
+/**
+ * Validate a business record from any source into the profile schema (src/utils/profileSchema.js),
+ * then add what its category template provides: default services, categoryName, bookingStyle
+ * and the spoken greetings. Throws with the field-level errors if the record is unusable.
+ * Category greetings are English; a business whose primary language isn't gets the generic
+ * greeting for its language unless it has its own.
+ */
+function buildProfile(business, source) {
+  const category = String(business?.category || "other").toLowerCase();
+  const template = CATEGORY_TEMPLATES[category] || CATEGORY_TEMPLATES.other;
+  const hasServices = Array.isArray(business?.services) && business.services.length > 0;
+
+  const { ok, profile, errors } = normalizeProfile(
+    business && typeof business === "object" && !hasServices ? { ...business, services: template.defaultServices } : business
+  );
+  if (errors.length > 0) {
+    const log = ok ? console.warn : console.error;
+    log(`[getBusinessProfile] ${source} profile "${business?.id || business?.handle || "unknown"}" has invalid fields: ${formatProfileErrors(errors)}`);
   }
+  if (!ok) throw new Error(`invalid ${source} profile: ${formatProfileErrors(errors.filter(e => e.fatal))}`);
 
+  const english = baseLanguage(profile.language) === "en";
+  return {
+    ...profile,
+    category: CATEGORY_TEMPLATES[profile.category] ? profile.category : "other",
+    categoryName: template.categoryName,
+    bookingStyle: template.bookingStyle,
+    greeting: profile.greetingOverride ||
+      (english ? template.defaultGreeting.replace("{businessName}", profile.name) : t(profile.language, "greeting", { business: profile.name })),
+    afterHoursGreeting: profile.afterHoursGreetingOverride ||
+      (english ? template.afterHoursGreeting.replace("{businessName}", profile.name) : t(profile.language, "afterHoursGreeting", { business: profile.name })),
+  };
+}
+
+// Neutral profile for a handle nobody knows: no services, prices or policies that belong to someone else
+function buildUnknownProfile(handle) {
+  return buildProfile({ id: handle, handle, name: handle, category: "other" }, "neutral");
+}
+
+let localSeed = null;
+
+// The local seed, businesses.json, keyed by handle ("businessName" is the name). Opening hours are
+// business-local "HH:mm" windows per weekday (a missing day is closed); closures are single dates or
+// { from, to } ranges; a service's `hours` narrows when it can be booked. See src/utils/businessHours.js.
+// `transferNumber` is where callers who ask for a person are sent. `language` and `voice`
+// ({ twilioVoice, realtimeVoice, preConnectMessage, recordingDisclosure, agentSpeaksFirst }) shape what
+// callers hear before and as the agent picks up; `languages` lists every language calls are answered
+// in (see src/i18n), the primary `language` first. `sms` ({ enabled, fromNumber, confirmationTemplate,
+// reminderTemplate, reminderHoursBefore }) controls the confirmation and reminder texts for bookings
+// made on a call.
+function getLocalSeed() {
+  if (localSeed) return localSeed;
+  localSeed = {};
   try {
-    // 1) Fetch business record from core API
-    const resp = await fetch(`${CORE_API_URL}/api/businesses/${handle}`);
-    
-    if (resp.status === 404) {
-      // Business not found - use "other" category template
-      const categoryTemplate = CATEGORY_TEMPLATES["other"];
-      return {
-        ...categoryTemplate,
-        id: handle,
-        name: handle,
-        category: "other",
-        greeting: categoryTemplate.defaultGreeting.replace("{businessName}", handle),
+    const raw = JSON.parse(fs.readFileSync(new URL("./businesses.json", import.meta.url), "utf8"));
+    for (const [handle, record] of Object.entries(raw || {})) {
+      const { businessName, ...rest } = record;
+      localSeed[handle] = {
+        ...rest,
+        id: record.id || record.handle || handle,
+        handle: record.handle || handle,
+        name: record.name || businessName || handle,
       };
     }
+  } catch (error) {
+    console.error("[getBusinessProfile] Could not load businesses.json:", error.message);
+  }
+  return localSeed;
+}
 
+// GET /api/businesses/:handle → { found: true, business } | { found: false }; throws on outage
+async function fetchBusiness(handle) {
+  const controller = new AbortController();
+  const timeoutId = setTimeout(() => controller.abort(), PROFILE_FETCH_TIMEOUT_MS);
+  try {
+    const resp = await fetch(`${coreApiUrl()}/api/businesses/${encodeURIComponent(handle)}`, { signal: controller.signal });
+    if (resp.status === 404) return { found: false };
     if (!resp.ok) {
       throw new Error(`HTTP ${resp.status}: ${resp.statusText}`);
     }
@@ -134,40 +162,116 @@ export async function getBusinessProfile(handle) {
     if (!json.ok || !json.business) {
       throw new Error(json.error || "Failed to fetch business");
     }
-
-    const business = json.business;
-
-    // 2) Merge with category template defaults
-    const category = business.category || "other";
-    const template = CATEGORY_TEMPLATES[category] || CATEGORY_TEMPLATES.other;
-
-    // Normalize duration to durationMinutes for services
-    const normalizedServices = (business.services || []).map(s => ({
-      ...s,
-      duration: s.duration || s.durationMinutes || 30,
-      durationMinutes: s.durationMinutes || s.duration || 30
-    }));
-
-    return {
-      ...template,
-      ...business,
-      services: normalizedServices.length > 0 ? normalizedServices : template.defaultServices,
-      categoryName: template.categoryName,
-      greeting: business.greetingOverride || template.defaultGreeting.replace("{businessName}", business.name || "this business"),
-    };
+    return { found: true, business: json.business };
   } catch (error) {
-    console.error(`[getBusinessProfile] Error fetching business ${handle}:`, error);
-    // Fallback to local businesses on error
-    const fallbackBusiness = BUSINESSES[handle] || BUSINESSES["waismofit"];
-    const category = fallbackBusiness.category || "fitness";
-    const categoryTemplate = CATEGORY_TEMPLATES[category] || CATEGORY_TEMPLATES["fitness"];
-    return {
-      ...categoryTemplate,
-      ...fallbackBusiness,
-      greeting: fallbackBusiness.greetingOverride || categoryTemplate.defaultGreeting.replace("{businessName}", fallbackBusiness.name || "this business"),
-    };
+    throw error.name === "AbortError" ? new Error(`timed out after ${PROFILE_FETCH_TIMEOUT_MS}ms`) : error;
+  } finally {
+    clearTimeout(timeoutId);
   }
 }
 
+// handle → { profile, fetchedAt, source }, least recently used first. Entries outlive the stale
+// window so core-api ones double as the last known good profile; only the MAX_CACHED_PROFILES
+// limit evicts them. Outage fallbacks are stored already stale, so the next call gets them
+// without waiting on core-api and revalidates in the background.
+const profileCache = new Map();
+// handle → in-flight refresh, so concurrent calls share one core-api request
+const inflight = new Map();
+
+function rememberProfile(handle, entry) {
+  profileCache.delete(handle);
+  profileCache.set(handle, entry);
+  if (profileCache.size > MAX_CACHED_PROFILES) profileCache.delete(profileCache.keys().next().value);
+}
+
+// Local seed profile for a handle, or null if it has none (or an unusable one)
+function seedProfile(handle) {
+  const seed = getLocalSeed()[handle];
+  if (!seed) return null;
+  try {
+    return buildProfile(seed, "seed");
+  } catch {
+    // buildProfile logged the invalid fields
+    return null;
+  }
+}
+
+/**
+ * Fetch from core-api and update the cache. Never rejects: a handle core-api doesn't have gets
+ * its local seed, then a neutral "other" profile; an outage resolves to the last known good
+ * profile, then the local seed, then the neutral profile.
+ */
+function refreshProfile(handle) {
+  if (inflight.has(handle)) return inflight.get(handle);
+
+  const run = (async () => {
+    try {
+      const result = await fetchBusiness(handle);
+      if (result.found) {
+        const profile = buildProfile(result.business, "core-api");
+        rememberProfile(handle, { profile, fetchedAt: Date.now(), source: "core-api" });
+        return profile;
+      }
+      let profile = seedProfile(handle);
+      const source = profile ? "seed" : "neutral";
+      if (profile) {
+        console.warn(`[getBusinessProfile] core-api has no business "${handle}", using local seed`);
+      } else {
+        console.warn(`[getBusinessProfile] core-api has no business "${handle}", using neutral profile`);
+        profile = buildUnknownProfile(handle);
+      }
+      rememberProfile(handle, { profile, fetchedAt: Date.now(), source });
+      return profile;
+    } catch (error) {
+      const cached = profileCache.get(handle);
+      if (cached?.source === "core-api") {
+        const ageSeconds = Math.round((Date.now() - cached.fetchedAt) / 1000);
+        console.warn(`[getBusinessProfile] core-api failed for "${handle}" (${error.message}); serving last known good profile (${ageSeconds}s old)`);
+        return cached.profile;
+      }
+      let profile = seedProfile(handle);
+      const source = profile ? "seed" : "neutral";
+      if (profile) {
+        console.warn(`[getBusinessProfile] core-api failed for "${handle}" (${error.message}); serving local seed`);
+      } else {
+        console.error(`[getBusinessProfile] core-api failed for unknown business "${handle}" (${error.message}); using neutral profile`);
+        profile = buildUnknownProfile(handle);
+      }
+      rememberProfile(handle, { profile, fetchedAt: Date.now() - cacheWindows().ttlMs, source });
+      return profile;
+    } finally {
+      inflight.delete(handle);
+    }
+  })();
+
+  inflight.set(handle, run);
+  return run;
+}
+
+/**
+ * Resolve a business profile, merged with its category template.
+ *   fresh (younger than PROFILE_CACHE_TTL_SECONDS)  → served from cache
+ *   stale (up to PROFILE_CACHE_STALE_SECONDS)       → served from cache, refreshed in the background
+ *   older or missing                                → fetched from core-api (outage fallbacks in refreshProfile)
+ */
+export async function getBusinessProfile(handle) {
+  if (!handle) return buildUnknownProfile("this business");
 
+  const cached = profileCache.get(handle);
+  const { ttlMs, staleMs } = cacheWindows();
+  const age = cached ? Date.now() - cached.fetchedAt : Infinity;
+  if (cached) rememberProfile(handle, cached);
 
+  if (age < ttlMs) {
+    console.log(`[getBusinessProfile] cache hit for "${handle}"`);
+    return cached.profile;
+  }
+  if (age < staleMs) {
+    console.log(`[getBusinessProfile] stale cache hit for "${handle}" (${cached.source}, ${Math.round(age / 1000)}s old), revalidating`);
+    refreshProfile(handle);
+    return cached.profile;
+  }
+
+  console.log(`[getBusinessProfile] cache ${cached ? "expired" : "miss"} for "${handle}"`);
+  return refreshProfile(handle);
+}
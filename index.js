@@ -1,14 +1,56 @@
+import crypto from 'node:crypto';
+import { Readable } from 'node:stream';
 import Fastify from 'fastify';
 import WebSocket from 'ws';
 import dotenv from 'dotenv';
 import fastifyFormBody from '@fastify/formbody';
 import fastifyWs from '@fastify/websocket';
 import fastifyCors from '@fastify/cors';
-import { buildSystemPrompt } from './agentConfig.js';
+import { buildSystemPrompt, REALTIME_TOOLS } from './agentConfig.js';
 import { getBusinessProfile } from './businessProfiles.js';
-import { getCallState, upsertCallState, clearCallState } from './src/state/callState.js';
+import { getCallState, upsertCallState, clearCallState, nextTurnIndex, appendCallTurn } from './src/state/callState.js';
+import { STEPS, initialCallState, deriveStep, advanceStep } from './src/state/callFlow.js';
 import { extractFields } from './src/services/nluExtract.js';
-import { bestEffortPost } from './src/utils/bestEffortPost.js';
+import { enqueueCallEvent, getOutboxStatus } from './src/services/eventOutbox.js';
+import { resolveBusinessByPhone, NOT_IN_SERVICE_MESSAGE, ROUTING_UNAVAILABLE_MESSAGE } from './src/services/phoneRouting.js';
+import { transferToHuman, HANDOFF_REASONS } from './src/services/handoff.js';
+import { buildConnectTwiml, buildHangupTwiml, sayOptionsFor } from './src/services/twilioCalls.js';
+import { createRealtimeCallLog } from './src/services/realtimeCallLog.js';
+import { emitCallStarted, endCall, outcomeForTool } from './src/services/callLifecycle.js';
+import { canTextBooking, sendBookingTexts } from './src/services/bookingNotifications.js';
+import { lookupCaller, isSameCaller } from './src/services/callerLookup.js';
+import { normalizeContactFields, bookableContact, buildContactCheckPrompt, runContactCheckTurn } from './src/services/contactCapture.js';
+import { MESSAGE_REASONS, isMessageStep, startMessageFlow, runTakeMessageTurn, submitCallbackRequest } from './src/services/takeMessage.js';
+import {
+  resolveAgentCredentials,
+  callCheckAvailability,
+  callBookAppointment,
+  callFindBookings,
+  callCancelBooking,
+  callRescheduleBooking
+} from './src/services/book8Api.js';
+import {
+  isManageIntent,
+  startManageFlow,
+  runManageBookingTurn,
+  describeBooking,
+  normalizeBooking,
+  isInsideCancellationWindow
+} from './src/services/manageBooking.js';
+import { answerBusinessQuestion, isHoursQuestion } from './src/services/faq.js';
+import { getOpenTimes, closestTimes, formatSpokenTime, formatSpokenTimes, matchOfferedTime, toLocalDateTime } from './src/utils/slots.js';
+import { describeToday, resolveDateTime, toZonedISO } from './src/utils/dateResolver.js';
+import { checkBusinessHours, describeHoursProblem, isOpenNow, nextOpening, describeDay } from './src/utils/businessHours.js';
+import { toE164 } from './src/utils/phone.js';
+import { t, resolveCallLanguage } from './src/i18n/index.js';
+import {
+  isAuthDisabled,
+  verifyTwilioRequest,
+  verifyGatewayRequest,
+  createStreamToken,
+  verifyStreamToken,
+  getAllowedOrigins
+} from './src/utils/requestAuth.js';
 
 // Load environment variables from .env file
 dotenv.config();
@@ -17,21 +59,62 @@ dotenv.config();
 // Note: Realtime API uses "gpt-realtime" model. For Chat Completions API, you could use "gpt-4o" or "gpt-4o-mini"
 const { OPENAI_API_KEY, BOOK8_AGENT_API_KEY, OPENAI_MODEL } = process.env;
 const REALTIME_MODEL = OPENAI_MODEL || "gpt-realtime";
+// Transcribes the caller's audio on the Realtime path, for the call's transcript events
+const TRANSCRIPTION_MODEL = process.env.OPENAI_TRANSCRIPTION_MODEL || "gpt-4o-mini-transcribe";
 
 if (!OPENAI_API_KEY) {
     console.error('Missing OpenAI API key. Please set it in the .env file.');
     process.exit(1);
 }
 
-// Initialize Fastify
-const fastify = Fastify();
+// Initialize Fastify; the signed /media-stream token is a path parameter, longer than the default 100 characters
+const fastify = Fastify({ maxParamLength: 1024 });
 fastify.register(fastifyFormBody);
 fastify.register(fastifyWs);
+// Browsers may only call the API from configured origins; the gateway and Twilio don't use CORS
+const allowedOrigins = getAllowedOrigins();
 fastify.register(fastifyCors, {
-    origin: true, // Allow all origins
+    origin: allowedOrigins.length > 0 ? allowedOrigins : false,
     credentials: true
 });
 
+// Keep the raw JSON body so gateway HMAC signatures can be checked against exactly what was sent.
+// Fastify's own JSON parser (with its prototype-poisoning protection) still parses the same bytes.
+fastify.addHook('preParsing', async (request, reply, payload) => {
+    if (!/^application\/json\b/i.test(request.headers['content-type'] || '')) return payload;
+    const chunks = [];
+    let length = 0;
+    for await (const chunk of payload) {
+        length += chunk.length;
+        if (length > request.routeOptions.bodyLimit) {
+            const error = new Error('Request body is too large');
+            error.statusCode = 413;
+            throw error;
+        }
+        chunks.push(chunk);
+    }
+    const body = Buffer.concat(chunks);
+    request.rawBody = body.toString('utf8');
+    return Readable.from([body]);
+});
+
+// Route guards (see src/utils/requestAuth.js)
+async function requireGateway(request, reply) {
+    const result = verifyGatewayRequest(request);
+    if (!result.ok) {
+        console.warn(`[auth] Rejected ${request.method} ${request.url}: ${result.reason}`);
+        return reply.code(401).send({ ok: false, error: 'Unauthorized' });
+    }
+}
+
+async function requireTwilio(request, reply) {
+    const result = verifyTwilioRequest(request);
+    if (!result.ok) {
+        console.warn(`[auth] Rejected ${request.method} ${request.url}: ${result.reason}`);
+        return reply.code(403).send('Forbidden');
+    }
+}
+
 // Constants
 const VOICE = 'alloy';
 const TEMPERATURE = 0.8; // Controls the randomness of the AI's responses
@@ -44,9 +127,11 @@ const LOG_EVENT_TYPES = [
     'response.content.done',
     'rate_limits.updated',
     'response.done',
+    'response.function_call_arguments.done',
     'input_audio_buffer.committed',
     'input_audio_buffer.speech_stopped',
     'input_audio_buffer.speech_started',
+    'conversation.item.input_audio_transcription.failed',
     'session.created',
     'session.updated'
 ];
@@ -74,19 +159,10 @@ fastify.get('/health', async (request, reply) => {
     return reply.send({ ok: true });
 });
 
-// Optional: track "first turn" by CallSid to enforce greeting rule
-const seenCallSids = new Set();
-
-// Track turn index per call for deterministic IDs
-const callTurnIndices = new Map();
-
-// Get or increment turn index for a call
-function getTurnIndex(callSid) {
-  if (!callSid) return 0;
-  const current = callTurnIndices.get(callSid) || 0;
-  callTurnIndices.set(callSid, current + 1);
-  return current;
-}
+// Call-log outbox: how many transcript / tool / usage events are still waiting for core-api
+fastify.get('/internal/outbox/status', { preHandler: requireGateway }, async (request, reply) => {
+    return reply.send({ ok: true, ...getOutboxStatus() });
+});
 
 // Get Core API URL for internal endpoints
 const CORE_API_URL = process.env.CORE_API_URL || process.env.BOOK8_CORE_API_URL || 'https://book8-core-api.onrender.com';
@@ -99,159 +175,149 @@ console.log('[book8-voice-agent] Startup configuration:', {
   REALTIME_MODEL: REALTIME_MODEL,
   hasOpenAIKey: !!OPENAI_API_KEY,
   hasBook8AgentKey: !!BOOK8_AGENT_API_KEY,
+  authDisabled: isAuthDisabled(),
+  hasTwilioAuthToken: !!process.env.TWILIO_AUTH_TOKEN,
+  hasAgentSharedSecret: !!process.env.AGENT_SHARED_SECRET,
+  corsAllowedOrigins: allowedOrigins,
   VOICE: VOICE,
   TEMPERATURE: TEMPERATURE
 });
 
-// Helper function to normalize service duration with safety fallbacks
-function getServiceDuration(service) {
-  if (!service) {
-    console.warn('[getServiceDuration] Service is null/undefined, defaulting to 30 minutes');
-    return 30;
-  }
-  
-  const duration = service.durationMinutes ?? service.duration ?? 30;
-  
-  if (duration !== service.durationMinutes && duration !== service.duration) {
-    console.warn('[getServiceDuration] Service missing duration fields, defaulting to 30 minutes:', {
-      serviceName: service.name,
-      serviceId: service.id,
-      hasDurationMinutes: 'durationMinutes' in service,
-      hasDuration: 'duration' in service
-    });
-  }
-  
-  // Ensure duration is a valid number
-  const numDuration = Number(duration);
-  if (isNaN(numDuration) || numDuration <= 0) {
-    console.warn('[getServiceDuration] Invalid duration value, defaulting to 30 minutes:', {
-      serviceName: service.name,
-      duration: duration,
-      parsed: numDuration
-    });
-    return 30;
-  }
-  
-  return numDuration;
-}
+// Stand-in when a business has no services configured (e.g. the neutral "other" profile)
+const GENERIC_SERVICE = { id: 'generic', name: 'appointment', durationMinutes: 30, price: null, description: null, hours: null };
 
-// Helper function to safely find a service by name
+// Profiles are normalized (src/utils/profileSchema.js), so every service has a name and durationMinutes
 function findServiceByName(services, serviceName) {
-  // Validate services parameter first
-  if (!services) {
-    console.warn('[findServiceByName] Services parameter is null/undefined');
-    return null;
-  }
-  
-  if (!Array.isArray(services) || services.length === 0) {
-    console.warn('[findServiceByName] Services array is empty or invalid:', { 
-      isArray: Array.isArray(services), 
-      length: services?.length 
-    });
-    return null;
-  }
-  
-  if (!serviceName || typeof serviceName !== 'string') {
-    console.warn('[findServiceByName] Service name is invalid:', serviceName);
-    return null;
+  if (!serviceName || typeof serviceName !== 'string') return null;
+  const wanted = serviceName.toLowerCase().trim();
+  return services.find(s => s.name.toLowerCase().trim() === wanted) || null;
+}
+
+// Fields read back to the caller before booking
+const CONFIRM_FIELDS = ['service', 'date', 'time', 'name', 'email', 'phone'];
+
+// Build the question for the step the call is on; re-asks (stepAttempts > 1) get a short apology first.
+// `resuming` drops the "Great." style lead-in when the question follows an answer to a side question.
+// Replies are in the call's language (state.language).
+function buildStepPrompt(state, services, { resuming = false } = {}) {
+  const language = state.language;
+  const isReprompt = !resuming && (state.stepAttempts || 0) > 1;
+  const sorry = isReprompt ? `${t(language, 'sorry')} ` : '';
+  const lead = (key) => sorry || (resuming ? '' : `${t(language, key)} `);
+
+  switch (state.step) {
+    case STEPS.SERVICE: {
+      if (state.suggestedService) {
+        return `${lead('leadSure')}${t(language, 'askSameService', { service: state.suggestedService })}`;
+      }
+      const serviceNames = (Array.isArray(services) ? services : []).slice(0, 2).map(s => s?.name).filter(Boolean);
+      if (serviceNames.length === 0) {
+        return `${lead('leadSure')}${t(language, 'askServiceType')}`;
+      }
+      return `${lead('leadSure')}${t(language, 'askServiceChoice', { services: t(language, 'listOr', { items: serviceNames }) })}`;
+    }
+    case STEPS.DATETIME:
+      if (Array.isArray(state.offeredTimes) && state.offeredTimes.length > 0 && !state.time) {
+        return `${sorry}${t(language, 'offeredTimes', { times: formatSpokenTimes(state.offeredTimes, language), date: state.date })}`;
+      }
+      if (state.suggestedTime && !state.time) return `${sorry}${t(language, 'suggestTime', { time: formatSpokenTime(state.suggestedTime, language) })}`;
+      if (state.vagueTime && !state.time) return `${sorry}${t(language, 'askTimeInPeriod', { period: state.vagueTime })}`;
+      if (state.date && !state.time) return `${sorry}${t(language, 'askTimeOnDate', { date: state.date })}`;
+      if (!state.date && state.time) return `${sorry}${t(language, 'askDay')}`;
+      if (state.flow === 'reschedule') return `${lead('leadSure')}${t(language, 'askRescheduleDateTime')}`;
+      return `${lead('leadGreat')}${t(language, 'askDateTime')}`;
+    case STEPS.CONTACT:
+      if (state.invalidContact) return t(language, 'contactInvalid', { field: state.invalidContact });
+      if (state.name) return `${sorry}${t(language, 'askContact', { name: state.name })}`;
+      if (state.email || state.phone) return `${sorry}${t(language, 'askBookingName')}`;
+      return `${lead('leadPerfect')}${t(language, 'askNameAndContact')}`;
+    case STEPS.CONFIRM_CONTACT:
+      return `${sorry}${buildContactCheckPrompt(state)}`;
+    default:
+      return `${sorry}${t(language, 'askWhatToBook')}`;
   }
-  
-  try {
-    const service = services.find(s => 
-      s && s.name && s.name.toLowerCase().trim() === serviceName.toLowerCase().trim()
-    );
-    return service || null;
-  } catch (error) {
-    console.error('[findServiceByName] Error finding service:', error);
-    return null;
+}
+
+// Steer back to wherever the call was after answering a side question, without counting a retry
+function buildResumePrompt(state, services) {
+  const language = state.language;
+  switch (state.step) {
+    case STEPS.SERVICE:
+    case STEPS.DATETIME:
+    case STEPS.CONTACT:
+    case STEPS.CONFIRM_CONTACT:
+      return buildStepPrompt(state, services, { resuming: true });
+    case STEPS.CONFIRM:
+      return state.awaitingCorrection
+        ? t(language, 'askWhatToChange')
+        : buildConfirmationPrompt(state);
+    case STEPS.LOOKUP:
+      return t(language, 'askLookupKey');
+    case STEPS.SELECT:
+      return state.booking
+        ? t(language, 'confirmBookingToChange', { booking: describeBooking(state.booking, language), flow: state.flow })
+        : t(language, 'whichBooking', { flow: state.flow });
+    case STEPS.DONE:
+      return t(language, 'anythingElse');
+    default:
+      return t(language, 'offerBooking');
   }
 }
 
-// Helper functions for booking tools
-async function callCheckAvailability({ date, timezone, durationMinutes }) {
-  try {
-    // Validate required fields
-    if (!date || !timezone) {
-      console.error('[callCheckAvailability] Missing required fields:', { date: !!date, timezone: !!timezone });
-      return { available: false, error: 'Missing required availability information' };
-    }
-    
-    // Ensure duration is a valid number
-    const numDuration = Number(durationMinutes);
-    if (isNaN(numDuration) || numDuration <= 0) {
-      console.warn('[callCheckAvailability] Invalid duration, defaulting to 30:', durationMinutes);
-      durationMinutes = 30;
-    }
-    
-    // Ensure BOOK8_AGENT_API_KEY is present
-    if (!BOOK8_AGENT_API_KEY) {
-      console.error('[callCheckAvailability] BOOK8_AGENT_API_KEY is missing');
-      return { available: false, error: 'Agent API key not configured' };
-    }
-    
-    const response = await fetch('https://api.book8.com/api/agent/check-availability', {
-      method: 'POST',
-      headers: {
-        'Content-Type': 'application/json',
-      },
-      body: JSON.stringify({
-        agentApiKey: BOOK8_AGENT_API_KEY,
-        date: String(date),
-        timezone: String(timezone),
-        durationMinutes: numDuration
-      })
-    });
-    
-    if (!response.ok) {
-      const errorText = await response.text().catch(() => 'Unknown error');
-      console.error('[callCheckAvailability] API returned error:', response.status, errorText);
-      return { available: false, error: `API error: ${response.status}` };
-    }
-    
-    const result = await response.json().catch(() => ({ available: false, error: 'Invalid JSON response' }));
-    return result || { available: false, error: 'Empty response' };
-  } catch (error) {
-    console.error('[callCheckAvailability] Error:', error);
-    return { available: false, error: error.message || 'Availability check failed' };
+// Reply once the call has moved to the handoff step: offer to take a message, unless taking one
+// is what just failed
+function buildHandoffReply(profile, state) {
+  if (state.flow === 'message') {
+    return t(state.language, 'handoffContactDirectly', { business: profile.name });
   }
+  return t(state.language, 'handoffOfferMessage', { business: profile.name });
 }
 
-async function callBookAppointment({ start, guestName, guestEmail, guestPhone }) {
-  try {
-    const response = await fetch('https://api.book8.com/api/agent/book', {
-      method: 'POST',
-      headers: {
-        'Content-Type': 'application/json',
-      },
-      body: JSON.stringify({
-        agentApiKey: BOOK8_AGENT_API_KEY,
-        start,
-        guestName,
-        guestEmail,
-        guestPhone: guestPhone || null
-      })
-    });
-    return await response.json();
-  } catch (error) {
-    console.error('[callBookAppointment] Error:', error);
-    return { ok: false, error: error.message };
+// Lead-in for the first reply when the call comes in while the business is closed
+function buildAfterHoursNote(profile, language) {
+  const reopening = nextOpening(profile);
+  return t(language, 'afterHoursNote', reopening
+    ? { day: describeDay(reopening.date, profile, new Date(), language), time: formatSpokenTime(reopening.time, language) }
+    : {});
+}
+
+// Build the spoken read-back of the collected booking details
+function buildConfirmationPrompt(state) {
+  const language = state.language;
+  if (state.flow === 'reschedule' && state.booking) {
+    return t(language, 'confirmReschedule', { booking: describeBooking(state.booking, language), date: state.date, time: state.time });
   }
+  return t(language, 'confirmBooking', { service: state.service, date: state.date, time: state.time, name: state.name });
 }
 
+// Work out which booking field(s) the caller wants to change after saying "no" to the read-back
+function detectCorrectionFields(userText) {
+  const text = String(userText || '').toLowerCase();
+  const fields = [];
+  if (/\b(service|appointment type|session|class|cours)\b|ਸੇਵਾ/.test(text)) fields.push('service');
+  if (/\b(date|day|monday|tuesday|wednesday|thursday|friday|saturday|sunday|tomorrow|today|week|jour|demain|semaine)\b|ਤਾਰੀਖ|ਦਿਨ/.test(text)) fields.push('date');
+  if (/\b(time|hour|am|pm|morning|afternoon|evening|o'?clock|heure|matin|soir)\b|ਸਮਾਂ|ਵਜੇ/.test(text)) fields.push('time');
+  if (/\b(name|nom)\b|ਨਾਮ/.test(text)) fields.push('name');
+  if (/\b(email|e-mail|courriel)\b|ਈਮੇਲ/.test(text)) fields.push('email');
+  if (/\b(phone|number|num[ée]ro|t[ée]l[ée]phone)\b|ਫ਼ੋਨ|ਨੰਬਰ/.test(text)) fields.push('phone');
+  return fields;
+}
 
 /**
  * POST /api/agent-chat
  * Body:
  * {
- *   businessId: "waismofit",
+ *   businessId: "waismofit",              // optional when toPhone is given
  *   callSid: "...",
  *   text: "user's message text",
  *   messages: [{role:"user",content:"..."}, ...], // optional, for backward compatibility
  *   callerPhone: "+1...",
- *   toPhone: "+1..."
+ *   toPhone: "+1...",                     // number dialed; selects the business when businessId is absent
+ *   language: "fr-CA"                     // optional; the caller's language if the gateway knows it,
+ *                                         // otherwise it's detected on the first turn
  * }
  */
-fastify.post('/api/agent-chat', async (request, reply) => {
+fastify.post('/api/agent-chat', { preHandler: requireGateway }, async (request, reply) => {
   const requestStartTime = Date.now();
   const requestId = `${Date.now()}-${Math.random().toString(36).substr(2, 9)}`;
   
@@ -264,6 +330,7 @@ fastify.post('/api/agent-chat', async (request, reply) => {
     },
     body: {
       businessId: request.body?.businessId,
+      toPhone: request.body?.toPhone,
       callSid: request.body?.callSid,
       hasText: !!request.body?.text,
       hasMessages: Array.isArray(request.body?.messages) && request.body.messages.length > 0,
@@ -272,11 +339,27 @@ fastify.post('/api/agent-chat', async (request, reply) => {
   });
   
   try {
-    const { businessId, callSid, text, messages } = request.body;
+    const { callSid, text, messages, callerPhone, toPhone } = request.body;
+    let { businessId } = request.body;
+
+    // Without a businessId, route by the number the caller dialed
+    if (!businessId && toPhone) {
+      const route = await resolveBusinessByPhone(toPhone);
+      if (!route) {
+        console.warn(`[${requestId}] [agent-chat] Unknown toPhone ${toPhone}`);
+        return reply.status(404).send({ ok: false, reply: NOT_IN_SERVICE_MESSAGE, error: "No business for toPhone" });
+      }
+      if (!route.handle) {
+        console.warn(`[${requestId}] [agent-chat] Can't route toPhone ${toPhone} while core-api is unreachable`);
+        return reply.status(503).send({ ok: false, reply: ROUTING_UNAVAILABLE_MESSAGE, error: "Phone routing unavailable" });
+      }
+      console.log(`[${requestId}] [agent-chat] ${route.phone} → ${route.handle} (${route.source})`);
+      businessId = route.handle;
+    }
 
     if (!businessId) {
-      console.warn(`[${requestId}] [agent-chat] Missing businessId`);
-      return reply.status(400).send({ ok: false, error: "businessId is required" });
+      console.warn(`[${requestId}] [agent-chat] Missing businessId and toPhone`);
+      return reply.status(400).send({ ok: false, error: "businessId or toPhone is required" });
     }
 
     // Get user text from either 'text' field or last message
@@ -301,67 +384,43 @@ fastify.post('/api/agent-chat', async (request, reply) => {
     });
 
     // Get turn index for this call
-    const turnIndex = getTurnIndex(callSid);
+    const turnIndex = await nextTurnIndex(callSid);
 
-    // 1️⃣ Transcript event - caller turn (STT result)
-    if (callSid) {
-      bestEffortPost(`${CORE_API_URL}/internal/calls/transcript`, {
-        turnId: `${callSid}:caller:${turnIndex}`,
-        callSid,
-        role: 'caller',
-        text: userText,
-        turnIndex,
-        timestamp: new Date().toISOString()
-      }).catch(() => {}); // Already logged in bestEffortPost
-    }
+    // Business profile, already validated and normalized (never throws; see businessProfiles.js)
+    const profile = await getBusinessProfile(businessId);
+    const services = profile.services.length > 0 ? profile.services : [GENERIC_SERVICE];
 
-    // Load business profile (with error handling)
-    let profile;
-    try {
-      profile = await getBusinessProfile(businessId);
-    } catch (error) {
-      console.error(`[${requestId}] [agent-chat] Error loading business profile:`, error);
-      // Use a minimal fallback profile with generic service
-      profile = {
-        name: businessId || 'this business',
-        services: [{ id: 'generic', name: 'appointment', duration: 30, durationMinutes: 30 }],
-        defaultServices: [{ id: 'generic', name: 'appointment', duration: 30, durationMinutes: 30 }],
-        timezone: 'America/Toronto'
-      };
-      console.warn(`[${requestId}] [agent-chat] Using fallback profile with generic service`);
+    // This business's own Book8 agent key; every booking API call below uses it
+    const agentCredentials = resolveAgentCredentials(profile);
+    if (!agentCredentials.ok) {
+      console.error(`[${requestId}] [agent-chat] ${agentCredentials.error}`);
     }
-    
-    // Safely extract services with fallback
-    let services = [];
-    try {
-      services = profile.services || profile.defaultServices || [];
-      if (!Array.isArray(services) || services.length === 0) {
-        console.warn(`[${requestId}] [agent-chat] No services found, using generic fallback`);
-        services = [{ id: 'generic', name: 'appointment', duration: 30, durationMinutes: 30 }];
-      }
-    } catch (error) {
-      console.error(`[${requestId}] [agent-chat] Error extracting services:`, error);
-      services = [{ id: 'generic', name: 'appointment', duration: 30, durationMinutes: 30 }];
+
+    // Load per-call state (step: greeting | service | datetime | contact | confirm | done | handoff)
+    const storedState = await getCallState(callSid);
+    const state = storedState || initialCallState();
+
+    // First turn of the call: core-api hears it has started (call.ended follows when the gateway reports the hang-up)
+    if (!storedState && callSid) {
+      state.startedAt = new Date(requestStartTime).toISOString();
+      emitCallStarted({ callSid, businessId: profile.id, callerPhone, channel: 'agent-chat', startedAt: state.startedAt });
     }
 
-    // Load per-call state
-    const state = getCallState(callSid) || {
-      step: "greeting",          // greeting | service | datetime | contact | confirm | done
-      service: null,
-      date: null,
-      time: null,
-      name: null,
-      email: null,
-      phone: null
-    };
+    // First turn: is this a returning customer? (looked up while the NLU runs)
+    const callerLookup = !storedState ? lookupCaller({ businessId: profile.id, phone: callerPhone }) : null;
+
+    // Relative dates ("tomorrow", "next Friday") are resolved against the business's clock
+    const businessTimezone = profile.timezone;
 
     // Run NLU extraction (with error handling)
     let extracted;
     try {
       extracted = await extractFields({
-        businessName: profile.name || businessId,
+        businessName: profile.name,
         services,
-        userText
+        userText,
+        today: describeToday(businessTimezone),
+        timezone: businessTimezone
       });
       
       // Ensure extracted is an object
@@ -376,11 +435,15 @@ fastify.post('/api/agent-chat', async (request, reply) => {
         service: null,
         date: null,
         time: null,
+        date_phrase: null,
+        time_phrase: null,
         timezone: null,
         name: null,
         email: null,
         phone: null,
-        confirmation: null
+        message: null,
+        confirmation: null,
+        language: null
       };
     }
     
@@ -392,14 +455,68 @@ fastify.post('/api/agent-chat', async (request, reply) => {
         service: null,
         date: null,
         time: null,
+        date_phrase: null,
+        time_phrase: null,
         timezone: null,
         name: null,
         email: null,
         phone: null,
-        confirmation: null
+        message: null,
+        confirmation: null,
+        language: null
       };
     }
     
+    // The call's language: the gateway's if it sent one, else whatever the call is already in, else
+    // detected from this (first) turn. Only languages the business takes calls in are used.
+    const language = resolveCallLanguage({
+      requested: request.body.language,
+      current: state.language,
+      detected: extracted.language,
+      userText,
+      profile
+    });
+    state.language = language;
+
+    // A returning caller's record fills in who they are. Only their name is ever said back;
+    // the email on file is used for the booking but never read out.
+    const returningCaller = callerLookup ? await callerLookup : null;
+    if (returningCaller) {
+      console.log(`[${requestId}] [agent-chat] Returning caller:`, {
+        hasName: !!returningCaller.name,
+        hasEmail: !!returningCaller.email,
+        lastService: returningCaller.lastService
+      });
+      Object.assign(state, {
+        name: returningCaller.name,
+        email: returningCaller.email,
+        phone: returningCaller.phone,
+        // Already known to be right, so never spelled back
+        confirmedEmail: returningCaller.email,
+        confirmedPhone: returningCaller.phone,
+        returningCaller: {
+          name: returningCaller.name,
+          email: returningCaller.email,
+          // Only offered again if the business still has it
+          lastService: findServiceByName(services, returningCaller.lastService)?.name || null
+        }
+      });
+    }
+
+    // 1️⃣ Transcript event - caller turn (STT result)
+    if (callSid) {
+      enqueueCallEvent('transcript', {
+        turnId: `${callSid}:caller:${turnIndex}`,
+        callSid,
+        role: 'caller',
+        text: userText,
+        turnIndex,
+        language,
+        timestamp: new Date().toISOString()
+      });
+      await appendCallTurn(callSid, { role: 'caller', text: userText, turnIndex });
+    }
+
     // Track LLM usage from NLU extraction
     let llmTokens = 0;
     if (extracted._usage) {
@@ -407,88 +524,381 @@ fastify.post('/api/agent-chat', async (request, reply) => {
       delete extracted._usage; // Remove from extracted data
     }
 
+    // While picking an existing booking, a date/time the caller says describes that booking, not a new slot;
+    // likewise the day in "are you open Sunday?" is only being asked about
+    const describesExisting = state.step === STEPS.SELECT || isHoursQuestion(userText);
+
+    // Turn the caller's own words into absolute date/time (the NLU's values are only a fallback)
+    const dateTime = resolveDateTime({
+      datePhrase: extracted.date_phrase,
+      timePhrase: extracted.time_phrase,
+      date: extracted.date,
+      time: extracted.time,
+      // A time on its own is for the day already collected
+      storedDate: describesExisting ? null : state.date
+    }, { timezone: businessTimezone });
+    extracted.date = dateTime.date;
+    extracted.time = dateTime.time;
+    if (dateTime.past) {
+      console.log(`[${requestId}] [agent-chat] Rejected past ${dateTime.past}:`, {
+        datePhrase: extracted.date_phrase,
+        timePhrase: extracted.time_phrase
+      });
+    }
+
+    // Spoken emails and numbers ("john at gmail dot com", "four one six...") are put back together
+    // and validated before they're kept; one that isn't valid is asked for again
+    const contact = normalizeContactFields(extracted, { countryCode: profile.phoneCountryCode });
+    extracted.email = contact.email;
+    extracted.phone = contact.phone;
+    // ...except while answering "what's the part before the @?", where the words are only a fragment
+    if (state.step === STEPS.CONFIRM_CONTACT && state.contactPart) {
+      extracted.name = null;
+      extracted.email = null;
+      extracted.phone = null;
+    }
+
+    // "Would 3:00 PM work?" answered with a yes
+    if (state.suggestedTime && !extracted.time && extracted.confirmation === true) {
+      extracted.time = state.suggestedTime;
+    }
+
+    // "The same as last time?" answered: a yes picks that service, a no gets the usual question
+    let declinedSuggestedService = false;
+    if (state.step === STEPS.SERVICE && state.suggestedService && !extracted.service) {
+      if (extracted.confirmation === true) {
+        extracted.service = state.suggestedService;
+      } else if (extracted.confirmation === false) {
+        declinedSuggestedService = true;
+      }
+    }
+
+    // A new booking after one has finished starts the flow over, keeping the caller's contact details
+    if (state.step === STEPS.DONE && extracted.intent === "book") {
+      Object.assign(state, initialCallState(), {
+        name: state.name,
+        email: state.email,
+        phone: state.phone,
+        bookings: null,
+        booking: null
+      });
+    }
+
+    // If the caller said "no" to the read-back and is now naming what to change,
+    // clear only that field so the flow below re-asks for it.
+    if (state.step === STEPS.CONFIRM && state.awaitingCorrection) {
+      const fieldsToClear = detectCorrectionFields(userText);
+      for (const field of fieldsToClear) {
+        state[field] = null;
+      }
+      if (fieldsToClear.length > 0) {
+        state.awaitingCorrection = false;
+      }
+    }
+
+    // Caller is answering the alternative times we offered: their pick fills `time` directly
+    if (Array.isArray(state.offeredTimes) && state.offeredTimes.length > 0 && !state.time) {
+      const picked = matchOfferedTime(state.offeredTimes, { userText, extractedTime: extracted.time });
+      if (picked) {
+        extracted.time = picked;
+      } else if (extracted.confirmation === true && state.offeredTimes.length === 1) {
+        extracted.time = state.offeredTimes[0];
+      }
+    }
+
     // Merge extracted into state (only overwrite if value exists)
-    // Use nullish coalescing with explicit null checks
-    const next = upsertCallState(callSid, {
+    // NLU returns null for anything not mentioned this turn, so null must not wipe collected fields
+    const pick = (value, fallback) =>
+      (value !== undefined && value !== null && value !== '') ? value : fallback;
+    // A day or time that has already passed replaces whatever was collected, so it gets re-asked
+    const rejected = describesExisting ? null : dateTime.past;
+    const merged = {
+      service: pick(extracted?.service, state.service),
+      date: describesExisting ? state.date : (rejected === 'date' ? null : pick(extracted?.date, state.date)),
+      time: describesExisting ? state.time : (rejected ? null : pick(extracted?.time, state.time)),
+      name: pick(extracted?.name, state.name),
+      email: pick(extracted?.email, state.email),
+      phone: pick(extracted?.phone, state.phone)
+    };
+    // Someone else calling from a returning caller's phone: the email on file isn't theirs
+    const recordEmail = state.returningCaller?.email;
+    if (recordEmail && merged.email === recordEmail && !isSameCaller(state.returningCaller, merged.name)) {
+      merged.email = null;
+    }
+    // Their last service is offered until a service is picked or the caller says no
+    const lastService = declinedSuggestedService ? null : (state.returningCaller?.lastService || null);
+    const changedFields = CONFIRM_FIELDS.filter(field => merged[field] !== state[field]);
+    let next = await upsertCallState(callSid, {
       step: state.step,
-      service: (extracted && extracted.service !== undefined) ? extracted.service : state.service,
-      date: (extracted && extracted.date !== undefined) ? extracted.date : state.date,
-      time: (extracted && extracted.time !== undefined) ? extracted.time : state.time,
-      name: (extracted && extracted.name !== undefined) ? extracted.name : state.name,
-      email: (extracted && extracted.email !== undefined) ? extracted.email : state.email,
-      phone: (extracted && extracted.phone !== undefined) ? extracted.phone : state.phone
+      stepAttempts: state.stepAttempts || 0,
+      awaitingCorrection: !!state.awaitingCorrection,
+      // Offered alternatives only apply until a time is picked or the date changes
+      offeredTimes: (merged.time || merged.date !== state.date) ? null : (state.offeredTimes || null),
+      // "In the morning" / "around 3" get a follow-up question; a suggested time only lasts one turn
+      vagueTime: (!describesExisting && !merged.time && dateTime.vague && dateTime.vague.vague !== 'approximate')
+        ? dateTime.vague.vague
+        : null,
+      suggestedTime: (!describesExisting && !merged.time && dateTime.vague?.suggestion) || null,
+      suggestedService: (!merged.service && lastService) || null,
+      returningCaller: state.returningCaller ? { ...state.returningCaller, lastService } : null,
+      // Details on file count as already confirmed
+      confirmedEmail: state.confirmedEmail || null,
+      confirmedPhone: state.confirmedPhone || null,
+      // An email or number that didn't make sense gets its own re-ask, this turn only
+      invalidContact: contact.invalid[0] || null,
+      // An offer to take a message is only answered on the turn right after it
+      messageOffered: null,
+      language,
+      // Who and when, for the call.ended event
+      startedAt: state.startedAt || null,
+      businessId: profile.id,
+      callerPhone: callerPhone || state.callerPhone || null,
+      ...merged
     });
 
-    // Deterministic conversation flow:
+    // Refuse closed days and out-of-hours times up front, before check-availability is ever called
+    let hoursProblem = null;
+    if (!describesExisting && next.date && changedFields.some(field => ['service', 'date', 'time'].includes(field))) {
+      const service = next.service ? findServiceByName(services, next.service) : null;
+      const hoursCheck = checkBusinessHours(profile, {
+        date: next.date,
+        time: next.time,
+        durationMinutes: service ? service.durationMinutes : 30,
+        service
+      });
+      if (!hoursCheck.open) {
+        console.log(`[${requestId}] [agent-chat] Outside business hours:`, { date: next.date, time: next.time, reason: hoursCheck.reason });
+        hoursProblem = describeHoursProblem(hoursCheck, { date: next.date, serviceName: service?.name, profile, language });
+        // An out-of-hours time only needs a new time; a closed day needs a new day
+        next = await upsertCallState(callSid, hoursCheck.reason === 'outside_hours'
+          ? { time: null, suggestedTime: null }
+          : { date: null, offeredTimes: null });
+      }
+    }
+
+    // Caller asked for a person (or is fed up with the assistant): hand off whatever step the call is on
+    let handoffReason = null;
+    if (extracted.intent === 'talk_to_human' && next.step !== STEPS.HANDOFF) {
+      handoffReason = HANDOFF_REASONS.CALLER_REQUEST;
+      next = await upsertCallState(callSid, advanceStep(next, STEPS.HANDOFF));
+    }
+
+    // Deterministic conversation flow, driven by the call's step (see src/state/callFlow.js):
 
     let replyText = '';
     let toolEvents = [];
+    // Set when a tool settles how the call turned out (booked, transferred, ...)
+    let outcome = null;
 
-    // 1) If user asked services:
-    if (extracted.intent === "ask_services") {
+    // 2️⃣ Tool event - one per tool call, with a deterministic per-call ID (unique across turns,
+    // since the outbox drops repeated IDs)
+    const emitToolEvent = (toolName, input, output) => {
+      if (!callSid) return;
       try {
-        if (!Array.isArray(services) || services.length === 0) {
-          replyText = `We offer appointments. What would you like to book?`;
-        } else {
-          const serviceNames = services.slice(0, 2).map(s => s?.name).filter(Boolean);
-          if (serviceNames.length > 0) {
-            const short = serviceNames.join(" or ");
-            replyText = `We offer ${short}. Which one would you like?`;
-          } else {
-            replyText = `We offer appointments. What would you like to book?`;
-          }
-        }
+        const toolIndex = toolEvents.length;
+        const toolEventId = `${callSid}:tool:${turnIndex}:${toolName}:${toolIndex}`;
+        toolEvents.push({ eventId: toolEventId, toolName });
+        outcome = outcomeForTool(toolName, output) || outcome;
+
+        enqueueCallEvent('tool', {
+          eventId: toolEventId,
+          callSid,
+          toolName,
+          toolIndex,
+          input,
+          output,
+          timestamp: new Date().toISOString()
+        });
       } catch (error) {
-        console.error(`[${requestId}] [agent-chat] Error formatting services list:`, error);
-        replyText = `We offer appointments. What would you like to book?`;
+        console.error(`[${requestId}] [agent-chat] Error emitting tool event:`, error);
+        // Continue - tool event is best-effort
       }
+    };
+
+    // Caller wants to leave a message, or said yes when offered one (after a handoff that didn't
+    // connect, or when the booking system couldn't be reached)
+    let startedMessageFlow = false;
+    let messageReason = null;
+    if (extracted.intent === 'leave_message') {
+      messageReason = MESSAGE_REASONS.CALLER_REQUEST;
+    } else if (extracted.confirmation === true && state.messageOffered) {
+      messageReason = state.messageOffered;
+    } else if (extracted.confirmation === true && next.step === STEPS.HANDOFF && next.handoff &&
+        !next.handoff.transferred && next.flow !== 'message') {
+      messageReason = next.handoff.reason === HANDOFF_REASONS.BOOKING_UNAVAILABLE
+        ? MESSAGE_REASONS.BOOKING_UNAVAILABLE
+        : MESSAGE_REASONS.HANDOFF;
     }
-    // 2) If no service selected:
-    else if (!next.service) {
-      try {
-        if (!Array.isArray(services) || services.length === 0) {
-          replyText = `Sure. What type of appointment would you like?`;
-        } else {
-          const serviceNames = services.slice(0, 2).map(s => s?.name).filter(Boolean);
-          if (serviceNames.length > 0) {
-            const serviceOptions = serviceNames.join(" or ");
-            replyText = `Sure. Do you want ${serviceOptions}?`;
-          } else {
-            replyText = `Sure. What type of appointment would you like?`;
-          }
-        }
-      } catch (error) {
-        console.error(`[${requestId}] [agent-chat] Error formatting service options:`, error);
-        replyText = `Sure. What type of appointment would you like?`;
+    if (messageReason && !isMessageStep(next.step)) {
+      next = await startMessageFlow(callSid, next, { reason: messageReason, callerPhone });
+      startedMessageFlow = true;
+    }
+
+    // Price / policy / business-info questions: answer from the profile, then steer back
+    // to the step the caller was on (collected state is left as is). A turn that gives booking
+    // details is only taken as a question when the NLU says so ("late afternoon" isn't about
+    // the late policy, nor "I'll pay cash" a payment question)
+    const asksQuestion = extracted.intent === "ask_info" || extracted.intent === "price" || isHoursQuestion(userText);
+    const givesBookingDetails = !!dateTime.vague ||
+      ["service", "date", "time", "date_phrase", "time_phrase", "name", "email", "phone"].some(field => extracted[field]);
+    if (next.step !== STEPS.HANDOFF && !isMessageStep(next.step) && (asksQuestion || !givesBookingDetails)) {
+      const faqAnswer = answerBusinessQuestion({
+        userText,
+        intent: extracted.intent,
+        extractedService: extracted.service,
+        currentService: next.service,
+        profile,
+        services,
+        date: extracted.date,
+        language
+      });
+      if (faqAnswer) {
+        replyText = `${faqAnswer} ${buildResumePrompt(next, services)}`;
       }
     }
-    // 3) Need date/time:
-    else if (!next.date || !next.time) {
-      replyText = `Great. What day and time works for you?`;
+
+    // Cancel / reschedule requests switch the call into the manage-booking flow
+    let startedManageFlow = false;
+    const inManageSteps = next.step === STEPS.LOOKUP || next.step === STEPS.SELECT;
+    const midBookingConfirm = (next.step === STEPS.CONFIRM || next.step === STEPS.CONFIRM_CONTACT) && next.flow !== "reschedule";
+    if (!replyText && isManageIntent(extracted.intent) && next.flow !== extracted.intent &&
+        next.step !== STEPS.HANDOFF && !isMessageStep(next.step) && !midBookingConfirm) {
+      next = await startManageFlow(callSid, next, extracted);
+      startedManageFlow = !inManageSteps;
     }
-    // 4) Need contact:
-    else if (!next.name || (!next.email && !next.phone)) {
-      replyText = `Perfect. What's your name, and can I get your email or phone number?`;
+
+    // Find and confirm the caller's existing booking (a confirmed reschedule continues below)
+    if (!replyText && (next.step === STEPS.LOOKUP || next.step === STEPS.SELECT)) {
+      const manageResult = await runManageBookingTurn({
+        callSid,
+        state: next,
+        extracted,
+        userText,
+        profile,
+        credentials: agentCredentials,
+        callerPhone,
+        progressed: startedManageFlow || changedFields.length > 0,
+        emitToolEvent
+      });
+      next = manageResult.state;
+      replyText = manageResult.replyText || '';
     }
-    // 5) Now you can book:
+
+    // Name, callback number and message, read back before it goes to the business
+    if (!replyText && isMessageStep(next.step)) {
+      const messageResult = await runTakeMessageTurn({
+        callSid,
+        state: next,
+        extracted,
+        userText,
+        profile,
+        callerPhone,
+        turnIndex,
+        progressed: startedMessageFlow || changedFields.length > 0,
+        emitToolEvent
+      });
+      next = messageResult.state;
+      replyText = messageResult.replyText || '';
+    }
+
+    // Spell the caller's email or number back (a yes carries on to the booking read-back below)
+    if (!replyText && next.step === STEPS.CONFIRM_CONTACT) {
+      const contactResult = await runContactCheckTurn({
+        callSid,
+        state: next,
+        extracted,
+        userText,
+        profile,
+        changedFields
+      });
+      next = contactResult.state;
+      replyText = contactResult.replyText || '';
+    }
+
+    const targetStep = deriveStep(next);
+    // A vague time ("in the morning") or a no to "the same as last time?" still moves the conversation on
+    const progressed = changedFields.length > 0 || declinedSuggestedService || !!(next.vagueTime || next.suggestedTime);
+
+    // Already answered by the FAQ layer or the cancel / reschedule lookup above:
+    if (replyText) {
+      // Nothing more to do this turn
+    }
+    // 0) Call was handed off after repeated failures (a "no" to the message offer ends the call):
+    else if (next.step === STEPS.HANDOFF) {
+      replyText = next.handoff && extracted.confirmation === false
+        ? t(language, 'goodbye', { business: profile.name })
+        : buildHandoffReply(profile, next);
+    }
+    // 1) If user asked services:
+    else if (extracted.intent === "ask_services") {
+      const short = t(language, 'listOr', { items: services.slice(0, 2).map(s => s.name) });
+      replyText = t(language, 'servicesOffered', { services: short });
+      if (next.step === STEPS.GREETING) {
+        next = await upsertCallState(callSid, advanceStep(next, STEPS.SERVICE));
+      }
+    }
+    // 2) Booking already made on this call:
+    else if (next.step === STEPS.DONE) {
+      replyText = t(language, 'allSet');
+    }
+    // 3) Still collecting service, date/time or contact:
+    else if (targetStep !== STEPS.CONFIRM) {
+      const startsContactCheck = targetStep === STEPS.CONFIRM_CONTACT && next.step !== STEPS.CONFIRM_CONTACT;
+      next = await upsertCallState(callSid, {
+        ...advanceStep(next, targetStep, { progressed }),
+        // A fresh spell-back isn't waiting on any earlier correction
+        ...(startsContactCheck ? { awaitingCorrection: false, contactPart: null } : {})
+      });
+      if (next.step === STEPS.HANDOFF) {
+        replyText = buildHandoffReply(profile, next);
+      } else if (rejected === 'date') {
+        replyText = `${t(language, 'datePassed')} ${buildStepPrompt(next, services, { resuming: true })}`;
+      } else if (rejected === 'time') {
+        replyText = `${t(language, 'timePassed')} ${buildStepPrompt(next, services, { resuming: true })}`;
+      } else if (hoursProblem) {
+        replyText = `${hoursProblem} ${buildStepPrompt(next, services, { resuming: true })}`;
+      } else {
+        replyText = buildStepPrompt(next, services);
+      }
+    }
+    // 4) Read the details back before booking (also after any correction):
+    else if (next.step !== STEPS.CONFIRM || progressed) {
+      next = await upsertCallState(callSid, {
+        ...advanceStep(next, STEPS.CONFIRM, { progressed: true }),
+        awaitingCorrection: false
+      });
+      replyText = buildConfirmationPrompt(next);
+    }
+    // 5) Caller said no: ask what to change (only that field gets cleared next turn)
+    else if (extracted.confirmation === false) {
+      replyText = t(language, 'askWhatToChangeAfterNo');
+      next = await upsertCallState(callSid, { awaitingCorrection: true });
+    }
+    // 6) Still waiting for a clear yes/no (each unclear answer counts towards the retry limit):
+    else if (extracted.confirmation !== true) {
+      next = await upsertCallState(callSid, advanceStep(next, STEPS.CONFIRM));
+      if (next.step === STEPS.HANDOFF) {
+        replyText = buildHandoffReply(profile, next);
+      } else {
+        replyText = next.awaitingCorrection
+          ? t(language, 'askWhatToChangeRetry')
+          : `${t(language, 'sorry')} ${buildConfirmationPrompt(next)}`;
+      }
+    }
+    // 7) Caller confirmed, but this business has no Book8 agent key to book with:
+    else if (!agentCredentials.ok) {
+      replyText = t(language, 'bookingUnavailable', { business: profile.name });
+      handoffReason = HANDOFF_REASONS.BOOKING_UNAVAILABLE;
+      next = await upsertCallState(callSid, advanceStep(next, STEPS.HANDOFF));
+    }
+    // 8) Caller confirmed, now you can book:
     else {
-      let serviceDuration = 30;
-      let timezone = 'America/Toronto';
-      
-      try {
-        // Safely find service and get duration
-        const service = findServiceByName(services, next.service);
-        if (service) {
-          serviceDuration = getServiceDuration(service);
-        } else {
-          console.warn(`[${requestId}] [agent-chat] Service "${next.service}" not found, using default 30 minutes`);
-        }
-        
-        timezone = next.timezone || profile.timezone || 'America/Toronto';
-      } catch (error) {
-        console.error(`[${requestId}] [agent-chat] Error resolving service duration:`, error);
-        // Already using defaults (30 minutes, America/Toronto)
+      const service = findServiceByName(services, next.service);
+      if (!service) {
+        console.warn(`[${requestId}] [agent-chat] Service "${next.service}" not found, using default 30 minutes`);
       }
+      const serviceDuration = service ? service.durationMinutes : 30;
+      const timezone = next.timezone || profile.timezone;
       
       // Call check_availability with error handling
       let checkResult = { available: false, error: 'Unknown error' };
@@ -503,7 +913,8 @@ fastify.post('/api/agent-chat', async (request, reply) => {
         checkResult = await callCheckAvailability({
           date: next.date,
           timezone: timezone,
-          durationMinutes: serviceDuration
+          durationMinutes: serviceDuration,
+          credentials: agentCredentials
         });
         
         if (!checkResult || typeof checkResult !== 'object') {
@@ -522,122 +933,177 @@ fastify.post('/api/agent-chat', async (request, reply) => {
       });
 
       // 2️⃣ Tool event - check_availability
-      if (callSid) {
-        const toolIndex = toolEvents.length;
-        const toolEventId = `${callSid}:tool:check_availability:${toolIndex}`;
-        toolEvents.push({ eventId: toolEventId, toolName: 'check_availability' });
-        
-        bestEffortPost(`${CORE_API_URL}/internal/calls/tool`, {
-          eventId: toolEventId,
-          callSid,
-          toolName: 'check_availability',
-          toolIndex,
-          input: { date: next.date, timezone, durationMinutes: serviceDuration },
-          output: checkResult,
-          timestamp: new Date().toISOString()
-        }).catch(() => {});
-      }
+      emitToolEvent('check_availability', { date: next.date, timezone, durationMinutes: serviceDuration }, checkResult);
 
-      // If availability check succeeded, book the appointment
-      if (checkResult && checkResult.available) {
+      // The API is day-scoped: check the requested time against the returned slots when there are any
+      const openTimes = getOpenTimes(checkResult, timezone);
+      const requestedTimeOpen = openTimes ? openTimes.includes(next.time) : !!checkResult?.available;
+
+      // If the requested time is open, book the appointment
+      if (checkResult && !checkResult.error && requestedTimeOpen) {
         let bookingResult = { ok: false, error: 'Unknown error' };
+        const isReschedule = next.flow === "reschedule" && !!next.booking?.id;
+        const toolName = isReschedule ? 'reschedule_booking' : 'book_appointment';
+        // Absolute start with the business's UTC offset, so the API can't misread it as UTC
+        const start = toZonedISO(next.date, next.time, timezone);
+        // Only a valid email and E.164 number go to the booking API
+        const guest = bookableContact(next, { countryCode: profile.phoneCountryCode });
         
         try {
-          console.log(`[${requestId}] [agent-chat] Calling book_appointment:`, {
-            start: `${next.date}T${next.time}`,
-            guestName: next.name,
-            hasEmail: !!next.email,
-            hasPhone: !!next.phone
-          });
+          if (isReschedule) {
+            console.log(`[${requestId}] [agent-chat] Calling reschedule_booking:`, {
+              bookingId: next.booking.id,
+              start
+            });
+
+            bookingResult = await callRescheduleBooking({
+              bookingId: next.booking.id,
+              start,
+              credentials: agentCredentials
+            });
+          } else {
+            console.log(`[${requestId}] [agent-chat] Calling book_appointment:`, {
+              start,
+              guestName: next.name,
+              hasEmail: !!guest.email,
+              hasPhone: !!guest.phone
+            });
           
-          bookingResult = await callBookAppointment({
-            start: `${next.date}T${next.time}`,
-            guestName: next.name,
-            guestEmail: next.email,
-            guestPhone: next.phone
-          });
+            bookingResult = await callBookAppointment({
+              start,
+              guestName: next.name,
+              guestEmail: guest.email,
+              guestPhone: guest.phone,
+              credentials: agentCredentials
+            });
+          }
           
           if (!bookingResult || typeof bookingResult !== 'object') {
-            console.warn(`[${requestId}] [agent-chat] Invalid book_appointment response`);
+            console.warn(`[${requestId}] [agent-chat] Invalid ${toolName} response`);
             bookingResult = { ok: false, error: 'Invalid response' };
           }
           
-          console.log(`[${requestId}] [agent-chat] book_appointment result:`, {
+          console.log(`[${requestId}] [agent-chat] ${toolName} result:`, {
             ok: bookingResult?.ok,
             hasError: !bookingResult || bookingResult.error,
             resultPreview: JSON.stringify(bookingResult).substring(0, 200)
           });
         } catch (error) {
-          console.error(`[${requestId}] [agent-chat] Error in book_appointment:`, error);
+          console.error(`[${requestId}] [agent-chat] Error in ${toolName}:`, error);
           bookingResult = { ok: false, error: error.message || 'Booking failed' };
         }
 
-        // 2️⃣ Tool event - book_appointment
-        if (callSid) {
-          try {
-            const toolIndex = toolEvents.length;
-            const toolEventId = `${callSid}:tool:book_appointment:${toolIndex}`;
-            toolEvents.push({ eventId: toolEventId, toolName: 'book_appointment' });
-            
-            bestEffortPost(`${CORE_API_URL}/internal/calls/tool`, {
-              eventId: toolEventId,
-              callSid,
-              toolName: 'book_appointment',
-              toolIndex,
-              input: { start: `${next.date}T${next.time}`, guestName: next.name, guestEmail: next.email, guestPhone: next.phone },
-              output: bookingResult,
-              timestamp: new Date().toISOString()
-            }).catch(() => {});
-          } catch (error) {
-            console.error(`[${requestId}] [agent-chat] Error emitting tool event:`, error);
-            // Continue - tool event is best-effort
-          }
-        }
-
-        if (bookingResult && bookingResult.ok) {
-          try {
-            replyText = `Perfect! I've booked ${next.service || 'your appointment'} on ${next.date} at ${next.time} for ${next.name}. You'll receive a confirmation shortly.`;
-            clearCallState(callSid);
-          } catch (error) {
-            console.error(`[${requestId}] [agent-chat] Error clearing call state:`, error);
-            // Continue with reply text even if state clearing fails
-            replyText = `Perfect! I've booked your appointment on ${next.date} at ${next.time} for ${next.name}. You'll receive a confirmation shortly.`;
+        // 2️⃣ Tool event - book_appointment / reschedule_booking
+        emitToolEvent(toolName, isReschedule
+          ? { bookingId: next.booking.id, start }
+          : { start, guestName: next.name, guestEmail: guest.email, guestPhone: guest.phone },
+          bookingResult);
+
+        if (bookingResult && bookingResult.ok && isReschedule) {
+          replyText = t(language, 'rescheduled', { service: next.service, date: next.date, time: next.time });
+          next = await upsertCallState(callSid, advanceStep(next, STEPS.DONE));
+        } else if (bookingResult && bookingResult.ok) {
+          // Confirmation text and reminders go out in the background; the reply says whether to expect one
+          const guestPhone = guest.phone || callerPhone;
+          const texted = canTextBooking(profile, guestPhone);
+          if (texted) {
+            sendBookingTexts({
+              profile,
+              booking: { service: next.service, start, date: next.date, time: next.time, guestName: next.name, guestPhone },
+              language
+            }).catch(error => console.error(`[${requestId}] [agent-chat] Error sending booking texts:`, error));
           }
+          replyText = t(language, 'booked', { service: next.service, date: next.date, time: next.time, name: next.name, texted });
+          next = await upsertCallState(callSid, advanceStep(next, STEPS.DONE));
         } else {
-          replyText = `I had trouble scheduling that, but I can help you try again. Would you like to try a different time?`;
+          replyText = t(language, 'bookingFailed');
+          next = await upsertCallState(callSid, { ...advanceStep(next, STEPS.DATETIME), time: null });
         }
+      } else if (!checkResult?.error && openTimes && openTimes.length > 0) {
+        // Offer the open times closest to what the caller asked for
+        const alternatives = closestTimes(next.time, openTimes);
+        replyText = t(language, 'timeNotOpen', {
+          time: formatSpokenTime(next.time, language),
+          date: next.date,
+          alternatives: formatSpokenTimes(alternatives, language),
+          count: alternatives.length
+        });
+        next = await upsertCallState(callSid, { ...advanceStep(next, STEPS.DATETIME), time: null, offeredTimes: alternatives });
+      } else if (!checkResult?.error && openTimes) {
+        replyText = t(language, 'noOpenings', { date: next.date });
+        next = await upsertCallState(callSid, { ...advanceStep(next, STEPS.DATETIME), date: null, time: null });
+      } else if (checkResult?.error) {
+        // Booking system unreachable: offer to take a message (a new time still gets tried)
+        replyText = t(language, 'bookingSystemDown', { business: profile.name });
+        next = await upsertCallState(callSid, {
+          ...advanceStep(next, STEPS.DATETIME),
+          time: null,
+          messageOffered: MESSAGE_REASONS.BOOKING_UNAVAILABLE
+        });
       } else {
-        const errorMsg = checkResult?.error ? ` (${checkResult.error})` : '';
-        replyText = `I'm sorry, that time slot isn't available${errorMsg}. Would you like to try a different day or time?`;
+        replyText = t(language, 'slotUnavailable');
+        next = await upsertCallState(callSid, { ...advanceStep(next, STEPS.DATETIME), time: null });
+      }
+    }
+
+    // First turn in handoff: transfer the live call to the business and leave staff a summary.
+    // Without a transfer number (or after hours) the caller keeps the handoff reply above.
+    let transfer = null;
+    if (next.step === STEPS.HANDOFF && !next.handoff) {
+      const reason = handoffReason || HANDOFF_REASONS.REPEATED_FAILURES;
+      const result = await transferToHuman({ callSid, profile, state: next, reason, sequence: turnIndex, callerPhone });
+      emitToolEvent('transfer_to_human', { reason, to: result.to }, { transferred: result.transferred, error: result.error || null });
+      next = await upsertCallState(callSid, {
+        handoff: { reason, transferred: result.transferred, to: result.to, at: new Date().toISOString() }
+      });
+      if (result.transferred) {
+        transfer = { type: 'transfer', to: result.to };
+        replyText = result.holdMessage;
       }
     }
 
     // Ensure replyText is always set (safety fallback)
     if (!replyText || replyText.trim().length === 0) {
       console.warn(`[${requestId}] [agent-chat] replyText is empty, using fallback message`);
-      replyText = `I had trouble processing that, but I can help you try again. What would you like to do?`;
+      replyText = t(language, 'fallback');
+    }
+
+    if (outcome) {
+      next = await upsertCallState(callSid, { outcome });
+    }
+
+    // The first reply on a call that comes in after hours says so up front
+    if (!storedState && !isOpenNow(profile) && !transfer) {
+      replyText = `${buildAfterHoursNote(profile, language)} ${replyText}`;
+    }
+    // ...and greets a returning caller by name before anything else
+    if (returningCaller?.name && !transfer) {
+      replyText = `${t(language, 'welcomeBack', { name: returningCaller.name })} ${replyText}`;
     }
     
     // 1️⃣ Transcript event - agent reply
     if (callSid && replyText) {
-      bestEffortPost(`${CORE_API_URL}/internal/calls/transcript`, {
+      enqueueCallEvent('transcript', {
         turnId: `${callSid}:agent:${turnIndex}`,
         callSid,
         role: 'agent',
         text: replyText,
         turnIndex,
+        language,
         timestamp: new Date().toISOString()
-      }).catch(() => {});
+      });
+      await appendCallTurn(callSid, { role: 'agent', text: replyText, turnIndex });
     }
 
     // 3️⃣ Usage deltas - LLM tokens and TTS characters (MVP-accurate)
     if (callSid && replyText) {
-      bestEffortPost(`${CORE_API_URL}/internal/calls/usage`, {
+      enqueueCallEvent('usage', {
+        eventId: `${callSid}:usage:${turnIndex}`,
         callSid,
         llmTokens: llmTokens, // From OpenAI response usage
         ttsCharacters: replyText.length, // replyText.length
         timestamp: new Date().toISOString()
-      }).catch(() => {});
+      });
     }
     
     const responseTime = Date.now() - requestStartTime;
@@ -654,7 +1120,9 @@ fastify.post('/api/agent-chat', async (request, reply) => {
         ok: true, 
         reply: replyText,
         replyText: replyText, // Alias for gateway compatibility
-        state: next 
+        state: next,
+        // The call has already been redirected to the business; the gateway should stop gathering speech
+        ...(transfer && { action: transfer })
     });
   } catch (err) {
     const responseTime = Date.now() - requestStartTime;
@@ -669,21 +1137,27 @@ fastify.post('/api/agent-chat', async (request, reply) => {
     });
     
     // Return a user-friendly error message instead of crashing
-    const errorReply = "I'm having trouble accessing the scheduling system right now. Please try again later.";
+    let errorReply = t(null, 'errorTryLater');
     
-    // Try to emit error transcript if we have callSid
+    // Offer to take a message instead (a "yes" next turn starts it), in the call's language when
+    // it's known, and emit the error transcript
     try {
       const { callSid } = request.body || {};
       if (callSid) {
-        const turnIndex = getTurnIndex(callSid);
-        bestEffortPost(`${CORE_API_URL}/internal/calls/transcript`, {
+        const saved = await upsertCallState(callSid, { messageOffered: MESSAGE_REASONS.BOOKING_UNAVAILABLE });
+        const language = saved?.language || null;
+        errorReply = t(language, 'errorOfferMessage');
+        const turnIndex = await nextTurnIndex(callSid);
+        enqueueCallEvent('transcript', {
           turnId: `${callSid}:agent:${turnIndex}`,
           callSid,
           role: 'agent',
           text: errorReply,
           turnIndex,
+          language,
           timestamp: new Date().toISOString()
-        }).catch(() => {});
+        });
+        await appendCallTurn(callSid, { role: 'agent', text: errorReply, turnIndex });
       }
     } catch (transcriptError) {
       console.error('[book8-voice-agent] Error emitting error transcript:', transcriptError);
@@ -697,60 +1171,155 @@ fastify.post('/api/agent-chat', async (request, reply) => {
   }
 });
 
+/**
+ * POST /api/agent-chat/hangup
+ * The gateway reports that an /api/agent-chat call has ended. Emits call.ended with the call's
+ * duration, turns and outcome, then clears its call state and turn counter.
+ * Body:
+ * {
+ *   callSid: "...",
+ *   reason: "caller_hangup"               // optional
+ * }
+ */
+fastify.post('/api/agent-chat/hangup', { preHandler: requireGateway }, async (request, reply) => {
+  const { callSid, reason } = request.body || {};
+  if (!callSid) {
+    return reply.status(400).send({ ok: false, error: "callSid is required" });
+  }
+
+  const state = await getCallState(callSid);
+  if (!state) {
+    console.warn(`[agent-chat] Hang-up for unknown or already ended call ${callSid}`);
+    return reply.status(404).send({ ok: false, error: "No call state for callSid" });
+  }
+
+  const ended = await endCall({ callSid, state, channel: 'agent-chat', reason: reason || 'caller_hangup' });
+  console.log(`[agent-chat] Call ${callSid} ended:`, ended);
+  return reply.send({ ok: true, ...ended });
+});
+
 // Route for Twilio to handle incoming calls
 // <Say> punctuation to improve text-to-speech translation
-fastify.all('/incoming-call', async (request, reply) => {
+fastify.all('/incoming-call', { preHandler: requireTwilio }, async (request, reply) => {
     // Capture caller phone number from Twilio request
     const callerPhone = request.body?.From || request.query?.From || null;
     
-    // Get business ID from query parameter or body (supports both businessId and handle for compatibility)
-    const businessId = request.query?.businessId || request.body?.businessId || 
-                       request.query?.handle || request.body?.handle || 
-                       DEFAULT_BUSINESS_HANDLE;
+    const dialedNumber = request.body?.To || request.query?.To || null;
+
+    // An explicit businessId / handle on the webhook URL wins; otherwise route by the number dialed.
+    // Requests without a To (local testing) fall back to DEFAULT_BUSINESS_HANDLE.
+    let businessId = request.query?.businessId || request.body?.businessId ||
+                     request.query?.handle || request.body?.handle || null;
+    if (!businessId && dialedNumber) {
+        const route = await resolveBusinessByPhone(dialedNumber);
+        if (!route) {
+            console.warn(`[incoming-call] Unknown dialed number ${dialedNumber}, playing not-in-service message`);
+            reply.type('text/xml').send(buildHangupTwiml(NOT_IN_SERVICE_MESSAGE));
+            return;
+        }
+        if (!route.handle) {
+            console.warn(`[incoming-call] Can't route ${dialedNumber} while core-api is unreachable`);
+            reply.type('text/xml').send(buildHangupTwiml(ROUTING_UNAVAILABLE_MESSAGE));
+            return;
+        }
+        console.log(`[incoming-call] ${route.phone} → ${route.handle} (${route.source})`);
+        businessId = route.handle;
+    }
+    businessId = businessId || DEFAULT_BUSINESS_HANDLE;
     
-    // Build query parameters for WebSocket connection
+    // Build query parameters for WebSocket connection; /media-stream only trusts the signed token's copy.
+    // Twilio drops a <Stream> URL's query string, so the token goes in the path.
     const params = new URLSearchParams();
     if (callerPhone) params.append('callerPhone', callerPhone);
     params.append('businessId', businessId);
+    const streamToken = createStreamToken({
+        callSid: request.body?.CallSid || request.query?.CallSid || null,
+        businessId,
+        callerPhone
+    });
+    const streamPath = streamToken ? `/media-stream/${streamToken}` : '/media-stream';
     
-    const streamUrl = `wss://${request.headers.host}/media-stream?${params.toString()}`;
-    
-    const twimlResponse = `<?xml version="1.0" encoding="UTF-8"?>
-                          <Response>
-                              <Say voice="Google.en-US-Chirp3-HD-Aoede">Please wait while we connect your call to the A. I. voice assistant, powered by Twilio and the Open A I Realtime API</Say>
-                              <Pause length="1"/>
-                              <Say voice="Google.en-US-Chirp3-HD-Aoede">O.K. you can start talking!</Say>
-                              <Connect>
-                                  <Stream url="${streamUrl}" />
-                              </Connect>
-                          </Response>`;
+    const streamUrl = `wss://${request.headers.host}${streamPath}?${params.toString()}`;
+
+    // What the caller hears before the agent picks up comes from the business profile
+    const profile = await getBusinessProfile(businessId);
+    const twimlResponse = buildConnectTwiml({
+        streamUrl,
+        recordingDisclosure: profile.voice.recordingDisclosure,
+        preConnectMessage: profile.voice.preConnectMessage,
+        sayOptions: sayOptionsFor(profile)
+    });
 
     reply.type('text/xml').send(twimlResponse);
 });
 
 // WebSocket route for media-stream
 fastify.register(async (fastify) => {
-    fastify.get('/media-stream', { websocket: true }, async (connection, req) => {
+    // Only Twilio, connecting with the token /incoming-call just issued, may open a stream
+    const verifyStream = async (request, reply) => {
+        if (isAuthDisabled()) return;
+        const claims = verifyStreamToken(request.params?.token);
+        if (!claims) {
+            console.warn('[auth] Rejected /media-stream: missing, invalid or expired stream token');
+            return reply.code(401).send({ ok: false, error: 'Unauthorized' });
+        }
+        request.streamClaims = claims;
+    };
+
+    fastify.get('/media-stream/:token?', { websocket: true, preValidation: verifyStream }, async (connection, req) => {
         console.log('Client connected');
 
-        // Extract caller phone and business ID from query parameters
-        const callerPhone = req.query?.callerPhone || null;
-        const businessId = req.query?.businessId || req.query?.handle || DEFAULT_BUSINESS_HANDLE;
-        
+        // Caller phone and business ID come from the verified stream token (query params only with auth disabled)
+        const claims = req.streamClaims || req.query || {};
+        const callerPhone = claims.callerPhone || null;
+        const businessId = claims.businessId || claims.handle || DEFAULT_BUSINESS_HANDLE;
+        // Twilio CallSid, needed to redirect the live call (the stream's start event carries it too)
+        let callSid = claims.callSid || null;
+
+        // Twilio sends its start event straight away, and @fastify/websocket drops messages that
+        // arrive before a listener is attached: listen now, and handle them once setup below is done
+        let handlersReady;
+        const twilioHandlers = new Promise(resolve => { handlersReady = resolve; });
+        connection.on('message', (message) => twilioHandlers.then(handlers => handlers.message(message)));
+        connection.on('close', () => twilioHandlers.then(handlers => handlers.close()));
+
+        // Returning customer on file for the caller's number (core-api), for the greeting and bookings,
+        // and the business profile for tool handlers (timezone, cancellation policy), fetched together
+        const [returningCaller, profile] = await Promise.all([
+            lookupCaller({ businessId, phone: callerPhone }),
+            getBusinessProfile(businessId)
+        ]);
+
         // Build system prompt for this business (async - fetch from API)
         let systemMessage = '';
         try {
-            systemMessage = await buildSystemPrompt(businessId);
+            systemMessage = await buildSystemPrompt(businessId, { caller: returningCaller });
         } catch (error) {
             console.error('Error building system prompt:', error);
             // Fallback to a default message if buildSystemPrompt fails
             systemMessage = `You are a professional AI phone receptionist. Help callers book appointments.`;
         }
-        
+
+        // The call's own business credentials for every booking tool
+        const agentCredentials = resolveAgentCredentials(profile);
+        if (!agentCredentials.ok) {
+            console.error(`[media-stream] ${agentCredentials.error}`);
+        }
+
         // Request body context for tool handlers (from gateway)
         const requestBody = {
             callerPhone: callerPhone
         };
+
+        // Services for check_availability duration lookups
+        const realtimeServices = profile.services;
+
+        // Bookings returned by find_bookings, by ID, so cancel/reschedule can check the cancellation window
+        const foundBookings = new Map();
+
+        // Messages taken and transfers tried on this call, for deterministic callback / handoff event IDs
+        let callbackCount = 0;
+        let handoffCount = 0;
         
         // Connection-specific state
         let streamSid = null;
@@ -758,6 +1327,30 @@ fastify.register(async (fastify) => {
         let lastAssistantItem = null;
         let markQueue = [];
         let responseStartTimestampTwilio = null;
+        let sessionReady = false;
+        let greeted = false;
+        let pendingToolCalls = [];
+
+        // Transcripts, tool calls and usage for the core-api call log, as /api/agent-chat posts them
+        const callLog = createRealtimeCallLog({ getCallSid: () => callSid, profile });
+
+        // call.started on Twilio's start event, call.ended once the stream stops or the socket closes
+        let callStartedAt = null;
+        let callOutcome = null;
+        let callEnded = false;
+
+        const finishCall = async (reason) => {
+            if (callEnded || !callSid || !callStartedAt) return;
+            callEnded = true;
+            await callLog.close();
+            const ended = await endCall({
+                callSid,
+                state: { startedAt: callStartedAt, businessId: profile.id, callerPhone, outcome: callOutcome, language: callLog.language() },
+                channel: 'media-stream',
+                reason
+            });
+            console.log(`[media-stream] Call ${callSid} ended:`, ended);
+        };
 
         const openAiWs = new WebSocket(`wss://api.openai.com/v1/realtime?model=${REALTIME_MODEL}&temperature=${TEMPERATURE}`, {
             headers: {
@@ -774,22 +1367,33 @@ fastify.register(async (fastify) => {
                     model: REALTIME_MODEL,
                     output_modalities: ["audio"],
                     audio: {
-                        input: { format: { type: 'audio/pcmu' }, turn_detection: { type: "server_vad" } },
-                        output: { format: { type: 'audio/pcmu' }, voice: VOICE },
+                        input: {
+                            format: { type: 'audio/pcmu' },
+                            turn_detection: { type: "server_vad" },
+                            transcription: { model: TRANSCRIPTION_MODEL }
+                        },
+                        output: { format: { type: 'audio/pcmu' }, voice: profile.voice.realtimeVoice || VOICE },
                     },
                     instructions: systemMessage,
+                    tools: REALTIME_TOOLS,
+                    tool_choice: 'auto',
                 },
             };
 
             console.log('Sending session update:', JSON.stringify(sessionUpdate));
             openAiWs.send(JSON.stringify(sessionUpdate));
-
-            // Uncomment the following line to have AI speak first:
-            // sendInitialConversationItem();
+            sessionReady = true;
+            sendInitialConversationItem();
         };
 
-        // Send initial conversation item if AI talks first
+        // When the business has the agent speak first, open with its greeting. Waits for both the
+        // session and Twilio's start event, so the greeting's audio has a stream to go to.
         const sendInitialConversationItem = () => {
+            if (!profile.voice.agentSpeaksFirst || greeted || !sessionReady || !streamSid) return;
+            if (openAiWs.readyState !== WebSocket.OPEN) return;
+            greeted = true;
+
+            const greeting = isOpenNow(profile) ? profile.greeting : profile.afterHoursGreeting;
             const initialConversationItem = {
                 type: 'conversation.item.create',
                 item: {
@@ -798,7 +1402,7 @@ fastify.register(async (fastify) => {
                     content: [
                         {
                             type: 'input_text',
-                            text: 'Greet the user with "Hello there! I am an AI voice assistant powered by Twilio and the OpenAI Realtime API. You can ask me for facts, jokes, or anything you can imagine. How can I help you?"'
+                            text: `The caller has just connected. Greet them with "${greeting}"${returningCaller?.name ? `, welcome them back by name (${returningCaller.name})` : ''} and ask how you can help, unless the greeting already does.`
                         }
                     ]
                 }
@@ -851,61 +1455,216 @@ fastify.register(async (fastify) => {
             }
         };
 
-        // Handle book_appointment tool call
-        const handleBookAppointment = async (toolCall, responseId) => {
-            try {
-                const args = JSON.parse(toolCall.function.arguments);
-
-                const guestPhone =
-                    (args.guestPhone && args.guestPhone.trim()) ||
-                    requestBody.callerPhone ||  // from gateway
-                    null;
-
-                const bookingPayload = {
-                    agentApiKey: BOOK8_AGENT_API_KEY,
-                    start: args.start,
-                    guestName: args.guestName,
-                    guestEmail: args.guestEmail,
-                    guestPhone
+        // Why a new appointment can't start at `start` (already passed, or outside opening hours), or null
+        const startProblem = (start, timezone) => {
+            if (Date.parse(start) <= Date.now()) {
+                return 'That time has already passed. Ask the caller for a future date and time.';
+            }
+            const local = toLocalDateTime(start, timezone);
+            const hoursCheck = local && checkBusinessHours(profile, { date: local.date, time: local.time });
+            if (hoursCheck && !hoursCheck.open) return describeHoursProblem(hoursCheck, { date: local.date, profile });
+            return null;
+        };
+
+        // Run one Realtime function call through the same Book8 helpers as /api/agent-chat
+        const runTool = async (name, args) => {
+            const timezone = profile.timezone;
+
+            if (!agentCredentials.ok && name !== 'transfer_to_human' && name !== 'take_message') {
+                return {
+                    ok: false,
+                    error: 'Booking is not set up for this business. Apologize and offer to take a message so the business can call them back.'
                 };
+            }
 
-                // Make API call to Book8
-                const apiResponse = await fetch('https://api.book8.com/api/agent/book', {
-                    method: 'POST',
-                    headers: {
-                        'Content-Type': 'application/json',
-                    },
-                    body: JSON.stringify(bookingPayload)
-                });
+            switch (name) {
+                case 'check_availability': {
+                    const service = args.service ? findServiceByName(realtimeServices, args.service) : null;
+                    const durationMinutes = args.durationMinutes || (service ? service.durationMinutes : 30);
+
+                    // Closed days and out-of-hours times never reach the availability API
+                    const hoursCheck = checkBusinessHours(profile, { date: args.date, time: args.time || null, durationMinutes, service });
+                    if (!hoursCheck.open) {
+                        return {
+                            available: false,
+                            closed: true,
+                            reason: describeHoursProblem(hoursCheck, { date: args.date, serviceName: service?.name, profile })
+                        };
+                    }
 
-                const result = await apiResponse.json();
+                    const result = await callCheckAvailability({
+                        date: args.date,
+                        timezone: args.timezone || timezone,
+                        durationMinutes,
+                        credentials: agentCredentials
+                    });
+
+                    // The API is day-scoped: tell the model whether the exact time is open, plus nearby options
+                    const openTimes = getOpenTimes(result, args.timezone || timezone);
+                    if (!args.time || !openTimes) return result;
+                    const requestedTimeAvailable = openTimes.includes(args.time);
+                    return {
+                        ...result,
+                        requestedTime: args.time,
+                        requestedTimeAvailable,
+                        alternatives: requestedTimeAvailable ? [] : closestTimes(args.time, openTimes)
+                    };
+                }
 
-                // Submit tool output back to OpenAI
-                const submitToolOutput = {
-                    type: 'response.submit_tool_outputs',
-                    response_id: responseId,
-                    tool_outputs: [{
-                        tool_call_id: toolCall.id,
-                        output: JSON.stringify(result)
-                    }]
-                };
+                case 'book_appointment': {
+                    // Only a valid email and E.164 number go to the booking API; a bad one goes back to the caller
+                    const contact = normalizeContactFields(
+                        { email: args.guestEmail, phone: args.guestPhone },
+                        { countryCode: profile.phoneCountryCode }
+                    );
+                    if (contact.invalid.includes('email')) {
+                        return { ok: false, error: `"${args.guestEmail}" is not a valid email address. Ask the caller to spell it, then spell it back to them.` };
+                    }
+                    if (contact.invalid.includes('phone')) {
+                        return { ok: false, error: `"${args.guestPhone}" is not a valid phone number. Ask the caller for it again, with the area code, then read it back digit by digit.` };
+                    }
+                    const guestPhone =
+                        contact.phone ||
+                        toE164(requestBody.callerPhone) ||  // from gateway
+                        null;
+                    const start = toZonedISO(args.start, null, timezone);
+                    const problem = startProblem(start, timezone);
+                    if (problem) return { ok: false, error: problem };
+                    const local = toLocalDateTime(start, timezone);
+                    // A returning caller booking for themselves keeps the email on file
+                    const guestName = args.guestName || returningCaller?.name || null;
+                    const guestEmail = contact.email ||
+                        (isSameCaller(returningCaller, guestName) ? returningCaller?.email : null) ||
+                        null;
+                    const result = await callBookAppointment({
+                        start,
+                        guestName,
+                        guestEmail,
+                        guestPhone,
+                        credentials: agentCredentials
+                    });
+                    if (!result?.ok || !local || !canTextBooking(profile, guestPhone)) return result;
+
+                    // Confirmation text and reminders go out in the background
+                    sendBookingTexts({
+                        profile,
+                        booking: { service: args.service || null, start, date: local.date, time: local.time, guestName, guestPhone }
+                    }).catch(error => console.error('[media-stream] Error sending booking texts:', error));
+                    return { ...result, confirmationTexted: true };
+                }
 
-                openAiWs.send(JSON.stringify(submitToolOutput));
-            } catch (error) {
-                console.error('Error handling book_appointment tool:', error);
-                
-                // Submit error as tool output
-                const submitToolOutput = {
-                    type: 'response.submit_tool_outputs',
-                    response_id: responseId,
-                    tool_outputs: [{
-                        tool_call_id: toolCall.id,
-                        output: JSON.stringify({ error: error.message })
-                    }]
-                };
+                case 'find_bookings': {
+                    const result = await callFindBookings({
+                        phone: (args.phone && args.phone.trim()) || requestBody.callerPhone,
+                        email: args.email || null,
+                        credentials: agentCredentials
+                    });
+                    if (!result.ok) return result;
+
+                    const bookings = result.bookings.map(b => normalizeBooking(b, timezone)).filter(Boolean);
+                    bookings.forEach(b => foundBookings.set(b.id, b));
+                    return {
+                        ok: true,
+                        bookings: bookings.map(b => ({
+                            ...b,
+                            insideCancellationWindow: isInsideCancellationWindow(b, profile)
+                        }))
+                    };
+                }
+
+                case 'cancel_booking':
+                case 'reschedule_booking': {
+                    const booking = foundBookings.get(args.bookingId);
+                    if (!booking) {
+                        return { ok: false, error: 'Unknown bookingId. Call find_bookings first.' };
+                    }
+                    if (isInsideCancellationWindow(booking, profile)) {
+                        return {
+                            ok: false,
+                            error: `Booking is inside the ${profile.policies.cancellationHours}-hour cancellation window and cannot be changed by phone.`
+                        };
+                    }
+                    if (name === 'cancel_booking') {
+                        return callCancelBooking({ bookingId: booking.id, reason: 'Cancelled by caller via voice agent', credentials: agentCredentials });
+                    }
+                    // The new time gets the same checks as a new booking
+                    const start = toZonedISO(args.start, null, timezone);
+                    const problem = startProblem(start, timezone);
+                    if (problem) return { ok: false, error: problem };
+                    return callRescheduleBooking({ bookingId: booking.id, start, credentials: agentCredentials });
+                }
+
+                case 'transfer_to_human': {
+                    handoffCount += 1;
+                    const result = await transferToHuman({
+                        callSid,
+                        profile,
+                        reason: args.reason || HANDOFF_REASONS.CALLER_REQUEST,
+                        sequence: handoffCount,
+                        summary: args.summary || null,
+                        callerPhone
+                    });
+                    if (result.transferred) {
+                        return { ok: true, transferred: true, message: 'The call is being transferred now. Say nothing more.' };
+                    }
+                    return {
+                        ok: false,
+                        transferred: false,
+                        error: `Nobody can take the call right now (${result.error}). Apologize and offer to take a message so someone can call them back.`
+                    };
+                }
+
+                case 'take_message': {
+                    if (!args.message) {
+                        return { ok: false, error: 'Ask the caller what they would like passed on first.' };
+                    }
+                    if (!toE164(args.callbackPhone) && !toE164(callerPhone)) {
+                        return { ok: false, error: 'No callback number on file. Ask the caller for the best number to call them back on.' };
+                    }
+                    callbackCount += 1;
+                    const request = submitCallbackRequest({
+                        // Without a CallSid (a stream that never sent one) the id still has to be unique
+                        eventId: callSid ? `${callSid}:callback:${callbackCount}` : crypto.randomUUID(),
+                        callSid,
+                        profile,
+                        name: args.name || null,
+                        callbackPhone: args.callbackPhone || callerPhone,
+                        message: args.message,
+                        reason: args.reason || MESSAGE_REASONS.CALLER_REQUEST,
+                        callerPhone
+                    });
+                    return { ok: true, callbackPhone: request.callbackPhone };
+                }
+
+                default:
+                    return { ok: false, error: `Unknown tool: ${name}` };
+            }
+        };
 
-                openAiWs.send(JSON.stringify(submitToolOutput));
+        // Handle a completed function call from the model and send its output back to the conversation
+        const handleFunctionCall = async (event) => {
+            let args = null;
+            let output;
+            try {
+                args = JSON.parse(event.arguments || '{}');
+                console.log(`Running tool ${event.name}:`, args);
+                output = await runTool(event.name, args);
+            } catch (error) {
+                console.error(`Error handling ${event.name} tool:`, error);
+                output = { ok: false, error: error.message };
             }
+            callLog.tool(event.name, args, output);
+            callOutcome = outcomeForTool(event.name, output) || callOutcome;
+
+            if (openAiWs.readyState !== WebSocket.OPEN) return;
+            openAiWs.send(JSON.stringify({
+                type: 'conversation.item.create',
+                item: {
+                    type: 'function_call_output',
+                    call_id: event.call_id,
+                    output: JSON.stringify(output)
+                }
+            }));
         };
 
         // Open event for OpenAI WebSocket
@@ -930,6 +1689,7 @@ fastify.register(async (fastify) => {
                         media: { payload: response.delta }
                     };
                     connection.send(JSON.stringify(audioDelta));
+                    callLog.outputAudio(response.delta);
 
                     // First delta from a new response starts the elapsed time counter
                     if (!responseStartTimestampTwilio) {
@@ -948,17 +1708,37 @@ fastify.register(async (fastify) => {
                     handleSpeechStartedEvent();
                 }
 
-                // Handle tool calls (function calls)
-                // OpenAI Realtime API uses response.requires_action for tool calls
-                if (response.type === 'response.requires_action') {
-                    const toolCalls = response.response?.required_action?.submit_tool_outputs?.tool_calls || [];
-                    const responseId = response.response?.id;
-                    
-                    for (const toolCall of toolCalls) {
-                        if (toolCall.type === 'function' && toolCall.function?.name === 'book_appointment') {
-                            handleBookAppointment(toolCall, responseId);
+                // Call log: the caller's words once transcribed, the agent's once spoken, and each response's usage
+                if (response.type === 'input_audio_buffer.committed') {
+                    callLog.callerSpeechCommitted(response.item_id);
+                }
+
+                if (response.type === 'conversation.item.input_audio_transcription.completed') {
+                    callLog.callerTranscript(response.item_id, response.transcript);
+                }
+
+                if (response.type === 'response.output_audio_transcript.done') {
+                    callLog.agentTranscript(response.transcript);
+                }
+
+                if (response.type === 'response.done') {
+                    callLog.responseDone(response.response);
+                }
+
+                // Handle tool calls (function calls): arguments arrive complete in
+                // response.function_call_arguments.done; once the response is done and every
+                // output has been added, ask the model to continue speaking with the results
+                if (response.type === 'response.function_call_arguments.done') {
+                    pendingToolCalls.push(handleFunctionCall(response));
+                }
+
+                if (response.type === 'response.done' && pendingToolCalls.length > 0) {
+                    const calls = pendingToolCalls.splice(0);
+                    Promise.all(calls).then(() => {
+                        if (openAiWs.readyState === WebSocket.OPEN) {
+                            openAiWs.send(JSON.stringify({ type: 'response.create' }));
                         }
-                    }
+                    });
                 }
             } catch (error) {
                 console.error('Error processing OpenAI message:', error, 'Raw message:', data);
@@ -966,7 +1746,7 @@ fastify.register(async (fastify) => {
         });
 
         // Handle incoming messages from Twilio
-        connection.on('message', (message) => {
+        const handleTwilioMessage = (message) => {
             try {
                 const data = JSON.parse(message);
 
@@ -980,15 +1760,28 @@ fastify.register(async (fastify) => {
                                 audio: data.media.payload
                             };
                             openAiWs.send(JSON.stringify(audioAppend));
+                            callLog.inputAudio(data.media.payload);
                         }
                         break;
                     case 'start':
                         streamSid = data.start.streamSid;
+                        callSid = data.start.callSid || callSid;
                         console.log('Incoming stream has started', streamSid);
 
                         // Reset start and media timestamp on a new stream
                         responseStartTimestampTwilio = null; 
                         latestMediaTimestamp = 0;
+                        sendInitialConversationItem();
+
+                        if (!callStartedAt) {
+                            callStartedAt = new Date().toISOString();
+                            emitCallStarted({ callSid, businessId: profile.id, callerPhone, channel: 'media-stream', startedAt: callStartedAt });
+                        }
+                        break;
+                    case 'stop':
+                        // The caller hung up or the call was redirected (a transfer)
+                        console.log('Incoming stream has stopped', streamSid);
+                        finishCall('stream_stopped').catch(error => console.error('[media-stream] Error ending call:', error));
                         break;
                     case 'mark':
                         if (markQueue.length > 0) {
@@ -1002,13 +1795,19 @@ fastify.register(async (fastify) => {
             } catch (error) {
                 console.error('Error parsing message:', error, 'Message:', message);
             }
-        });
+        };
 
         // Handle connection close
-        connection.on('close', () => {
+        const handleTwilioClose = () => {
             if (openAiWs.readyState === WebSocket.OPEN) openAiWs.close();
+            // Hung up while the session was still being set up
+            if (openAiWs.readyState === WebSocket.CONNECTING) openAiWs.once('open', () => openAiWs.close());
+            finishCall('stream_closed').catch(error => console.error('[media-stream] Error ending call:', error));
             console.log('Client disconnected.');
-        });
+        };
+
+        // Anything Twilio sent during setup is handled now, in order
+        handlersReady({ message: handleTwilioMessage, close: handleTwilioClose });
 
         // Handle WebSocket close and errors
         openAiWs.on('close', () => {
@@ -0,0 +1,169 @@
+// src/i18n/en.js
+// English reply templates; the reference set every other language is keyed against.
+
+const list = (items, word) =>
+  items.length <= 1 ? items.join('') : `${items.slice(0, -1).join(', ')} ${word} ${items[items.length - 1]}`;
+
+export default {
+  // Building blocks
+  time: ({ hour, minutes }) => `${hour % 12 === 0 ? 12 : hour % 12}:${minutes} ${hour >= 12 ? 'PM' : 'AM'}`,
+  listOr: ({ items }) => list(items, 'or'),
+  listAnd: ({ items }) => list(items, 'and'),
+  today: 'today',
+  tomorrow: 'tomorrow',
+  booking: ({ service, date, time }) => `${service || 'appointment'} on ${date}${time ? ` at ${time}` : ''}`,
+  yourBooking: ({ booking }) => `your ${booking}`,
+  sorry: `Sorry, I didn't catch that.`,
+
+  // Opening hours
+  hoursWindow: ({ open, close }) => `${open} to ${close}`,
+  dayPair: ({ first, last }) => `${first} and ${last}`,
+  dayRange: ({ first, last }) => `${first} to ${last}`,
+  weeklyHours: ({ open, closed }) => (closed.length > 0 ? `${open.join(', ')}, and closed ${closed.join(' and ')}` : open.join(', ')),
+  closedOnDate: ({ date, reason }) => `We're closed on ${date}${reason ? ` for ${reason}` : ''}.`,
+  closedOnWeekday: ({ weekday }) => `We're closed on ${weekday}s.`,
+  serviceNotOnWeekday: ({ service, weekday }) => `The ${service || 'appointment'} isn't available on ${weekday}s.`,
+  serviceHoursOn: ({ service, day, windows }) => `The ${service} is available ${day} from ${windows}.`,
+  openOn: ({ day, windows }) => `We're open ${day} from ${windows}.`,
+  notOpenThen: `We're not open then.`,
+
+  // Business questions (faq.js)
+  hoursUnknown: ({ business }) => `I don't have ${business}'s hours handy, but they can confirm them.`,
+  openUntil: ({ time }) => `Yes, we're open until ${time} today.`,
+  openNow: `Yes, we're open right now.`,
+  closedNowReopens: ({ day, time }) => `We're closed right now. We open again ${day} at ${time}.`,
+  closedNow: `We're closed right now.`,
+  openWeekly: ({ hours }) => `We're open ${hours}.`,
+  closedOnDateAnswer: ({ date, reason }) => `No, we're closed on ${date}${reason ? ` for ${reason}` : ''}.`,
+  closedOnWeekdayAnswer: ({ weekday }) => `No, we're closed on ${weekday}s.`,
+  openOnAnswer: ({ day, windows }) => `Yes, we're open ${day} from ${windows}.`,
+  priceFree: ({ service }) => `the ${service} is free`,
+  priceAmount: ({ service, price }) => `the ${service} is $${price}`,
+  pricesAnswer: ({ prices }) => {
+    const text = list(prices, 'and');
+    return `${text.charAt(0).toUpperCase()}${text.slice(1)}.`;
+  },
+  priceUnknown: ({ service, business }) => `I don't have the price for the ${service} handy, but ${business} can confirm it.`,
+  pricingUnknown: ({ business }) => `I don't have pricing handy, but ${business} can confirm it.`,
+  cancellationNotice: ({ hours }) => `We ask for at least ${hours} hours' notice to cancel or reschedule.`,
+  cancellationAnytime: `You can cancel or reschedule any time before your appointment.`,
+  lateDefault: ({ business }) => `If you're running late, just let ${business} know as soon as you can.`,
+  locatedIn: ({ location }) => `We're located in ${location}.`,
+  addressUnknown: `I don't have the address handy, but it will be in your confirmation.`,
+  paymentDefault: `Payment details will be in your confirmation.`,
+  tellMore: ({ business }) => `${business} can tell you more about that.`,
+  serviceDuration: ({ service, minutes }) => `The ${service} takes about ${minutes} minutes.`,
+
+  // Booking steps (/api/agent-chat)
+  leadSure: 'Sure.',
+  leadGreat: 'Great.',
+  leadPerfect: 'Perfect.',
+  askServiceType: `What type of appointment would you like?`,
+  askServiceChoice: ({ services }) => `Do you want ${services}?`,
+  askSameService: ({ service }) => `Would you like the same as last time, ${service}?`,
+  offeredTimes: ({ times, date }) => `I have ${times} on ${date}. Which would you like?`,
+  suggestTime: ({ time }) => `Would ${time} work for you?`,
+  askTimeInPeriod: ({ period }) => `What time in the ${period} works for you?`,
+  askTimeOnDate: ({ date }) => `What time works for you on ${date}?`,
+  askDay: `What day would you like to come in?`,
+  askRescheduleDateTime: `What day and time would you like to move it to?`,
+  askDateTime: `What day and time works for you?`,
+  askContact: ({ name }) => `Thanks, ${name}. Can I get your email or phone number?`,
+  askBookingName: `And what name should I put the booking under?`,
+  askNameAndContact: `What's your name, and can I get your email or phone number?`,
+  askWhatToBook: `What would you like to book?`,
+  offerBooking: `Would you like to book an appointment?`,
+  anythingElse: `Is there anything else I can help you with?`,
+  servicesOffered: ({ services }) => `We offer ${services}. Which one would you like?`,
+  allSet: `You're all set. Is there anything else I can help you with?`,
+  confirmBooking: ({ service, date, time, name }) => `Just to confirm, that's ${service || 'your appointment'} on ${date} at ${time} for ${name}. Is that right?`,
+  confirmReschedule: ({ booking, date, time }) => `Just to confirm, I'll move your ${booking} to ${date} at ${time}. Is that right?`,
+  askWhatToChange: `What should I change: the service, the date, the time, or the name?`,
+  askWhatToChangeAfterNo: `No problem. What should I change: the service, the date, the time, or the name?`,
+  askWhatToChangeRetry: `Sorry, which part should I change: the service, the date, the time, or the name?`,
+  datePassed: `That date has already passed.`,
+  timePassed: `That time has already passed today.`,
+  welcomeBack: ({ name }) => `Welcome back, ${name}!`,
+  afterHoursNote: ({ day, time }) => `Just so you know, we're closed right now${day ? ` and open again ${day} at ${time}` : ''}, but I can still help.`,
+  handoffOfferMessage: ({ business }) => `I'm sorry, I'm having trouble with this. Would you like to leave a message so someone at ${business} can call you back?`,
+  handoffContactDirectly: ({ business }) => `I'm sorry, I'm having trouble with this. Please text or email ${business} and someone will help you directly.`,
+  goodbye: ({ business }) => `No problem. Thanks for calling ${business}. Goodbye.`,
+  bookingUnavailable: ({ business }) => `I'm sorry, I can't book with ${business} over the phone right now. Would you like to leave a message so they can call you back to book?`,
+  booked: ({ service, date, time, name, texted }) =>
+    `Perfect! I've booked ${service || 'your appointment'} on ${date} at ${time} for ${name}. ${texted ? `I'm texting you a confirmation now.` : `You'll receive a confirmation shortly.`}`,
+  rescheduled: ({ service, date, time }) => `All set. I've moved your ${service || 'appointment'} to ${date} at ${time}.`,
+  bookingFailed: `I had trouble scheduling that, but I can help you try again. What other time would work for you?`,
+  timeNotOpen: ({ time, date, alternatives, count }) =>
+    `I'm sorry, ${time} isn't open on ${date}. I have ${alternatives}, ${count === 1 ? 'would that work' : count === 2 ? 'would either work' : 'would any of those work'}?`,
+  noOpenings: ({ date }) => `I'm sorry, there are no openings on ${date}. What other day would work for you?`,
+  bookingSystemDown: ({ business }) => `I'm sorry, I can't reach the booking system right now. Would you like to leave a message so ${business} can call you back to book, or try another time?`,
+  slotUnavailable: `I'm sorry, that time slot isn't available. What other day or time would work for you?`,
+  fallback: `I had trouble processing that, but I can help you try again. What would you like to do?`,
+  errorOfferMessage: `I'm having trouble accessing the scheduling system right now. Would you like to leave a message so someone can call you back?`,
+  errorTryLater: `I'm having trouble accessing the scheduling system right now. Please try again later.`,
+
+  // Contact details, spelled back before booking (contactCapture.js)
+  emailSymbols: { '@': 'at', '.': 'dot', '_': 'underscore', '-': 'dash', '+': 'plus' },
+  confirmEmail: ({ email }) => `Let me make sure I have your email right: ${email}. Is that correct?`,
+  confirmPhone: ({ phone }) => `Let me make sure I have your number right: ${phone}. Is that correct?`,
+  askWhichContactPart: ({ field }) => (field === 'email'
+    ? `Which part is wrong: the part before the @ sign, or the part after it?`
+    : `Which part is wrong: the area code, the next three digits, or the last four?`),
+  askContactPart: ({ part }) => ({
+    emailLocal: `Could you spell the part before the @ sign for me?`,
+    emailDomain: `What comes after the @ sign? For example, gmail dot com.`,
+    email: `Could you spell your email address for me?`,
+    areaCode: `What's the area code?`,
+    exchange: `What are the three digits after the area code?`,
+    lineNumber: `What are the last four digits?`,
+    phone: `What's the full number, with the area code?`
+  })[part],
+  contactInvalid: ({ field }) => (field === 'email'
+    ? `Sorry, that didn't sound like a complete email address. Could you spell it for me?`
+    : `Sorry, I didn't get a complete phone number. Could you say it again, with the area code?`),
+
+  // Cancel / reschedule (manageBooking.js)
+  askLookupKey: `What phone number or email did you book with?`,
+  askLookupKeyAgain: `No problem. What phone number or email did you book that appointment with?`,
+  lookupFailed: ({ business }) => `I'm having trouble looking up bookings right now. Please contact ${business} directly and they can help.`,
+  noBookingsFound: ({ byEmail }) => `I couldn't find an upcoming booking under ${byEmail ? 'that email' : 'that number'}. What phone number or email did you book with?`,
+  foundOneBooking: ({ booking, flow }) => `I see your ${booking}. Is that the one you'd like to ${flow === 'cancel' ? 'cancel' : 'move'}?`,
+  foundBookings: ({ bookings, flow }) => `I see ${bookings}. Which one would you like to ${flow === 'cancel' ? 'cancel' : 'move'}?`,
+  whichBooking: ({ flow }) => `Which booking would you like to ${flow === 'cancel' ? 'cancel' : 'move'}?`,
+  whichBookingRetry: ({ bookings }) => `Sorry, which one did you mean, ${bookings}?`,
+  whichBookingAfterNo: ({ bookings }) => `No problem. Which one did you mean, ${bookings}?`,
+  confirmPickedBooking: ({ booking }) => `Your ${booking}, is that right?`,
+  confirmBookingToChange: ({ booking, flow }) => `Is it your ${booking} you'd like to ${flow === 'cancel' ? 'cancel' : 'move'}?`,
+  insideCancellationWindow: ({ booking, hours, flow, business }) =>
+    `Your ${booking} is within our ${hours}-hour cancellation window, so I can't ${flow === 'cancel' ? 'cancel' : 'move'} it over the phone. Please contact ${business} directly.`,
+  cancelled: ({ booking }) => `Done. I've cancelled your ${booking}. Is there anything else I can help you with?`,
+  cancelFailed: ({ business }) => `I had trouble cancelling that. Please contact ${business} directly and they can take care of it.`,
+
+  // Messages (takeMessage.js)
+  messageAskName: ({ business }) => `Sure, I can take a message for ${business}. What's your name?`,
+  messageAskText: `What would you like me to pass on?`,
+  messageAskPhone: `What's the best number to call you back on?`,
+  messageReadBack: ({ business, name, phone, message }) => `Just to confirm, ${business} will call ${name} back at ${phone} about: ${message}. Is that right?`,
+  messageDeclined: `No problem. Is there anything else I can help you with?`,
+  messageWhatToChange: `No problem. What should I change: your name, the number, or the message?`,
+  messageWhatToChangeRetry: `Sorry, which part should I change: your name, the number, or the message?`,
+  messageSent: ({ business }) => `Got it. I'll make sure ${business} gets your message. Is there anything else I can help you with?`,
+
+  // Transfers (handoff.js)
+  transferHold: ({ business }) => `Please hold while I connect you with someone at ${business}.`,
+  transferNoAnswer: ({ business }) => `I'm sorry, nobody at ${business} could take your call right now. They'll call you back as soon as they can. Goodbye.`,
+
+  // Booking texts (bookingNotifications.js), unless the business words its own
+  smsConfirmation: ({ name, service, business, date, time, address }) =>
+    `Hi${name ? ` ${name}` : ''}, you're booked for ${service || 'your appointment'} at ${business} on ${date} at ${time}.${address ? ` Address: ${address}.` : ''}`,
+  smsReminder: ({ service, business, date, time, address }) =>
+    `Reminder: ${service || 'your appointment'} at ${business} on ${date} at ${time}.${address ? ` Address: ${address}.` : ''}`,
+
+  // Greetings for businesses without their own, when their primary language isn't English
+  greeting: ({ business }) => `You've reached ${business}, how can I help you today?`,
+  afterHoursGreeting: ({ business }) => `You've reached ${business}. We're closed right now, but I can still help you.`,
+
+  // Spoken examples in the Realtime system prompt
+  promptGreetingExamples: ({ business }) => [`Thanks for calling ${business}. What can I help you with today?`, `Hi, this is ${business}. How can I assist you?`],
+  promptWhichOne: `Which one would you like?`
+};
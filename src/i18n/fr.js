@@ -0,0 +1,172 @@
+// src/i18n/fr.js
+// French reply templates (Canadian French), keyed like ./en.js.
+
+const list = (items, word) =>
+  items.length <= 1 ? items.join('') : `${items.slice(0, -1).join(', ')} ${word} ${items[items.length - 1]}`;
+
+const PERIODS = { morning: 'le matin', afternoon: "l'après-midi", evening: 'le soir' };
+const verb = (flow) => (flow === 'cancel' ? 'annuler' : 'déplacer');
+
+export default {
+  // Building blocks
+  time: ({ hour, minutes }) => (minutes === '00' ? `${hour} h` : `${hour} h ${minutes}`),
+  listOr: ({ items }) => list(items, 'ou'),
+  listAnd: ({ items }) => list(items, 'et'),
+  today: "aujourd'hui",
+  tomorrow: 'demain',
+  booking: ({ service, date, time }) => `${service || 'rendez-vous'} le ${date}${time ? ` à ${time}` : ''}`,
+  yourBooking: ({ booking }) => `votre ${booking}`,
+  sorry: `Désolé, je n'ai pas bien compris.`,
+
+  // Opening hours
+  hoursWindow: ({ open, close }) => `de ${open} à ${close}`,
+  dayPair: ({ first, last }) => `${first} et ${last}`,
+  dayRange: ({ first, last }) => `du ${first} au ${last}`,
+  weeklyHours: ({ open, closed }) => (closed.length > 0 ? `${open.join(', ')}, et fermé ${closed.join(' et ')}` : open.join(', ')),
+  closedOnDate: ({ date, reason }) => `Nous sommes fermés le ${date}${reason ? ` (${reason})` : ''}.`,
+  closedOnWeekday: ({ weekday }) => `Nous sommes fermés le ${weekday}.`,
+  serviceNotOnWeekday: ({ service, weekday }) => `Le service ${service || 'demandé'} n'est pas offert le ${weekday}.`,
+  serviceHoursOn: ({ service, day, windows }) => `Le service ${service} est offert ${day} ${windows}.`,
+  openOn: ({ day, windows }) => `Nous sommes ouverts ${day} ${windows}.`,
+  notOpenThen: `Nous ne sommes pas ouverts à ce moment-là.`,
+
+  // Business questions (faq.js)
+  hoursUnknown: ({ business }) => `Je n'ai pas les heures d'ouverture de ${business} sous la main, mais ils pourront vous les confirmer.`,
+  openUntil: ({ time }) => `Oui, nous sommes ouverts jusqu'à ${time} aujourd'hui.`,
+  openNow: `Oui, nous sommes ouverts en ce moment.`,
+  closedNowReopens: ({ day, time }) => `Nous sommes fermés en ce moment. Nous rouvrons ${day} à ${time}.`,
+  closedNow: `Nous sommes fermés en ce moment.`,
+  openWeekly: ({ hours }) => `Nous sommes ouverts ${hours}.`,
+  closedOnDateAnswer: ({ date, reason }) => `Non, nous sommes fermés le ${date}${reason ? ` (${reason})` : ''}.`,
+  closedOnWeekdayAnswer: ({ weekday }) => `Non, nous sommes fermés le ${weekday}.`,
+  openOnAnswer: ({ day, windows }) => `Oui, nous sommes ouverts ${day} ${windows}.`,
+  priceFree: ({ service }) => `le service ${service} est gratuit`,
+  priceAmount: ({ service, price }) => `le service ${service} coûte ${price} $`,
+  pricesAnswer: ({ prices }) => {
+    const text = list(prices, 'et');
+    return `${text.charAt(0).toUpperCase()}${text.slice(1)}.`;
+  },
+  priceUnknown: ({ service, business }) => `Je n'ai pas le prix du service ${service} sous la main, mais ${business} pourra vous le confirmer.`,
+  pricingUnknown: ({ business }) => `Je n'ai pas les prix sous la main, mais ${business} pourra vous les confirmer.`,
+  cancellationNotice: ({ hours }) => `Nous demandons un préavis d'au moins ${hours} heures pour annuler ou déplacer un rendez-vous.`,
+  cancellationAnytime: `Vous pouvez annuler ou déplacer votre rendez-vous à tout moment avant l'heure prévue.`,
+  lateDefault: ({ business }) => `Si vous êtes en retard, prévenez simplement ${business} dès que possible.`,
+  locatedIn: ({ location }) => `Nous sommes situés à ${location}.`,
+  addressUnknown: `Je n'ai pas l'adresse sous la main, mais elle sera dans votre confirmation.`,
+  paymentDefault: `Les détails du paiement seront dans votre confirmation.`,
+  tellMore: ({ business }) => `${business} pourra vous en dire plus à ce sujet.`,
+  serviceDuration: ({ service, minutes }) => `Le service ${service} dure environ ${minutes} minutes.`,
+
+  // Booking steps (/api/agent-chat)
+  leadSure: 'Bien sûr.',
+  leadGreat: 'Parfait.',
+  leadPerfect: 'Très bien.',
+  askServiceType: `Quel type de rendez-vous souhaitez-vous?`,
+  askServiceChoice: ({ services }) => `Souhaitez-vous ${services}?`,
+  askSameService: ({ service }) => `Souhaitez-vous la même chose que la dernière fois, ${service}?`,
+  offeredTimes: ({ times, date }) => `J'ai ${times} le ${date}. Lequel préférez-vous?`,
+  suggestTime: ({ time }) => `Est-ce que ${time} vous conviendrait?`,
+  askTimeInPeriod: ({ period }) => `Quelle heure vous conviendrait ${PERIODS[period] || period}?`,
+  askTimeOnDate: ({ date }) => `Quelle heure vous conviendrait le ${date}?`,
+  askDay: `Quel jour aimeriez-vous venir?`,
+  askRescheduleDateTime: `À quel jour et à quelle heure aimeriez-vous le déplacer?`,
+  askDateTime: `Quel jour et quelle heure vous conviendraient?`,
+  askContact: ({ name }) => `Merci, ${name}. Puis-je avoir votre courriel ou votre numéro de téléphone?`,
+  askBookingName: `Et à quel nom dois-je faire la réservation?`,
+  askNameAndContact: `Quel est votre nom, et puis-je avoir votre courriel ou votre numéro de téléphone?`,
+  askWhatToBook: `Que souhaitez-vous réserver?`,
+  offerBooking: `Souhaitez-vous prendre rendez-vous?`,
+  anythingElse: `Puis-je vous aider avec autre chose?`,
+  servicesOffered: ({ services }) => `Nous offrons ${services}. Lequel souhaitez-vous?`,
+  allSet: `C'est tout réglé. Puis-je vous aider avec autre chose?`,
+  confirmBooking: ({ service, date, time, name }) => `Pour confirmer : ${service || 'votre rendez-vous'} le ${date} à ${time} au nom de ${name}. Est-ce exact?`,
+  confirmReschedule: ({ booking, date, time }) => `Pour confirmer : je déplace votre ${booking} au ${date} à ${time}. Est-ce exact?`,
+  askWhatToChange: `Que dois-je changer : le service, la date, l'heure ou le nom?`,
+  askWhatToChangeAfterNo: `Pas de problème. Que dois-je changer : le service, la date, l'heure ou le nom?`,
+  askWhatToChangeRetry: `Désolé, que dois-je changer : le service, la date, l'heure ou le nom?`,
+  datePassed: `Cette date est déjà passée.`,
+  timePassed: `Cette heure est déjà passée aujourd'hui.`,
+  welcomeBack: ({ name }) => `Rebonjour, ${name}!`,
+  afterHoursNote: ({ day, time }) => `Pour votre information, nous sommes fermés en ce moment${day ? ` et nous rouvrons ${day} à ${time}` : ''}, mais je peux quand même vous aider.`,
+  handoffOfferMessage: ({ business }) => `Je suis désolé, j'ai du mal à vous aider. Voulez-vous laisser un message pour que quelqu'un de ${business} vous rappelle?`,
+  handoffContactDirectly: ({ business }) => `Je suis désolé, j'ai du mal à vous aider. Veuillez écrire à ${business} par texto ou par courriel et quelqu'un vous aidera directement.`,
+  goodbye: ({ business }) => `Pas de problème. Merci d'avoir appelé ${business}. Au revoir.`,
+  bookingUnavailable: ({ business }) => `Je suis désolé, je ne peux pas prendre de rendez-vous avec ${business} par téléphone en ce moment. Voulez-vous laisser un message pour qu'on vous rappelle?`,
+  booked: ({ service, date, time, name, texted }) =>
+    `Parfait! J'ai réservé ${service || 'votre rendez-vous'} le ${date} à ${time} au nom de ${name}. ${texted ? 'Je vous envoie une confirmation par texto.' : 'Vous recevrez une confirmation sous peu.'}`,
+  rescheduled: ({ service, date, time }) => `C'est fait. J'ai déplacé votre ${service || 'rendez-vous'} au ${date} à ${time}.`,
+  bookingFailed: `J'ai eu un problème avec cette réservation, mais on peut réessayer. Quelle autre heure vous conviendrait?`,
+  timeNotOpen: ({ time, date, alternatives, count }) =>
+    `Je suis désolé, ${time} n'est pas disponible le ${date}. J'ai ${alternatives}. ${count === 1 ? 'Est-ce que ça vous conviendrait?' : "Est-ce que l'une de ces heures vous conviendrait?"}`,
+  noOpenings: ({ date }) => `Je suis désolé, il n'y a aucune disponibilité le ${date}. Quel autre jour vous conviendrait?`,
+  bookingSystemDown: ({ business }) => `Je suis désolé, je n'arrive pas à joindre le système de réservation. Voulez-vous laisser un message pour que ${business} vous rappelle, ou essayer une autre heure?`,
+  slotUnavailable: `Je suis désolé, cette plage horaire n'est pas disponible. Quel autre jour ou quelle autre heure vous conviendrait?`,
+  fallback: `J'ai eu du mal à comprendre, mais on peut réessayer. Que souhaitez-vous faire?`,
+  errorOfferMessage: `J'ai du mal à accéder au système de réservation en ce moment. Voulez-vous laisser un message pour qu'on vous rappelle?`,
+  errorTryLater: `J'ai du mal à accéder au système de réservation en ce moment. Veuillez réessayer plus tard.`,
+
+  // Contact details, spelled back before booking (contactCapture.js)
+  emailSymbols: { '@': 'arobase', '.': 'point', '_': 'tiret bas', '-': 'tiret', '+': 'plus' },
+  confirmEmail: ({ email }) => `Je veux m'assurer d'avoir bien noté votre courriel : ${email}. Est-ce exact?`,
+  confirmPhone: ({ phone }) => `Je veux m'assurer d'avoir bien noté votre numéro : ${phone}. Est-ce exact?`,
+  askWhichContactPart: ({ field }) => (field === 'email'
+    ? `Quelle partie est erronée : celle avant l'arobase, ou celle après?`
+    : `Quelle partie est erronée : l'indicatif régional, les trois chiffres suivants, ou les quatre derniers?`),
+  askContactPart: ({ part }) => ({
+    emailLocal: `Pouvez-vous m'épeler la partie avant l'arobase?`,
+    emailDomain: `Qu'est-ce qui vient après l'arobase? Par exemple, gmail point com.`,
+    email: `Pouvez-vous m'épeler votre adresse courriel?`,
+    areaCode: `Quel est l'indicatif régional?`,
+    exchange: `Quels sont les trois chiffres après l'indicatif régional?`,
+    lineNumber: `Quels sont les quatre derniers chiffres?`,
+    phone: `Quel est le numéro complet, avec l'indicatif régional?`
+  })[part],
+  contactInvalid: ({ field }) => (field === 'email'
+    ? `Désolé, je n'ai pas saisi une adresse courriel complète. Pouvez-vous me l'épeler?`
+    : `Désolé, je n'ai pas saisi un numéro de téléphone complet. Pouvez-vous le répéter, avec l'indicatif régional?`),
+
+  // Cancel / reschedule (manageBooking.js)
+  askLookupKey: `Avec quel numéro de téléphone ou quel courriel avez-vous réservé?`,
+  askLookupKeyAgain: `Pas de problème. Avec quel numéro de téléphone ou quel courriel avez-vous pris ce rendez-vous?`,
+  lookupFailed: ({ business }) => `J'ai du mal à retrouver les réservations en ce moment. Veuillez contacter ${business} directement.`,
+  noBookingsFound: ({ byEmail }) => `Je ne trouve aucun rendez-vous à venir avec ${byEmail ? 'ce courriel' : 'ce numéro'}. Avec quel numéro de téléphone ou quel courriel avez-vous réservé?`,
+  foundOneBooking: ({ booking, flow }) => `Je vois votre ${booking}. Est-ce celui que vous voulez ${verb(flow)}?`,
+  foundBookings: ({ bookings, flow }) => `Je vois ${bookings}. Lequel voulez-vous ${verb(flow)}?`,
+  whichBooking: ({ flow }) => `Quel rendez-vous voulez-vous ${verb(flow)}?`,
+  whichBookingRetry: ({ bookings }) => `Désolé, lequel vouliez-vous dire : ${bookings}?`,
+  whichBookingAfterNo: ({ bookings }) => `Pas de problème. Lequel vouliez-vous dire : ${bookings}?`,
+  confirmPickedBooking: ({ booking }) => `Votre ${booking}, c'est bien ça?`,
+  confirmBookingToChange: ({ booking, flow }) => `Est-ce votre ${booking} que vous voulez ${verb(flow)}?`,
+  insideCancellationWindow: ({ booking, hours, flow, business }) =>
+    `Votre ${booking} est dans notre délai d'annulation de ${hours} heures, alors je ne peux pas le ${verb(flow)} par téléphone. Veuillez contacter ${business} directement.`,
+  cancelled: ({ booking }) => `C'est fait. J'ai annulé votre ${booking}. Puis-je vous aider avec autre chose?`,
+  cancelFailed: ({ business }) => `J'ai eu un problème avec cette annulation. Veuillez contacter ${business} directement.`,
+
+  // Messages (takeMessage.js)
+  messageAskName: ({ business }) => `Bien sûr, je peux prendre un message pour ${business}. Quel est votre nom?`,
+  messageAskText: `Quel message voulez-vous que je transmette?`,
+  messageAskPhone: `À quel numéro peut-on vous rappeler?`,
+  messageReadBack: ({ business, name, phone, message }) => `Pour confirmer : ${business} rappellera ${name} au ${phone} au sujet de : ${message}. Est-ce exact?`,
+  messageDeclined: `Pas de problème. Puis-je vous aider avec autre chose?`,
+  messageWhatToChange: `Pas de problème. Que dois-je changer : votre nom, le numéro ou le message?`,
+  messageWhatToChangeRetry: `Désolé, que dois-je changer : votre nom, le numéro ou le message?`,
+  messageSent: ({ business }) => `C'est noté. Je m'assure que ${business} reçoive votre message. Puis-je vous aider avec autre chose?`,
+
+  // Transfers (handoff.js)
+  transferHold: ({ business }) => `Veuillez patienter pendant que je vous mets en relation avec quelqu'un de ${business}.`,
+  transferNoAnswer: ({ business }) => `Je suis désolé, personne chez ${business} ne peut répondre en ce moment. On vous rappellera dès que possible. Au revoir.`,
+
+  // Booking texts (bookingNotifications.js), unless the business words its own
+  smsConfirmation: ({ name, service, business, date, time, address }) =>
+    `Bonjour${name ? ` ${name}` : ''}, votre rendez-vous${service ? ` (${service})` : ''} chez ${business} est confirmé le ${date} à ${time}.${address ? ` Adresse : ${address}.` : ''}`,
+  smsReminder: ({ service, business, date, time, address }) =>
+    `Rappel : votre rendez-vous${service ? ` (${service})` : ''} chez ${business} le ${date} à ${time}.${address ? ` Adresse : ${address}.` : ''}`,
+
+  // Greetings for businesses without their own
+  greeting: ({ business }) => `Vous avez joint ${business}. Comment puis-je vous aider aujourd'hui?`,
+  afterHoursGreeting: ({ business }) => `Vous avez joint ${business}. Nous sommes fermés en ce moment, mais je peux quand même vous aider.`,
+
+  // Spoken examples in the Realtime system prompt
+  promptGreetingExamples: ({ business }) => [`Merci d'avoir appelé ${business}. Comment puis-je vous aider aujourd'hui?`, `Bonjour, ici ${business}. Que puis-je faire pour vous?`],
+  promptWhichOne: `Lequel souhaitez-vous?`
+};
@@ -0,0 +1,78 @@
+// src/i18n/index.js
+// Spoken-reply templates per language. Everything the agent says deterministically (agent-chat
+// replies, hours and FAQ answers, message-taking, transfer TwiML) is rendered through t(), so a
+// call answered in French stays in French. Templates live in ./en.js, ./fr.js and ./pa.js, keyed
+// the same way; a key missing from a language falls back to English.
+//
+// Languages are BCP 47 tags everywhere ("fr-CA", as in profile.languages, call state and
+// transcript events); templates are picked by the base language ("fr").
+
+import en from './en.js';
+import fr from './fr.js';
+import pa from './pa.js';
+
+export const DEFAULT_LANGUAGE = 'en-US';
+
+// Base language → templates and the name used in prompts
+const LANGUAGES = {
+  en: { name: 'English', templates: en },
+  fr: { name: 'French', templates: fr },
+  pa: { name: 'Punjabi', templates: pa }
+};
+
+export const SUPPORTED_LANGUAGES = Object.keys(LANGUAGES);
+
+// "fr-CA" → "fr"
+export function baseLanguage(tag) {
+  return String(tag || '').split('-')[0].toLowerCase();
+}
+
+export function isSupportedLanguage(tag) {
+  return SUPPORTED_LANGUAGES.includes(baseLanguage(tag));
+}
+
+export function languageName(tag) {
+  return LANGUAGES[baseLanguage(tag)]?.name || tag;
+}
+
+/**
+ * Render one template. `vars` are passed to template functions; plain-string templates ignore them.
+ * @param {string} language - BCP 47 tag ("fr-CA"); unknown languages render in English
+ * @param {string} key - Template key, see ./en.js
+ */
+export function t(language, key, vars = {}) {
+  const templates = LANGUAGES[baseLanguage(language)]?.templates || en;
+  const template = templates[key] ?? en[key];
+  if (template === undefined) {
+    console.warn(`[i18n] Missing template "${key}"`);
+    return '';
+  }
+  return typeof template === 'function' ? template(vars, language) : template;
+}
+
+// Words that only show up in French speech, and Gurmukhi script for Punjabi
+const FRENCH_PATTERN = /\b(bonjour|allo|oui|non merci|merci|je|j'|voudrais|veux|rendez-vous|demain|aujourd'hui|s'il vous pla[iî]t|est-ce que|quelle|quel|heure|semaine|rappeler|annuler|combien|ouvert)\b|[àâçéèêëîïôûùœ]/i;
+const GURMUKHI_PATTERN = /[\u0A00-\u0A7F]/;
+
+/**
+ * Best guess at the language of one utterance from its script and a few telltale words.
+ * Returns a base language ("fr") or null when nothing points away from the default.
+ */
+export function detectLanguage(text) {
+  const value = String(text || '');
+  if (GURMUKHI_PATTERN.test(value)) return 'pa';
+  if (FRENCH_PATTERN.test(value)) return 'fr';
+  return null;
+}
+
+/**
+ * The language to answer this turn in, as one of the business's profile.languages tags.
+ * A language the gateway sends wins; otherwise the call keeps the language chosen on its first
+ * turn, which comes from the NLU's guess, then detectLanguage(). Languages the business doesn't
+ * take calls in fall through to its primary language.
+ */
+export function resolveCallLanguage({ requested = null, current = null, detected = null, userText = '', profile }) {
+  const languages = profile.languages?.length ? profile.languages : [profile.language || DEFAULT_LANGUAGE];
+  const match = (language) => language ? languages.find(tag => baseLanguage(tag) === baseLanguage(language)) || null : null;
+  return match(requested) || match(current) || match(detected) || match(detectLanguage(userText)) || languages[0];
+}
@@ -0,0 +1,178 @@
+// src/i18n/pa.js
+// Punjabi reply templates (Gurmukhi), keyed like ./en.js. Phrased to avoid gendered
+// first-person verbs, since the agent's voice may be either.
+
+const list = (items, word) =>
+  items.length <= 1 ? items.join('') : `${items.slice(0, -1).join(', ')} ${word} ${items[items.length - 1]}`;
+
+const PERIODS = { morning: 'ਸਵੇਰੇ', afternoon: 'ਦੁਪਹਿਰ ਨੂੰ', evening: 'ਸ਼ਾਮ ਨੂੰ' };
+const verb = (flow) => (flow === 'cancel' ? 'ਰੱਦ ਕਰਨਾ' : 'ਬਦਲਣਾ');
+
+// "ਸਵੇਰੇ 9:00 ਵਜੇ", "ਦੁਪਹਿਰ 2:30 ਵਜੇ"
+function dayPeriod(hour) {
+  if (hour < 5) return 'ਰਾਤ';
+  if (hour < 12) return 'ਸਵੇਰੇ';
+  if (hour < 16) return 'ਦੁਪਹਿਰ';
+  if (hour < 20) return 'ਸ਼ਾਮ';
+  return 'ਰਾਤ';
+}
+
+export default {
+  // Building blocks
+  time: ({ hour, minutes }) => `${dayPeriod(hour)} ${hour % 12 === 0 ? 12 : hour % 12}:${minutes} ਵਜੇ`,
+  listOr: ({ items }) => list(items, 'ਜਾਂ'),
+  listAnd: ({ items }) => list(items, 'ਅਤੇ'),
+  today: 'ਅੱਜ',
+  tomorrow: 'ਕੱਲ੍ਹ',
+  booking: ({ service, date, time }) => `${date} ਨੂੰ${time ? ` ${time}` : ''} ${service || 'ਅਪੌਇੰਟਮੈਂਟ'}`,
+  yourBooking: ({ booking }) => `ਤੁਹਾਡੀ ${booking}`,
+  sorry: 'ਮਾਫ਼ ਕਰਨਾ, ਗੱਲ ਸਮਝ ਨਹੀਂ ਆਈ।',
+
+  // Opening hours
+  hoursWindow: ({ open, close }) => `${open} ਤੋਂ ${close} ਤੱਕ`,
+  dayPair: ({ first, last }) => `${first} ਅਤੇ ${last}`,
+  dayRange: ({ first, last }) => `${first} ਤੋਂ ${last} ਤੱਕ`,
+  weeklyHours: ({ open, closed }) => (closed.length > 0 ? `${open.join(', ')}, ਅਤੇ ${closed.join(' ਅਤੇ ')} ਨੂੰ ਬੰਦ` : open.join(', ')),
+  closedOnDate: ({ date, reason }) => `ਅਸੀਂ ${date} ਨੂੰ ਬੰਦ ਹਾਂ${reason ? ` (${reason})` : ''}।`,
+  closedOnWeekday: ({ weekday }) => `ਅਸੀਂ ${weekday} ਨੂੰ ਬੰਦ ਹੁੰਦੇ ਹਾਂ।`,
+  serviceNotOnWeekday: ({ service, weekday }) => `${service || 'ਇਹ ਸੇਵਾ'} ${weekday} ਨੂੰ ਉਪਲਬਧ ਨਹੀਂ ਹੈ।`,
+  serviceHoursOn: ({ service, day, windows }) => `${service} ${day} ${windows} ਉਪਲਬਧ ਹੈ।`,
+  openOn: ({ day, windows }) => `ਅਸੀਂ ${day} ${windows} ਖੁੱਲ੍ਹੇ ਹਾਂ।`,
+  notOpenThen: 'ਅਸੀਂ ਉਸ ਸਮੇਂ ਖੁੱਲ੍ਹੇ ਨਹੀਂ ਹੁੰਦੇ।',
+
+  // Business questions (faq.js)
+  hoursUnknown: ({ business }) => `ਇਸ ਵੇਲੇ ${business} ਦੇ ਸਮੇਂ ਦੀ ਜਾਣਕਾਰੀ ਨਹੀਂ ਹੈ, ਪਰ ਉਹ ਤੁਹਾਨੂੰ ਦੱਸ ਸਕਦੇ ਹਨ।`,
+  openUntil: ({ time }) => `ਹਾਂ ਜੀ, ਅਸੀਂ ਅੱਜ ${time} ਤੱਕ ਖੁੱਲ੍ਹੇ ਹਾਂ।`,
+  openNow: 'ਹਾਂ ਜੀ, ਅਸੀਂ ਇਸ ਵੇਲੇ ਖੁੱਲ੍ਹੇ ਹਾਂ।',
+  closedNowReopens: ({ day, time }) => `ਅਸੀਂ ਇਸ ਵੇਲੇ ਬੰਦ ਹਾਂ। ਅਸੀਂ ${day} ${time} ਦੁਬਾਰਾ ਖੁੱਲ੍ਹਾਂਗੇ।`,
+  closedNow: 'ਅਸੀਂ ਇਸ ਵੇਲੇ ਬੰਦ ਹਾਂ।',
+  openWeekly: ({ hours }) => `ਅਸੀਂ ${hours} ਖੁੱਲ੍ਹੇ ਹੁੰਦੇ ਹਾਂ।`,
+  closedOnDateAnswer: ({ date, reason }) => `ਨਹੀਂ, ਅਸੀਂ ${date} ਨੂੰ ਬੰਦ ਹਾਂ${reason ? ` (${reason})` : ''}।`,
+  closedOnWeekdayAnswer: ({ weekday }) => `ਨਹੀਂ, ਅਸੀਂ ${weekday} ਨੂੰ ਬੰਦ ਹੁੰਦੇ ਹਾਂ।`,
+  openOnAnswer: ({ day, windows }) => `ਹਾਂ ਜੀ, ਅਸੀਂ ${day} ${windows} ਖੁੱਲ੍ਹੇ ਹਾਂ।`,
+  priceFree: ({ service }) => `${service} ਮੁਫ਼ਤ ਹੈ`,
+  priceAmount: ({ service, price }) => `${service} $${price} ਦੀ ਹੈ`,
+  pricesAnswer: ({ prices }) => `${list(prices, 'ਅਤੇ')}।`,
+  priceUnknown: ({ service, business }) => `${service} ਦੀ ਕੀਮਤ ਦੀ ਜਾਣਕਾਰੀ ਨਹੀਂ ਹੈ, ਪਰ ${business} ਤੁਹਾਨੂੰ ਦੱਸ ਸਕਦੇ ਹਨ।`,
+  pricingUnknown: ({ business }) => `ਕੀਮਤਾਂ ਦੀ ਜਾਣਕਾਰੀ ਨਹੀਂ ਹੈ, ਪਰ ${business} ਤੁਹਾਨੂੰ ਦੱਸ ਸਕਦੇ ਹਨ।`,
+  cancellationNotice: ({ hours }) => `ਰੱਦ ਕਰਨ ਜਾਂ ਸਮਾਂ ਬਦਲਣ ਲਈ ਘੱਟੋ-ਘੱਟ ${hours} ਘੰਟੇ ਪਹਿਲਾਂ ਦੱਸਣਾ ਪੈਂਦਾ ਹੈ।`,
+  cancellationAnytime: 'ਤੁਸੀਂ ਆਪਣੀ ਅਪੌਇੰਟਮੈਂਟ ਤੋਂ ਪਹਿਲਾਂ ਕਦੇ ਵੀ ਰੱਦ ਕਰ ਸਕਦੇ ਹੋ ਜਾਂ ਸਮਾਂ ਬਦਲ ਸਕਦੇ ਹੋ।',
+  lateDefault: ({ business }) => `ਜੇ ਤੁਸੀਂ ਲੇਟ ਹੋ ਰਹੇ ਹੋ, ਤਾਂ ਜਿੰਨੀ ਜਲਦੀ ਹੋ ਸਕੇ ${business} ਨੂੰ ਦੱਸ ਦਿਓ।`,
+  locatedIn: ({ location }) => `ਅਸੀਂ ${location} ਵਿੱਚ ਹਾਂ।`,
+  addressUnknown: 'ਪਤੇ ਦੀ ਜਾਣਕਾਰੀ ਇਸ ਵੇਲੇ ਨਹੀਂ ਹੈ, ਪਰ ਇਹ ਤੁਹਾਡੀ ਪੁਸ਼ਟੀ ਵਿੱਚ ਹੋਵੇਗਾ।',
+  paymentDefault: 'ਭੁਗਤਾਨ ਦੀ ਜਾਣਕਾਰੀ ਤੁਹਾਡੀ ਪੁਸ਼ਟੀ ਵਿੱਚ ਹੋਵੇਗੀ।',
+  tellMore: ({ business }) => `${business} ਤੁਹਾਨੂੰ ਇਸ ਬਾਰੇ ਹੋਰ ਦੱਸ ਸਕਦੇ ਹਨ।`,
+  serviceDuration: ({ service, minutes }) => `${service} ਲਗਭਗ ${minutes} ਮਿੰਟ ਦੀ ਹੁੰਦੀ ਹੈ।`,
+
+  // Booking steps (/api/agent-chat)
+  leadSure: 'ਜ਼ਰੂਰ।',
+  leadGreat: 'ਬਹੁਤ ਵਧੀਆ।',
+  leadPerfect: 'ਠੀਕ ਹੈ।',
+  askServiceType: 'ਤੁਸੀਂ ਕਿਹੜੀ ਅਪੌਇੰਟਮੈਂਟ ਲੈਣਾ ਚਾਹੋਗੇ?',
+  askServiceChoice: ({ services }) => `ਕੀ ਤੁਸੀਂ ${services} ਚਾਹੁੰਦੇ ਹੋ?`,
+  askSameService: ({ service }) => `ਕੀ ਤੁਸੀਂ ਪਿਛਲੀ ਵਾਰ ਵਾਂਗ ${service} ਚਾਹੋਗੇ?`,
+  offeredTimes: ({ times, date }) => `${date} ਨੂੰ ${times} ਖਾਲੀ ਹੈ। ਤੁਹਾਨੂੰ ਕਿਹੜਾ ਸਮਾਂ ਚਾਹੀਦਾ ਹੈ?`,
+  suggestTime: ({ time }) => `ਕੀ ${time} ਤੁਹਾਡੇ ਲਈ ਠੀਕ ਰਹੇਗਾ?`,
+  askTimeInPeriod: ({ period }) => `${PERIODS[period] || period} ਕਿਹੜਾ ਸਮਾਂ ਤੁਹਾਡੇ ਲਈ ਠੀਕ ਰਹੇਗਾ?`,
+  askTimeOnDate: ({ date }) => `${date} ਨੂੰ ਕਿਹੜਾ ਸਮਾਂ ਤੁਹਾਡੇ ਲਈ ਠੀਕ ਰਹੇਗਾ?`,
+  askDay: 'ਤੁਸੀਂ ਕਿਹੜੇ ਦਿਨ ਆਉਣਾ ਚਾਹੋਗੇ?',
+  askRescheduleDateTime: 'ਤੁਸੀਂ ਇਸਨੂੰ ਕਿਹੜੇ ਦਿਨ ਅਤੇ ਕਿਹੜੇ ਸਮੇਂ ਤੇ ਬਦਲਣਾ ਚਾਹੋਗੇ?',
+  askDateTime: 'ਤੁਹਾਡੇ ਲਈ ਕਿਹੜਾ ਦਿਨ ਅਤੇ ਸਮਾਂ ਠੀਕ ਰਹੇਗਾ?',
+  askContact: ({ name }) => `ਧੰਨਵਾਦ, ${name}। ਕੀ ਤੁਹਾਡੀ ਈਮੇਲ ਜਾਂ ਫ਼ੋਨ ਨੰਬਰ ਮਿਲ ਸਕਦਾ ਹੈ?`,
+  askBookingName: 'ਅਤੇ ਬੁਕਿੰਗ ਕਿਸ ਦੇ ਨਾਮ ਤੇ ਕਰਨੀ ਹੈ?',
+  askNameAndContact: 'ਤੁਹਾਡਾ ਨਾਮ ਕੀ ਹੈ, ਅਤੇ ਕੀ ਤੁਹਾਡੀ ਈਮੇਲ ਜਾਂ ਫ਼ੋਨ ਨੰਬਰ ਮਿਲ ਸਕਦਾ ਹੈ?',
+  askWhatToBook: 'ਤੁਸੀਂ ਕੀ ਬੁੱਕ ਕਰਨਾ ਚਾਹੋਗੇ?',
+  offerBooking: 'ਕੀ ਤੁਸੀਂ ਅਪੌਇੰਟਮੈਂਟ ਬੁੱਕ ਕਰਨਾ ਚਾਹੋਗੇ?',
+  anythingElse: 'ਕੀ ਤੁਹਾਨੂੰ ਹੋਰ ਕਿਸੇ ਚੀਜ਼ ਵਿੱਚ ਮਦਦ ਚਾਹੀਦੀ ਹੈ?',
+  servicesOffered: ({ services }) => `ਸਾਡੇ ਕੋਲ ${services} ਹੈ। ਤੁਹਾਨੂੰ ਕਿਹੜੀ ਚਾਹੀਦੀ ਹੈ?`,
+  allSet: 'ਸਭ ਕੁਝ ਤਿਆਰ ਹੈ। ਕੀ ਤੁਹਾਨੂੰ ਹੋਰ ਕਿਸੇ ਚੀਜ਼ ਵਿੱਚ ਮਦਦ ਚਾਹੀਦੀ ਹੈ?',
+  confirmBooking: ({ service, date, time, name }) => `ਪੁਸ਼ਟੀ ਲਈ: ${name} ਦੇ ਨਾਮ ਤੇ ${date} ਨੂੰ ${time} ${service || 'ਤੁਹਾਡੀ ਅਪੌਇੰਟਮੈਂਟ'}। ਕੀ ਇਹ ਠੀਕ ਹੈ?`,
+  confirmReschedule: ({ booking, date, time }) => `ਪੁਸ਼ਟੀ ਲਈ: ਤੁਹਾਡੀ ${booking} ਨੂੰ ${date} ਨੂੰ ${time} ਤੇ ਬਦਲ ਦਿੱਤਾ ਜਾਵੇਗਾ। ਕੀ ਇਹ ਠੀਕ ਹੈ?`,
+  askWhatToChange: 'ਕੀ ਬਦਲਣਾ ਹੈ: ਸੇਵਾ, ਤਾਰੀਖ, ਸਮਾਂ, ਜਾਂ ਨਾਮ?',
+  askWhatToChangeAfterNo: 'ਕੋਈ ਗੱਲ ਨਹੀਂ। ਕੀ ਬਦਲਣਾ ਹੈ: ਸੇਵਾ, ਤਾਰੀਖ, ਸਮਾਂ, ਜਾਂ ਨਾਮ?',
+  askWhatToChangeRetry: 'ਮਾਫ਼ ਕਰਨਾ, ਕੀ ਬਦਲਣਾ ਹੈ: ਸੇਵਾ, ਤਾਰੀਖ, ਸਮਾਂ, ਜਾਂ ਨਾਮ?',
+  datePassed: 'ਉਹ ਤਾਰੀਖ ਲੰਘ ਚੁੱਕੀ ਹੈ।',
+  timePassed: 'ਅੱਜ ਉਹ ਸਮਾਂ ਲੰਘ ਚੁੱਕਾ ਹੈ।',
+  welcomeBack: ({ name }) => `ਜੀ ਆਇਆਂ ਨੂੰ, ${name}!`,
+  afterHoursNote: ({ day, time }) => `ਤੁਹਾਡੀ ਜਾਣਕਾਰੀ ਲਈ, ਅਸੀਂ ਇਸ ਵੇਲੇ ਬੰਦ ਹਾਂ${day ? ` ਅਤੇ ${day} ${time} ਦੁਬਾਰਾ ਖੁੱਲ੍ਹਾਂਗੇ` : ''}, ਪਰ ਮਦਦ ਫਿਰ ਵੀ ਹੋ ਸਕਦੀ ਹੈ।`,
+  handoffOfferMessage: ({ business }) => `ਮਾਫ਼ ਕਰਨਾ, ਇਸ ਵਿੱਚ ਮੁਸ਼ਕਲ ਆ ਰਹੀ ਹੈ। ਕੀ ਤੁਸੀਂ ਸੁਨੇਹਾ ਛੱਡਣਾ ਚਾਹੋਗੇ ਤਾਂ ਜੋ ${business} ਤੋਂ ਕੋਈ ਤੁਹਾਨੂੰ ਵਾਪਸ ਫ਼ੋਨ ਕਰ ਸਕੇ?`,
+  handoffContactDirectly: ({ business }) => `ਮਾਫ਼ ਕਰਨਾ, ਇਸ ਵਿੱਚ ਮੁਸ਼ਕਲ ਆ ਰਹੀ ਹੈ। ਕਿਰਪਾ ਕਰਕੇ ${business} ਨੂੰ ਟੈਕਸਟ ਜਾਂ ਈਮੇਲ ਕਰੋ, ਕੋਈ ਤੁਹਾਡੀ ਸਿੱਧੀ ਮਦਦ ਕਰੇਗਾ।`,
+  goodbye: ({ business }) => `ਕੋਈ ਗੱਲ ਨਹੀਂ। ${business} ਨੂੰ ਫ਼ੋਨ ਕਰਨ ਲਈ ਧੰਨਵਾਦ। ਸਤ ਸ੍ਰੀ ਅਕਾਲ।`,
+  bookingUnavailable: ({ business }) => `ਮਾਫ਼ ਕਰਨਾ, ਇਸ ਵੇਲੇ ${business} ਨਾਲ ਫ਼ੋਨ ਤੇ ਬੁਕਿੰਗ ਨਹੀਂ ਹੋ ਸਕਦੀ। ਕੀ ਤੁਸੀਂ ਸੁਨੇਹਾ ਛੱਡਣਾ ਚਾਹੋਗੇ ਤਾਂ ਜੋ ਉਹ ਤੁਹਾਨੂੰ ਬੁਕਿੰਗ ਲਈ ਵਾਪਸ ਫ਼ੋਨ ਕਰ ਸਕਣ?`,
+  booked: ({ service, date, time, name, texted }) => `ਬਹੁਤ ਵਧੀਆ! ${name} ਦੇ ਨਾਮ ਤੇ ${date} ਨੂੰ ${time} ${service || 'ਤੁਹਾਡੀ ਅਪੌਇੰਟਮੈਂਟ'} ਬੁੱਕ ਹੋ ਗਈ ਹੈ। ${texted ? 'ਪੁਸ਼ਟੀ ਤੁਹਾਨੂੰ ਟੈਕਸਟ ਸੁਨੇਹੇ ਰਾਹੀਂ ਭੇਜੀ ਜਾ ਰਹੀ ਹੈ।' : 'ਤੁਹਾਨੂੰ ਜਲਦੀ ਹੀ ਪੁਸ਼ਟੀ ਮਿਲ ਜਾਵੇਗੀ।'}`,
+  rescheduled: ({ service, date, time }) => `ਹੋ ਗਿਆ। ਤੁਹਾਡੀ ${service || 'ਅਪੌਇੰਟਮੈਂਟ'} ਹੁਣ ${date} ਨੂੰ ${time} ਹੈ।`,
+  bookingFailed: 'ਇਹ ਬੁਕਿੰਗ ਕਰਨ ਵਿੱਚ ਮੁਸ਼ਕਲ ਆਈ, ਪਰ ਅਸੀਂ ਦੁਬਾਰਾ ਕੋਸ਼ਿਸ਼ ਕਰ ਸਕਦੇ ਹਾਂ। ਤੁਹਾਡੇ ਲਈ ਹੋਰ ਕਿਹੜਾ ਸਮਾਂ ਠੀਕ ਰਹੇਗਾ?',
+  timeNotOpen: ({ time, date, alternatives, count }) =>
+    `ਮਾਫ਼ ਕਰਨਾ, ${date} ਨੂੰ ${time} ਖਾਲੀ ਨਹੀਂ ਹੈ। ${alternatives} ਖਾਲੀ ਹੈ, ${count === 1 ? 'ਕੀ ਇਹ ਠੀਕ ਰਹੇਗਾ?' : 'ਕੀ ਇਹਨਾਂ ਵਿੱਚੋਂ ਕੋਈ ਠੀਕ ਰਹੇਗਾ?'}`,
+  noOpenings: ({ date }) => `ਮਾਫ਼ ਕਰਨਾ, ${date} ਨੂੰ ਕੋਈ ਸਮਾਂ ਖਾਲੀ ਨਹੀਂ ਹੈ। ਤੁਹਾਡੇ ਲਈ ਹੋਰ ਕਿਹੜਾ ਦਿਨ ਠੀਕ ਰਹੇਗਾ?`,
+  bookingSystemDown: ({ business }) => `ਮਾਫ਼ ਕਰਨਾ, ਇਸ ਵੇਲੇ ਬੁਕਿੰਗ ਸਿਸਟਮ ਨਾਲ ਸੰਪਰਕ ਨਹੀਂ ਹੋ ਰਿਹਾ। ਕੀ ਤੁਸੀਂ ਸੁਨੇਹਾ ਛੱਡਣਾ ਚਾਹੋਗੇ ਤਾਂ ਜੋ ${business} ਤੁਹਾਨੂੰ ਵਾਪਸ ਫ਼ੋਨ ਕਰ ਸਕੇ, ਜਾਂ ਕੋਈ ਹੋਰ ਸਮਾਂ ਦੇਖੀਏ?`,
+  slotUnavailable: 'ਮਾਫ਼ ਕਰਨਾ, ਉਹ ਸਮਾਂ ਖਾਲੀ ਨਹੀਂ ਹੈ। ਤੁਹਾਡੇ ਲਈ ਹੋਰ ਕਿਹੜਾ ਦਿਨ ਜਾਂ ਸਮਾਂ ਠੀਕ ਰਹੇਗਾ?',
+  fallback: 'ਇਹ ਸਮਝਣ ਵਿੱਚ ਮੁਸ਼ਕਲ ਆਈ, ਪਰ ਅਸੀਂ ਦੁਬਾਰਾ ਕੋਸ਼ਿਸ਼ ਕਰ ਸਕਦੇ ਹਾਂ। ਤੁਸੀਂ ਕੀ ਕਰਨਾ ਚਾਹੋਗੇ?',
+  errorOfferMessage: 'ਇਸ ਵੇਲੇ ਬੁਕਿੰਗ ਸਿਸਟਮ ਨਾਲ ਸੰਪਰਕ ਕਰਨ ਵਿੱਚ ਮੁਸ਼ਕਲ ਆ ਰਹੀ ਹੈ। ਕੀ ਤੁਸੀਂ ਸੁਨੇਹਾ ਛੱਡਣਾ ਚਾਹੋਗੇ ਤਾਂ ਜੋ ਕੋਈ ਤੁਹਾਨੂੰ ਵਾਪਸ ਫ਼ੋਨ ਕਰ ਸਕੇ?',
+  errorTryLater: 'ਇਸ ਵੇਲੇ ਬੁਕਿੰਗ ਸਿਸਟਮ ਨਾਲ ਸੰਪਰਕ ਕਰਨ ਵਿੱਚ ਮੁਸ਼ਕਲ ਆ ਰਹੀ ਹੈ। ਕਿਰਪਾ ਕਰਕੇ ਬਾਅਦ ਵਿੱਚ ਦੁਬਾਰਾ ਕੋਸ਼ਿਸ਼ ਕਰੋ।',
+
+  // Contact details, spelled back before booking (contactCapture.js)
+  emailSymbols: { '@': 'ਐਟ', '.': 'ਡੌਟ', '_': 'ਅੰਡਰਸਕੋਰ', '-': 'ਡੈਸ਼', '+': 'ਪਲੱਸ' },
+  confirmEmail: ({ email }) => `ਪੱਕਾ ਕਰਨ ਲਈ, ਤੁਹਾਡੀ ਈਮੇਲ ਹੈ: ${email}। ਕੀ ਇਹ ਠੀਕ ਹੈ?`,
+  confirmPhone: ({ phone }) => `ਪੱਕਾ ਕਰਨ ਲਈ, ਤੁਹਾਡਾ ਨੰਬਰ ਹੈ: ${phone}। ਕੀ ਇਹ ਠੀਕ ਹੈ?`,
+  askWhichContactPart: ({ field }) => (field === 'email'
+    ? 'ਕਿਹੜਾ ਹਿੱਸਾ ਗਲਤ ਹੈ: @ ਤੋਂ ਪਹਿਲਾਂ ਵਾਲਾ, ਜਾਂ ਬਾਅਦ ਵਾਲਾ?'
+    : 'ਕਿਹੜਾ ਹਿੱਸਾ ਗਲਤ ਹੈ: ਏਰੀਆ ਕੋਡ, ਵਿਚਕਾਰਲੇ ਤਿੰਨ ਅੰਕ, ਜਾਂ ਆਖਰੀ ਚਾਰ?'),
+  askContactPart: ({ part }) => ({
+    emailLocal: 'ਕੀ ਤੁਸੀਂ @ ਤੋਂ ਪਹਿਲਾਂ ਵਾਲਾ ਹਿੱਸਾ ਸਪੈੱਲ ਕਰ ਸਕਦੇ ਹੋ?',
+    emailDomain: '@ ਤੋਂ ਬਾਅਦ ਕੀ ਆਉਂਦਾ ਹੈ? ਜਿਵੇਂ gmail ਡੌਟ com।',
+    email: 'ਕੀ ਤੁਸੀਂ ਆਪਣੀ ਈਮੇਲ ਸਪੈੱਲ ਕਰ ਸਕਦੇ ਹੋ?',
+    areaCode: 'ਏਰੀਆ ਕੋਡ ਕੀ ਹੈ?',
+    exchange: 'ਏਰੀਆ ਕੋਡ ਤੋਂ ਬਾਅਦ ਵਾਲੇ ਤਿੰਨ ਅੰਕ ਕੀ ਹਨ?',
+    lineNumber: 'ਆਖਰੀ ਚਾਰ ਅੰਕ ਕੀ ਹਨ?',
+    phone: 'ਏਰੀਆ ਕੋਡ ਸਮੇਤ ਪੂਰਾ ਨੰਬਰ ਕੀ ਹੈ?'
+  })[part],
+  contactInvalid: ({ field }) => (field === 'email'
+    ? 'ਮਾਫ਼ ਕਰਨਾ, ਪੂਰੀ ਈਮੇਲ ਸਮਝ ਨਹੀਂ ਆਈ। ਕੀ ਤੁਸੀਂ ਇਸਨੂੰ ਸਪੈੱਲ ਕਰ ਸਕਦੇ ਹੋ?'
+    : 'ਮਾਫ਼ ਕਰਨਾ, ਪੂਰਾ ਫ਼ੋਨ ਨੰਬਰ ਸਮਝ ਨਹੀਂ ਆਇਆ। ਕੀ ਤੁਸੀਂ ਏਰੀਆ ਕੋਡ ਸਮੇਤ ਦੁਬਾਰਾ ਦੱਸ ਸਕਦੇ ਹੋ?'),
+
+  // Cancel / reschedule (manageBooking.js)
+  askLookupKey: 'ਤੁਸੀਂ ਕਿਹੜੇ ਫ਼ੋਨ ਨੰਬਰ ਜਾਂ ਈਮੇਲ ਨਾਲ ਬੁਕਿੰਗ ਕੀਤੀ ਸੀ?',
+  askLookupKeyAgain: 'ਕੋਈ ਗੱਲ ਨਹੀਂ। ਤੁਸੀਂ ਉਹ ਅਪੌਇੰਟਮੈਂਟ ਕਿਹੜੇ ਫ਼ੋਨ ਨੰਬਰ ਜਾਂ ਈਮੇਲ ਨਾਲ ਬੁੱਕ ਕੀਤੀ ਸੀ?',
+  lookupFailed: ({ business }) => `ਇਸ ਵੇਲੇ ਬੁਕਿੰਗਾਂ ਲੱਭਣ ਵਿੱਚ ਮੁਸ਼ਕਲ ਆ ਰਹੀ ਹੈ। ਕਿਰਪਾ ਕਰਕੇ ${business} ਨਾਲ ਸਿੱਧਾ ਸੰਪਰਕ ਕਰੋ।`,
+  noBookingsFound: ({ byEmail }) => `${byEmail ? 'ਉਸ ਈਮੇਲ' : 'ਉਸ ਨੰਬਰ'} ਤੇ ਕੋਈ ਆਉਣ ਵਾਲੀ ਬੁਕਿੰਗ ਨਹੀਂ ਮਿਲੀ। ਤੁਸੀਂ ਕਿਹੜੇ ਫ਼ੋਨ ਨੰਬਰ ਜਾਂ ਈਮੇਲ ਨਾਲ ਬੁਕਿੰਗ ਕੀਤੀ ਸੀ?`,
+  foundOneBooking: ({ booking, flow }) => `ਤੁਹਾਡੀ ${booking} ਮਿਲੀ ਹੈ। ਕੀ ਤੁਸੀਂ ਇਹੀ ${verb(flow)} ਚਾਹੁੰਦੇ ਹੋ?`,
+  foundBookings: ({ bookings, flow }) => `${bookings} ਮਿਲੀਆਂ ਹਨ। ਤੁਸੀਂ ਕਿਹੜੀ ${verb(flow)} ਚਾਹੁੰਦੇ ਹੋ?`,
+  whichBooking: ({ flow }) => `ਤੁਸੀਂ ਕਿਹੜੀ ਬੁਕਿੰਗ ${verb(flow)} ਚਾਹੁੰਦੇ ਹੋ?`,
+  whichBookingRetry: ({ bookings }) => `ਮਾਫ਼ ਕਰਨਾ, ਤੁਹਾਡਾ ਮਤਲਬ ਕਿਹੜੀ ਸੀ: ${bookings}?`,
+  whichBookingAfterNo: ({ bookings }) => `ਕੋਈ ਗੱਲ ਨਹੀਂ। ਤੁਹਾਡਾ ਮਤਲਬ ਕਿਹੜੀ ਸੀ: ${bookings}?`,
+  confirmPickedBooking: ({ booking }) => `ਤੁਹਾਡੀ ${booking}, ਕੀ ਇਹ ਠੀਕ ਹੈ?`,
+  confirmBookingToChange: ({ booking, flow }) => `ਕੀ ਤੁਸੀਂ ਆਪਣੀ ${booking} ${verb(flow)} ਚਾਹੁੰਦੇ ਹੋ?`,
+  insideCancellationWindow: ({ booking, hours, flow, business }) =>
+    `ਤੁਹਾਡੀ ${booking} ਸਾਡੇ ${hours} ਘੰਟਿਆਂ ਦੇ ਰੱਦ ਕਰਨ ਵਾਲੇ ਸਮੇਂ ਦੇ ਅੰਦਰ ਹੈ, ਇਸ ਲਈ ਇਹ ਫ਼ੋਨ ਤੇ ${flow === 'cancel' ? 'ਰੱਦ ਨਹੀਂ ਹੋ' : 'ਬਦਲੀ ਨਹੀਂ ਜਾ'} ਸਕਦੀ। ਕਿਰਪਾ ਕਰਕੇ ${business} ਨਾਲ ਸਿੱਧਾ ਸੰਪਰਕ ਕਰੋ।`,
+  cancelled: ({ booking }) => `ਹੋ ਗਿਆ। ਤੁਹਾਡੀ ${booking} ਰੱਦ ਕਰ ਦਿੱਤੀ ਗਈ ਹੈ। ਕੀ ਤੁਹਾਨੂੰ ਹੋਰ ਕਿਸੇ ਚੀਜ਼ ਵਿੱਚ ਮਦਦ ਚਾਹੀਦੀ ਹੈ?`,
+  cancelFailed: ({ business }) => `ਇਸਨੂੰ ਰੱਦ ਕਰਨ ਵਿੱਚ ਮੁਸ਼ਕਲ ਆਈ। ਕਿਰਪਾ ਕਰਕੇ ${business} ਨਾਲ ਸਿੱਧਾ ਸੰਪਰਕ ਕਰੋ।`,
+
+  // Messages (takeMessage.js)
+  messageAskName: ({ business }) => `ਜ਼ਰੂਰ, ${business} ਲਈ ਸੁਨੇਹਾ ਛੱਡਿਆ ਜਾ ਸਕਦਾ ਹੈ। ਤੁਹਾਡਾ ਨਾਮ ਕੀ ਹੈ?`,
+  messageAskText: 'ਤੁਸੀਂ ਕੀ ਸੁਨੇਹਾ ਦੇਣਾ ਚਾਹੁੰਦੇ ਹੋ?',
+  messageAskPhone: 'ਤੁਹਾਨੂੰ ਵਾਪਸ ਫ਼ੋਨ ਕਰਨ ਲਈ ਕਿਹੜਾ ਨੰਬਰ ਸਭ ਤੋਂ ਵਧੀਆ ਹੈ?',
+  messageReadBack: ({ business, name, phone, message }) => `ਪੁਸ਼ਟੀ ਲਈ: ${business} ${name} ਨੂੰ ${phone} ਤੇ ਇਸ ਬਾਰੇ ਵਾਪਸ ਫ਼ੋਨ ਕਰੇਗਾ: ${message}। ਕੀ ਇਹ ਠੀਕ ਹੈ?`,
+  messageDeclined: 'ਕੋਈ ਗੱਲ ਨਹੀਂ। ਕੀ ਤੁਹਾਨੂੰ ਹੋਰ ਕਿਸੇ ਚੀਜ਼ ਵਿੱਚ ਮਦਦ ਚਾਹੀਦੀ ਹੈ?',
+  messageWhatToChange: 'ਕੋਈ ਗੱਲ ਨਹੀਂ। ਕੀ ਬਦਲਣਾ ਹੈ: ਤੁਹਾਡਾ ਨਾਮ, ਨੰਬਰ, ਜਾਂ ਸੁਨੇਹਾ?',
+  messageWhatToChangeRetry: 'ਮਾਫ਼ ਕਰਨਾ, ਕੀ ਬਦਲਣਾ ਹੈ: ਤੁਹਾਡਾ ਨਾਮ, ਨੰਬਰ, ਜਾਂ ਸੁਨੇਹਾ?',
+  messageSent: ({ business }) => `ਠੀਕ ਹੈ। ਤੁਹਾਡਾ ਸੁਨੇਹਾ ${business} ਤੱਕ ਪਹੁੰਚਾ ਦਿੱਤਾ ਜਾਵੇਗਾ। ਕੀ ਤੁਹਾਨੂੰ ਹੋਰ ਕਿਸੇ ਚੀਜ਼ ਵਿੱਚ ਮਦਦ ਚਾਹੀਦੀ ਹੈ?`,
+
+  // Transfers (handoff.js)
+  transferHold: ({ business }) => `ਕਿਰਪਾ ਕਰਕੇ ਲਾਈਨ ਤੇ ਰਹੋ, ਤੁਹਾਨੂੰ ${business} ਵਿੱਚ ਕਿਸੇ ਨਾਲ ਜੋੜਿਆ ਜਾ ਰਿਹਾ ਹੈ।`,
+  transferNoAnswer: ({ business }) => `ਮਾਫ਼ ਕਰਨਾ, ਇਸ ਵੇਲੇ ${business} ਵਿੱਚ ਕੋਈ ਫ਼ੋਨ ਨਹੀਂ ਚੁੱਕ ਸਕਿਆ। ਉਹ ਜਿੰਨੀ ਜਲਦੀ ਹੋ ਸਕੇ ਤੁਹਾਨੂੰ ਵਾਪਸ ਫ਼ੋਨ ਕਰਨਗੇ। ਸਤ ਸ੍ਰੀ ਅਕਾਲ।`,
+
+  // Booking texts (bookingNotifications.js), unless the business words its own
+  smsConfirmation: ({ name, service, business, date, time, address }) =>
+    `ਸਤ ਸ੍ਰੀ ਅਕਾਲ${name ? ` ${name}` : ''}, ${business} ਵਿਖੇ ${date} ਨੂੰ ${time} ਤੁਹਾਡੀ ${service || 'ਅਪੌਇੰਟਮੈਂਟ'} ਪੱਕੀ ਹੈ।${address ? ` ਪਤਾ: ${address}।` : ''}`,
+  smsReminder: ({ service, business, date, time, address }) =>
+    `ਯਾਦ ਰਹੇ: ${business} ਵਿਖੇ ${date} ਨੂੰ ${time} ਤੁਹਾਡੀ ${service || 'ਅਪੌਇੰਟਮੈਂਟ'} ਹੈ।${address ? ` ਪਤਾ: ${address}।` : ''}`,
+
+  // Greetings for businesses without their own
+  greeting: ({ business }) => `ਸਤ ਸ੍ਰੀ ਅਕਾਲ, ਤੁਸੀਂ ${business} ਨੂੰ ਫ਼ੋਨ ਕੀਤਾ ਹੈ। ਦੱਸੋ, ਕੀ ਮਦਦ ਕਰ ਸਕਦੇ ਹਾਂ?`,
+  afterHoursGreeting: ({ business }) => `ਸਤ ਸ੍ਰੀ ਅਕਾਲ, ਤੁਸੀਂ ${business} ਨੂੰ ਫ਼ੋਨ ਕੀਤਾ ਹੈ। ਅਸੀਂ ਇਸ ਵੇਲੇ ਬੰਦ ਹਾਂ, ਪਰ ਮਦਦ ਫਿਰ ਵੀ ਹੋ ਸਕਦੀ ਹੈ।`,
+
+  // Spoken examples in the Realtime system prompt
+  promptGreetingExamples: ({ business }) => [`${business} ਨੂੰ ਫ਼ੋਨ ਕਰਨ ਲਈ ਧੰਨਵਾਦ। ਅੱਜ ਕੀ ਮਦਦ ਕਰ ਸਕਦੇ ਹਾਂ?`, `ਸਤ ਸ੍ਰੀ ਅਕਾਲ, ਇਹ ${business} ਹੈ। ਦੱਸੋ, ਕੀ ਸੇਵਾ ਕਰ ਸਕਦੇ ਹਾਂ?`],
+  promptWhichOne: 'ਤੁਹਾਨੂੰ ਕਿਹੜੀ ਚਾਹੀਦੀ ਹੈ?'
+};
@@ -0,0 +1,177 @@
+// src/services/book8Api.js
+// Book8 agent API helpers shared by the text endpoint and the Realtime tools.
+// Every call takes the credentials of the business the call belongs to (resolveAgentCredentials),
+// so each business books into its own calendar.
+
+const DEFAULT_BOOK8_API_URL = 'https://api.book8.com';
+
+// "cutz-barber" → "BOOK8_AGENT_API_KEY_CUTZ_BARBER"
+function agentKeyEnvName(businessId) {
+  return `BOOK8_AGENT_API_KEY_${String(businessId).toUpperCase().replace(/[^A-Z0-9]+/g, '_')}`;
+}
+
+/**
+ * Agent API key and base URL for a business profile. The key comes from, in order:
+ *   1. profile.agentApiKey (e.g. supplied by core-api)
+ *   2. the env var named by profile.agentApiKeyEnv
+ *   3. BOOK8_AGENT_API_KEY_<BUSINESS_ID>
+ *   4. BOOK8_AGENT_API_KEY, for the default business only (single-business deployments)
+ * The base URL is profile.bookingApiUrl, then BOOK8_API_URL, then https://api.book8.com.
+ * Env is read per call because dotenv loads after module imports.
+ * @returns {{ ok: true, apiKey: string, baseUrl: string, businessId: string } | { ok: false, error: string, businessId: string }}
+ */
+export function resolveAgentCredentials(profile) {
+  const businessId = profile?.id || profile?.handle || null;
+  const baseUrl = String(profile?.bookingApiUrl || process.env.BOOK8_API_URL || DEFAULT_BOOK8_API_URL).replace(/\/$/, '');
+  const defaultBusiness = process.env.DEFAULT_BUSINESS_HANDLE || 'waismofit';
+
+  const apiKey =
+    profile?.agentApiKey ||
+    (profile?.agentApiKeyEnv && process.env[profile.agentApiKeyEnv]) ||
+    (businessId && process.env[agentKeyEnvName(businessId)]) ||
+    (businessId === defaultBusiness && process.env.BOOK8_AGENT_API_KEY) ||
+    null;
+
+  if (!apiKey) {
+    const where = profile?.agentApiKeyEnv || (businessId ? agentKeyEnvName(businessId) : 'a per-business key');
+    return { ok: false, businessId, error: `No Book8 agent API key for business "${businessId || 'unknown'}" (set ${where})` };
+  }
+  return { ok: true, apiKey, baseUrl, businessId };
+}
+
+function missingCredentials(credentials, logTag) {
+  if (credentials?.ok && credentials.apiKey) return null;
+  const error = credentials?.error || 'No Book8 agent API key for this business';
+  console.error(`[${logTag}] ${error}`);
+  return error;
+}
+
+export async function callCheckAvailability({ date, timezone, durationMinutes, credentials }) {
+  try {
+    // Validate required fields
+    if (!date || !timezone) {
+      console.error('[callCheckAvailability] Missing required fields:', { date: !!date, timezone: !!timezone });
+      return { available: false, error: 'Missing required availability information' };
+    }
+    
+    // Ensure duration is a valid number
+    let numDuration = Number(durationMinutes);
+    if (isNaN(numDuration) || numDuration <= 0) {
+      console.warn('[callCheckAvailability] Invalid duration, defaulting to 30:', durationMinutes);
+      numDuration = 30;
+    }
+    
+    // Ensure the business has an agent API key
+    const credentialError = missingCredentials(credentials, 'callCheckAvailability');
+    if (credentialError) {
+      return { available: false, error: credentialError };
+    }
+    
+    const response = await fetch(`${credentials.baseUrl}/api/agent/check-availability`, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+      },
+      body: JSON.stringify({
+        agentApiKey: credentials.apiKey,
+        date: String(date),
+        timezone: String(timezone),
+        durationMinutes: numDuration
+      })
+    });
+    
+    if (!response.ok) {
+      const errorText = await response.text().catch(() => 'Unknown error');
+      console.error('[callCheckAvailability] API returned error:', response.status, errorText);
+      return { available: false, error: `API error: ${response.status}` };
+    }
+    
+    const result = await response.json().catch(() => ({ available: false, error: 'Invalid JSON response' }));
+    return result || { available: false, error: 'Empty response' };
+  } catch (error) {
+    console.error('[callCheckAvailability] Error:', error);
+    return { available: false, error: error.message || 'Availability check failed' };
+  }
+}
+
+export async function callBookAppointment({ start, guestName, guestEmail, guestPhone, credentials }) {
+  const credentialError = missingCredentials(credentials, 'callBookAppointment');
+  if (credentialError) {
+    return { ok: false, error: credentialError };
+  }
+
+  try {
+    const response = await fetch(`${credentials.baseUrl}/api/agent/book`, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+      },
+      body: JSON.stringify({
+        agentApiKey: credentials.apiKey,
+        start,
+        guestName,
+        guestEmail,
+        guestPhone: guestPhone || null
+      })
+    });
+    return await response.json();
+  } catch (error) {
+    console.error('[callBookAppointment] Error:', error);
+    return { ok: false, error: error.message };
+  }
+}
+
+// POST to a Book8 agent endpoint and normalize failures to { ok: false, error }
+async function postAgentApi(path, payload, credentials, logTag) {
+  const credentialError = missingCredentials(credentials, logTag);
+  if (credentialError) {
+    return { ok: false, error: credentialError };
+  }
+
+  try {
+    const response = await fetch(`${credentials.baseUrl}${path}`, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+      },
+      body: JSON.stringify({
+        agentApiKey: credentials.apiKey,
+        ...payload
+      })
+    });
+
+    if (!response.ok) {
+      const errorText = await response.text().catch(() => 'Unknown error');
+      console.error(`[${logTag}] API returned error:`, response.status, errorText);
+      return { ok: false, error: `API error: ${response.status}` };
+    }
+
+    const result = await response.json().catch(() => null);
+    return result || { ok: false, error: 'Invalid JSON response' };
+  } catch (error) {
+    console.error(`[${logTag}] Error:`, error);
+    return { ok: false, error: error.message };
+  }
+}
+
+// Upcoming bookings for a guest, looked up by phone and/or email
+export async function callFindBookings({ phone, email, credentials }) {
+  if (!phone && !email) {
+    return { ok: false, error: 'Phone or email is required to look up bookings' };
+  }
+  const result = await postAgentApi('/api/agent/bookings', {
+    guestPhone: phone || null,
+    guestEmail: email || null,
+    upcomingOnly: true
+  }, credentials, 'callFindBookings');
+  if (result.ok === false) return result;
+  return { ok: true, bookings: Array.isArray(result.bookings) ? result.bookings : [] };
+}
+
+export async function callCancelBooking({ bookingId, reason, credentials }) {
+  return postAgentApi('/api/agent/cancel', { bookingId, reason: reason || null }, credentials, 'callCancelBooking');
+}
+
+export async function callRescheduleBooking({ bookingId, start, credentials }) {
+  return postAgentApi('/api/agent/reschedule', { bookingId, start }, credentials, 'callRescheduleBooking');
+}
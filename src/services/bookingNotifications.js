@@ -0,0 +1,93 @@
+// src/services/bookingNotifications.js
+// Texts for a booking made on a call, so the caller has the date and time in writing: a
+// confirmation right away, then a reminder each profile.sms.reminderHoursBefore ahead of the
+// appointment, all through smsSender.js. A business can word its own (profile.sms
+// confirmationTemplate / reminderTemplate, with {name} {service} {business} {date} {time}
+// {address}); otherwise the call language's templates in src/i18n are used.
+
+import { getSmsSender } from './smsSender.js';
+import { toE164 } from '../utils/phone.js';
+import { t, DEFAULT_LANGUAGE } from '../i18n/index.js';
+
+// Twilio only schedules messages between 15 minutes and 35 days ahead
+const MIN_SCHEDULE_AHEAD_MS = 15 * 60 * 1000;
+const MAX_SCHEDULE_AHEAD_MS = 35 * 24 * 60 * 60 * 1000;
+
+// "Wed, Oct 21" / "mer. 21 oct." for a business-local YYYY-MM-DD
+function writtenDate(date, language) {
+  const day = new Date(`${date}T12:00:00Z`);
+  if (isNaN(day)) return date;
+  return new Intl.DateTimeFormat(language, { weekday: 'short', month: 'short', day: 'numeric', timeZone: 'UTC' }).format(day);
+}
+
+// "3:00 PM" / "15 h 00" for a business-local HH:mm
+function writtenTime(time, language) {
+  const [hour, minute] = String(time).split(':').map(Number);
+  if (isNaN(hour) || isNaN(minute)) return time;
+  return new Intl.DateTimeFormat(language, { hour: 'numeric', minute: '2-digit', timeZone: 'UTC' })
+    .format(new Date(Date.UTC(2026, 0, 1, hour, minute)));
+}
+
+// "{name}, see you {date}" → "Sam, see you Wed, Oct 21"; unknown placeholders are left out
+export function renderTemplate(template, vars) {
+  return String(template)
+    .replace(/\{(\w+)\}/g, (_, key) => (vars[key] === undefined || vars[key] === null ? '' : String(vars[key])))
+    .replace(/\s{2,}/g, ' ')
+    .trim();
+}
+
+/**
+ * True when a booking on this call will be texted: the business hasn't turned texts off, the
+ * guest has a phone number and the sender can send from the business's number.
+ */
+export function canTextBooking(profile, guestPhone) {
+  return !!profile?.sms?.enabled && !!toE164(guestPhone) && getSmsSender().canSend({ from: profile.sms.fromNumber });
+}
+
+/**
+ * Text the guest a confirmation now and schedule their reminders.
+ * @param {object} args
+ * @param {object} args.profile - Business profile from getBusinessProfile
+ * @param {object} args.booking - { service, start (ISO with offset), date, time, guestName, guestPhone }
+ * @param {string} [args.language] - Call language (BCP 47); defaults to the business's primary language
+ * @param {Date} [args.now] - Current time, for which reminders can still be scheduled
+ * @returns {Promise<{ confirmation: object, reminders: Array<object> }>} The sender's results
+ */
+export async function sendBookingTexts({ profile, booking, language = profile?.language || DEFAULT_LANGUAGE, now = new Date() }) {
+  const to = toE164(booking.guestPhone);
+  if (!to || !profile?.sms?.enabled) {
+    return { confirmation: { ok: false, error: 'No number to text, or texts are off for this business' }, reminders: [] };
+  }
+
+  const sender = getSmsSender();
+  const from = profile.sms.fromNumber;
+  const vars = {
+    name: booking.guestName || null,
+    service: booking.service || null,
+    business: profile.name,
+    date: writtenDate(booking.date, language),
+    time: writtenTime(booking.time, language),
+    address: profile.location || null
+  };
+  const render = (template, key) => (template ? renderTemplate(template, vars) : t(language, key, vars));
+
+  const confirmation = await sender.send({ to, from, body: render(profile.sms.confirmationTemplate, 'smsConfirmation') });
+  if (confirmation.ok) {
+    console.log(`[bookingNotifications] Confirmation texted to ${to} for ${profile.id}`);
+  } else {
+    console.warn(`[bookingNotifications] Confirmation to ${to} not sent: ${confirmation.error}`);
+  }
+
+  const reminders = [];
+  const startMs = Date.parse(booking.start);
+  for (const hours of profile.sms.reminderHoursBefore) {
+    const sendAt = new Date(startMs - hours * 60 * 60 * 1000);
+    const ahead = sendAt.getTime() - now.getTime();
+    if (isNaN(ahead) || ahead < MIN_SCHEDULE_AHEAD_MS || ahead > MAX_SCHEDULE_AHEAD_MS) continue;
+    const result = await sender.send({ to, from, body: render(profile.sms.reminderTemplate, 'smsReminder'), sendAt });
+    if (!result.ok) console.warn(`[bookingNotifications] ${hours}h reminder to ${to} not scheduled: ${result.error}`);
+    reminders.push({ hoursBefore: hours, sendAt: sendAt.toISOString(), ...result });
+  }
+
+  return { confirmation, reminders };
+}
@@ -0,0 +1,105 @@
+// src/services/callLifecycle.js
+// call.started / call.ended events for the core-api call log (/internal/calls/started, /ended).
+// A call starts on its first /api/agent-chat turn or Twilio's stream start event, and ends when
+// the gateway reports the hang-up or the media stream stops. The outcome is the last tool that
+// settled something (a booking made, cancelled or moved, a transfer, a message taken); a call
+// that never got that far is "abandoned" at the step it was on. The post-call summary
+// (callSummary.js) follows call.ended.
+
+import { enqueueCallEvent } from './eventOutbox.js';
+import { postCallSummary } from './callSummary.js';
+import { clearCallState, getTurnCount, getCallTurns } from '../state/callState.js';
+
+export const CALL_OUTCOMES = {
+  BOOKED: 'booked',
+  RESCHEDULED: 'rescheduled',
+  CANCELLED: 'cancelled',
+  TRANSFERRED: 'transferred',
+  MESSAGE_TAKEN: 'message_taken',
+  ABANDONED: 'abandoned'
+};
+
+const TOOL_OUTCOMES = {
+  book_appointment: CALL_OUTCOMES.BOOKED,
+  reschedule_booking: CALL_OUTCOMES.RESCHEDULED,
+  cancel_booking: CALL_OUTCOMES.CANCELLED,
+  transfer_to_human: CALL_OUTCOMES.TRANSFERRED,
+  take_message: CALL_OUTCOMES.MESSAGE_TAKEN
+};
+
+// The outcome a successful tool call settles, or null (failed, or a lookup like check_availability)
+export function outcomeForTool(toolName, output) {
+  const outcome = TOOL_OUTCOMES[toolName];
+  if (!outcome || !output) return null;
+  const succeeded = toolName === 'transfer_to_human' ? output.transferred === true : output.ok === true;
+  return succeeded ? outcome : null;
+}
+
+// { outcome, abandonedAtStep } for a call's state; the step is null when the path has no steps (Realtime)
+export function callOutcome(state) {
+  if (state?.outcome) return { outcome: state.outcome, abandonedAtStep: null };
+  return { outcome: CALL_OUTCOMES.ABANDONED, abandonedAtStep: state?.step || null };
+}
+
+/**
+ * Tell core-api a call has started. Safe to repeat: the event ID is per call.
+ * @param {object} args
+ * @param {string} args.callSid - Twilio CallSid
+ * @param {string} args.businessId - Business the call was routed to
+ * @param {string} [args.callerPhone] - Caller's number (Twilio From)
+ * @param {"agent-chat"|"media-stream"} args.channel - Which path is handling the call
+ * @param {string} args.startedAt - ISO time the call started
+ */
+export function emitCallStarted({ callSid, businessId, callerPhone = null, channel, startedAt }) {
+  if (!callSid) return;
+  enqueueCallEvent('started', {
+    eventId: `${callSid}:call.started`,
+    event: 'call.started',
+    callSid,
+    businessId,
+    callerPhone,
+    channel,
+    startedAt,
+    timestamp: new Date().toISOString()
+  });
+}
+
+/**
+ * Tell core-api a call has ended, with its duration, turns and outcome, then drop its call
+ * state, turn counter and transcript. The summary is posted once the LLM has written it,
+ * without holding up the caller.
+ * @param {object} args
+ * @param {string} args.callSid - Twilio CallSid
+ * @param {object} args.state - Call state: { startedAt, businessId, callerPhone, outcome, step }
+ * @param {"agent-chat"|"media-stream"} args.channel - Which path handled the call
+ * @param {string} [args.reason] - Why it ended ("caller_hangup", "stream_stopped", ...)
+ * @param {Date} [args.now] - End time
+ * @returns {Promise<{ outcome: string, abandonedAtStep: string|null, turns: number, durationSeconds: number|null }>}
+ */
+export async function endCall({ callSid, state, channel, reason = 'caller_hangup', now = new Date() }) {
+  const turns = await getTurnCount(callSid);
+  const transcript = await getCallTurns(callSid);
+  const { outcome, abandonedAtStep } = callOutcome(state);
+  const startedMs = Date.parse(state?.startedAt);
+  const durationSeconds = isNaN(startedMs) ? null : Math.max(0, Math.round((now.getTime() - startedMs) / 1000));
+
+  enqueueCallEvent('ended', {
+    eventId: `${callSid}:call.ended`,
+    event: 'call.ended',
+    callSid,
+    businessId: state?.businessId || null,
+    callerPhone: state?.callerPhone || null,
+    channel,
+    reason,
+    outcome,
+    abandonedAtStep,
+    turns,
+    startedAt: state?.startedAt || null,
+    durationSeconds,
+    timestamp: now.toISOString()
+  });
+
+  await clearCallState(callSid);
+  postCallSummary({ callSid, turns: transcript, state, outcome, abandonedAtStep });
+  return { outcome, abandonedAtStep, turns, durationSeconds };
+}
@@ -0,0 +1,190 @@
+// src/services/callSummary.js
+// Post-call summary for staff: once a call ends, its transcript and final call state become a
+// short summary, a disposition code, the caller's contact details and whether someone needs to
+// follow up, posted to core-api (/internal/calls/summary) through the event outbox.
+//
+// The summary comes from an LLM client ({ completeJson }); the OpenAI client shared with NLU
+// extraction by default (src/services/openAiClient.js), or one passed per call. When the LLM
+// can't be reached, or answers with something unusable, a plainer summary is built from the call
+// state instead.
+
+import { enqueueCallEvent } from './eventOutbox.js';
+import { getOpenAiClient } from './openAiClient.js';
+
+export const DISPOSITIONS = {
+  BOOKED: 'booked',
+  RESCHEDULED: 'rescheduled',
+  CANCELLED: 'cancelled',
+  TRANSFERRED: 'transferred',
+  MESSAGE_TAKEN: 'message_taken',
+  INFO_PROVIDED: 'info_provided',
+  ABANDONED: 'abandoned',
+  OTHER: 'other'
+};
+
+const SUMMARY_SCHEMA = {
+  type: "object",
+  properties: {
+    summary: {
+      type: "string",
+      description: "One to three sentences for staff: who called, what they wanted, what happened"
+    },
+    disposition: {
+      type: "string",
+      enum: Object.values(DISPOSITIONS)
+    },
+    contact: {
+      type: "object",
+      properties: {
+        name: { type: ["string", "null"] },
+        phone: { type: ["string", "null"] },
+        email: { type: ["string", "null"] }
+      },
+      required: ["name", "phone", "email"],
+      additionalProperties: false
+    },
+    followUpNeeded: {
+      type: "boolean",
+      description: "True when someone at the business should call the caller back or act on the call"
+    }
+  },
+  required: ["summary", "disposition", "contact", "followUpNeeded"],
+  additionalProperties: false
+};
+
+const SUMMARY_PROMPT = `
+You summarize phone calls answered by an AI receptionist, for the business's staff.
+You get the call transcript and what the system recorded about the call (its outcome and the details collected).
+Rules:
+- summary: one to three plain sentences; say who called, what they wanted and how it ended. Write in English even when the call was in another language.
+- disposition: booked, rescheduled or cancelled only when the recorded outcome says so; transferred when the call was put through to a person; message_taken when a message was passed on; info_provided when the caller only asked questions and got answers; abandoned when the caller hung up before getting what they called for; otherwise other.
+- contact: the caller's name, phone and email as given on the call or recorded, otherwise null. Never invent them.
+- followUpNeeded: true when a message was taken, the caller asked to be called back, a transfer failed, or the caller hung up partway through booking; otherwise false.
+Return ONLY JSON that matches the schema.
+`.trim();
+
+// "Caller: ..." / "Agent: ..." lines in turn order (Realtime caller transcripts can land late)
+function formatTranscript(turns) {
+  return [...(Array.isArray(turns) ? turns : [])]
+    .filter(turn => turn && turn.text)
+    .sort((a, b) => (a.turnIndex - b.turnIndex) || (a.role === 'caller' ? -1 : 1))
+    .map(turn => `${turn.role === 'caller' ? 'Caller' : 'Agent'}: ${turn.text}`)
+    .join('\n');
+}
+
+// What the call state recorded, without the flow's bookkeeping
+function recordedDetails(state, { outcome, abandonedAtStep }) {
+  const details = {
+    outcome,
+    abandonedAtStep,
+    service: state?.service,
+    date: state?.date,
+    time: state?.time,
+    name: state?.name,
+    phone: state?.phone || state?.callbackPhone,
+    email: state?.email,
+    callerPhone: state?.callerPhone,
+    message: state?.messageText,
+    handoff: state?.handoff ? { reason: state.handoff.reason, transferred: state.handoff.transferred } : null,
+    booking: state?.booking ? { service: state.booking.service, date: state.booking.date, time: state.booking.time } : null
+  };
+  return Object.fromEntries(Object.entries(details).filter(([, value]) => value !== undefined && value !== null));
+}
+
+// Summary from the call state alone, when the LLM isn't available
+export function fallbackSummary(state, { outcome, abandonedAtStep }) {
+  const who = state?.name || 'The caller';
+  const slot = [state?.service, state?.date && `on ${state.date}`, state?.time && `at ${state.time}`].filter(Boolean).join(' ');
+  const summaries = {
+    booked: `${who} booked ${slot || 'an appointment'}.`,
+    rescheduled: `${who} moved their booking to ${[state?.date, state?.time].filter(Boolean).join(' at ') || 'a new time'}.`,
+    cancelled: `${who} cancelled ${state?.booking?.service ? `their ${state.booking.service} booking` : 'a booking'}.`,
+    transferred: `${who} was transferred to the business${state?.handoff?.reason ? ` (${state.handoff.reason})` : ''}.`,
+    message_taken: `${who} left a message${state?.messageText ? `: "${state.messageText}"` : ''}.`
+  };
+  const summary = summaries[outcome] ||
+    (abandonedAtStep ? `${who} hung up at the ${abandonedAtStep} step${slot ? ` (${slot})` : ''}.` : `${who} hung up before anything was settled.`);
+
+  const abandonedMidway = outcome === DISPOSITIONS.ABANDONED && !!abandonedAtStep && abandonedAtStep !== 'greeting';
+  return {
+    summary,
+    disposition: Object.values(DISPOSITIONS).includes(outcome) ? outcome : DISPOSITIONS.OTHER,
+    contact: {
+      name: state?.name || null,
+      phone: state?.phone || state?.callbackPhone || state?.callerPhone || null,
+      email: state?.email || null
+    },
+    followUpNeeded: outcome === DISPOSITIONS.MESSAGE_TAKEN || abandonedMidway ||
+      (state?.handoff ? !state.handoff.transferred : false)
+  };
+}
+
+// Keep only well-formed fields from the LLM, falling back field by field
+function sanitize(result, fallback) {
+  const text = value => (typeof value === 'string' && value.trim() ? value.trim() : null);
+  const contact = result?.contact && typeof result.contact === 'object' ? result.contact : {};
+  return {
+    summary: text(result?.summary) || fallback.summary,
+    disposition: Object.values(DISPOSITIONS).includes(result?.disposition) ? result.disposition : fallback.disposition,
+    contact: {
+      name: text(contact.name) || fallback.contact.name,
+      phone: text(contact.phone) || fallback.contact.phone,
+      email: text(contact.email) || fallback.contact.email
+    },
+    followUpNeeded: typeof result?.followUpNeeded === 'boolean' ? result.followUpNeeded : fallback.followUpNeeded
+  };
+}
+
+/**
+ * @param {object} args
+ * @param {Array} args.turns - Transcript turns: [{ role: "caller"|"agent", text, turnIndex }, ...]
+ * @param {object} args.state - Final call state (empty for Realtime calls beyond who and when)
+ * @param {string} args.outcome - Outcome from callLifecycle's callOutcome()
+ * @param {string|null} [args.abandonedAtStep] - Step the call was on when abandoned
+ * @param {object} [args.llm] - LLM client; defaults to the shared OpenAI client
+ * @returns {Promise<{ summary: string, disposition: string, contact: object, followUpNeeded: boolean, source: "llm"|"fallback" }>}
+ */
+export async function summarizeCall({ turns, state, outcome, abandonedAtStep = null, llm = getOpenAiClient() }) {
+  const fallback = fallbackSummary(state, { outcome, abandonedAtStep });
+  const transcript = formatTranscript(turns);
+  if (!transcript) return { ...fallback, source: 'fallback' };
+
+  try {
+    const result = await llm.completeJson({
+      task: 'summary',
+      system: SUMMARY_PROMPT,
+      user: `Recorded: ${JSON.stringify(recordedDetails(state, { outcome, abandonedAtStep }))}\n\nTranscript:\n${transcript}`,
+      schemaName: 'call_summary',
+      schema: SUMMARY_SCHEMA,
+      strict: true,
+      temperature: 0.2
+    });
+    return { ...sanitize(result, fallback), source: 'llm' };
+  } catch (error) {
+    console.error('[callSummary] Error:', error.message);
+    return { ...fallback, source: 'fallback' };
+  }
+}
+
+/**
+ * Summarize an ended call and post the summary to core-api. Never throws.
+ * @param {object} args - summarizeCall's arguments, plus callSid
+ */
+export async function postCallSummary({ callSid, ...args }) {
+  if (!callSid) return null;
+  try {
+    const result = await summarizeCall(args);
+    enqueueCallEvent('summary', {
+      eventId: `${callSid}:summary`,
+      callSid,
+      businessId: args.state?.businessId || null,
+      language: args.state?.language || null,
+      ...result,
+      timestamp: new Date().toISOString()
+    });
+    return result;
+  } catch (error) {
+    console.error('[callSummary] Could not post summary:', error);
+    return null;
+  }
+}
@@ -0,0 +1,74 @@
+// src/services/callerLookup.js
+// Recognizes returning callers: the number a call comes from (Twilio "From", the gateway's
+// "callerPhone") is looked up in the business's customer records on core-api. A known caller's
+// name and email pre-fill the call, and their last booked service can be offered again.
+//
+// The record is only used to confirm who is calling; the stored email is never read back.
+
+import { toE164 } from '../utils/phone.js';
+
+const LOOKUP_TIMEOUT_MS = 3000;
+
+function coreApiUrl() {
+  return process.env.CORE_API_URL || process.env.BOOK8_CORE_API_URL || 'https://book8-core-api.onrender.com';
+}
+
+function text(value) {
+  return typeof value === 'string' && value.trim() ? value.trim() : null;
+}
+
+function firstName(name) {
+  return String(name || '').trim().split(/\s+/)[0].toLowerCase();
+}
+
+/**
+ * Whether the name a caller gives is the record's ("Sam" for "Sam Lee"). When someone else is
+ * calling from a returning caller's phone, the details on file aren't theirs to use.
+ */
+export function isSameCaller(caller, name) {
+  if (!caller?.name || !name) return true;
+  return firstName(caller.name) === firstName(name);
+}
+
+/**
+ * Look up the business's customer record for a caller's number.
+ * GET /api/businesses/:handle/customers/by-phone/:phone → { ok, customer: { name, email, lastBooking: { service } } }
+ * @param {object} args
+ * @param {string} args.businessId - Business handle the call was routed to
+ * @param {string} args.phone - Caller's number, in any format toE164 accepts
+ * @returns {Promise<{ name: string|null, email: string|null, phone: string, lastService: string|null } | null>}
+ *   null for unknown or withheld numbers, or when core-api can't be reached
+ */
+export async function lookupCaller({ businessId, phone }) {
+  const e164 = toE164(phone);
+  if (!businessId || !e164) return null;
+
+  const controller = new AbortController();
+  const timeoutId = setTimeout(() => controller.abort(), LOOKUP_TIMEOUT_MS);
+  try {
+    const resp = await fetch(
+      `${coreApiUrl()}/api/businesses/${encodeURIComponent(businessId)}/customers/by-phone/${encodeURIComponent(e164)}`,
+      { signal: controller.signal }
+    );
+    if (resp.status === 404) return null;
+    if (!resp.ok) throw new Error(`HTTP ${resp.status}: ${resp.statusText}`);
+    const json = await resp.json();
+    const customer = json?.customer || null;
+    if (!customer) return null;
+
+    const lastBooking = customer.lastBooking || null;
+    const caller = {
+      name: text(customer.name),
+      email: text(customer.email),
+      phone: e164,
+      lastService: text(lastBooking?.serviceName) || text(lastBooking?.service) || text(customer.lastService)
+    };
+    // A record with nothing to greet or pre-fill with is as good as none
+    return caller.name || caller.email || caller.lastService ? caller : null;
+  } catch (error) {
+    console.error(`[callerLookup] core-api lookup failed for ${e164}:`, error.name === 'AbortError' ? 'timeout' : error.message);
+    return null;
+  } finally {
+    clearTimeout(timeoutId);
+  }
+}
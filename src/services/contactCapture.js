@@ -0,0 +1,183 @@
+// src/services/contactCapture.js
+// Contact details for a booking on /api/agent-chat. Speech-to-text gets emails and numbers
+// wrong more often than anything else ("john at gmail dot com", a dropped digit), so they're
+// normalized and validated as soon as the NLU hears them (numbers to E.164 in the business's
+// phoneCountryCode), and spelled back in the confirm_contact step before the booking read-back.
+// A "no" re-asks only the part that was wrong: the part of an email before or after the @, or
+// the area code, next three digits or last four of a number. Details on file for a returning
+// caller (callerLookup.js) are never spelled back.
+
+import { upsertCallState } from '../state/callState.js';
+import { STEPS, advanceStep, unconfirmedContactField } from '../state/callFlow.js';
+import { joinSpokenEmail, normalizeSpokenEmail, isValidEmail, spellEmail } from '../utils/email.js';
+import { toE164, parseSpokenPhone, spellPhone } from '../utils/phone.js';
+import { t } from '../i18n/index.js';
+
+// Which part of a spelled-back email or number the caller says is wrong (checked in order)
+const EMAIL_PARTS = [
+  { part: 'email', pattern: /\b(all|whole|everything|entire|tout|toute)\b|ਸਾਰੀ|ਪੂਰੀ/ },
+  { part: 'emailLocal', pattern: /\b(before|username|user name|first part|avant)\b|ਪਹਿਲਾਂ/ },
+  { part: 'emailDomain', pattern: /\b(after|domain|gmail|hotmail|yahoo|outlook|icloud|apr[eè]s|domaine)\b|ਬਾਅਦ/ }
+];
+const PHONE_PARTS = [
+  { part: 'phone', pattern: /\b(all|whole|everything|entire|tout|toute)\b|ਸਾਰਾ|ਪੂਰਾ/ },
+  { part: 'areaCode', pattern: /\b(area code|first three|indicatif)\b|ਏਰੀਆ ਕੋਡ/ },
+  { part: 'lineNumber', pattern: /\b(last four|last|end|derniers?|fin)\b|ਆਖਰੀ/ },
+  { part: 'exchange', pattern: /\b(middle|next three|second|milieu)\b|ਵਿਚਕਾਰ/ }
+];
+
+// Where each part of a North American number sits after "+1"
+const PHONE_PART_DIGITS = {
+  areaCode: { start: 0, length: 3 },
+  exchange: { start: 3, length: 3 },
+  lineNumber: { start: 6, length: 4 }
+};
+
+const NANP_PATTERN = /^\+1\d{10}$/;
+
+const confirmedKey = (field) => (field === 'email' ? 'confirmedEmail' : 'confirmedPhone');
+
+/**
+ * The NLU's email and phone, put back together from speech and validated. A value that doesn't
+ * make a valid address or number is dropped and listed in `invalid`, so it's asked for again.
+ * @param {object} fields - { email, phone } as the NLU heard them
+ * @param {object} options
+ * @param {string} options.countryCode - Calling code for numbers given without one (profile.phoneCountryCode)
+ * @returns {{ email: string|null, phone: string|null, invalid: Array<"email"|"phone"> }}
+ */
+export function normalizeContactFields({ email, phone }, { countryCode }) {
+  const invalid = [];
+  const normalizedEmail = email ? normalizeSpokenEmail(email) : null;
+  if (email && !normalizedEmail) invalid.push('email');
+  const normalizedPhone = phone ? toE164(parseSpokenPhone(phone), { defaultCountryCode: countryCode }) : null;
+  if (phone && !normalizedPhone) invalid.push('phone');
+  return { email: normalizedEmail, phone: normalizedPhone, invalid };
+}
+
+/**
+ * The email and number a booking may be made with: only valid ones reach the booking API.
+ * @returns {{ email: string|null, phone: string|null }}
+ */
+export function bookableContact(state, { countryCode }) {
+  return {
+    email: isValidEmail(state.email) ? state.email : null,
+    phone: toE164(state.phone, { defaultCountryCode: countryCode })
+  };
+}
+
+// What to say in the confirm_contact step: the spell-back, or the question about what was wrong
+export function buildContactCheckPrompt(state) {
+  const language = state.language;
+  const field = unconfirmedContactField(state);
+  if (state.contactPart) return t(language, 'askContactPart', { part: state.contactPart });
+  if (state.awaitingCorrection) return t(language, 'askWhichContactPart', { field });
+  if (field === 'email') return t(language, 'confirmEmail', { email: spellEmail(state.email, t(language, 'emailSymbols')) });
+  return t(language, 'confirmPhone', { phone: spellPhone(state.phone) });
+}
+
+// The part the caller named, or null; numbers outside North America are only re-asked whole
+function detectWrongPart(field, value, userText) {
+  const text = String(userText || '').toLowerCase();
+  if (field === 'phone' && !NANP_PATTERN.test(value)) return 'phone';
+  const parts = field === 'email' ? EMAIL_PARTS : PHONE_PARTS;
+  return parts.find(({ pattern }) => pattern.test(text))?.part || null;
+}
+
+// `value` with `part` replaced by what the caller just said, or null when that isn't valid
+function replaceContactPart(field, value, part, userText, countryCode) {
+  if (field === 'email') {
+    const spoken = joinSpokenEmail(userText);
+    // The whole address again, whatever was asked for
+    if (part === 'email' || spoken.includes('@')) return isValidEmail(spoken) ? spoken : null;
+    const [local, domain] = value.split('@');
+    let email;
+    if (part === 'emailLocal') {
+      email = `${spoken}@${domain}`;
+    } else {
+      // "hotmail" for "gmail.com" keeps the ".com"
+      email = spoken.includes('.') ? `${local}@${spoken}` : `${local}@${spoken}${domain.slice(domain.indexOf('.'))}`;
+    }
+    return isValidEmail(email) ? email : null;
+  }
+
+  if (part === 'phone') return toE164(parseSpokenPhone(userText), { defaultCountryCode: countryCode });
+  const digits = (parseSpokenPhone(userText) || '').replace(/\D/g, '');
+  const { start, length } = PHONE_PART_DIGITS[part];
+  if (digits.length !== length) return null;
+  const national = value.slice(2);
+  return `+1${national.slice(0, start)}${digits}${national.slice(start + length)}`;
+}
+
+/**
+ * Handle one caller turn in the confirm_contact step.
+ * `changedFields` are the booking fields this turn changed (see CONFIRM_FIELDS in index.js).
+ * Returns { replyText, state }; replyText is null when the booking steps should take over this
+ * same turn: the detail was confirmed (the next one, or the booking read-back, follows), other
+ * booking details changed, or the call was handed off.
+ */
+export async function runContactCheckTurn({ callSid, state, extracted, userText, profile, changedFields = [] }) {
+  let next = state;
+  const language = state.language;
+  const countryCode = profile.phoneCountryCode;
+  const field = unconfirmedContactField(next);
+  if (!field) return { replyText: null, state: next };
+
+  // A new email or number given in full ("no, it's jon at gmail dot com") is spelled back in turn
+  if (changedFields.includes(field)) {
+    next = await upsertCallState(callSid, {
+      ...advanceStep(next, STEPS.CONFIRM_CONTACT, { progressed: true }),
+      contactPart: null,
+      awaitingCorrection: false
+    });
+    return { replyText: buildContactCheckPrompt(next), state: next };
+  }
+  // The service, day or time changed instead: the booking steps deal with that, then come back here
+  if (changedFields.some(changed => !['name', 'email', 'phone'].includes(changed))) {
+    next = await upsertCallState(callSid, { contactPart: null, awaitingCorrection: false });
+    return { replyText: null, state: next };
+  }
+
+  // Answering "what's the part before the @?": only that part is replaced
+  if (next.contactPart) {
+    const value = replaceContactPart(field, next[field], next.contactPart, userText, countryCode);
+    if (!value) {
+      next = await upsertCallState(callSid, advanceStep(next, STEPS.CONFIRM_CONTACT));
+      if (next.step === STEPS.HANDOFF) return { replyText: null, state: next };
+      return { replyText: `${t(language, 'sorry')} ${buildContactCheckPrompt(next)}`, state: next };
+    }
+    next = await upsertCallState(callSid, {
+      [field]: value,
+      ...advanceStep(next, STEPS.CONFIRM_CONTACT, { progressed: true }),
+      contactPart: null
+    });
+    return { replyText: buildContactCheckPrompt(next), state: next };
+  }
+
+  if (extracted.confirmation === true && !next.awaitingCorrection) {
+    // The next spell-back (or the read-back) isn't a retry
+    next = await upsertCallState(callSid, { [confirmedKey(field)]: next[field], stepAttempts: 0 });
+    return { replyText: null, state: next };
+  }
+
+  // "No": ask which part was wrong, unless the caller already said ("no, the area code")
+  if (extracted.confirmation === false || next.awaitingCorrection) {
+    const part = detectWrongPart(field, next[field], userText);
+    if (part) {
+      next = await upsertCallState(callSid, {
+        ...advanceStep(next, STEPS.CONFIRM_CONTACT, { progressed: true }),
+        contactPart: part,
+        awaitingCorrection: false
+      });
+      return { replyText: buildContactCheckPrompt(next), state: next };
+    }
+    if (!next.awaitingCorrection) {
+      next = await upsertCallState(callSid, { awaitingCorrection: true });
+      return { replyText: buildContactCheckPrompt(next), state: next };
+    }
+  }
+
+  // Still no clear yes or no (each unclear answer counts towards the retry limit)
+  next = await upsertCallState(callSid, advanceStep(next, STEPS.CONFIRM_CONTACT));
+  if (next.step === STEPS.HANDOFF) return { replyText: null, state: next };
+  return { replyText: `${t(language, 'sorry')} ${buildContactCheckPrompt(next)}`, state: next };
+}
@@ -0,0 +1,328 @@
+// src/services/eventOutbox.js
+// Durable outbox for the core-api call log (/internal/calls/transcript, /tool, /usage, /handoff, /callback,
+// /started, /ended, /summary).
+// Events are appended to an on-disk log before delivery, delivered in order per callSid
+// with exponential backoff, and deduplicated by their turnId / eventId, so a slow or
+// redeploying core-api delays the call log instead of leaving gaps in it.
+//
+// Log format (OUTBOX_DIR/events.jsonl, one JSON record per line):
+//   { op: "enqueue", id, callSid, kind, url, body, enqueuedAt }
+//   { op: "ack", id }              delivered
+//   { op: "dead", id, error }      rejected by core-api (4xx), not retried
+//   { op: "deadCount", count }     dead events dropped by an earlier compaction, so the
+//                                  dead-letter count survives a restart
+// Records are batched onto an append stream, so a crash can lose the last few milliseconds of them;
+// a lost ack means an event is delivered again, which core-api drops by its id.
+
+import fs from 'fs';
+import path from 'path';
+
+const POST_TIMEOUT_MS = 5000;
+const BASE_BACKOFF_MS = 1000;
+const MAX_BACKOFF_MS = 5 * 60 * 1000;
+const MAX_PARALLEL_CALLS = 4;
+const COMPACT_AFTER_RECORDS = 500;
+const DELIVERED_IDS_KEPT = 5000;
+
+// POST one event; resolves { ok, status, error }
+async function postEvent(url, body) {
+  const controller = new AbortController();
+  const timeoutId = setTimeout(() => controller.abort(), POST_TIMEOUT_MS);
+  try {
+    const response = await fetch(url, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(body),
+      signal: controller.signal
+    });
+    if (response.ok) return { ok: true, status: response.status };
+    const errorText = await response.text().catch(() => '');
+    return { ok: false, status: response.status, error: `HTTP ${response.status}: ${errorText.slice(0, 200)}` };
+  } catch (error) {
+    return { ok: false, status: null, error: error.name === 'AbortError' ? 'timeout' : error.message };
+  } finally {
+    clearTimeout(timeoutId);
+  }
+}
+
+// 4xx means core-api will never accept this event; 408 / 429 are worth retrying
+function isPermanentFailure(status) {
+  return status >= 400 && status < 500 && status !== 408 && status !== 429;
+}
+
+function backoffMs(attempts) {
+  const delay = Math.min(BASE_BACKOFF_MS * 2 ** (attempts - 1), MAX_BACKOFF_MS);
+  return delay / 2 + Math.random() * (delay / 2);
+}
+
+/**
+ * @param {object} options
+ * @param {string} options.dir - Directory for events.jsonl
+ * @param {Function} [options.deliver] - (url, body) → Promise<{ ok, status, error }>, defaults to an HTTP POST
+ */
+export function createOutbox({ dir, deliver = postEvent }) {
+  const logPath = path.join(dir, 'events.jsonl');
+  const queues = new Map();        // callSid → [event, ...] in enqueue order
+  const queuedIds = new Set();     // ids in queues, for dedup
+  const deliveredIds = new Set();  // recent ids, for dedup
+  let deadLetters = 0;
+  let recordsSinceCompact = 0;
+  let timer = null;
+  let running = false;
+  let logStream = null;
+  let buffered = [];               // records not yet handed to logStream
+  let writeScheduled = false;
+  let compacting = null;           // promise while the log is being rewritten
+
+  // Rebuild pending queues from the log
+  fs.mkdirSync(dir, { recursive: true });
+  const pending = new Map();
+  if (fs.existsSync(logPath)) {
+    for (const line of fs.readFileSync(logPath, 'utf8').split('\n')) {
+      if (!line.trim()) continue;
+      let record;
+      try {
+        record = JSON.parse(line);
+      } catch {
+        continue; // torn last line after a crash
+      }
+      if (record.op === 'enqueue') pending.set(record.id, record);
+      else if (record.op === 'ack') {
+        pending.delete(record.id);
+        deliveredIds.add(record.id);
+      } else if (record.op === 'dead') {
+        pending.delete(record.id);
+        deadLetters++;
+      } else if (record.op === 'deadCount') {
+        deadLetters += record.count || 0;
+      }
+      recordsSinceCompact++;
+    }
+  }
+  for (const record of pending.values()) {
+    const queue = queues.get(record.callSid) || [];
+    queue.push({ ...record, attempts: 0, nextAttemptAt: 0, lastError: null });
+    queues.set(record.callSid, queue);
+    queuedIds.add(record.id);
+  }
+  if (pending.size > 0) console.log(`[outbox] Recovered ${pending.size} undelivered events from ${logPath}`);
+
+  const openLog = () => {
+    const stream = fs.createWriteStream(logPath, { flags: 'a' });
+    stream.on('error', (error) => {
+      console.error(`[outbox] Could not write ${logPath}:`, error.message);
+      if (logStream === stream) logStream = null;
+    });
+    logStream = stream;
+  };
+
+  // Hand everything appended since the last write to the stream in one write
+  const writeBuffered = () => {
+    writeScheduled = false;
+    if (compacting || buffered.length === 0) return;
+    if (!logStream) openLog();
+    logStream.write(buffered.join(''));
+    buffered = [];
+  };
+
+  const append = (record) => {
+    buffered.push(`${JSON.stringify(record)}\n`);
+    recordsSinceCompact++;
+    if (!writeScheduled) {
+      writeScheduled = true;
+      setImmediate(writeBuffered);
+    }
+  };
+
+  // Resolves once every record appended so far is in the log
+  const flush = async () => {
+    while (compacting) await compacting;
+    writeBuffered();
+    if (logStream) await new Promise(resolve => logStream.write('', resolve));
+  };
+
+  const isKnown = (id) => deliveredIds.has(id) || queuedIds.has(id);
+
+  const rememberDelivered = (id) => {
+    deliveredIds.add(id);
+    if (deliveredIds.size > DELIVERED_IDS_KEPT) {
+      deliveredIds.delete(deliveredIds.values().next().value);
+    }
+  };
+
+  // Rewrite the log with only what is still pending (plus recent delivered ids for dedup
+  // and the dead-letter count). Records appended meanwhile wait in `buffered` for the new log.
+  const rewriteLog = async () => {
+    if (logStream) {
+      const stream = logStream;
+      logStream = null;
+      await new Promise(resolve => stream.end(resolve));
+    }
+    // The snapshot below covers everything appended so far
+    const covered = buffered;
+    buffered = [];
+    const lines = [...deliveredIds].map(id => JSON.stringify({ op: 'ack', id }));
+    if (deadLetters > 0) lines.unshift(JSON.stringify({ op: 'deadCount', count: deadLetters }));
+    for (const queue of queues.values()) {
+      for (const { attempts, nextAttemptAt, lastError, ...record } of queue) {
+        lines.push(JSON.stringify(record));
+      }
+    }
+    recordsSinceCompact = 0;
+    const tmpPath = `${logPath}.${process.pid}.tmp`;
+    try {
+      await fs.promises.writeFile(tmpPath, lines.length ? `${lines.join('\n')}\n` : '');
+      await fs.promises.rename(tmpPath, logPath);
+    } catch (error) {
+      // The old log stays; it still needs what the snapshot covered
+      buffered = [...covered, ...buffered];
+      throw error;
+    }
+  };
+
+  const compact = async () => {
+    compacting = rewriteLog();
+    try {
+      await compacting;
+    } finally {
+      compacting = null;
+      writeBuffered();
+    }
+  };
+
+  const schedule = (delayMs = 0) => {
+    if (timer) clearTimeout(timer);
+    timer = setTimeout(run, Math.max(0, delayMs));
+    timer.unref();
+  };
+
+  const deliverHead = async (callSid) => {
+    const queue = queues.get(callSid);
+    const event = queue?.[0];
+    if (!event) return;
+
+    const result = await deliver(event.url, event.body);
+    if (result.ok) {
+      queue.shift();
+      queuedIds.delete(event.id);
+      append({ op: 'ack', id: event.id });
+      rememberDelivered(event.id);
+    } else if (isPermanentFailure(result.status)) {
+      queue.shift();
+      queuedIds.delete(event.id);
+      append({ op: 'dead', id: event.id, error: result.error });
+      deadLetters++;
+      console.error(`[outbox] Dropping ${event.kind} event ${event.id}: ${result.error}`);
+    } else {
+      event.attempts++;
+      event.lastError = result.error;
+      event.nextAttemptAt = Date.now() + backoffMs(event.attempts);
+      console.warn(`[outbox] ${event.kind} event ${event.id} failed (attempt ${event.attempts}): ${result.error}`);
+    }
+    if (queue.length === 0) queues.delete(callSid);
+  };
+
+  async function run() {
+    timer = null;
+    if (running) return;
+    running = true;
+    try {
+      // Keep delivering heads that are due; each callSid's events go strictly in order
+      for (;;) {
+        const now = Date.now();
+        const due = [...queues.entries()]
+          .filter(([, queue]) => queue[0] && queue[0].nextAttemptAt <= now)
+          .map(([callSid]) => callSid)
+          .slice(0, MAX_PARALLEL_CALLS);
+        if (due.length === 0) break;
+        await Promise.all(due.map(deliverHead));
+      }
+      if (recordsSinceCompact > COMPACT_AFTER_RECORDS) await compact();
+    } catch (error) {
+      console.error('[outbox] Delivery loop failed:', error);
+    } finally {
+      running = false;
+    }
+
+    const nextDue = Math.min(...[...queues.values()].map(queue => queue[0]?.nextAttemptAt ?? Infinity));
+    if (Number.isFinite(nextDue)) schedule(nextDue - Date.now());
+  }
+
+  if (queues.size > 0) schedule();
+
+  return {
+    /**
+     * Persist an event and queue it for delivery. Returns false when the id was already seen.
+     */
+    enqueue({ id, callSid, kind, url, body }) {
+      if (!id) throw new Error('Outbox events need an id (turnId / eventId)');
+      if (isKnown(id)) return false;
+      const record = { op: 'enqueue', id, callSid: callSid || 'unknown', kind, url, body, enqueuedAt: new Date().toISOString() };
+      append(record);
+      const queue = queues.get(record.callSid) || [];
+      queue.push({ ...record, attempts: 0, nextAttemptAt: 0, lastError: null });
+      queues.set(record.callSid, queue);
+      queuedIds.add(id);
+      if (!running) schedule();
+      return true;
+    },
+
+    flush,
+
+    status() {
+      const events = [...queues.values()].flat();
+      const oldest = events.reduce((a, b) => (!a || b.enqueuedAt < a.enqueuedAt ? b : a), null);
+      return {
+        depth: events.length,
+        calls: queues.size,
+        deadLetters,
+        oldest: oldest && {
+          id: oldest.id,
+          callSid: oldest.callSid,
+          kind: oldest.kind,
+          enqueuedAt: oldest.enqueuedAt,
+          attempts: oldest.attempts,
+          lastError: oldest.lastError,
+          nextAttemptAt: oldest.nextAttemptAt ? new Date(oldest.nextAttemptAt).toISOString() : null
+        }
+      };
+    }
+  };
+}
+
+let outbox = null;
+
+function getOutbox() {
+  if (!outbox) {
+    outbox = createOutbox({ dir: path.resolve(process.env.OUTBOX_DIR || '.data/outbox') });
+  }
+  return outbox;
+}
+
+function coreApiUrl() {
+  return process.env.CORE_API_URL || process.env.BOOK8_CORE_API_URL || 'https://book8-core-api.onrender.com';
+}
+
+/**
+ * Queue a call-log event for core-api.
+ * @param {"transcript"|"tool"|"usage"|"handoff"|"callback"|"started"|"ended"|"summary"} kind - Selects /internal/calls/{kind}
+ * @param {object} body - Event payload; its turnId or eventId is the dedup key
+ */
+export function enqueueCallEvent(kind, body) {
+  try {
+    return getOutbox().enqueue({
+      id: body.turnId || body.eventId,
+      callSid: body.callSid,
+      kind,
+      url: `${coreApiUrl()}/internal/calls/${kind}`,
+      body
+    });
+  } catch (error) {
+    console.error(`[outbox] Could not queue ${kind} event:`, error);
+    return false;
+  }
+}
+
+export function getOutboxStatus() {
+  return getOutbox().status();
+}
@@ -0,0 +1,156 @@
+// src/services/faq.js
+// Answers price, policy and business-info questions from the business profile
+// in one short spoken sentence. Returns null when the turn isn't a question we cover.
+
+import { getOpenWindows, findClosure, isOpenNow, nextOpening, describeWindows, describeWeeklyHours, describeDay, describeWeekday } from '../utils/businessHours.js';
+import { formatSpokenTime } from '../utils/slots.js';
+import { getZonedNow } from '../utils/dateResolver.js';
+import { t, DEFAULT_LANGUAGE } from '../i18n/index.js';
+
+const HOURS_PATTERN = /\b(are you|you guys|is (it|the \w+)) (open|closed)\b|\b(opening|closing|business|store|shop) hours\b|\bwhat are (your|the) hours\b|\bwhat time do you (open|close)\b|\bwhen do you (open|close)\b|\bhours\b.*\b(today|tomorrow|weekend|holiday|monday|tuesday|wednesday|thursday|friday|saturday|sunday)\b|(êtes-vous|vous êtes) (ouverts?|fermés?)|heures d'ouverture|quelle heure (ouvrez|fermez)|ਖੁੱਲ੍ਹੇ|ਬੰਦ ਹੋ/;
+
+const TOPICS = [
+  { topic: "hours", pattern: HOURS_PATTERN },
+  { topic: "price", pattern: /\b(how much|price|prices|pricing|cost|costs|rate|rates|fee for|charge for|combien|prix|tarifs?)\b|coûte|ਕੀਮਤ|ਕਿੰਨੇ ਪੈਸੇ/ },
+  { topic: "cancellation", pattern: /\b(cancel\w*|reschedul\w*)\b.*\b(policy|fee|notice|advance|window)\b|\b(policy|fee|notice)\b.*\b(cancel\w*|reschedul\w*)\b/ },
+  { topic: "late", pattern: /\b(late|running behind|tardy|en retard)\b/ },
+  { topic: "location", pattern: /\b(where|address|located|location|directions|parking|adresse|situés?)\b|\boù\s|ਕਿੱਥੇ/ },
+  { topic: "payment", pattern: /\b(pay|paying|payment|cash|card|credit|debit|deposit|payer|paiement|carte|comptant)\b|ਭੁਗਤਾਨ/ },
+  { topic: "description", pattern: /\b(tell me (more )?about|describe|what'?s included|what is included|what does\b.*\b(include|involve)|what happens (in|at|during))\b/ },
+  { topic: "options", pattern: /\b(remote|online|virtual|in[- ]person|walk[- ]?ins?)\b/ }
+];
+
+// "Are you open Sunday?" — the day they mention is a question, not the day they want to book
+export function isHoursQuestion(userText) {
+  return HOURS_PATTERN.test(String(userText || "").toLowerCase());
+}
+
+function answerHours({ userText, date, profile, now, language }) {
+  const businessName = profile?.name || "the business";
+  const text = String(userText || "").toLowerCase();
+  const timezone = profile?.timezone || "America/Toronto";
+  const today = getZonedNow(timezone, now);
+  const weekly = describeWeeklyHours(profile?.hours, language);
+  const unknown = () => t(language, "hoursUnknown", { business: businessName });
+
+  if (!weekly && !Array.isArray(profile?.closures)) return unknown();
+
+  // "Are you open right now?"
+  if (!date && /\b(now|right now|at the moment|currently|maintenant|en ce moment)\b|ਹੁਣ|ਇਸ ਵੇਲੇ/.test(text)) {
+    if (isOpenNow(profile, now)) {
+      const closing = (getOpenWindows(profile, today.date) || []).find(w => w.open <= today.time && today.time < w.close);
+      return closing ? t(language, "openUntil", { time: formatSpokenTime(closing.close, language) }) : t(language, "openNow");
+    }
+    const next = nextOpening(profile, now);
+    return next
+      ? t(language, "closedNowReopens", { day: describeDay(next.date, profile, now, language), time: formatSpokenTime(next.time, language) })
+      : t(language, "closedNow");
+  }
+
+  if (!date) return weekly ? t(language, "openWeekly", { hours: weekly }) : unknown();
+
+  const closure = findClosure(profile, date);
+  if (closure) return t(language, "closedOnDateAnswer", { date, reason: closure.reason });
+  const windows = getOpenWindows(profile, date);
+  if (windows === null) return unknown();
+  if (windows.length === 0) return t(language, "closedOnWeekdayAnswer", { weekday: describeWeekday(date, language) });
+  return t(language, "openOnAnswer", { day: describeDay(date, profile, now, language), windows: describeWindows(windows, language) });
+}
+
+function detectTopic(userText, intent) {
+  const text = String(userText || "").toLowerCase();
+  if (intent === "price") return "price";
+  const match = TOPICS.find(({ pattern }) => pattern.test(text));
+  if (match) return match.topic;
+  return intent === "ask_info" ? "general" : null;
+}
+
+function findMentionedService(services, { userText, extractedService, currentService }) {
+  const list = Array.isArray(services) ? services.filter(s => s && s.name) : [];
+  const byName = name => list.find(s => s.name.toLowerCase() === String(name).toLowerCase());
+  const text = String(userText || "").toLowerCase();
+  // "training" or "fade" is enough to identify a service when only one name contains that word
+  const byKeyword = () => {
+    const matches = list.filter(s => s.name.toLowerCase().split(/[^a-z']+/)
+      .some(word => word.length >= 4 && word !== "minute" && new RegExp(`\\b${word}\\b`).test(text)));
+    return matches.length === 1 ? matches[0] : null;
+  };
+  return (extractedService && byName(extractedService)) ||
+    list.find(s => text.includes(s.name.toLowerCase())) ||
+    byKeyword() ||
+    (currentService && byName(currentService)) ||
+    null;
+}
+
+function spokenPrice(service, language) {
+  const price = Number(service.price);
+  if (service.price === undefined || service.price === null || isNaN(price)) return null;
+  return price === 0 ? t(language, "priceFree", { service: service.name }) : t(language, "priceAmount", { service: service.name, price });
+}
+
+// Pick the sentence of a free-form note that talks about the topic, so the answer stays one sentence
+function sentenceAbout(notes, pattern) {
+  const sentences = String(notes || "").split(/(?<=[.!?])\s+/).filter(Boolean);
+  return sentences.find(s => pattern.test(s.toLowerCase())) || null;
+}
+
+/**
+ * @param {object} args
+ * @param {string} args.userText - Caller's words this turn
+ * @param {string} [args.intent] - NLU intent ("price", "ask_info", ...)
+ * @param {string} [args.extractedService] - Service the NLU heard this turn
+ * @param {string} [args.currentService] - Service already collected in call state
+ * @param {object} args.profile - Business profile from getBusinessProfile
+ * @param {Array} args.services - Services to answer about
+ * @param {string} [args.date] - Resolved date the caller asked about ("are you open Sunday?")
+ * @param {Date} [args.now] - Current time, for "are you open now?"
+ * @param {string} [args.language] - Call language (BCP 47) to answer in
+ * @returns {string|null} One spoken sentence, or null if this isn't an FAQ turn
+ */
+export function answerBusinessQuestion({ userText, intent, extractedService, currentService, profile, services, date = null, now = new Date(), language = DEFAULT_LANGUAGE }) {
+  const topic = detectTopic(userText, intent);
+  if (!topic) return null;
+
+  const businessName = profile?.name || "the business";
+  const policies = profile?.policies || {};
+  const notes = policies.notes || "";
+
+  switch (topic) {
+    case "hours":
+      return answerHours({ userText, date, profile, now, language });
+    case "price": {
+      const service = findMentionedService(services, { userText, extractedService, currentService });
+      if (service) {
+        const price = spokenPrice(service, language);
+        return price ? t(language, "pricesAnswer", { prices: [price] }) : t(language, "priceUnknown", { service: service.name, business: businessName });
+      }
+      const prices = (Array.isArray(services) ? services : []).slice(0, 2).map(s => spokenPrice(s, language)).filter(Boolean);
+      if (prices.length === 0) return t(language, "pricingUnknown", { business: businessName });
+      return t(language, "pricesAnswer", { prices });
+    }
+    case "cancellation":
+      if (policies.cancellationHours) return t(language, "cancellationNotice", { hours: policies.cancellationHours });
+      return t(language, "cancellationAnytime");
+    case "late":
+      if (policies.latePolicy) return policies.latePolicy;
+      return t(language, "lateDefault", { business: businessName });
+    case "location":
+      if (profile?.location) return t(language, "locatedIn", { location: profile.location });
+      return t(language, "addressUnknown");
+    case "payment":
+      return sentenceAbout(notes, /\b(pay|payment|cash|card|credit|debit|deposit)\b/) ||
+        t(language, "paymentDefault");
+    case "options":
+      return sentenceAbout(notes, /\b(remote|online|virtual|in[- ]person|walk[- ]?ins?)\b/) ||
+        sentenceAbout(notes, /./) ||
+        t(language, "tellMore", { business: businessName });
+    case "description": {
+      const service = findMentionedService(services, { userText, extractedService, currentService });
+      if (service?.description) return /[.!?]$/.test(service.description) ? service.description : `${service.description}.`;
+      if (service) return t(language, "serviceDuration", { service: service.name, minutes: service.durationMinutes });
+      return t(language, "tellMore", { business: businessName });
+    }
+    default:
+      return sentenceAbout(notes, /./) || t(language, "tellMore", { business: businessName });
+  }
+}
@@ -0,0 +1,107 @@
+// src/services/handoff.js
+// Live transfer to a person at the business. Shared by /api/agent-chat (caller asks for someone,
+// or the flow gives up after repeated failures) and the Realtime transfer_to_human tool.
+// The live Twilio call is redirected to TwiML that dials profile.transferNumber, and a short
+// summary goes to core-api (/internal/calls/handoff) so staff know why the caller is on the line.
+
+import { buildTransferTwiml, updateCallTwiml, sayOptionsFor } from './twilioCalls.js';
+import { enqueueCallEvent } from './eventOutbox.js';
+import { isOpenNow } from '../utils/businessHours.js';
+import { t, baseLanguage, languageName } from '../i18n/index.js';
+
+export const HANDOFF_REASONS = {
+  CALLER_REQUEST: 'caller_request',
+  REPEATED_FAILURES: 'repeated_failures',
+  BOOKING_UNAVAILABLE: 'booking_unavailable'
+};
+
+const REASON_TEXT = {
+  caller_request: 'Caller asked to speak with someone',
+  repeated_failures: 'The assistant could not understand the caller',
+  booking_unavailable: 'Booking by phone is not set up for this business'
+};
+
+/**
+ * One or two sentences for staff, built from the call state, e.g.
+ * "Caller asked to speak with someone. Wants to book 30-minute intro call on 2026-10-21 at 15:00. Name: Sam. Phone: +14165550100."
+ */
+export function summarizeCallForHandoff(state, { reason, callerPhone = null } = {}) {
+  const parts = [REASON_TEXT[reason] || reason || 'Transferred by the assistant'];
+  const s = state || {};
+
+  const booking = s.booking;
+  const wanted = [s.service, s.date && `on ${s.date}`, s.time && `at ${s.time}`].filter(Boolean).join(' ');
+  if (booking && s.flow && s.flow !== 'book') {
+    parts.push(`Wants to ${s.flow} ${booking.service || 'a booking'} on ${booking.date} at ${booking.time}${s.flow === 'reschedule' && wanted ? ` (new time: ${wanted})` : ''}`);
+  } else if (wanted) {
+    parts.push(`Wants to ${s.flow || 'book'} ${wanted}`);
+  } else if (s.flow && s.flow !== 'book') {
+    parts.push(`Wants to ${s.flow} a booking`);
+  }
+
+  if (s.name) parts.push(`Name: ${s.name}`);
+  const phone = s.phone || callerPhone;
+  if (phone) parts.push(`Phone: ${phone}`);
+  if (s.email) parts.push(`Email: ${s.email}`);
+  if (s.language && baseLanguage(s.language) !== 'en') parts.push(`Speaks ${languageName(s.language)}`);
+
+  return parts.map(p => (/[.!?]$/.test(p) ? p : `${p}.`)).join(' ');
+}
+
+/**
+ * Redirect the live call to the business's transfer number and post the summary to core-api.
+ * Outside business hours nobody is there to pick up, so the call is not redirected. The summary
+ * is posted either way (no number, closed, redirect failed) so staff can call back.
+ * @param {object} args
+ * @param {string} args.callSid - Twilio CallSid of the live call
+ * @param {object} args.profile - Normalized business profile (transferNumber may be null)
+ * @param {object} [args.state] - Call state to summarize
+ * @param {string} args.reason - One of HANDOFF_REASONS
+ * @param {number} args.sequence - Which handoff this is on the call (the turn index, or a count on the
+ *   Realtime path), so a second attempt after a failed transfer isn't dropped as a repeat
+ * @param {string} [args.summary] - Summary to use instead of one built from state (Realtime tool)
+ * @param {string} [args.language] - Language of the hold and no-answer messages; defaults to the
+ *   call state's, then the business's primary language
+ * @returns {Promise<{ transferred: boolean, to: string|null, summary: string, holdMessage?: string, error?: string }>}
+ */
+export async function transferToHuman({ callSid, profile, state = null, reason, sequence, summary = null, callerPhone = null, language = null }) {
+  const to = profile.transferNumber || null;
+  const callLanguage = language || state?.language || profile.language;
+  const text = summary || summarizeCallForHandoff(state, { reason, callerPhone });
+  const holdMessage = t(callLanguage, 'transferHold', { business: profile.name });
+
+  let result = { ok: false, error: 'No transfer number configured' };
+  if (to && !isOpenNow(profile)) {
+    result = { ok: false, error: 'Business is closed' };
+  } else if (to) {
+    result = await updateCallTwiml(callSid, buildTransferTwiml({
+      number: to,
+      holdMessage,
+      noAnswerMessage: t(callLanguage, 'transferNoAnswer', { business: profile.name }),
+      sayOptions: sayOptionsFor(profile, callLanguage)
+    }));
+  }
+  if (result.ok) {
+    console.log(`[handoff] Transferring ${callSid} to ${to} (${reason})`);
+  } else {
+    console.warn(`[handoff] Could not transfer ${callSid || 'call'} (${reason}): ${result.error}`);
+  }
+
+  if (callSid) {
+    enqueueCallEvent('handoff', {
+      eventId: `${callSid}:handoff:${sequence}`,
+      callSid,
+      businessId: profile.id,
+      reason,
+      transferTo: to,
+      transferred: result.ok,
+      summary: text,
+      callerPhone: state?.phone || callerPhone || null,
+      timestamp: new Date().toISOString()
+    });
+  }
+
+  return result.ok
+    ? { transferred: true, to, summary: text, holdMessage }
+    : { transferred: false, to, summary: text, error: result.error };
+}
@@ -0,0 +1,231 @@
+// src/services/manageBooking.js
+// Cancel / reschedule flow for /api/agent-chat: find the caller's upcoming bookings,
+// confirm which one they mean, then cancel it or hand a reschedule back to the
+// booking steps (datetime → confirm) with the booking attached to call state.
+
+import { upsertCallState } from '../state/callState.js';
+import { STEPS, advanceStep } from '../state/callFlow.js';
+import { callFindBookings, callCancelBooking } from './book8Api.js';
+import { toLocalDateTime, formatSpokenTime } from '../utils/slots.js';
+import { t, DEFAULT_LANGUAGE } from '../i18n/index.js';
+
+const MAX_BOOKINGS_READ = 3;
+
+export function isManageIntent(intent) {
+  return intent === "cancel" || intent === "reschedule";
+}
+
+// Normalize a booking from the agent API into { id, service, start, date, time, guestName, guestPhone, guestEmail }
+export function normalizeBooking(raw, timezone) {
+  if (!raw || typeof raw !== "object") return null;
+  const start = raw.start || raw.startTime || null;
+  const local = toLocalDateTime(start, timezone);
+  if (!raw.id && !raw.bookingId) return null;
+  return {
+    id: raw.id || raw.bookingId,
+    service: raw.serviceName || raw.service || raw.title || null,
+    start,
+    date: local?.date || null,
+    time: local?.time || null,
+    guestName: raw.guestName || null,
+    guestPhone: raw.guestPhone || null,
+    guestEmail: raw.guestEmail || null
+  };
+}
+
+// "60-minute 1:1 training on 2026-10-21 at 3:00 PM"
+export function describeBooking(booking, language = DEFAULT_LANGUAGE) {
+  return t(language, "booking", {
+    service: booking.service,
+    date: booking.date,
+    time: booking.time ? formatSpokenTime(booking.time, language) : null
+  });
+}
+
+/**
+ * True when the booking starts within the business's cancellation window
+ * (policies.cancellationHours), in which case the agent must not change it.
+ */
+export function isInsideCancellationWindow(booking, profile, now = Date.now()) {
+  const hours = Number(profile?.policies?.cancellationHours);
+  if (!hours || hours <= 0 || !booking?.start) return false;
+  const startMs = Date.parse(booking.start);
+  if (isNaN(startMs)) return false;
+  return startMs - now < hours * 60 * 60 * 1000;
+}
+
+function joinBookings(bookings, language) {
+  const items = bookings.map(b => t(language, "yourBooking", { booking: describeBooking(b, language) }));
+  return t(language, "listOr", { items });
+}
+
+// Pick the booking the caller means from an ordinal, a date/time they said, or the service name
+function matchBooking(bookings, { userText, extracted }) {
+  const text = String(userText || "").toLowerCase();
+  if (/\b(first|earlier|earliest|premi[eè]re?)\b|ਪਹਿਲੀ/.test(text)) return bookings[0];
+  if (/\b(second|deuxi[eè]me)\b|ਦੂਜੀ/.test(text)) return bookings[1] || null;
+  if (/\b(third|troisi[eè]me)\b|ਤੀਜੀ/.test(text)) return bookings[2] || null;
+  if (/\b(last|later|latest|derni[eè]re?)\b|ਆਖਰੀ/.test(text)) return bookings[bookings.length - 1];
+
+  const candidates = bookings.filter(b =>
+    (!extracted?.date || b.date === extracted.date) &&
+    (!extracted?.time || b.time === extracted.time)
+  );
+  if ((extracted?.date || extracted?.time) && candidates.length === 1) return candidates[0];
+
+  const byService = bookings.filter(b => b.service && text.includes(b.service.toLowerCase()));
+  if (byService.length === 1) return byService[0];
+  if (extracted?.service) {
+    const byExtracted = bookings.filter(b => b.service && b.service.toLowerCase() === extracted.service.toLowerCase());
+    if (byExtracted.length === 1) return byExtracted[0];
+  }
+  return null;
+}
+
+/**
+ * Switch the call into the cancel or reschedule flow. A reschedule keeps any
+ * date/time said in the same breath ("move it to Friday at 3") as the new slot.
+ */
+export async function startManageFlow(callSid, state, extracted) {
+  const flow = extracted.intent;
+  if (state.step === STEPS.LOOKUP || state.step === STEPS.SELECT) {
+    return upsertCallState(callSid, { flow });
+  }
+  return upsertCallState(callSid, {
+    ...advanceStep(state, STEPS.LOOKUP, { progressed: true }),
+    flow,
+    bookings: null,
+    booking: null,
+    triedLookupKeys: [],
+    service: null,
+    awaitingCorrection: false,
+    offeredTimes: null,
+    date: flow === "reschedule" ? (extracted.date || null) : null,
+    time: flow === "reschedule" ? (extracted.time || null) : null
+  });
+}
+
+/**
+ * Handle one caller turn while the call is in the lookup or select step.
+ * `credentials` are the business's agent API credentials (resolveAgentCredentials).
+ * Returns { replyText, state }; replyText is null when a reschedule has been
+ * confirmed and the booking steps should take over this same turn.
+ */
+export async function runManageBookingTurn({ callSid, state, extracted, userText, profile, credentials, callerPhone, progressed = false, emitToolEvent = () => {} }) {
+  const flow = state.flow;
+  const language = state.language;
+  const businessName = profile?.name || "the business";
+  const timezone = profile?.timezone || "America/Toronto";
+  let next = state;
+
+  if (next.step === STEPS.LOOKUP) {
+    const phone = next.phone || callerPhone || null;
+    const email = next.email || null;
+    const lookupKey = `${phone || ""}|${email || ""}`;
+    const tried = Array.isArray(next.triedLookupKeys) ? next.triedLookupKeys : [];
+
+    if ((!phone && !email) || tried.includes(lookupKey)) {
+      next = await upsertCallState(callSid, advanceStep(next, STEPS.LOOKUP, { progressed }));
+      if (next.step === STEPS.HANDOFF) return { replyText: null, state: next };
+      return { replyText: t(language, "askLookupKey"), state: next };
+    }
+
+    const result = await callFindBookings({ phone, email, credentials });
+    emitToolEvent("find_bookings", { phone, email }, result);
+
+    if (!result.ok) {
+      next = await upsertCallState(callSid, advanceStep(next, STEPS.HANDOFF));
+      return { replyText: t(language, "lookupFailed", { business: businessName }), state: next };
+    }
+
+    const now = Date.now();
+    const bookings = result.bookings
+      .map(b => normalizeBooking(b, timezone))
+      .filter(b => b && b.date && (!b.start || isNaN(Date.parse(b.start)) || Date.parse(b.start) > now))
+      .sort((a, b) => String(a.start).localeCompare(String(b.start)))
+      .slice(0, MAX_BOOKINGS_READ);
+
+    if (bookings.length === 0) {
+      next = await upsertCallState(callSid, {
+        ...advanceStep(next, STEPS.LOOKUP, { progressed: true }),
+        triedLookupKeys: [...tried, lookupKey]
+      });
+      return { replyText: t(language, "noBookingsFound", { byEmail: !!email && !phone }), state: next };
+    }
+
+    next = await upsertCallState(callSid, {
+      ...advanceStep(next, STEPS.SELECT),
+      triedLookupKeys: [...tried, lookupKey],
+      bookings,
+      booking: bookings.length === 1 ? bookings[0] : null
+    });
+    if (bookings.length === 1) {
+      return { replyText: t(language, "foundOneBooking", { booking: describeBooking(bookings[0], language), flow }), state: next };
+    }
+    return { replyText: t(language, "foundBookings", { bookings: joinBookings(bookings, language), flow }), state: next };
+  }
+
+  // SELECT: settle on one booking, then get a yes before acting on it
+  const bookings = Array.isArray(next.bookings) ? next.bookings : [];
+
+  if (!next.booking) {
+    const match = matchBooking(bookings, { userText, extracted });
+    if (!match) {
+      next = await upsertCallState(callSid, advanceStep(next, STEPS.SELECT));
+      if (next.step === STEPS.HANDOFF) return { replyText: null, state: next };
+      return { replyText: t(language, "whichBookingRetry", { bookings: joinBookings(bookings, language) }), state: next };
+    }
+    next = await upsertCallState(callSid, { ...advanceStep(next, STEPS.SELECT, { progressed: true }), booking: match });
+    return { replyText: t(language, "confirmPickedBooking", { booking: describeBooking(match, language) }), state: next };
+  }
+
+  if (extracted.confirmation === false) {
+    if (bookings.length > 1) {
+      next = await upsertCallState(callSid, { ...advanceStep(next, STEPS.SELECT, { progressed: true }), booking: null });
+      return { replyText: t(language, "whichBookingAfterNo", { bookings: joinBookings(bookings, language) }), state: next };
+    }
+    next = await upsertCallState(callSid, { ...advanceStep(next, STEPS.LOOKUP), bookings: null, booking: null });
+    return { replyText: t(language, "askLookupKeyAgain"), state: next };
+  }
+
+  if (extracted.confirmation !== true) {
+    next = await upsertCallState(callSid, advanceStep(next, STEPS.SELECT));
+    if (next.step === STEPS.HANDOFF) return { replyText: null, state: next };
+    return {
+      replyText: `${t(language, "sorry")} ${t(language, "confirmBookingToChange", { booking: describeBooking(next.booking, language), flow })}`,
+      state: next
+    };
+  }
+
+  const booking = next.booking;
+
+  if (isInsideCancellationWindow(booking, profile)) {
+    const hours = profile.policies.cancellationHours;
+    next = await upsertCallState(callSid, advanceStep(next, STEPS.DONE));
+    return {
+      replyText: t(language, "insideCancellationWindow", { booking: describeBooking(booking, language), hours, flow, business: businessName }),
+      state: next
+    };
+  }
+
+  if (flow === "cancel") {
+    const result = await callCancelBooking({ bookingId: booking.id, reason: "Cancelled by caller via voice agent", credentials });
+    emitToolEvent("cancel_booking", { bookingId: booking.id }, result);
+
+    if (result && result.ok) {
+      next = await upsertCallState(callSid, advanceStep(next, STEPS.DONE));
+      return { replyText: t(language, "cancelled", { booking: describeBooking(booking, language) }), state: next };
+    }
+    next = await upsertCallState(callSid, advanceStep(next, STEPS.HANDOFF));
+    return { replyText: t(language, "cancelFailed", { business: businessName }), state: next };
+  }
+
+  // Reschedule: carry the booking's details into the booking steps; the new date/time is asked next
+  next = await upsertCallState(callSid, {
+    service: booking.service || next.service,
+    name: next.name || booking.guestName,
+    phone: next.phone || booking.guestPhone || callerPhone || null,
+    email: next.email || booking.guestEmail || null
+  });
+  return { replyText: null, state: next };
+}
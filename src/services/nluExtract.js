@@ -1,8 +1,9 @@
 // src/services/nluExtract.js
 
-const OPENAI_API_KEY = process.env.OPENAI_API_KEY;
+import { getOpenAiClient } from './openAiClient.js';
 
-export async function extractFields({ businessName, services, userText }) {
+// `llm` defaults to the OpenAI client shared with call summaries (src/services/openAiClient.js)
+export async function extractFields({ businessName, services, userText, today, timezone, llm = getOpenAiClient() }) {
   // Safely extract service names with null checks
   const serviceNames = (Array.isArray(services) ? services : [])
     .map(s => s && typeof s === 'object' && s.name ? s.name : null)
@@ -13,7 +14,7 @@ export async function extractFields({ businessName, services, userText }) {
     properties: {
       intent: { 
         type: "string", 
-        enum: ["book", "ask_services", "price", "cancel", "other"],
+        enum: ["book", "ask_services", "price", "ask_info", "cancel", "reschedule", "talk_to_human", "leave_message", "other"],
         description: "User's intent"
       },
       service: { 
@@ -28,6 +29,14 @@ export async function extractFields({ businessName, services, userText }) {
         type: ["string", "null"], 
         description: "HH:mm (24h) if known" 
       },
+      date_phrase: {
+        type: ["string", "null"],
+        description: "The caller's own words for the day, e.g. \"next Friday\""
+      },
+      time_phrase: {
+        type: ["string", "null"],
+        description: "The caller's own words for the time, e.g. \"around 3\" or \"after work\""
+      },
       timezone: { 
         type: ["string", "null"] 
       },
@@ -40,70 +49,58 @@ export async function extractFields({ businessName, services, userText }) {
       phone: { 
         type: ["string", "null"] 
       },
+      message: { 
+        type: ["string", "null"],
+        description: "What the caller wants passed on to the business, in their words"
+      },
       confirmation: { 
         type: ["boolean", "null"] 
+      },
+      language: {
+        type: ["string", "null"],
+        description: "ISO 639-1 code of the language the caller is speaking (en, fr, pa, ...)"
       }
     },
-    required: ["intent", "service", "date", "time", "timezone", "name", "email", "phone", "confirmation"],
+    required: ["intent", "service", "date", "time", "date_phrase", "time_phrase", "timezone", "name", "email", "phone", "message", "confirmation", "language"],
     additionalProperties: false
   };
 
   const sys = `
 You extract structured fields from phone speech for ${businessName}.
 Services are: ${serviceNames.join(", ") || "none"}.
+${today ? `Today is ${today} (${timezone || "America/Toronto"}).` : ""}
 Rules:
 - If user says "intro", map to "30-minute intro call" if present.
 - If user says "1 on 1" or "personal training", map to the training service if present.
 - If user says something like "330 minute intro call", interpret as "30 minute intro call".
+- Copy the caller's exact words for the day into date_phrase and for the time into time_phrase.
+- Only fill time when the caller gave a specific time; for "morning" or "around 3" leave time null.
 - If user asks "what services", intent=ask_services.
 - If user asks "how much", intent=price.
+- If user asks about policies, location, payment or what a service involves, intent=ask_info.
+- If user wants to cancel an existing appointment, intent=cancel.
+- If user wants to move or change the day/time of an existing appointment, intent=reschedule.
+- If user asks for a person ("a real person", "the owner", "a manager", "someone there") or is clearly angry or fed up with the assistant, intent=talk_to_human.
+- If user wants to leave a message or asks for someone to call them back, intent=leave_message.
+- Put what the caller wants passed on to the business in message; otherwise message=null.
+- Copy an email or phone number the way the caller said it ("john at gmail dot com", "four one six, double five..."); never guess missing letters or digits.
+- If user agrees ("yes", "yeah", "correct", "that's right", "sounds good"), confirmation=true.
+- If user disagrees ("no", "nope", "that's wrong", "not quite"), confirmation=false.
+- Otherwise confirmation=null.
+- Callers may speak any language (often French or Punjabi). Apply the same rules to what they mean ("oui", "ਹਾਂ ਜੀ" is confirmation=true), keep service names exactly as listed, and set language to the ISO 639-1 code of the language they are speaking.
 Return ONLY JSON that matches the schema.
 `.trim();
 
-  const model = process.env.BOOK8_NLU_MODEL || "gpt-4o-mini";
-  
   try {
-    const response = await fetch('https://api.openai.com/v1/chat/completions', {
-      method: 'POST',
-      headers: {
-        'Authorization': `Bearer ${OPENAI_API_KEY}`,
-        'Content-Type': 'application/json'
-      },
-      body: JSON.stringify({
-        model: model,
-        messages: [
-          { role: "system", content: sys },
-          { role: "user", content: userText }
-        ],
-        response_format: {
-          type: "json_schema",
-          json_schema: {
-            name: "nlu_extract",
-            schema: schema
-          }
-        },
-        temperature: 0.1
-      })
+    // The parsed JSON, with usage data on _usage when OpenAI sends it
+    return await llm.completeJson({
+      task: 'nlu',
+      system: sys,
+      user: userText,
+      schemaName: 'nlu_extract',
+      schema,
+      temperature: 0.1
     });
-
-    if (!response.ok) {
-      const error = await response.text();
-      console.error('[nluExtract] OpenAI API error:', error);
-      throw new Error('Failed to extract fields');
-    }
-
-    const data = await response.json();
-    const outputText = data.choices[0].message.content;
-    
-    // Parse the JSON response
-    const result = JSON.parse(outputText);
-    
-    // Attach usage data if available
-    if (data.usage) {
-      result._usage = data.usage;
-    }
-    
-    return result;
   } catch (error) {
     console.error('[nluExtract] Error:', error);
     // Return default structure on error
@@ -112,11 +109,15 @@ Return ONLY JSON that matches the schema.
       service: null,
       date: null,
       time: null,
+      date_phrase: null,
+      time_phrase: null,
       timezone: null,
       name: null,
       email: null,
       phone: null,
-      confirmation: null
+      message: null,
+      confirmation: null,
+      language: null
     };
   }
 }
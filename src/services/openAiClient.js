@@ -0,0 +1,83 @@
+// src/services/openAiClient.js
+// The OpenAI chat completions client shared by NLU extraction (nluExtract.js) and post-call
+// summaries (callSummary.js): the API key, each task's model and the request timeout are set here.
+// Swap it with setOpenAiClient() (e.g. a local stub in place of OpenAI); both callers also take a
+// client per call.
+
+const DEFAULT_MODEL = "gpt-4o-mini";
+const DEFAULT_TIMEOUT_MS = 10000;
+
+// Env is read lazily because dotenv loads after module imports
+const MODELS = {
+  nlu: () => process.env.BOOK8_NLU_MODEL || DEFAULT_MODEL,
+  summary: () => process.env.BOOK8_SUMMARY_MODEL || process.env.BOOK8_NLU_MODEL || DEFAULT_MODEL
+};
+
+function timeoutMs() {
+  return Number(process.env.OPENAI_TIMEOUT_MS) || DEFAULT_TIMEOUT_MS;
+}
+
+/**
+ * OpenAI chat completions answering with JSON that matches a schema.
+ * The client implements completeJson({ task, system, user, schemaName, schema, strict, temperature })
+ * → Promise<object>, the parsed answer with OpenAI's token usage on `_usage`. Throws when OpenAI
+ * can't be reached, times out or answers with an error.
+ */
+export function createOpenAiClient() {
+  return {
+    async completeJson({ task, system, user, schemaName, schema, strict = false, temperature = 0 }) {
+      const controller = new AbortController();
+      const timeoutId = setTimeout(() => controller.abort(), timeoutMs());
+      try {
+        const response = await fetch('https://api.openai.com/v1/chat/completions', {
+          method: 'POST',
+          headers: {
+            'Authorization': `Bearer ${process.env.OPENAI_API_KEY}`,
+            'Content-Type': 'application/json'
+          },
+          body: JSON.stringify({
+            model: (MODELS[task] || MODELS.nlu)(),
+            messages: [
+              { role: "system", content: system },
+              { role: "user", content: user }
+            ],
+            response_format: {
+              type: "json_schema",
+              json_schema: { name: schemaName, schema, ...(strict ? { strict: true } : {}) }
+            },
+            temperature
+          }),
+          signal: controller.signal
+        });
+
+        if (!response.ok) {
+          const error = await response.text();
+          throw new Error(`OpenAI API error: ${error.slice(0, 200)}`);
+        }
+        const data = await response.json();
+        const result = JSON.parse(data.choices[0].message.content);
+        if (data.usage) result._usage = data.usage;
+        return result;
+      } catch (error) {
+        if (error.name === 'AbortError') throw new Error(`OpenAI request timed out after ${timeoutMs()}ms`);
+        throw error;
+      } finally {
+        clearTimeout(timeoutId);
+      }
+    }
+  };
+}
+
+let sharedClient = null;
+
+export function getOpenAiClient() {
+  if (!sharedClient) sharedClient = createOpenAiClient();
+  return sharedClient;
+}
+
+/**
+ * Swap the client NLU extraction and call summaries use; null restores the OpenAI one.
+ */
+export function setOpenAiClient(client) {
+  sharedClient = client || null;
+}
@@ -0,0 +1,115 @@
+// src/services/phoneRouting.js
+// Maps the number a caller dialed (Twilio "To", the gateway's "toPhone") to a business handle.
+// core-api owns the mapping; phoneNumbers.json next to businesses.json is the local fallback
+// when core-api doesn't know the number or can't be reached. Numbers core-api resolved are cached
+// for a few minutes, and during an outage the last known mapping is used however old it is.
+
+import fs from 'fs';
+import { fileURLToPath } from 'url';
+import { toE164 } from '../utils/phone.js';
+
+const LOOKUP_TIMEOUT_MS = 3000;
+const ROUTE_TTL_MS = 5 * 60 * 1000;
+const MAX_CACHED_ROUTES = 1000;
+const LOCAL_TABLE_PATH = fileURLToPath(new URL('../../phoneNumbers.json', import.meta.url));
+
+export const NOT_IN_SERVICE_MESSAGE =
+  "We're sorry, the number you have dialed is not in service. Please check the number and try again. Goodbye.";
+// core-api is down and nothing else knows the number: it may well be in service
+export const ROUTING_UNAVAILABLE_MESSAGE =
+  "We're sorry, we can't connect your call right now. Please try again in a few minutes. Goodbye.";
+
+let localTable = null;
+
+// E.164 → { handle, resolvedAt } for numbers core-api resolved, oldest first
+const routeCache = new Map();
+
+function rememberRoute(phone, handle) {
+  routeCache.delete(phone);
+  routeCache.set(phone, { handle, resolvedAt: Date.now() });
+  if (routeCache.size > MAX_CACHED_ROUTES) routeCache.delete(routeCache.keys().next().value);
+}
+
+// { "+16475550100": "waismofit", ... } with keys normalized to E.164
+function getLocalTable() {
+  if (localTable) return localTable;
+  localTable = {};
+  try {
+    const raw = JSON.parse(fs.readFileSync(LOCAL_TABLE_PATH, 'utf8'));
+    for (const [number, handle] of Object.entries(raw || {})) {
+      const e164 = toE164(number);
+      if (e164 && handle) localTable[e164] = handle;
+    }
+  } catch (error) {
+    if (error.code !== 'ENOENT') {
+      console.error(`[phoneRouting] Could not read ${LOCAL_TABLE_PATH}:`, error.message);
+    }
+  }
+  return localTable;
+}
+
+function coreApiUrl() {
+  return process.env.CORE_API_URL || process.env.BOOK8_CORE_API_URL || 'https://book8-core-api.onrender.com';
+}
+
+// GET /api/businesses/by-phone/:phone → { ok, business: { handle | id } }
+// Resolves { handle } (null when core-api doesn't know the number) or { error } when it can't be reached
+async function lookupCoreApi(e164) {
+  const controller = new AbortController();
+  const timeoutId = setTimeout(() => controller.abort(), LOOKUP_TIMEOUT_MS);
+  try {
+    const resp = await fetch(`${coreApiUrl()}/api/businesses/by-phone/${encodeURIComponent(e164)}`, {
+      signal: controller.signal
+    });
+    if (resp.status === 404) return { handle: null };
+    if (!resp.ok) throw new Error(`HTTP ${resp.status}: ${resp.statusText}`);
+    const json = await resp.json();
+    return { handle: json?.business?.handle || json?.business?.id || json?.handle || null };
+  } catch (error) {
+    const message = error.name === 'AbortError' ? 'timeout' : error.message;
+    console.error(`[phoneRouting] core-api lookup failed for ${e164}:`, message);
+    return { error: message };
+  } finally {
+    clearTimeout(timeoutId);
+  }
+}
+
+/**
+ * Resolve a dialed number to the business that owns it.
+ * When core-api can't be reached and neither the cache nor phoneNumbers.json knows the number,
+ * the route has no handle and source "unavailable": the caller should hear
+ * ROUTING_UNAVAILABLE_MESSAGE rather than that the number isn't in service.
+ * @returns {Promise<{ handle: string|null, phone: string, source: "core-api"|"cache"|"local"|"unavailable" } | null>}
+ *   null for numbers nobody knows
+ */
+export async function resolveBusinessByPhone(dialedNumber) {
+  const phone = toE164(dialedNumber);
+  if (!phone) return null;
+
+  const cached = routeCache.get(phone);
+  if (cached && Date.now() - cached.resolvedAt < ROUTE_TTL_MS) {
+    return { handle: cached.handle, phone, source: 'cache' };
+  }
+
+  const lookup = await lookupCoreApi(phone);
+  if (lookup.handle) {
+    rememberRoute(phone, lookup.handle);
+    return { handle: lookup.handle, phone, source: 'core-api' };
+  }
+  if (lookup.error && cached) {
+    console.warn(`[phoneRouting] Using last known business "${cached.handle}" for ${phone}`);
+    return { handle: cached.handle, phone, source: 'cache' };
+  }
+  // core-api no longer has the number
+  if (!lookup.error) routeCache.delete(phone);
+
+  const localHandle = getLocalTable()[phone];
+  if (localHandle) return { handle: localHandle, phone, source: 'local' };
+
+  if (lookup.error) {
+    console.warn(`[phoneRouting] No business known for ${phone} while core-api is unreachable`);
+    return { handle: null, phone, source: 'unavailable' };
+  }
+  console.warn(`[phoneRouting] No business for dialed number ${phone}`);
+  return null;
+}
@@ -0,0 +1,191 @@
+// src/services/realtimeCallLog.js
+// Call log for the /media-stream Realtime path: turns the Realtime API's transcription, tool and
+// response.done events into the same transcript / tool / usage events /api/agent-chat posts,
+// with the same turnId / eventId scheme, through the event outbox.
+//
+// A turn starts when the caller's speech is committed; the greeting, when the agent speaks
+// first, is the agent side of turn 0. Everything the agent says and spends until the caller's
+// next turn is posted as that turn's one agent transcript and one usage event, so a reply
+// split across a tool call still has a single turnId.
+//
+// Transcripts carry the call's language, as on /api/agent-chat: the business's primary language
+// until the caller's first transcribed turn picks one of its languages, kept for the rest of the call.
+
+import { enqueueCallEvent } from './eventOutbox.js';
+import { nextTurnIndex, appendCallTurn } from '../state/callState.js';
+import { resolveCallLanguage } from '../i18n/index.js';
+
+// Twilio Media Streams audio is G.711 μ-law at 8 kHz, one byte per sample
+const MULAW_BYTES_PER_SECOND = 8000;
+
+// Decoded size of a base64 audio payload
+function base64Bytes(payload) {
+  const text = String(payload || '');
+  if (!text) return 0;
+  const padding = text.endsWith('==') ? 2 : text.endsWith('=') ? 1 : 0;
+  return Math.floor(text.length * 3 / 4) - padding;
+}
+
+function audioSeconds(bytes) {
+  return Math.round(bytes / MULAW_BYTES_PER_SECOND * 10) / 10;
+}
+
+/**
+ * @param {object} options
+ * @param {Function} options.getCallSid - () → the call's CallSid (Twilio's start event may set it late)
+ * @param {object} options.profile - Business profile, for the languages it takes calls in
+ * @returns {object} Handlers for the media-stream route to call as Realtime and Twilio events arrive
+ */
+export function createRealtimeCallLog({ getCallSid, profile }) {
+  const callerTurns = new Map(); // committed input item_id → Promise<turnIndex>
+  let turn = null;
+  let inputAudioBytes = 0;
+  let language = resolveCallLanguage({ profile });
+  let languageChosen = false;
+
+  const emit = (kind, body) => {
+    try {
+      enqueueCallEvent(kind, body);
+    } catch (error) {
+      console.error(`[media-stream] Error emitting ${kind} event:`, error);
+      // Continue - the call log is best-effort
+    }
+  };
+
+  // Transcript event for core-api, also kept with the call for its post-call summary
+  const emitTranscript = async (callSid, role, text, turnIndex) => {
+    emit('transcript', {
+      turnId: `${callSid}:${role}:${turnIndex}`,
+      callSid,
+      role,
+      text,
+      turnIndex,
+      language,
+      timestamp: new Date().toISOString()
+    });
+    await appendCallTurn(callSid, { role, text, turnIndex });
+  };
+
+  const startTurn = () => {
+    const index = nextTurnIndex(getCallSid());
+    index.catch(() => {}); // reported where the index is used
+    turn = {
+      index,
+      agentText: [],
+      toolCount: 0,
+      outputAudioBytes: 0,
+      tokens: { total: 0, input: 0, output: 0, inputAudio: 0, outputAudio: 0 }
+    };
+    return turn;
+  };
+
+  const currentTurn = () => turn || startTurn();
+
+  // Post the agent side of the current turn: one transcript and one usage event
+  const flushTurn = async () => {
+    const done = turn;
+    const inputBytes = inputAudioBytes;
+    turn = null;
+    inputAudioBytes = 0;
+    const callSid = getCallSid();
+    if (!done || !callSid) return;
+
+    const text = done.agentText.join(' ').trim();
+    if (!text && done.tokens.total === 0) return;
+    const turnIndex = await done.index;
+    if (text) await emitTranscript(callSid, 'agent', text, turnIndex);
+
+    emit('usage', {
+      eventId: `${callSid}:usage:${turnIndex}`,
+      callSid,
+      llmTokens: done.tokens.total,
+      ttsCharacters: text.length,
+      inputTokens: done.tokens.input,
+      outputTokens: done.tokens.output,
+      inputAudioTokens: done.tokens.inputAudio,
+      outputAudioTokens: done.tokens.outputAudio,
+      inputAudioSeconds: audioSeconds(inputBytes),
+      outputAudioSeconds: audioSeconds(done.outputAudioBytes),
+      timestamp: new Date().toISOString()
+    });
+  };
+
+  const logged = (promise) => promise.catch(error => console.error('[media-stream] Error logging call event:', error));
+
+  return {
+    // Caller audio forwarded to the Realtime API (Twilio media payload)
+    inputAudio(payload) {
+      inputAudioBytes += base64Bytes(payload);
+    },
+
+    // Agent audio sent back to Twilio (response.output_audio.delta)
+    outputAudio(payload) {
+      currentTurn().outputAudioBytes += base64Bytes(payload);
+    },
+
+    // input_audio_buffer.committed: the caller finished speaking, which closes the previous turn
+    callerSpeechCommitted(itemId) {
+      logged(flushTurn());
+      callerTurns.set(itemId, startTurn().index);
+    },
+
+    // conversation.item.input_audio_transcription.completed
+    callerTranscript(itemId, transcript) {
+      const text = String(transcript || '').trim();
+      const index = callerTurns.get(itemId) ?? currentTurn().index;
+      callerTurns.delete(itemId);
+      const callSid = getCallSid();
+      if (!text || !callSid) return;
+      if (!languageChosen) {
+        language = resolveCallLanguage({ userText: text, profile });
+        languageChosen = true;
+      }
+      logged(index.then(turnIndex => emitTranscript(callSid, 'caller', text, turnIndex)));
+    },
+
+    // response.output_audio_transcript.done
+    agentTranscript(transcript) {
+      const text = String(transcript || '').trim();
+      if (text) currentTurn().agentText.push(text);
+    },
+
+    // One tool call, with the same per-call ID scheme as /api/agent-chat
+    tool(toolName, input, output) {
+      const callSid = getCallSid();
+      if (!callSid) return;
+      const current = currentTurn();
+      const toolIndex = current.toolCount++;
+      logged(current.index.then(turnIndex => emit('tool', {
+        eventId: `${callSid}:tool:${turnIndex}:${toolName}:${toolIndex}`,
+        callSid,
+        toolName,
+        toolIndex,
+        input,
+        output,
+        timestamp: new Date().toISOString()
+      })));
+    },
+
+    // response.done: add the response's token counts to the turn
+    responseDone(response) {
+      const usage = response?.usage;
+      if (!usage) return;
+      const { tokens } = currentTurn();
+      tokens.total += usage.total_tokens || 0;
+      tokens.input += usage.input_tokens || 0;
+      tokens.output += usage.output_tokens || 0;
+      tokens.inputAudio += usage.input_token_details?.audio_tokens || 0;
+      tokens.outputAudio += usage.output_token_details?.audio_tokens || 0;
+    },
+
+    // The call's language, for its summary
+    language() {
+      return language;
+    },
+
+    // The stream ended: post whatever the last turn still holds
+    close() {
+      return logged(flushTurn());
+    }
+  };
+}
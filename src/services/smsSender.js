@@ -0,0 +1,145 @@
+// src/services/smsSender.js
+// Outgoing text messages behind one interface, so booking notifications don't depend on Twilio:
+//   canSend({ from }) → boolean            whether a text from `from` (or the default sender) can go out
+//   send({ to, from, body, sendAt })       → Promise<{ ok, id?, scheduled?, error? }>
+// `sendAt` (a Date) schedules the message instead of sending it now.
+//
+// SMS_SENDER selects the adapter:
+//   twilio (default) - Twilio Messaging: TWILIO_ACCOUNT_SID + TWILIO_AUTH_TOKEN, and
+//                      TWILIO_MESSAGING_SERVICE_SID and/or a from number (the business's
+//                      sms.fromNumber, else TWILIO_SMS_FROM). Scheduling needs the messaging service.
+//   fake             - keeps messages in memory (sender.sent) and logs them, for local testing
+//   off              - sends nothing
+
+const TWILIO_API_URL = 'https://api.twilio.com/2010-04-01';
+const REQUEST_TIMEOUT_MS = 5000;
+
+let sender = null;
+
+export function createTwilioSmsSender() {
+  const config = (from) => ({
+    accountSid: process.env.TWILIO_ACCOUNT_SID,
+    authToken: process.env.TWILIO_AUTH_TOKEN,
+    messagingServiceSid: process.env.TWILIO_MESSAGING_SERVICE_SID || null,
+    from: from || process.env.TWILIO_SMS_FROM || null
+  });
+
+  return {
+    name: 'twilio',
+
+    canSend({ from = null } = {}) {
+      const { accountSid, authToken, messagingServiceSid, from: sendFrom } = config(from);
+      return !!(accountSid && authToken && (messagingServiceSid || sendFrom));
+    },
+
+    async send({ to, from = null, body, sendAt = null }) {
+      const { accountSid, authToken, messagingServiceSid, from: sendFrom } = config(from);
+      if (!accountSid || !authToken) {
+        return { ok: false, error: 'TWILIO_ACCOUNT_SID and TWILIO_AUTH_TOKEN are required to send texts' };
+      }
+      if (sendAt && !messagingServiceSid) {
+        return { ok: false, error: 'TWILIO_MESSAGING_SERVICE_SID is required to schedule texts' };
+      }
+      if (!messagingServiceSid && !sendFrom) {
+        return { ok: false, error: 'TWILIO_MESSAGING_SERVICE_SID or a from number is required to send texts' };
+      }
+
+      const params = new URLSearchParams({ To: to, Body: body });
+      if (messagingServiceSid) params.set('MessagingServiceSid', messagingServiceSid);
+      if (sendFrom) params.set('From', sendFrom);
+      if (sendAt) {
+        params.set('ScheduleType', 'fixed');
+        params.set('SendAt', sendAt.toISOString());
+      }
+
+      const controller = new AbortController();
+      const timeoutId = setTimeout(() => controller.abort(), REQUEST_TIMEOUT_MS);
+      try {
+        const response = await fetch(`${TWILIO_API_URL}/Accounts/${accountSid}/Messages.json`, {
+          method: 'POST',
+          headers: {
+            'Authorization': `Basic ${Buffer.from(`${accountSid}:${authToken}`).toString('base64')}`,
+            'Content-Type': 'application/x-www-form-urlencoded'
+          },
+          body: params.toString(),
+          signal: controller.signal
+        });
+        if (!response.ok) {
+          const errorText = await response.text().catch(() => '');
+          console.error(`[smsSender] Sending to ${to} failed: HTTP ${response.status}`, errorText.slice(0, 200));
+          return { ok: false, error: `HTTP ${response.status}` };
+        }
+        const data = await response.json().catch(() => ({}));
+        return { ok: true, id: data.sid || null, scheduled: !!sendAt };
+      } catch (error) {
+        const message = error.name === 'AbortError' ? 'timeout' : error.message;
+        console.error(`[smsSender] Sending to ${to} failed:`, message);
+        return { ok: false, error: message };
+      } finally {
+        clearTimeout(timeoutId);
+      }
+    }
+  };
+}
+
+export function createFakeSmsSender() {
+  const sent = [];
+  return {
+    name: 'fake',
+    sent,
+
+    canSend() {
+      return true;
+    },
+
+    async send({ to, from = null, body, sendAt = null }) {
+      const id = `SMfake${sent.length + 1}`;
+      sent.push({ id, to, from, body, sendAt });
+      console.log(`[smsSender] (fake) ${sendAt ? `Scheduled for ${sendAt.toISOString()}` : 'Sent'} to ${to}: ${body}`);
+      return { ok: true, id, scheduled: !!sendAt };
+    }
+  };
+}
+
+function createOffSmsSender() {
+  return {
+    name: 'off',
+    canSend() {
+      return false;
+    },
+    async send() {
+      return { ok: false, error: 'Texting is turned off (SMS_SENDER=off)' };
+    }
+  };
+}
+
+// Build the sender from env on first use (dotenv has loaded by then)
+function createSenderFromEnv() {
+  const kind = (process.env.SMS_SENDER || 'twilio').toLowerCase();
+  switch (kind) {
+    case 'twilio':
+      return createTwilioSmsSender();
+    case 'fake':
+      return createFakeSmsSender();
+    case 'off':
+      return createOffSmsSender();
+    default:
+      throw new Error(`Unknown SMS_SENDER "${kind}" (expected twilio, fake or off)`);
+  }
+}
+
+export function getSmsSender() {
+  if (!sender) {
+    sender = createSenderFromEnv();
+    console.log(`[smsSender] Using ${sender.name} sender`);
+  }
+  return sender;
+}
+
+/**
+ * Swap the sender (e.g. createFakeSmsSender() in place of Twilio).
+ * It must implement canSend and send as described above.
+ */
+export function setSmsSender(nextSender) {
+  sender = nextSender;
+}
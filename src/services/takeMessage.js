@@ -0,0 +1,216 @@
+// src/services/takeMessage.js
+// Message-taking flow for /api/agent-chat, for callers who want a call back: the business is
+// closed, booking is down, or nobody could take a transfer. Collects the caller's name, a
+// callback number (the number they're calling from unless they give another) and what they
+// want passed on, reads it back, then posts a callback request to core-api
+// (/internal/calls/callback) through the event outbox. The Realtime take_message tool posts
+// the same request.
+
+import { upsertCallState } from '../state/callState.js';
+import { STEPS, advanceStep } from '../state/callFlow.js';
+import { enqueueCallEvent } from './eventOutbox.js';
+import { toE164, formatSpokenPhone } from '../utils/phone.js';
+import { t } from '../i18n/index.js';
+
+export const MESSAGE_REASONS = {
+  CALLER_REQUEST: 'caller_request',
+  HANDOFF: 'handoff',
+  BOOKING_UNAVAILABLE: 'booking_unavailable'
+};
+
+// Which part of the read-back the caller wants to change
+const CORRECTION_FIELDS = [
+  { field: 'name', pattern: /\b(name|nom)\b|ਨਾਮ/ },
+  { field: 'callbackPhone', pattern: /\b(number|phone|num[ée]ro|t[ée]l[ée]phone)\b|ਨੰਬਰ/ },
+  { field: 'messageText', pattern: /\b(message|said|say)\b|ਸੁਨੇਹਾ/ }
+];
+
+export function isMessageStep(step) {
+  return step === STEPS.TAKE_MESSAGE || step === STEPS.CONFIRM_MESSAGE;
+}
+
+/**
+ * Queue a callback request for core-api. Returns the request as posted. A request without a
+ * callSid is still queued, so the caller's message isn't lost.
+ * @param {object} args
+ * @param {string} args.eventId - Deterministic id when the call has a callSid (the outbox drops repeats)
+ * @param {string} [args.callbackPhone] - Defaults to callerPhone
+ */
+export function submitCallbackRequest({ eventId, callSid, profile, name, callbackPhone, message, reason, callerPhone = null }) {
+  const request = {
+    eventId,
+    callSid,
+    businessId: profile.id,
+    name: name || null,
+    callbackPhone: toE164(callbackPhone) || toE164(callerPhone),
+    message: message || null,
+    reason: reason || MESSAGE_REASONS.CALLER_REQUEST,
+    callerPhone: callerPhone || null,
+    timestamp: new Date().toISOString()
+  };
+  enqueueCallEvent('callback', request);
+  console.log(`[takeMessage] Callback request for ${profile.id} from ${request.name || 'unknown caller'} (${request.reason})`);
+  return request;
+}
+
+// Next thing to ask for, or null once everything is collected
+function missingField(state) {
+  if (!state.name) return 'name';
+  if (!state.messageText) return 'messageText';
+  if (!state.callbackPhone) return 'callbackPhone';
+  return null;
+}
+
+function buildQuestion(field, profile, language) {
+  switch (field) {
+    case 'name':
+      return t(language, 'messageAskName', { business: profile.name });
+    case 'messageText':
+      return t(language, 'messageAskText');
+    default:
+      return t(language, 'messageAskPhone');
+  }
+}
+
+function buildReadBack(state, profile) {
+  return t(state.language, 'messageReadBack', {
+    business: profile.name,
+    name: state.name,
+    phone: formatSpokenPhone(state.callbackPhone),
+    message: state.messageText
+  });
+}
+
+/**
+ * Switch the call into message-taking. A name or number already collected on the call is kept;
+ * the callback number otherwise defaults to the number the caller is calling from.
+ */
+export async function startMessageFlow(callSid, state, { reason, callerPhone = null }) {
+  return upsertCallState(callSid, {
+    ...advanceStep(state, STEPS.TAKE_MESSAGE, { progressed: true }),
+    flow: 'message',
+    messageReason: reason,
+    messageText: null,
+    callbackPhone: toE164(state.phone) || toE164(callerPhone),
+    awaitingMessageField: null,
+    messageReadBack: null,
+    awaitingCorrection: false
+  });
+}
+
+/**
+ * Handle one caller turn while the call is in the take_message or confirm_message step.
+ * Returns { replyText, state }; replyText is null when the call has been handed off.
+ */
+export async function runTakeMessageTurn({ callSid, state, extracted, userText, profile, callerPhone, turnIndex, progressed = false, emitToolEvent = () => {} }) {
+  let next = state;
+  const language = state.language;
+
+  if (next.step === STEPS.TAKE_MESSAGE) {
+    const patch = {};
+    // Whatever the caller says after "what would you like me to pass on?" is the message
+    if (extracted.message) {
+      patch.messageText = extracted.message;
+    } else if (next.awaitingMessageField === 'messageText' && userText?.trim()) {
+      patch.messageText = userText.trim();
+    }
+    const phone = toE164(extracted.phone) || (next.awaitingMessageField === 'callbackPhone' ? toE164(userText) : null);
+    if (phone) patch.callbackPhone = phone;
+
+    // Caller changed their mind before leaving anything to pass on
+    if (extracted.confirmation === false && !next.messageText && !patch.messageText) {
+      next = await upsertCallState(callSid, { ...advanceStep(next, STEPS.DONE), flow: 'book', awaitingMessageField: null });
+      return { replyText: t(language, 'messageDeclined'), state: next };
+    }
+
+    const field = missingField({ ...next, ...patch });
+    if (field) {
+      const madeProgress = progressed || Object.keys(patch).length > 0 || field !== next.awaitingMessageField;
+      next = await upsertCallState(callSid, {
+        ...patch,
+        ...advanceStep(next, STEPS.TAKE_MESSAGE, { progressed: madeProgress }),
+        awaitingMessageField: field
+      });
+      if (next.step === STEPS.HANDOFF) return { replyText: null, state: next };
+      const question = buildQuestion(field, profile, language);
+      return { replyText: madeProgress ? question : `${t(language, 'sorry')} ${question}`, state: next };
+    }
+
+    const collected = { ...next, ...patch };
+    next = await upsertCallState(callSid, {
+      ...patch,
+      ...advanceStep(next, STEPS.CONFIRM_MESSAGE),
+      awaitingMessageField: null,
+      messageReadBack: { name: collected.name, callbackPhone: collected.callbackPhone, messageText: collected.messageText }
+    });
+    return { replyText: buildReadBack(next, profile), state: next };
+  }
+
+  // CONFIRM_MESSAGE. A correction given with the "no" ("no, it's Alex") replaces what was read back;
+  // naming the wrong part ("the number") clears just that part and asks for it again.
+  if (extracted.confirmation === false || next.awaitingCorrection) {
+    const readBack = next.messageReadBack || {};
+    const text = String(userText || '').toLowerCase();
+    const named = CORRECTION_FIELDS.filter(({ pattern }) => pattern.test(text)).map(({ field }) => field);
+    const corrected = {};
+    if (extracted.name && extracted.name !== readBack.name) corrected.name = extracted.name;
+    if (toE164(extracted.phone) && toE164(extracted.phone) !== readBack.callbackPhone) corrected.callbackPhone = toE164(extracted.phone);
+    if (extracted.message && named.includes('messageText')) corrected.messageText = extracted.message;
+
+    if (Object.keys(corrected).length > 0) {
+      next = await upsertCallState(callSid, {
+        ...corrected,
+        ...advanceStep(next, STEPS.CONFIRM_MESSAGE, { progressed: true }),
+        awaitingCorrection: false,
+        messageReadBack: { ...readBack, ...corrected }
+      });
+      return { replyText: buildReadBack(next, profile), state: next };
+    }
+    if (named.length > 0) {
+      const cleared = Object.fromEntries(named.map(field => [field, null]));
+      const field = missingField({ ...next, ...cleared });
+      next = await upsertCallState(callSid, {
+        ...cleared,
+        ...advanceStep(next, STEPS.TAKE_MESSAGE, { progressed: true }),
+        awaitingMessageField: field,
+        awaitingCorrection: false
+      });
+      return { replyText: buildQuestion(field, profile, language), state: next };
+    }
+    if (!next.awaitingCorrection) {
+      next = await upsertCallState(callSid, { awaitingCorrection: true });
+      return { replyText: t(language, 'messageWhatToChange'), state: next };
+    }
+  }
+
+  if (extracted.confirmation !== true) {
+    next = await upsertCallState(callSid, advanceStep(next, STEPS.CONFIRM_MESSAGE));
+    if (next.step === STEPS.HANDOFF) return { replyText: null, state: next };
+    return {
+      replyText: next.awaitingCorrection
+        ? t(language, 'messageWhatToChangeRetry')
+        : `${t(language, 'sorry')} ${buildReadBack(next, profile)}`,
+      state: next
+    };
+  }
+
+  const request = submitCallbackRequest({
+    eventId: `${callSid}:callback:${turnIndex}`,
+    callSid,
+    profile,
+    name: next.name,
+    callbackPhone: next.callbackPhone,
+    message: next.messageText,
+    reason: next.messageReason,
+    callerPhone
+  });
+  emitToolEvent('take_message', { name: request.name, callbackPhone: request.callbackPhone, message: request.message }, { ok: true });
+
+  next = await upsertCallState(callSid, {
+    ...advanceStep(next, STEPS.DONE),
+    flow: 'book',
+    messageReadBack: null,
+    messageSent: true
+  });
+  return { replyText: t(language, 'messageSent', { business: profile.name }), state: next };
+}
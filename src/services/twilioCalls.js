@@ -0,0 +1,112 @@
+// src/services/twilioCalls.js
+// Twilio REST helpers for calls already in progress. Updating a live call with new TwiML
+// replaces whatever it is doing (a <Connect><Stream> or a gateway <Gather>) immediately.
+// Credentials: TWILIO_ACCOUNT_SID + TWILIO_AUTH_TOKEN, read per call (dotenv loads after imports).
+
+const TWILIO_API_URL = 'https://api.twilio.com/2010-04-01';
+const REQUEST_TIMEOUT_MS = 5000;
+
+// Voice used for everything the agent says through plain TwiML, unless the business picks its own
+export const TWIML_VOICE = 'Google.en-US-Chirp3-HD-Aoede';
+
+export function escapeXml(text) {
+  return String(text ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&apos;');
+}
+
+/**
+ * The <Say> voice and language for a business profile: its own voice.twilioVoice, else
+ * TWIML_VOICE for English, else Twilio's default voice for the language. `language` is the
+ * call's language when it isn't the profile's primary one; the business's own voice is only
+ * used for the language it was picked for.
+ */
+export function sayOptionsFor(profile, language = null) {
+  const primary = profile?.language || 'en-US';
+  const spoken = language || primary;
+  const ownVoice = spoken === primary ? profile?.voice?.twilioVoice : null;
+  const voice = ownVoice || (spoken.startsWith('en') ? TWIML_VOICE : null);
+  return { voice, language: spoken };
+}
+
+function say(text, { voice = TWIML_VOICE, language = null } = {}) {
+  const attributes = [voice && `voice="${escapeXml(voice)}"`, language && `language="${escapeXml(language)}"`].filter(Boolean);
+  return `<Say${attributes.length ? ` ${attributes.join(' ')}` : ''}>${escapeXml(text)}</Say>`;
+}
+
+/**
+ * TwiML for an inbound call: the recording disclosure and pre-connect message (each optional,
+ * in that order), then the Media Stream to /media-stream.
+ */
+export function buildConnectTwiml({ streamUrl, recordingDisclosure = null, preConnectMessage = null, sayOptions }) {
+  const lines = [recordingDisclosure, preConnectMessage].filter(Boolean).map(text => `  ${say(text, sayOptions)}`);
+  return `<?xml version="1.0" encoding="UTF-8"?>
+<Response>
+${lines.map(line => `${line}\n`).join('')}  <Connect>
+    <Stream url="${escapeXml(streamUrl)}" />
+  </Connect>
+</Response>`;
+}
+
+// TwiML that says one thing and hangs up
+export function buildHangupTwiml(message, sayOptions) {
+  return `<?xml version="1.0" encoding="UTF-8"?>
+<Response>
+  ${say(message, sayOptions)}
+  <Hangup/>
+</Response>`;
+}
+
+/**
+ * TwiML that tells the caller they're being connected, then dials the business.
+ * If nobody answers within `timeoutSeconds` the caller hears `noAnswerMessage` and the call ends.
+ */
+export function buildTransferTwiml({ number, holdMessage, noAnswerMessage, timeoutSeconds = 25, sayOptions }) {
+  return `<?xml version="1.0" encoding="UTF-8"?>
+<Response>
+  ${say(holdMessage, sayOptions)}
+  <Dial timeout="${timeoutSeconds}">${escapeXml(number)}</Dial>
+  ${say(noAnswerMessage, sayOptions)}
+  <Hangup/>
+</Response>`;
+}
+
+/**
+ * Replace a live call's TwiML (POST /Accounts/{sid}/Calls/{callSid}.json with Twiml=...).
+ * @returns {Promise<{ ok: boolean, status?: number, error?: string }>}
+ */
+export async function updateCallTwiml(callSid, twiml) {
+  const accountSid = process.env.TWILIO_ACCOUNT_SID;
+  const authToken = process.env.TWILIO_AUTH_TOKEN;
+  if (!accountSid || !authToken) {
+    return { ok: false, error: 'TWILIO_ACCOUNT_SID and TWILIO_AUTH_TOKEN are required to redirect calls' };
+  }
+  if (!callSid) return { ok: false, error: 'No callSid to redirect' };
+
+  const controller = new AbortController();
+  const timeoutId = setTimeout(() => controller.abort(), REQUEST_TIMEOUT_MS);
+  try {
+    const response = await fetch(`${TWILIO_API_URL}/Accounts/${accountSid}/Calls/${encodeURIComponent(callSid)}.json`, {
+      method: 'POST',
+      headers: {
+        'Authorization': `Basic ${Buffer.from(`${accountSid}:${authToken}`).toString('base64')}`,
+        'Content-Type': 'application/x-www-form-urlencoded'
+      },
+      body: new URLSearchParams({ Twiml: twiml }).toString(),
+      signal: controller.signal
+    });
+    if (response.ok) return { ok: true, status: response.status };
+    const errorText = await response.text().catch(() => '');
+    console.error(`[twilioCalls] Updating call ${callSid} failed: HTTP ${response.status}`, errorText.slice(0, 200));
+    return { ok: false, status: response.status, error: `HTTP ${response.status}` };
+  } catch (error) {
+    const message = error.name === 'AbortError' ? 'timeout' : error.message;
+    console.error(`[twilioCalls] Updating call ${callSid} failed:`, message);
+    return { ok: false, error: message };
+  } finally {
+    clearTimeout(timeoutId);
+  }
+}
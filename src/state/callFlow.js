@@ -0,0 +1,123 @@
+// src/state/callFlow.js
+// Booking conversation state machine for /api/agent-chat.
+// greeting → service → datetime → contact → confirm_contact → confirm → done, with "handoff" as the
+// failure state once a step has been re-prompted too many times without progress
+// (or when the caller asks for a person).
+// Cancel and reschedule calls go through lookup → select first; a reschedule then
+// rejoins the booking steps at datetime.
+// confirm_contact spells a spoken email or number back before the booking read-back
+// (src/services/contactCapture.js); details on file for a returning caller skip it.
+// Any step can switch to take_message → confirm_message when the caller would rather leave a
+// message (including after a handoff that couldn't reach anyone).
+
+export const STEPS = {
+  GREETING: "greeting",
+  SERVICE: "service",
+  DATETIME: "datetime",
+  CONTACT: "contact",
+  CONFIRM_CONTACT: "confirm_contact",
+  CONFIRM: "confirm",
+  LOOKUP: "lookup",
+  SELECT: "select",
+  TAKE_MESSAGE: "take_message",
+  CONFIRM_MESSAGE: "confirm_message",
+  DONE: "done",
+  HANDOFF: "handoff"
+};
+
+// Allowed transitions. Collecting steps can move back when a field is cleared
+// (caller corrects the read-back, or the requested slot is unavailable).
+const TRANSITIONS = {
+  greeting: ["service", "datetime", "contact", "confirm_contact", "confirm", "lookup", "take_message", "handoff"],
+  service: ["datetime", "contact", "confirm_contact", "confirm", "lookup", "take_message", "handoff"],
+  datetime: ["service", "contact", "confirm_contact", "confirm", "lookup", "take_message", "handoff"],
+  contact: ["service", "datetime", "confirm_contact", "confirm", "lookup", "take_message", "handoff"],
+  confirm_contact: ["service", "datetime", "contact", "confirm", "take_message", "handoff"],
+  confirm: ["service", "datetime", "contact", "confirm_contact", "done", "take_message", "handoff"],
+  lookup: ["select", "done", "take_message", "handoff"],
+  select: ["lookup", "datetime", "contact", "confirm_contact", "confirm", "done", "take_message", "handoff"],
+  take_message: ["confirm_message", "done", "handoff"],
+  confirm_message: ["take_message", "done", "handoff"],
+  done: ["greeting", "lookup", "take_message", "handoff"],
+  handoff: ["take_message"]
+};
+
+// How many times a step may be asked without progress before handing off
+const MAX_STEP_ATTEMPTS = {
+  greeting: 3,
+  service: 3,
+  datetime: 3,
+  contact: 3,
+  confirm_contact: 3,
+  confirm: 3,
+  lookup: 3,
+  select: 3,
+  take_message: 3,
+  confirm_message: 3
+};
+
+export function initialCallState() {
+  return {
+    step: STEPS.GREETING,
+    stepAttempts: 0,
+    flow: "book",              // book | cancel | reschedule | message
+    service: null,
+    date: null,
+    time: null,
+    name: null,
+    email: null,
+    phone: null
+  };
+}
+
+export function canTransition(from, to) {
+  return (TRANSITIONS[from] || []).includes(to);
+}
+
+// The collecting step the current fields call for
+export function deriveStep(state) {
+  if (!state.service) return STEPS.SERVICE;
+  if (!state.date || !state.time) return STEPS.DATETIME;
+  // A reschedule moves an existing booking, so the guest's contact details are already on file
+  if (state.flow === "reschedule" && state.booking) return STEPS.CONFIRM;
+  if (!state.name || (!state.email && !state.phone)) return STEPS.CONTACT;
+  if (unconfirmedContactField(state)) return STEPS.CONFIRM_CONTACT;
+  return STEPS.CONFIRM;
+}
+
+// The contact detail still to be spelled back to the caller ("email", then "phone"), or null.
+// A value counts as confirmed once it matches confirmedEmail / confirmedPhone.
+export function unconfirmedContactField(state) {
+  if (state.email && state.email !== state.confirmedEmail) return "email";
+  if (state.phone && state.phone !== state.confirmedPhone) return "phone";
+  return null;
+}
+
+/**
+ * Move the call to `to` and return the { step, stepAttempts } patch to store.
+ * Asking the same step again without progress counts as a retry (progress
+ * starts the count over); past the
+ * step's limit the call moves to "handoff". Invalid transitions are logged
+ * and leave the step unchanged.
+ */
+export function advanceStep(state, to, { progressed = false } = {}) {
+  const from = state.step || STEPS.GREETING;
+  const attempts = state.stepAttempts || 0;
+
+  if (from === to) {
+    const nextAttempts = progressed ? 1 : attempts + 1;
+    const limit = MAX_STEP_ATTEMPTS[to];
+    if (limit && nextAttempts > limit) {
+      console.warn(`[callFlow] Step "${to}" exceeded ${limit} attempts, handing off`);
+      return { step: STEPS.HANDOFF, stepAttempts: 0 };
+    }
+    return { step: to, stepAttempts: nextAttempts };
+  }
+
+  if (!canTransition(from, to)) {
+    console.warn(`[callFlow] Ignoring invalid transition ${from} → ${to}`);
+    return { step: from, stepAttempts: attempts };
+  }
+
+  return { step: to, stepAttempts: 1 };
+}
@@ -1,30 +1,120 @@
 // src/state/callState.js
-const calls = new Map();
+// Per-call conversation state, turn counters and transcripts, kept in a pluggable store so a call
+// survives a restart and can move between instances behind the gateway.
+//
+// CALL_STATE_STORE selects the backend:
+//   memory (default) - in-process Map, lost on restart
+//   file             - JSON file at CALL_STATE_FILE (default .data/call-state.json), one instance only
+//   redis            - any Redis-compatible server at REDIS_URL
+// Entries expire CALL_STATE_TTL_MINUTES (default 30) after their last write and are swept
+// in the background, not only when read.
 
-// OPTIONAL: expire old calls to avoid memory growth
-const TTL_MS = 1000 * 60 * 30; // 30 minutes
+import path from 'path';
+import { createMemoryStore } from './stores/memoryStore.js';
+import { createFileStore } from './stores/fileStore.js';
+import { createRedisStore } from './stores/redisStore.js';
 
-export function getCallState(callSid) {
-  if (!callSid) return null;
-  const v = calls.get(callSid);
-  if (!v) return null;
-  if (Date.now() - v.updatedAt > TTL_MS) {
-    calls.delete(callSid);
-    return null;
+const DEFAULT_TTL_MINUTES = 30;
+const SWEEP_INTERVAL_MS = 60 * 1000;
+const MAX_TURNS_KEPT = 200;
+
+let store = null;
+let sweepTimer = null;
+
+function ttlMs() {
+  const minutes = Number(process.env.CALL_STATE_TTL_MINUTES) || DEFAULT_TTL_MINUTES;
+  return minutes * 60 * 1000;
+}
+
+// Build the store from env on first use (dotenv has loaded by then)
+function createStoreFromEnv() {
+  const kind = (process.env.CALL_STATE_STORE || 'memory').toLowerCase();
+  switch (kind) {
+    case 'file':
+      return createFileStore({
+        filePath: path.resolve(process.env.CALL_STATE_FILE || '.data/call-state.json')
+      });
+    case 'redis':
+      if (!process.env.REDIS_URL) {
+        throw new Error('CALL_STATE_STORE=redis requires REDIS_URL');
+      }
+      return createRedisStore({ url: process.env.REDIS_URL });
+    case 'memory':
+      return createMemoryStore();
+    default:
+      throw new Error(`Unknown CALL_STATE_STORE "${kind}" (expected memory, file or redis)`);
+  }
+}
+
+function getStore() {
+  if (!store) {
+    store = createStoreFromEnv();
+    console.log(`[callState] Using ${store.name} store`);
+    startSweeper();
   }
-  return v.state;
+  return store;
+}
+
+function startSweeper() {
+  if (sweepTimer) return;
+  sweepTimer = setInterval(async () => {
+    try {
+      const removed = await getStore().sweep();
+      if (removed > 0) console.log(`[callState] Swept ${removed} expired entries`);
+    } catch (error) {
+      console.error('[callState] Sweep failed:', error.message);
+    }
+  }, SWEEP_INTERVAL_MS);
+  // Don't keep the process alive just for the sweeper
+  sweepTimer.unref();
+}
+
+/**
+ * Swap the backing store (e.g. an in-process stand-in for a Redis server).
+ * The store must implement get / set / delete / incr / getFields / merge / push / list / sweep / close.
+ */
+export function setCallStateStore(nextStore) {
+  store = nextStore;
+  startSweeper();
 }
 
-export function upsertCallState(callSid, patch) {
+export async function getCallState(callSid) {
+  if (!callSid) return null;
+  return getStore().getFields(`call:${callSid}`);
+}
+
+// Merged field by field in the store, so concurrent updates to different fields don't undo each other
+export async function upsertCallState(callSid, patch) {
   if (!callSid) return;
-  const existing = calls.get(callSid)?.state || {};
-  const next = { ...existing, ...patch };
-  calls.set(callSid, { state: next, updatedAt: Date.now() });
-  return next;
+  return getStore().merge(`call:${callSid}`, patch, ttlMs());
 }
 
-export function clearCallState(callSid) {
+export async function clearCallState(callSid) {
   if (!callSid) return;
-  calls.delete(callSid);
+  await getStore().delete(`call:${callSid}`);
+  await getStore().delete(`turn:${callSid}`);
+  await getStore().delete(`turns:${callSid}`);
 }
 
+// 0-based index of this turn within the call (shared across instances)
+export async function nextTurnIndex(callSid) {
+  if (!callSid) return 0;
+  return (await getStore().incr(`turn:${callSid}`, ttlMs())) - 1;
+}
+
+// Turns taken so far on this call
+export async function getTurnCount(callSid) {
+  if (!callSid) return 0;
+  return Number(await getStore().get(`turn:${callSid}`)) || 0;
+}
+
+// Transcript kept with the call for its post-call summary: [{ role, text, turnIndex }, ...]
+export async function appendCallTurn(callSid, turn) {
+  if (!callSid) return;
+  await getStore().push(`turns:${callSid}`, turn, { maxLength: MAX_TURNS_KEPT, ttlMs: ttlMs() });
+}
+
+export async function getCallTurns(callSid) {
+  if (!callSid) return [];
+  return getStore().list(`turns:${callSid}`);
+}
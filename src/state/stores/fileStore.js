@@ -0,0 +1,129 @@
+// src/state/stores/fileStore.js
+// Key/value store persisted to a single JSON file, so call state survives a restart.
+// One process only: every write rewrites the whole file with no lock between processes, so
+// two instances on the same file would overwrite each other's calls (use the Redis store).
+// Writes go through a temp file + rename so a crash never leaves a half-written file.
+
+import fs from 'fs/promises';
+import path from 'path';
+import { mergeFields } from './mergeFields.js';
+
+export function createFileStore({ filePath }) {
+  if (!filePath) throw new Error('createFileStore requires a filePath');
+  // Operations in this process run one at a time so read-modify-write can't interleave
+  let queue = Promise.resolve();
+
+  const load = async () => {
+    try {
+      const parsed = JSON.parse(await fs.readFile(filePath, 'utf8'));
+      return parsed && typeof parsed === 'object' ? parsed : {};
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        console.error(`[fileStore] Could not read ${filePath}, starting empty:`, error.message);
+      }
+      return {};
+    }
+  };
+
+  const save = async (entries) => {
+    await fs.mkdir(path.dirname(filePath), { recursive: true });
+    const tmpPath = `${filePath}.${process.pid}.tmp`;
+    await fs.writeFile(tmpPath, JSON.stringify(entries));
+    await fs.rename(tmpPath, filePath);
+  };
+
+  // Run fn(entries) in the queue; it returns { result, dirty } and the file is rewritten when dirty
+  const withEntries = (fn) => {
+    const run = queue.then(async () => {
+      const entries = await load();
+      const { result, dirty } = fn(entries, Date.now());
+      if (dirty) await save(entries);
+      return result;
+    });
+    queue = run.catch(() => {});
+    return run;
+  };
+
+  const isLive = (entry, now) => entry && entry.expiresAt > now;
+
+  return {
+    name: 'file',
+
+    get(key) {
+      return withEntries((entries, now) => ({
+        result: isLive(entries[key], now) ? entries[key].value : null,
+        dirty: false
+      }));
+    },
+
+    set(key, value, ttlMs) {
+      return withEntries((entries, now) => {
+        entries[key] = { value, expiresAt: now + ttlMs };
+        return { result: undefined, dirty: true };
+      });
+    },
+
+    delete(key) {
+      return withEntries((entries) => {
+        if (!(key in entries)) return { result: undefined, dirty: false };
+        delete entries[key];
+        return { result: undefined, dirty: true };
+      });
+    },
+
+    incr(key, ttlMs) {
+      return withEntries((entries, now) => {
+        const next = (isLive(entries[key], now) ? Number(entries[key].value) || 0 : 0) + 1;
+        entries[key] = { value: next, expiresAt: now + ttlMs };
+        return { result: next, dirty: true };
+      });
+    },
+
+    getFields(key) {
+      return withEntries((entries, now) => ({
+        result: isLive(entries[key], now) ? entries[key].value : null,
+        dirty: false
+      }));
+    },
+
+    merge(key, patch, ttlMs) {
+      return withEntries((entries, now) => {
+        const next = mergeFields(isLive(entries[key], now) ? entries[key].value : null, patch);
+        entries[key] = { value: next, expiresAt: now + ttlMs };
+        return { result: next, dirty: true };
+      });
+    },
+
+    push(key, item, { maxLength, ttlMs }) {
+      return withEntries((entries, now) => {
+        const items = [...(isLive(entries[key], now) ? entries[key].value : []), item].slice(-maxLength);
+        entries[key] = { value: items, expiresAt: now + ttlMs };
+        return { result: undefined, dirty: true };
+      });
+    },
+
+    list(key) {
+      return withEntries((entries, now) => ({
+        result: isLive(entries[key], now) ? entries[key].value : [],
+        dirty: false
+      }));
+    },
+
+    sweep() {
+      return withEntries((entries, now) => {
+        let removed = 0;
+        for (const key of Object.keys(entries)) {
+          if (!isLive(entries[key], now)) {
+            delete entries[key];
+            removed++;
+          }
+        }
+        return { result: removed, dirty: removed > 0 };
+      });
+    },
+
+    async close() {
+      await queue;
+    }
+  };
+}
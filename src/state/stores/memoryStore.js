@@ -0,0 +1,75 @@
+// src/state/stores/memoryStore.js
+// In-process key/value store with per-key TTL. State is lost on restart and not shared
+// between instances; use the file or Redis store for that.
+
+import { mergeFields } from './mergeFields.js';
+
+export function createMemoryStore() {
+  const entries = new Map();
+
+  const live = (key, now = Date.now()) => {
+    const entry = entries.get(key);
+    if (!entry) return null;
+    if (entry.expiresAt <= now) {
+      entries.delete(key);
+      return null;
+    }
+    return entry;
+  };
+
+  return {
+    name: 'memory',
+
+    async get(key) {
+      return live(key)?.value ?? null;
+    },
+
+    async set(key, value, ttlMs) {
+      entries.set(key, { value, expiresAt: Date.now() + ttlMs });
+    },
+
+    async delete(key) {
+      entries.delete(key);
+    },
+
+    async incr(key, ttlMs) {
+      const next = (Number(live(key)?.value) || 0) + 1;
+      entries.set(key, { value: next, expiresAt: Date.now() + ttlMs });
+      return next;
+    },
+
+    async getFields(key) {
+      const fields = live(key)?.value;
+      return fields ? { ...fields } : null;
+    },
+
+    async merge(key, patch, ttlMs) {
+      const next = mergeFields(live(key)?.value, patch);
+      entries.set(key, { value: next, expiresAt: Date.now() + ttlMs });
+      return { ...next };
+    },
+
+    async push(key, item, { maxLength, ttlMs }) {
+      const items = [...(live(key)?.value || []), item].slice(-maxLength);
+      entries.set(key, { value: items, expiresAt: Date.now() + ttlMs });
+    },
+
+    async list(key) {
+      return [...(live(key)?.value || [])];
+    },
+
+    async sweep() {
+      const now = Date.now();
+      let removed = 0;
+      for (const [key, entry] of entries) {
+        if (entry.expiresAt <= now) {
+          entries.delete(key);
+          removed++;
+        }
+      }
+      return removed;
+    },
+
+    async close() {}
+  };
+}
@@ -0,0 +1,12 @@
+// src/state/stores/mergeFields.js
+// Field-by-field merge shared by the in-process stores, matching Redis HSET / HDEL: a field set
+// to undefined is removed, every other field is replaced.
+
+export function mergeFields(existing, patch) {
+  const next = { ...(existing || {}) };
+  for (const [field, value] of Object.entries(patch || {})) {
+    if (value === undefined) delete next[field];
+    else next[field] = value;
+  }
+  return next;
+}
@@ -0,0 +1,250 @@
+// src/state/stores/redisStore.js
+// Key/value store on any Redis-compatible server (Redis, Valkey, KeyDB, a local stand-in),
+// so every instance behind the gateway shares call state. Call state is a hash and transcripts
+// a list, each changed in one MULTI/EXEC, so instances writing the same call don't lose each
+// other's writes. Keys expire on the server, so sweep() has nothing to do.
+//
+// Talks RESP directly over a socket to avoid a client dependency. Pass `client` (anything with
+// `command(args) → Promise<reply>` and `multi(commands) → Promise<replies>`) to use a different
+// connection or an in-process stand-in.
+
+import net from 'net';
+import tls from 'tls';
+
+// Encode one command as a RESP array of bulk strings
+function encodeCommand(args) {
+  let out = `*${args.length}\r\n`;
+  for (const arg of args) {
+    const value = String(arg);
+    out += `$${Buffer.byteLength(value)}\r\n${value}\r\n`;
+  }
+  return out;
+}
+
+// Parse one RESP reply from buf at offset; returns { value, offset } or null if incomplete
+function parseReply(buf, offset = 0) {
+  const lineEnd = buf.indexOf('\r\n', offset);
+  if (lineEnd === -1) return null;
+  const type = String.fromCharCode(buf[offset]);
+  const line = buf.toString('utf8', offset + 1, lineEnd);
+  const next = lineEnd + 2;
+
+  switch (type) {
+    case '+':
+      return { value: line, offset: next };
+    case '-':
+      return { value: new Error(line), offset: next };
+    case ':':
+      return { value: Number(line), offset: next };
+    case '$': {
+      const length = Number(line);
+      if (length === -1) return { value: null, offset: next };
+      if (buf.length < next + length + 2) return null;
+      return { value: buf.toString('utf8', next, next + length), offset: next + length + 2 };
+    }
+    case '*': {
+      const count = Number(line);
+      if (count === -1) return { value: null, offset: next };
+      const items = [];
+      let cursor = next;
+      for (let i = 0; i < count; i++) {
+        const item = parseReply(buf, cursor);
+        if (!item) return null;
+        items.push(item.value);
+        cursor = item.offset;
+      }
+      return { value: items, offset: cursor };
+    }
+    default:
+      throw new Error(`Unexpected RESP reply type "${type}"`);
+  }
+}
+
+/**
+ * Minimal RESP client: one connection, pipelined commands and MULTI/EXEC transactions,
+ * reconnects on the next command after the connection drops. url: redis://[:password@]host[:port][/db] or rediss:// for TLS.
+ */
+export function createRespClient(url) {
+  const parsed = new URL(url);
+  const useTls = parsed.protocol === 'rediss:';
+  const port = Number(parsed.port) || 6379;
+  const password = parsed.password ? decodeURIComponent(parsed.password) : null;
+  const username = parsed.username ? decodeURIComponent(parsed.username) : null;
+  const db = Number(parsed.pathname.replace('/', '')) || 0;
+
+  let socket = null;
+  let ready = null;
+  let buffer = Buffer.alloc(0);
+  const pending = [];
+
+  const failPending = (error) => {
+    while (pending.length) pending.shift().reject(error);
+  };
+
+  // Only called with a connection up; commands written together reach the server back to back
+  const send = (commands) => commands.map(args => new Promise((resolve, reject) => {
+    if (!socket) return reject(new Error('Redis connection closed'));
+    pending.push({ resolve, reject });
+    socket.write(encodeCommand(args));
+  }));
+
+  const connect = () => {
+    if (ready) return ready;
+    ready = new Promise((resolve, reject) => {
+      const options = { host: parsed.hostname, port };
+      socket = useTls ? tls.connect({ ...options, servername: parsed.hostname }) : net.connect(options);
+      socket.setNoDelay(true);
+
+      socket.on('data', (chunk) => {
+        buffer = Buffer.concat([buffer, chunk]);
+        let reply;
+        while (pending.length && (reply = parseReply(buffer))) {
+          buffer = buffer.subarray(reply.offset);
+          const { resolve: done, reject: fail } = pending.shift();
+          reply.value instanceof Error ? fail(reply.value) : done(reply.value);
+        }
+      });
+
+      socket.on('error', (error) => {
+        console.error('[redisStore] Connection error:', error.message);
+        reject(error);
+        failPending(error);
+      });
+
+      socket.on('close', () => {
+        ready = null;
+        socket = null;
+        buffer = Buffer.alloc(0);
+        failPending(new Error('Redis connection closed'));
+      });
+
+      socket.once(useTls ? 'secureConnect' : 'connect', async () => {
+        try {
+          if (password) await send([username ? ['AUTH', username, password] : ['AUTH', password]])[0];
+          if (db) await send([['SELECT', db]])[0];
+          resolve();
+        } catch (error) {
+          reject(error);
+          socket.destroy();
+        }
+      });
+    });
+    ready.catch(() => { ready = null; });
+    return ready;
+  };
+
+  // The connection can drop between becoming ready and a command being sent: connect again
+  const connected = async () => {
+    await connect();
+    if (!socket) await connect();
+  };
+
+  return {
+    async command(args) {
+      await connected();
+      return send([args])[0];
+    },
+    // MULTI ... EXEC in one write, so no other command on this connection lands in between.
+    // Resolves with each command's reply; rejects if the transaction or any command in it fails.
+    async multi(commands) {
+      await connected();
+      const replies = await Promise.all(send([['MULTI'], ...commands, ['EXEC']]));
+      const results = replies.at(-1);
+      if (!Array.isArray(results)) throw new Error('Redis transaction aborted');
+      const failed = results.find(result => result instanceof Error);
+      if (failed) throw failed;
+      return results;
+    },
+    async quit() {
+      if (!socket) return;
+      await send([['QUIT']])[0].catch(() => {});
+      socket?.end();
+    }
+  };
+}
+
+const px = (ttlMs) => Math.max(1, Math.round(ttlMs));
+
+// HGETALL's [field, value, ...] reply → object, or null for a missing key
+function parseHash(reply) {
+  if (!Array.isArray(reply) || reply.length === 0) return null;
+  const fields = {};
+  for (let i = 0; i < reply.length; i += 2) fields[reply[i]] = JSON.parse(reply[i + 1]);
+  return fields;
+}
+
+export function createRedisStore({ url, client, keyPrefix = 'book8:voice:' } = {}) {
+  if (!client && !url) throw new Error('createRedisStore requires a url or a client');
+  const redis = client || createRespClient(url);
+  const k = (key) => `${keyPrefix}${key}`;
+
+  return {
+    name: 'redis',
+
+    async get(key) {
+      const raw = await redis.command(['GET', k(key)]);
+      if (raw === null || raw === undefined) return null;
+      try {
+        return JSON.parse(raw);
+      } catch {
+        return raw;
+      }
+    },
+
+    async set(key, value, ttlMs) {
+      await redis.command(['SET', k(key), JSON.stringify(value), 'PX', px(ttlMs)]);
+    },
+
+    // A merged hash (see merge), or null if there is none
+    async getFields(key) {
+      return parseHash(await redis.command(['HGETALL', k(key)]));
+    },
+
+    async delete(key) {
+      await redis.command(['DEL', k(key)]);
+    },
+
+    async incr(key, ttlMs) {
+      const [next] = await redis.multi([['INCR', k(key)], ['PEXPIRE', k(key), px(ttlMs)]]);
+      return Number(next);
+    },
+
+    // Each field is its own hash field holding JSON, so concurrent merges of different fields
+    // both land; the merged hash is read back in the same transaction
+    async merge(key, patch, ttlMs) {
+      const entries = Object.entries(patch || {});
+      const set = entries.filter(([, value]) => value !== undefined).flatMap(([field, value]) => [field, JSON.stringify(value)]);
+      const removed = entries.filter(([, value]) => value === undefined).map(([field]) => field);
+      const commands = [
+        ...(set.length ? [['HSET', k(key), ...set]] : []),
+        ...(removed.length ? [['HDEL', k(key), ...removed]] : []),
+        ['PEXPIRE', k(key), px(ttlMs)],
+        ['HGETALL', k(key)]
+      ];
+      const results = await redis.multi(commands);
+      return parseHash(results.at(-1)) || {};
+    },
+
+    async push(key, item, { maxLength, ttlMs }) {
+      await redis.multi([
+        ['RPUSH', k(key), JSON.stringify(item)],
+        ['LTRIM', k(key), -maxLength, -1],
+        ['PEXPIRE', k(key), px(ttlMs)]
+      ]);
+    },
+
+    async list(key) {
+      const items = await redis.command(['LRANGE', k(key), 0, -1]);
+      return (items || []).map(item => JSON.parse(item));
+    },
+
+    // Redis expires keys itself
+    async sweep() {
+      return 0;
+    },
+
+    async close() {
+      if (typeof redis.quit === 'function') await redis.quit();
+    }
+  };
+}
@@ -0,0 +1,219 @@
+// src/utils/businessHours.js
+// Opening hours, holiday closures and per-service availability windows from the business profile.
+//
+// Profile shape (all optional; a profile without `hours` is treated as always open):
+//   hours:    { monday: [{ open: "09:00", close: "17:00" }], ..., sunday: [] }   missing day = closed
+//   closures: [{ date: "2026-12-25", reason: "Christmas Day" }, { from: "2026-12-31", to: "2027-01-01" }]
+//   services[].hours: same weekly shape, limits when that service can be booked
+
+import { getZonedNow } from './dateResolver.js';
+import { formatSpokenTime } from './slots.js';
+import { t, DEFAULT_LANGUAGE } from '../i18n/index.js';
+
+const WEEKDAYS = ['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday'];
+const LOOKAHEAD_DAYS = 14;
+
+const pad = (n) => String(n).padStart(2, '0');
+
+function toMinutes(time) {
+  const [h, m] = String(time).split(':').map(Number);
+  return h * 60 + m;
+}
+
+function fromMinutes(minutes) {
+  return `${pad(Math.floor(minutes / 60))}:${pad(minutes % 60)}`;
+}
+
+function addDays(date, days) {
+  const [y, m, d] = date.split('-').map(Number);
+  const shifted = new Date(Date.UTC(y, m - 1, d + days));
+  return `${shifted.getUTCFullYear()}-${pad(shifted.getUTCMonth() + 1)}-${pad(shifted.getUTCDate())}`;
+}
+
+// "monday" → "Monday", "lundi", "ਸੋਮਵਾਰ"
+function weekdayName(weekday, language) {
+  const sunday = Date.UTC(2026, 0, 4);
+  const date = new Date(sunday + WEEKDAYS.indexOf(weekday) * 24 * 60 * 60 * 1000);
+  return new Intl.DateTimeFormat(language, { weekday: 'long', timeZone: 'UTC' }).format(date);
+}
+
+// "2026-10-25" → "sunday"
+export function weekdayOf(date) {
+  const [y, m, d] = String(date).split('-').map(Number);
+  return WEEKDAYS[new Date(Date.UTC(y, m - 1, d)).getUTCDay()];
+}
+
+// "2026-10-25" → "Sunday" in the call language
+export function describeWeekday(date, language = DEFAULT_LANGUAGE) {
+  return weekdayName(weekdayOf(date), language);
+}
+
+// One day's entry from a weekly schedule as sorted [{ open, close }] ("HH:mm"), dropping malformed windows
+function dayWindows(schedule, weekday) {
+  const raw = schedule?.[weekday];
+  const list = Array.isArray(raw) ? raw : (raw ? [raw] : []);
+  return list
+    .filter(w => w && /^\d{1,2}:\d{2}$/.test(w.open) && /^\d{1,2}:\d{2}$/.test(w.close) && toMinutes(w.open) < toMinutes(w.close))
+    .map(w => ({ open: w.open.padStart(5, '0'), close: w.close.padStart(5, '0') }))
+    .sort((a, b) => toMinutes(a.open) - toMinutes(b.open));
+}
+
+function hasSchedule(schedule) {
+  return !!schedule && typeof schedule === 'object' && !Array.isArray(schedule);
+}
+
+// Overlap of two window lists
+function intersectWindows(a, b) {
+  const result = [];
+  for (const x of a) {
+    for (const y of b) {
+      const open = Math.max(toMinutes(x.open), toMinutes(y.open));
+      const close = Math.min(toMinutes(x.close), toMinutes(y.close));
+      if (open < close) result.push({ open: fromMinutes(open), close: fromMinutes(close) });
+    }
+  }
+  return result.sort((p, q) => toMinutes(p.open) - toMinutes(q.open));
+}
+
+/**
+ * The holiday / closure entry covering a date, or null.
+ * @returns {{ date?: string, from?: string, to?: string, reason?: string }|null}
+ */
+export function findClosure(profile, date) {
+  const closures = Array.isArray(profile?.closures) ? profile.closures : [];
+  return closures.find(c => {
+    if (!c) return false;
+    if (c.date) return c.date === date;
+    return c.from && date >= c.from && date <= (c.to || c.from);
+  }) || null;
+}
+
+/**
+ * Open windows for a date, narrowed to the service's own windows when it has any.
+ * Returns null when neither the business nor the service has hours configured (no restriction).
+ */
+export function getOpenWindows(profile, date, service = null) {
+  if (findClosure(profile, date)) return [];
+  const weekday = weekdayOf(date);
+  const businessHours = hasSchedule(profile?.hours) ? dayWindows(profile.hours, weekday) : null;
+  const serviceHours = hasSchedule(service?.hours) ? dayWindows(service.hours, weekday) : null;
+  if (businessHours && serviceHours) return intersectWindows(businessHours, serviceHours);
+  return businessHours || serviceHours;
+}
+
+/**
+ * Check a requested date (and time, when known) against hours, closures and the service's windows.
+ * @returns {{ open: true } | { open: false, reason: "closure"|"closed_day"|"service_unavailable"|"outside_hours", closure?: object, windows: Array }}
+ */
+export function checkBusinessHours(profile, { date, time = null, durationMinutes = 30, service = null }) {
+  if (!date) return { open: true };
+
+  const closure = findClosure(profile, date);
+  if (closure) return { open: false, reason: 'closure', closure, windows: [] };
+
+  const windows = getOpenWindows(profile, date, service);
+  if (windows === null) return { open: true };
+
+  if (windows.length === 0) {
+    // Business is open that day but this service isn't offered
+    const businessWindows = hasSchedule(profile?.hours) ? dayWindows(profile.hours, weekdayOf(date)) : [];
+    const reason = service?.hours && businessWindows.length > 0 ? 'service_unavailable' : 'closed_day';
+    return { open: false, reason, windows };
+  }
+
+  if (!time || !/^\d{1,2}:\d{2}$/.test(time)) return { open: true };
+
+  const start = toMinutes(time);
+  const end = start + (Number(durationMinutes) || 30);
+  const fits = windows.some(w => start >= toMinutes(w.open) && end <= toMinutes(w.close));
+  return fits ? { open: true } : { open: false, reason: 'outside_hours', windows };
+}
+
+/**
+ * Whether the business is open right now in its timezone. Profiles without hours count as open.
+ */
+export function isOpenNow(profile, now = new Date()) {
+  const today = getZonedNow(profile?.timezone || 'America/Toronto', now);
+  const windows = getOpenWindows(profile, today.date);
+  if (windows === null) return true;
+  const minutes = toMinutes(today.time);
+  return windows.some(w => minutes >= toMinutes(w.open) && minutes < toMinutes(w.close));
+}
+
+/**
+ * The next time the business opens after now, within two weeks.
+ * @returns {{ date: string, time: string }|null}
+ */
+export function nextOpening(profile, now = new Date()) {
+  const today = getZonedNow(profile?.timezone || 'America/Toronto', now);
+  for (let offset = 0; offset < LOOKAHEAD_DAYS; offset++) {
+    const date = addDays(today.date, offset);
+    const windows = getOpenWindows(profile, date);
+    if (windows === null) return null;
+    const upcoming = windows.find(w => offset > 0 || toMinutes(w.open) > toMinutes(today.time));
+    if (upcoming) return { date, time: upcoming.open };
+  }
+  return null;
+}
+
+// [{ open: "09:00", close: "12:00" }, { open: "13:00", close: "17:00" }] → "9:00 AM to 12:00 PM and 1:00 PM to 5:00 PM"
+export function describeWindows(windows, language = DEFAULT_LANGUAGE) {
+  const items = (windows || []).map(w => t(language, 'hoursWindow', {
+    open: formatSpokenTime(w.open, language),
+    close: formatSpokenTime(w.close, language)
+  }));
+  return t(language, 'listAnd', { items });
+}
+
+// "Monday to Friday 6:00 AM to 9:00 PM, Saturday 8:00 AM to 2:00 PM, and closed Sunday"
+export function describeWeeklyHours(schedule, language = DEFAULT_LANGUAGE) {
+  if (!hasSchedule(schedule)) return null;
+  const order = [...WEEKDAYS.slice(1), WEEKDAYS[0]];
+  const groups = [];
+  for (const day of order) {
+    const spoken = describeWindows(dayWindows(schedule, day), language);
+    const last = groups[groups.length - 1];
+    if (last && last.spoken === spoken) last.days.push(day);
+    else groups.push({ days: [day], spoken });
+  }
+  const dayRange = ({ days }) => {
+    const first = weekdayName(days[0], language);
+    const last = weekdayName(days[days.length - 1], language);
+    if (days.length === 1) return first;
+    return t(language, days.length === 2 ? 'dayPair' : 'dayRange', { first, last });
+  };
+  const open = groups.filter(g => g.spoken).map(g => `${dayRange(g)} ${g.spoken}`);
+  const closed = groups.filter(g => !g.spoken).map(dayRange);
+  if (open.length === 0) return null;
+  return t(language, 'weeklyHours', { open, closed });
+}
+
+// "today", "tomorrow" or the weekday name, for spoken replies
+export function describeDay(date, profile, now = new Date(), language = DEFAULT_LANGUAGE) {
+  const today = getZonedNow(profile?.timezone || 'America/Toronto', now).date;
+  if (date === today) return t(language, 'today');
+  if (date === addDays(today, 1)) return t(language, 'tomorrow');
+  return describeWeekday(date, language);
+}
+
+/**
+ * Spoken reason a requested date/time can't be booked, from a failed checkBusinessHours result.
+ */
+export function describeHoursProblem(check, { date, serviceName = null, profile = null, now = new Date(), language = DEFAULT_LANGUAGE }) {
+  const day = describeDay(date, profile, now, language);
+  const weekday = describeWeekday(date, language);
+  switch (check.reason) {
+    case 'closure':
+      return t(language, 'closedOnDate', { date, reason: check.closure?.reason });
+    case 'closed_day':
+      return t(language, 'closedOnWeekday', { weekday });
+    case 'service_unavailable':
+      return t(language, 'serviceNotOnWeekday', { service: serviceName, weekday });
+    case 'outside_hours':
+      return serviceName && check.windows.length > 0
+        ? t(language, 'serviceHoursOn', { service: serviceName, day, windows: describeWindows(check.windows, language) })
+        : t(language, 'openOn', { day, windows: describeWindows(check.windows, language) });
+    default:
+      return t(language, 'notOpenThen');
+  }
+}
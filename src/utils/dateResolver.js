@@ -0,0 +1,292 @@
+// src/utils/dateResolver.js
+// Deterministic resolution of spoken dates and times ("tomorrow", "next Friday",
+// "half past 3", "after work") against the business's timezone and current time.
+
+const WEEKDAYS = ['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday'];
+const MONTHS = ['january', 'february', 'march', 'april', 'may', 'june', 'july', 'august', 'september', 'october', 'november', 'december'];
+const NUMBER_WORDS = {
+  one: 1, two: 2, three: 3, four: 4, five: 5, six: 6, seven: 7, eight: 8, nine: 9, ten: 10, eleven: 11, twelve: 12
+};
+
+// Minutes said after the hour ("ten thirty", "3 45"); anything else is left to the NLU
+const MINUTE_WORDS = { fifteen: 15, thirty: 30, 'forty-five': 45, 'forty five': 45 };
+// A number word the minute patterns can't read ("ten twenty", "three oh five")
+const OTHER_NUMBER = /^[\s:-]*(\d|(oh|zero|one|two|three|four|five|six|seven|eight|nine|ten|eleven|twelve|thirteen|fourteen|fifteen|sixteen|seventeen|eighteen|nineteen|twenty|thirty|forty|fifty)\b)/;
+
+const pad = (n) => String(n).padStart(2, '0');
+
+/**
+ * Current wall-clock date/time in the business timezone.
+ * @returns {{ date: string, time: string, weekday: number }} date "YYYY-MM-DD", time "HH:mm", weekday 0=Sunday
+ */
+export function getZonedNow(timezone, now = new Date()) {
+  const parts = new Intl.DateTimeFormat('en-US', {
+    timeZone: timezone || 'America/Toronto',
+    year: 'numeric',
+    month: '2-digit',
+    day: '2-digit',
+    hour: '2-digit',
+    minute: '2-digit',
+    weekday: 'long',
+    hourCycle: 'h23'
+  }).formatToParts(now);
+  const get = type => parts.find(p => p.type === type)?.value;
+  return {
+    date: `${get('year')}-${get('month')}-${get('day')}`,
+    time: `${get('hour')}:${get('minute')}`,
+    weekday: WEEKDAYS.indexOf(String(get('weekday')).toLowerCase())
+  };
+}
+
+// "Monday, 2026-10-19" — today's date as given to the NLU and Realtime prompts
+export function describeToday(timezone, now = new Date()) {
+  const today = getZonedNow(timezone, now);
+  const weekday = WEEKDAYS[today.weekday];
+  return `${weekday.charAt(0).toUpperCase()}${weekday.slice(1)}, ${today.date}`;
+}
+
+function addDays(date, days) {
+  const [y, m, d] = date.split('-').map(Number);
+  const shifted = new Date(Date.UTC(y, m - 1, d + days));
+  return `${shifted.getUTCFullYear()}-${pad(shifted.getUTCMonth() + 1)}-${pad(shifted.getUTCDate())}`;
+}
+
+function isValidDate(y, m, d) {
+  const probe = new Date(Date.UTC(y, m - 1, d));
+  return probe.getUTCFullYear() === y && probe.getUTCMonth() === m - 1 && probe.getUTCDate() === d;
+}
+
+// Next y-m-d on or after today for a month/day said without a year
+function upcomingMonthDay(today, month, day) {
+  const year = Number(today.slice(0, 4));
+  for (const y of [year, year + 1]) {
+    if (!isValidDate(y, month, day)) continue;
+    const candidate = `${y}-${pad(month)}-${pad(day)}`;
+    if (candidate >= today) return candidate;
+  }
+  return null;
+}
+
+function parseDayNumber(text) {
+  const n = Number(String(text).replace(/(st|nd|rd|th)$/, ''));
+  return n >= 1 && n <= 31 ? n : null;
+}
+
+/**
+ * Resolve a spoken date to "YYYY-MM-DD". Returns null when the phrase has no recognisable date.
+ * Past dates are returned as-is; resolveDateTime is what rejects them.
+ */
+export function resolveDate(phrase, { timezone, now = new Date() } = {}) {
+  if (!phrase) return null;
+  const text = String(phrase).toLowerCase().replace(/[,.]/g, ' ').replace(/\s+/g, ' ').trim();
+  const today = getZonedNow(timezone, now);
+
+  const iso = text.match(/\b(\d{4})-(\d{2})-(\d{2})\b/);
+  if (iso && isValidDate(Number(iso[1]), Number(iso[2]), Number(iso[3]))) return iso[0];
+
+  if (/\bday after tomorrow\b/.test(text)) return addDays(today.date, 2);
+  if (/\b(today|tonight|this (morning|afternoon|evening))\b/.test(text)) return today.date;
+  if (/\btomorrow\b/.test(text)) return addDays(today.date, 1);
+  if (/\byesterday\b/.test(text)) return addDays(today.date, -1);
+
+  const inDays = text.match(/\bin (\d+|a|one|two|three|four|five|six|seven) (day|days|week|weeks)\b/);
+  if (inDays) {
+    const n = /^\d+$/.test(inDays[1]) ? Number(inDays[1]) : (inDays[1] === 'a' ? 1 : NUMBER_WORDS[inDays[1]]);
+    return addDays(today.date, inDays[2].startsWith('week') ? n * 7 : n);
+  }
+
+  const weekday = text.match(/\b(this |next |coming )?(week )?(sunday|monday|tuesday|wednesday|thursday|friday|saturday)\b/);
+  if (weekday) {
+    const target = WEEKDAYS.indexOf(weekday[3]);
+    let delta = (target - today.weekday + 7) % 7;
+    // "next Friday" never means today; "next week Friday" / "Friday next week" means the week after
+    if (weekday[1] === 'next ' && delta === 0) delta = 7;
+    if (weekday[2] || /\bnext week\b/.test(text)) delta += delta < 7 ? 7 : 0;
+    return addDays(today.date, delta);
+  }
+  if (/\bnext week\b/.test(text)) return addDays(today.date, 7);
+
+  const monthNames = MONTHS.map(m => `${m}|${m.slice(0, 3)}`).join('|');
+  const monthFirst = text.match(new RegExp(`\\b(${monthNames}) (\\d{1,2}(?:st|nd|rd|th)?)\\b`));
+  const dayFirst = text.match(new RegExp(`\\b(\\d{1,2}(?:st|nd|rd|th)?) (?:of )?(${monthNames})\\b`));
+  if (monthFirst || dayFirst) {
+    const monthName = monthFirst ? monthFirst[1] : dayFirst[2];
+    const month = MONTHS.findIndex(m => m.startsWith(monthName.slice(0, 3))) + 1;
+    const day = parseDayNumber(monthFirst ? monthFirst[2] : dayFirst[1]);
+    if (month && day) return upcomingMonthDay(today.date, month, day);
+  }
+
+  // North American numeric month/day, e.g. "10/21"
+  const numeric = text.match(/\b(\d{1,2})\/(\d{1,2})\b/);
+  if (numeric) return upcomingMonthDay(today.date, Number(numeric[1]), Number(numeric[2]));
+
+  // "the 21st" — this month, or next month if it has passed
+  const ordinal = text.match(/\bthe (\d{1,2})(st|nd|rd|th)\b/);
+  if (ordinal) {
+    const day = Number(ordinal[1]);
+    const [y, m] = today.date.split('-').map(Number);
+    const thisMonth = isValidDate(y, m, day) ? `${y}-${pad(m)}-${pad(day)}` : null;
+    if (thisMonth && thisMonth >= today.date) return thisMonth;
+    const nextY = m === 12 ? y + 1 : y;
+    const nextM = m === 12 ? 1 : m + 1;
+    return isValidDate(nextY, nextM, day) ? `${nextY}-${pad(nextM)}-${pad(day)}` : null;
+  }
+
+  return null;
+}
+
+// Hours said without AM/PM: 1–6 are afternoon appointments, 7–11 morning
+function inferMeridiem(hour, text) {
+  if (/\b(morning|a\.?m\.?)\b/.test(text)) return hour === 12 ? 0 : hour;
+  if (/\b(afternoon|evening|tonight|night|p\.?m\.?|after work)\b/.test(text)) return hour === 12 ? 12 : hour + 12;
+  if (hour >= 1 && hour <= 6) return hour + 12;
+  return hour;
+}
+
+const PERIODS = [
+  { pattern: /\b(after work|evening|tonight)\b/, period: 'evening' },
+  { pattern: /\bafternoon\b/, period: 'afternoon' },
+  { pattern: /\bmorning\b/, period: 'morning' },
+  { pattern: /\b(lunch|lunchtime)\b/, period: 'lunch' }
+];
+
+/**
+ * Resolve a spoken time.
+ * @returns {{ time: string } | { vague: string, suggestion: string|null } | null}
+ *   time "HH:mm"; vague is "morning" | "afternoon" | "evening" | "lunch" | "approximate"
+ */
+export function resolveTime(phrase) {
+  if (!phrase) return null;
+  const text = String(phrase).toLowerCase().replace(/\s+/g, ' ').trim();
+
+  if (/\b(noon|midday)\b/.test(text)) return { time: '12:00' };
+
+  const approximate = /\b(around|about|roughly|ish|or so|sometime)\b|-ish\b/.test(text);
+  const words = Object.keys(NUMBER_WORDS).join('|');
+  const toNumber = (s) => (/^\d+$/.test(s) ? Number(s) : NUMBER_WORDS[s]);
+
+  let hour = null;
+  let minute = 0;
+  let explicit = false;
+
+  const minuteWords = Object.keys(MINUTE_WORDS).join('|');
+  const toMinute = (s) => (/^\d+$/.test(s) ? Number(s) : MINUTE_WORDS[s]);
+
+  const clock = text.match(/\b(1[0-2]|0?[1-9])(?:[: ](\d{2}))?\s*(a\.?m\.?|p\.?m\.?)(?=\s|$|[,.!?])/);
+  const twentyFour = text.match(/\b([01]?\d|2[0-3]):([0-5]\d)\b/);
+  const halfPast = text.match(new RegExp(`\\b(half|quarter) past (\\d{1,2}|${words})\\b`));
+  const quarterTo = text.match(new RegExp(`\\bquarter to (\\d{1,2}|${words})\\b`));
+  const hourMinute = text.match(new RegExp(`\\b(\\d{1,2}|${words}) (\\d{2}|${minuteWords})\\b`));
+  const bare = text.match(new RegExp(`\\b(?:at |around |about |for )(\\d{1,2}|${words})(?: o'?clock)?\\b|\\b(\\d{1,2}|${words})(?: o'?clock| in the (?:morning|afternoon|evening))\\b`));
+
+  if (clock) {
+    hour = Number(clock[1]) % 12 + (clock[3].startsWith('p') ? 12 : 0);
+    minute = Number(clock[2] || 0);
+    explicit = true;
+  } else if (twentyFour) {
+    hour = Number(twentyFour[1]);
+    minute = Number(twentyFour[2]);
+    explicit = hour >= 13 || hour === 0;
+    if (!explicit) hour = inferMeridiem(hour, text);
+  } else if (halfPast) {
+    hour = inferMeridiem(toNumber(halfPast[2]), text);
+    minute = halfPast[1] === 'half' ? 30 : 15;
+  } else if (quarterTo) {
+    hour = inferMeridiem(toNumber(quarterTo[1]) - 1 || 12, text);
+    minute = 45;
+  } else if (hourMinute) {
+    // "at ten thirty five": the minutes don't stop where the pattern does
+    if (OTHER_NUMBER.test(text.slice(hourMinute.index + hourMinute[0].length))) return null;
+    hour = toNumber(hourMinute[1]);
+    minute = toMinute(hourMinute[2]);
+    explicit = hour >= 13 || hour === 0;
+    if (!explicit) hour = inferMeridiem(hour, text);
+  } else if (bare) {
+    // "at ten twenty": an hour followed by minutes we can't read would otherwise lose them
+    if (OTHER_NUMBER.test(text.slice(bare.index + bare[0].length))) return null;
+    hour = inferMeridiem(toNumber(bare[1] || bare[2]), text);
+  }
+
+  if (hour !== null && hour >= 0 && hour <= 23 && minute >= 0 && minute <= 59) {
+    const time = `${pad(hour)}:${pad(minute)}`;
+    if (approximate && !explicit) return { vague: 'approximate', suggestion: time };
+    return { time };
+  }
+
+  const period = PERIODS.find(({ pattern }) => pattern.test(text));
+  if (period) return { vague: period.period, suggestion: period.period === 'lunch' ? '12:00' : null };
+
+  return null;
+}
+
+/**
+ * Combine the caller's date/time phrases (preferred) with the NLU's own values (fallback)
+ * into absolute values for the business timezone. `storedDate` is the date already collected
+ * on the call, so a time given on its own is still checked against it ("3pm" when it's today).
+ * @returns {{ date: string|null, time: string|null, past: "date"|"time"|null, vague: object|null }}
+ */
+export function resolveDateTime({ datePhrase, timePhrase, date, time, storedDate = null }, { timezone, now = new Date() } = {}) {
+  const today = getZonedNow(timezone, now);
+
+  let resolvedDate = resolveDate(datePhrase, { timezone, now });
+  if (!resolvedDate && date && /^\d{4}-\d{2}-\d{2}$/.test(date)) resolvedDate = date;
+
+  let resolvedTime = null;
+  let vague = null;
+  const timeResult = resolveTime(timePhrase);
+  if (timeResult?.time) {
+    resolvedTime = timeResult.time;
+  } else if (timeResult?.vague) {
+    // Don't let the NLU guess an exact time for "morning" or "around 3"
+    vague = timeResult;
+  } else if (time && /^\d{1,2}:\d{2}$/.test(time)) {
+    resolvedTime = time.padStart(5, '0');
+  }
+
+  let past = null;
+  if (resolvedDate && resolvedDate < today.date) {
+    past = 'date';
+    resolvedDate = null;
+  } else if ((resolvedDate || storedDate) === today.date && resolvedTime && resolvedTime <= today.time) {
+    past = 'time';
+    resolvedTime = null;
+  }
+
+  return { date: resolvedDate, time: resolvedTime, past, vague };
+}
+
+// Offset of the timezone at a given instant, as "+HH:MM" / "-HH:MM"
+function offsetAt(timezone, instantMs) {
+  const parts = new Intl.DateTimeFormat('en-US', {
+    timeZone: timezone,
+    year: 'numeric', month: '2-digit', day: '2-digit',
+    hour: '2-digit', minute: '2-digit', second: '2-digit',
+    hourCycle: 'h23'
+  }).formatToParts(new Date(instantMs));
+  const get = type => Number(parts.find(p => p.type === type)?.value);
+  const asUtc = Date.UTC(get('year'), get('month') - 1, get('day'), get('hour'), get('minute'), get('second'));
+  return Math.round((asUtc - instantMs) / 60000);
+}
+
+/**
+ * Local date + time in a timezone → ISO 8601 with offset, e.g. "2026-10-21T15:00:00-04:00".
+ * Inputs that already carry an offset are returned unchanged; unparseable input gives null.
+ */
+export function toZonedISO(date, time, timezone = 'America/Toronto') {
+  if (typeof date === 'string' && /T\d{2}:\d{2}/.test(date) && !time) {
+    if (/(Z|[+-]\d{2}:?\d{2})$/.test(date)) return date;
+    [date, time] = date.split('T');
+  }
+  const [y, m, d] = String(date).split('-').map(Number);
+  const [hh, mm] = String(time || '00:00').split(':').map(Number);
+  if ([y, m, d, hh, mm].some(n => isNaN(n))) return null;
+  const wallAsUtc = Date.UTC(y, m - 1, d, hh, mm);
+
+  // Two passes settle the offset around DST transitions
+  let offset = offsetAt(timezone, wallAsUtc);
+  offset = offsetAt(timezone, wallAsUtc - offset * 60000);
+
+  const sign = offset < 0 ? '-' : '+';
+  const abs = Math.abs(offset);
+  return `${y}-${pad(m)}-${pad(d)}T${pad(hh)}:${pad(mm)}:00${sign}${pad(Math.floor(abs / 60))}:${pad(abs % 60)}`;
+}
@@ -0,0 +1,81 @@
+// src/utils/email.js
+// Email helpers for addresses taken over the phone. Speech-to-text writes them the way they
+// were said ("john dot smith at gmail dot com", "j o h n"), so they're put back together,
+// checked, and spelled out letter by letter for the caller to confirm.
+
+const LOCAL_PATTERN = /^[a-z0-9_%+-]+(\.[a-z0-9_%+-]+)*$/;
+const DOMAIN_PATTERN = /^([a-z0-9]([a-z0-9-]*[a-z0-9])?\.)+[a-z]{2,}$/;
+const MAX_EMAIL_LENGTH = 254;
+
+// Spoken names for the symbols in an address, English and French (longer phrases first)
+const SPOKEN_SYMBOLS = [
+  [/\b(at sign|at symbol|arobase|at)\b/g, '@'],
+  [/\b(underscore|under score|tiret bas)\b/g, '_'],
+  [/\b(dot|period|point)\b/g, '.'],
+  [/\b(dash|hyphen|tiret|trait d'union)\b/g, '-'],
+  [/\bplus\b/g, '+']
+];
+
+// Words around an address that aren't part of it ("my email is ...", "c'est ...")
+const FILLER_WORDS = new Set([
+  'my', 'email', 'e-mail', 'mail', 'address', 'is', "it's", 'its', 'it', "that's", 'the', 'sure',
+  'yes', 'yeah', 'no', 'okay', 'ok', 'um', 'uh', 'please', 'thanks', 'spelled', 'spell',
+  'mon', 'ma', 'courriel', 'adresse', "c'est", 'est', 'oui', 'non', 'merci'
+]);
+
+// Labels said as words when an address is spelled back; anything else is spelled out
+const SPOKEN_LABELS = new Set(['gmail', 'hotmail', 'outlook', 'yahoo', 'icloud', 'live', 'aol', 'protonmail', 'com', 'net', 'org', 'edu']);
+
+/**
+ * What was said, with its symbols written as symbols and its spaces closed up: "j o h n dot
+ * smith" → "john.smith". Also takes a part of an address (before or after the @).
+ */
+export function joinSpokenEmail(raw) {
+  let text = String(raw ?? '').toLowerCase();
+  for (const [pattern, symbol] of SPOKEN_SYMBOLS) text = text.replace(pattern, ` ${symbol} `);
+
+  const tokens = text.split(/[\s,;:!?]+/).filter(Boolean).filter(token => !FILLER_WORDS.has(token));
+  let out = '';
+  for (let i = 0; i < tokens.length; i++) {
+    // "double l" → "ll"
+    if (tokens[i] === 'double' && tokens[i + 1]) {
+      out += tokens[i + 1].repeat(2);
+      i++;
+    } else {
+      out += tokens[i];
+    }
+  }
+  // A sentence's full stop isn't part of the address
+  return out.replace(/[.]+$/, '');
+}
+
+export function isValidEmail(email) {
+  const value = String(email || '');
+  const parts = value.split('@');
+  return parts.length === 2 && value.length <= MAX_EMAIL_LENGTH &&
+    LOCAL_PATTERN.test(parts[0]) && DOMAIN_PATTERN.test(parts[1]);
+}
+
+/**
+ * The address in what the caller said ("john at gmail dot com" → "john@gmail.com"), or null
+ * when it doesn't make a valid one.
+ */
+export function normalizeSpokenEmail(raw) {
+  const email = joinSpokenEmail(raw);
+  return isValidEmail(email) ? email : null;
+}
+
+/**
+ * "john.smith@gmail.com" → "J O H N dot S M I T H at gmail dot com" for reading back: the
+ * part before the @ letter by letter, well-known providers and endings as words, anything
+ * else spelled out too ("B O O K 8 dot C A").
+ * @param {object} words - What to call each symbol in the call's language ({ "@": "at", ".": "dot", ... })
+ */
+export function spellEmail(email, words) {
+  const spellChars = (text) => text.split('').map(char => words[char] || char.toUpperCase()).join(' ');
+  const [local, domain = ''] = String(email || '').split('@');
+  const spokenDomain = domain.split('.')
+    .map(label => (SPOKEN_LABELS.has(label) ? label : spellChars(label)))
+    .join(` ${words['.']} `);
+  return `${spellChars(local)} ${words['@']} ${spokenDomain}`;
+}
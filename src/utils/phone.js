@@ -0,0 +1,96 @@
+// src/utils/phone.js
+// Phone number helpers. Numbers are compared and stored in E.164 ("+14165550100").
+
+const DEFAULT_COUNTRY_CODE = '1'; // North American Numbering Plan
+
+/**
+ * Normalize a phone number to E.164. Numbers without a country code are taken to be in
+ * `defaultCountryCode` (a calling code, NANP by default): bare 10-digit numbers, or elsewhere
+ * national numbers with their trunk "0".
+ * Returns null when the input can't be a phone number.
+ */
+export function toE164(raw, { defaultCountryCode = DEFAULT_COUNTRY_CODE } = {}) {
+  if (raw === null || raw === undefined) return null;
+  const value = String(raw).trim();
+  if (!value) return null;
+
+  const hasPlus = value.startsWith('+') || value.startsWith('00');
+  let digits = value.replace(/\D/g, '');
+  if (value.startsWith('00')) digits = digits.slice(2);
+
+  if (hasPlus) {
+    return digits.length >= 8 && digits.length <= 15 ? `+${digits}` : null;
+  }
+  // Outside North America national numbers are dialled with a trunk "0" ("020 7946 0018" in the UK)
+  if (defaultCountryCode !== DEFAULT_COUNTRY_CODE && digits.startsWith('0')) {
+    const national = digits.slice(1);
+    return national.length >= 6 && defaultCountryCode.length + national.length <= 15 ? `+${defaultCountryCode}${national}` : null;
+  }
+  if (digits.length === 10) return `+${defaultCountryCode}${digits}`;
+  if (digits.length === 11 && digits.startsWith(defaultCountryCode)) return `+${digits}`;
+  return null;
+}
+
+// "+14165550100" → "416-555-0100" for read-backs; other countries keep their digits as given
+export function formatSpokenPhone(e164) {
+  const value = String(e164 || '');
+  const nanp = value.match(/^\+1(\d{3})(\d{3})(\d{4})$/);
+  if (nanp) return `${nanp[1]}-${nanp[2]}-${nanp[3]}`;
+  return value;
+}
+
+// Digit words as speech-to-text writes them out, English and French
+const DIGIT_WORDS = {
+  zero: '0', oh: '0', o: '0', one: '1', two: '2', three: '3', four: '4', five: '5', six: '6', seven: '7', eight: '8', nine: '9',
+  'zéro': '0', un: '1', une: '1', deux: '2', trois: '3', quatre: '4', cinq: '5', sept: '7', huit: '8', neuf: '9'
+};
+// Everyday French articles ("c'est un 416...", "une seconde"): a 1 only between other digits
+const ARTICLE_DIGIT_WORDS = new Set(['un', 'une']);
+const REPEAT_WORDS = { double: 2, triple: 3 };
+
+const isDigitToken = (token) => token !== undefined && (/^\d+$/.test(token) || token in DIGIT_WORDS || token in REPEAT_WORDS);
+
+/**
+ * The digits of a number as it was spoken: "four one six, double five five, oh one hundred"
+ * → "4165550100". A leading "plus" is kept ("+44..."). Digits already written out pass through.
+ * Returns null when nothing in the text is a digit; pass the result to toE164 to validate it.
+ */
+export function parseSpokenPhone(raw) {
+  const tokens = String(raw ?? '').toLowerCase().match(/\+|\d+|[\p{L}']+/gu) || [];
+  let out = '';
+  let repeat = 1;
+  for (const [i, token] of tokens.entries()) {
+    if (token === '+' || token === 'plus') {
+      if (!out) out = '+';
+      continue;
+    }
+    if (REPEAT_WORDS[token]) {
+      repeat = REPEAT_WORDS[token];
+      continue;
+    }
+    // "Oh" only counts once the number has started ("oh, it's four one six...")
+    const isZeroWord = token === 'oh' || token === 'o';
+    const isArticle = ARTICLE_DIGIT_WORDS.has(token) && !(/\d$/.test(out) && isDigitToken(tokens[i + 1]));
+    const digits = /^\d+$/.test(token) ? token : ((isZeroWord && !/\d/.test(out)) || isArticle ? undefined : DIGIT_WORDS[token]);
+    if (digits !== undefined) {
+      out += digits[0].repeat(repeat) + digits.slice(1);
+      repeat = 1;
+    } else if ((token === 'hundred' || token === 'cent') && /\d$/.test(out)) {
+      out += '00';
+    } else if ((token === 'thousand' || token === 'mille') && /\d$/.test(out)) {
+      out += '000';
+    }
+  }
+  return /\d/.test(out) ? out : null;
+}
+
+// "+14165550100" → "4 1 6, 5 5 5, 0 1 0 0", digit by digit for confirming a number over the phone
+export function spellPhone(e164) {
+  const value = String(e164 || '');
+  const spell = (digits) => digits.split('').join(' ');
+  const nanp = value.match(/^\+1(\d{3})(\d{3})(\d{4})$/);
+  if (nanp) return nanp.slice(1).map(spell).join(', ');
+  const international = value.match(/^\+(\d+)$/);
+  if (!international) return value;
+  return `+${international[1].match(/\d{1,3}/g).map(spell).join(', ')}`;
+}
@@ -0,0 +1,377 @@
+// src/utils/profileSchema.js
+// The one shape a business profile has once it leaves businessProfiles.js, whatever its source:
+// businesses.json (handle, businessName, durationMinutes) or core-api. Handlers can rely on every
+// field below being present and well-formed.
+//
+// {
+//   id: "waismofit", handle: "waismofit", name: "Wais Mo Fitness",
+//   category: "fitness", timezone: "America/Toronto", location: "Toronto, Canada" | null,
+//   services: [{ id, name, durationMinutes, price: number | null, description: string | null, hours: weekly | null }],
+//   hours: weekly | null,            null = no opening hours configured (always bookable)
+//   closures: [{ date, reason } | { from, to, reason }],
+//   policies: { cancellationHours: number | null, latePolicy: string | null, notes: string | null },
+//   greetingOverride, afterHoursGreetingOverride, bookingSettings: string | null,
+//   agentApiKey, agentApiKeyEnv, bookingApiUrl: string | null,
+//   transferNumber: E.164 string | null   where transfer_to_human sends the caller
+//   phoneCountryCode: "1",               calling code for numbers callers give without one
+//   language: "en-US",                   BCP 47 tag for TwiML <Say>; the primary language
+//   languages: ["en-US", "fr-CA"],       languages calls are answered in, primary first
+//                                        (only those with reply templates in src/i18n)
+//   voice: {
+//     twilioVoice: string | null,        TwiML <Say> voice (null = the default for language)
+//     realtimeVoice: string | null,      OpenAI Realtime voice (null = the server default)
+//     preConnectMessage: string | null,  said before the call connects to the agent
+//     recordingDisclosure: string | null, said first, before anything else
+//     agentSpeaksFirst: boolean          the Realtime agent opens with the greeting (default false)
+//   },
+//   sms: {
+//     enabled: boolean,                  text booking confirmations and reminders (default false)
+//     fromNumber: E.164 string | null,   number texts come from (null = TWILIO_SMS_FROM)
+//     confirmationTemplate: string | null, own wording, with {name} {service} {business} {date} {time} {address}
+//     reminderTemplate: string | null,   same placeholders (null = the call language's templates)
+//     reminderHoursBefore: [24]          one reminder per entry; [] sends none
+//   }
+// }
+// weekly = { monday: [{ open: "09:00", close: "17:00" }], ... } with only the days that are open.
+
+import { toE164 } from './phone.js';
+import { DEFAULT_LANGUAGE, isSupportedLanguage } from '../i18n/index.js';
+
+const WEEKDAYS = ['monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday', 'sunday'];
+const DEFAULT_TIMEZONE = 'America/Toronto';
+const DEFAULT_DURATION_MINUTES = 30;
+const TIME_PATTERN = /^([01]?\d|2[0-3]):[0-5]\d$/;
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+const LANGUAGE_PATTERN = /^([a-z]{2,3})(?:-([a-z]{2}))?$/i;
+const TWILIO_VOICE_PATTERN = /^[A-Za-z0-9._-]+$/;
+const DEFAULT_REMINDER_HOURS = [24];
+const DEFAULT_PHONE_COUNTRY_CODE = '1';
+const COUNTRY_CODE_PATTERN = /^\+?([1-9]\d{0,2})$/;
+const REALTIME_VOICES = ['alloy', 'ash', 'ballad', 'cedar', 'coral', 'echo', 'marin', 'sage', 'shimmer', 'verse'];
+
+const isBlank = (value) => value === undefined || value === null || value === '';
+
+function isValidTimezone(timezone) {
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone: timezone });
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+function slugify(text) {
+  return String(text).toLowerCase().replace(/[^a-z0-9]+/g, '_').replace(/^_|_$/g, '');
+}
+
+/**
+ * Collects field-level problems. `fatal` ones make the profile unusable; the rest were repaired
+ * (defaulted or dropped, e.g. a service without a valid duration gets 30 minutes) and are
+ * reported so bad source data gets fixed.
+ */
+function createReport() {
+  const errors = [];
+  return {
+    errors,
+    error(path, message, fatal = false) {
+      errors.push({ path, message, fatal });
+    }
+  };
+}
+
+function optionalString(value, path, report) {
+  if (isBlank(value)) return null;
+  if (typeof value !== 'string') {
+    report.error(path, `expected a string, got ${typeof value}`);
+    return null;
+  }
+  return value.trim() || null;
+}
+
+function optionalNumber(value, path, report, { min = 0 } = {}) {
+  if (isBlank(value)) return null;
+  const number = Number(value);
+  if (!Number.isFinite(number) || number < min) {
+    report.error(path, `expected a number >= ${min}, got ${JSON.stringify(value)}`);
+    return null;
+  }
+  return number;
+}
+
+// Weekly opening hours; malformed windows are dropped, days without windows are left out (closed)
+function normalizeWeekly(value, path, report) {
+  if (isBlank(value)) return null;
+  if (typeof value !== 'object' || Array.isArray(value)) {
+    report.error(path, 'expected an object keyed by weekday');
+    return null;
+  }
+
+  const weekly = {};
+  for (const [key, raw] of Object.entries(value)) {
+    const day = key.toLowerCase();
+    if (!WEEKDAYS.includes(day)) {
+      report.error(`${path}.${key}`, 'unknown weekday');
+      continue;
+    }
+    const windows = [];
+    (Array.isArray(raw) ? raw : (raw ? [raw] : [])).forEach((w, i) => {
+      const windowPath = `${path}.${key}[${i}]`;
+      if (!w || !TIME_PATTERN.test(w.open) || !TIME_PATTERN.test(w.close)) {
+        report.error(windowPath, 'expected { open: "HH:mm", close: "HH:mm" }');
+        return;
+      }
+      const open = w.open.padStart(5, '0');
+      const close = w.close.padStart(5, '0');
+      if (open >= close) {
+        report.error(windowPath, `closes (${close}) before it opens (${open})`);
+        return;
+      }
+      windows.push({ open, close });
+    });
+    if (windows.length > 0) weekly[day] = windows.sort((a, b) => a.open.localeCompare(b.open));
+  }
+  // An empty schedule means "closed every day"; don't let bad data turn into that
+  if (Object.keys(weekly).length === 0 && Object.keys(value).length > 0) {
+    report.error(path, 'has no valid opening windows; ignored');
+    return null;
+  }
+  return weekly;
+}
+
+function normalizePhone(value, path, report) {
+  const text = optionalString(isBlank(value) ? value : String(value), path, report);
+  if (!text) return null;
+  const e164 = toE164(text);
+  if (!e164) report.error(path, `"${text}" is not a phone number`);
+  return e164;
+}
+
+// "+44" → "44"; anything that isn't a calling code falls back to North America's
+function normalizeCountryCode(value, path, report) {
+  const text = optionalString(isBlank(value) ? value : String(value), path, report);
+  if (!text) return DEFAULT_PHONE_COUNTRY_CODE;
+  const match = text.trim().match(COUNTRY_CODE_PATTERN);
+  if (!match) {
+    report.error(path, `"${text}" is not a calling code like "1" or "+44", defaulted to ${DEFAULT_PHONE_COUNTRY_CODE}`);
+    return DEFAULT_PHONE_COUNTRY_CODE;
+  }
+  return match[1];
+}
+
+// "fr-ca" → "fr-CA"; anything that isn't a language tag falls back to DEFAULT_LANGUAGE
+function normalizeLanguage(value, path, report) {
+  const text = optionalString(value, path, report);
+  if (!text) return DEFAULT_LANGUAGE;
+  const match = text.match(LANGUAGE_PATTERN);
+  if (!match) {
+    report.error(path, `"${text}" is not a language tag like "en-US", defaulted to ${DEFAULT_LANGUAGE}`);
+    return DEFAULT_LANGUAGE;
+  }
+  return match[2] ? `${match[1].toLowerCase()}-${match[2].toUpperCase()}` : match[1].toLowerCase();
+}
+
+// The primary language first, then any others; duplicates and languages without reply
+// templates are dropped
+function normalizeLanguages(value, primary, path, report) {
+  if (!isBlank(value) && !Array.isArray(value)) report.error(path, 'expected an array of language tags');
+  const extra = Array.isArray(value) ? value : [];
+  const languages = [];
+  [primary, ...extra.map((tag, i) => normalizeLanguage(tag, `${path}[${i}]`, report))].forEach(tag => {
+    if (languages.includes(tag)) return;
+    if (!isSupportedLanguage(tag)) {
+      report.error(path, `no reply templates for "${tag}", calls in it are answered in ${languages[0] || DEFAULT_LANGUAGE}`);
+      return;
+    }
+    languages.push(tag);
+  });
+  return languages.length > 0 ? languages : [DEFAULT_LANGUAGE];
+}
+
+function optionalBoolean(value, path, report, fallback) {
+  if (isBlank(value)) return fallback;
+  if (typeof value === 'boolean') return value;
+  if (value === 'true' || value === 'false') return value === 'true';
+  report.error(path, `expected true or false, got ${JSON.stringify(value)}`);
+  return fallback;
+}
+
+function normalizeVoiceSettings(value, path, report) {
+  const raw = value && typeof value === 'object' && !Array.isArray(value) ? value : {};
+  if (!isBlank(value) && raw !== value) report.error(path, 'expected an object');
+
+  let twilioVoice = optionalString(raw.twilioVoice, `${path}.twilioVoice`, report);
+  if (twilioVoice && !TWILIO_VOICE_PATTERN.test(twilioVoice)) {
+    report.error(`${path}.twilioVoice`, `"${twilioVoice}" is not a Twilio voice name`);
+    twilioVoice = null;
+  }
+  let realtimeVoice = optionalString(raw.realtimeVoice, `${path}.realtimeVoice`, report);
+  if (realtimeVoice && !REALTIME_VOICES.includes(realtimeVoice.toLowerCase())) {
+    report.error(`${path}.realtimeVoice`, `unknown voice "${realtimeVoice}" (one of ${REALTIME_VOICES.join(', ')})`);
+    realtimeVoice = null;
+  }
+
+  return {
+    twilioVoice,
+    realtimeVoice: realtimeVoice && realtimeVoice.toLowerCase(),
+    preConnectMessage: optionalString(raw.preConnectMessage, `${path}.preConnectMessage`, report),
+    recordingDisclosure: optionalString(raw.recordingDisclosure, `${path}.recordingDisclosure`, report),
+    agentSpeaksFirst: optionalBoolean(raw.agentSpeaksFirst, `${path}.agentSpeaksFirst`, report, false)
+  };
+}
+
+// Hours before the appointment to send each reminder; duplicates and non-positive entries dropped
+function normalizeReminderHours(value, path, report) {
+  if (isBlank(value)) return DEFAULT_REMINDER_HOURS;
+  if (!Array.isArray(value)) {
+    report.error(path, `expected an array of hours, defaulted to ${JSON.stringify(DEFAULT_REMINDER_HOURS)}`);
+    return DEFAULT_REMINDER_HOURS;
+  }
+  const hours = [];
+  value.forEach((entry, i) => {
+    const number = Number(entry);
+    if (isBlank(entry) || isNaN(number) || number <= 0) {
+      report.error(`${path}[${i}]`, `expected a positive number of hours, got ${JSON.stringify(entry)}`);
+      return;
+    }
+    if (!hours.includes(number)) hours.push(number);
+  });
+  return hours.sort((a, b) => b - a);
+}
+
+function normalizeSmsSettings(value, path, report) {
+  const raw = value && typeof value === 'object' && !Array.isArray(value) ? value : {};
+  if (!isBlank(value) && raw !== value) report.error(path, 'expected an object');
+
+  return {
+    enabled: optionalBoolean(raw.enabled, `${path}.enabled`, report, false),
+    fromNumber: normalizePhone(raw.fromNumber, `${path}.fromNumber`, report),
+    confirmationTemplate: optionalString(raw.confirmationTemplate, `${path}.confirmationTemplate`, report),
+    reminderTemplate: optionalString(raw.reminderTemplate, `${path}.reminderTemplate`, report),
+    reminderHoursBefore: normalizeReminderHours(raw.reminderHoursBefore, `${path}.reminderHoursBefore`, report)
+  };
+}
+
+function normalizeClosures(value, path, report) {
+  if (isBlank(value)) return [];
+  if (!Array.isArray(value)) {
+    report.error(path, 'expected an array');
+    return [];
+  }
+  return value.flatMap((c, i) => {
+    const reason = optionalString(c?.reason, `${path}[${i}].reason`, report);
+    if (c && DATE_PATTERN.test(c.date)) return [{ date: c.date, reason }];
+    if (c && DATE_PATTERN.test(c.from) && (isBlank(c.to) || DATE_PATTERN.test(c.to))) {
+      const to = c.to || c.from;
+      if (to < c.from) {
+        report.error(`${path}[${i}]`, `ends (${to}) before it starts (${c.from})`);
+        return [];
+      }
+      return [{ from: c.from, to, reason }];
+    }
+    report.error(`${path}[${i}]`, 'expected { date: "YYYY-MM-DD" } or { from, to }');
+    return [];
+  });
+}
+
+function normalizeService(raw, path, report) {
+  if (!raw || typeof raw !== 'object') {
+    report.error(path, 'expected an object');
+    return null;
+  }
+  const name = optionalString(raw.name, `${path}.name`, report);
+  if (!name) {
+    report.error(`${path}.name`, 'is required; service dropped');
+    return null;
+  }
+
+  const rawDuration = raw.durationMinutes ?? raw.duration;
+  let durationMinutes = optionalNumber(rawDuration, `${path}.durationMinutes`, report, { min: 1 });
+  if (durationMinutes === null) {
+    if (isBlank(rawDuration)) report.error(`${path}.durationMinutes`, 'is missing');
+    durationMinutes = DEFAULT_DURATION_MINUTES;
+  }
+
+  return {
+    id: optionalString(String(raw.id ?? ''), `${path}.id`, report) || slugify(name),
+    name,
+    durationMinutes,
+    price: optionalNumber(raw.price, `${path}.price`, report),
+    description: optionalString(raw.description, `${path}.description`, report),
+    hours: normalizeWeekly(raw.hours, `${path}.hours`, report)
+  };
+}
+
+/**
+ * Validate and normalize a business record from any source.
+ * @param {object} raw
+ * @returns {{ ok: boolean, profile: object|null, errors: Array<{ path: string, message: string, fatal: boolean }> }}
+ *   ok is false (and profile null) only when the record can't be used at all.
+ */
+export function normalizeProfile(raw) {
+  const report = createReport();
+  if (!raw || typeof raw !== 'object' || Array.isArray(raw)) {
+    report.error('', 'expected a business object', true);
+    return { ok: false, profile: null, errors: report.errors };
+  }
+
+  const id = optionalString(raw.id ?? raw.handle, 'id', report);
+  if (!id) report.error('id', 'is required (id or handle)', true);
+  const name = optionalString(raw.name ?? raw.businessName, 'name', report);
+  if (!name) report.error('name', 'is required (name or businessName)', true);
+
+  let timezone = optionalString(raw.timezone, 'timezone', report);
+  if (timezone && !isValidTimezone(timezone)) {
+    report.error('timezone', `unknown IANA timezone "${timezone}", defaulted to ${DEFAULT_TIMEZONE}`);
+    timezone = null;
+  }
+
+  const services = [];
+  if (!isBlank(raw.services) && !Array.isArray(raw.services)) {
+    report.error('services', 'expected an array');
+  } else {
+    (raw.services || []).forEach((s, i) => {
+      const service = normalizeService(s, `services[${i}]`, report);
+      if (service) services.push(service);
+    });
+  }
+
+  const policies = raw.policies && typeof raw.policies === 'object' ? raw.policies : {};
+  const language = normalizeLanguage(raw.language, 'language', report);
+
+  const profile = {
+    id,
+    handle: optionalString(raw.handle, 'handle', report) || id,
+    name,
+    category: (optionalString(raw.category, 'category', report) || 'other').toLowerCase(),
+    timezone: timezone || DEFAULT_TIMEZONE,
+    location: optionalString(raw.location, 'location', report),
+    services,
+    hours: normalizeWeekly(raw.hours, 'hours', report),
+    closures: normalizeClosures(raw.closures, 'closures', report),
+    policies: {
+      cancellationHours: optionalNumber(policies.cancellationHours, 'policies.cancellationHours', report),
+      latePolicy: optionalString(policies.latePolicy, 'policies.latePolicy', report),
+      notes: optionalString(policies.notes, 'policies.notes', report)
+    },
+    greetingOverride: optionalString(raw.greetingOverride, 'greetingOverride', report),
+    afterHoursGreetingOverride: optionalString(raw.afterHoursGreetingOverride, 'afterHoursGreetingOverride', report),
+    bookingSettings: optionalString(raw.bookingSettings, 'bookingSettings', report),
+    agentApiKey: optionalString(raw.agentApiKey, 'agentApiKey', report),
+    agentApiKeyEnv: optionalString(raw.agentApiKeyEnv, 'agentApiKeyEnv', report),
+    bookingApiUrl: optionalString(raw.bookingApiUrl, 'bookingApiUrl', report),
+    transferNumber: normalizePhone(raw.transferNumber, 'transferNumber', report),
+    phoneCountryCode: normalizeCountryCode(raw.phoneCountryCode, 'phoneCountryCode', report),
+    language,
+    languages: normalizeLanguages(raw.languages, language, 'languages', report),
+    voice: normalizeVoiceSettings(raw.voice, 'voice', report),
+    sms: normalizeSmsSettings(raw.sms, 'sms', report)
+  };
+
+  const ok = !report.errors.some(e => e.fatal);
+  return { ok, profile: ok ? profile : null, errors: report.errors };
+}
+
+// "services[1].name: is required; service dropped; timezone: ..." for logs
+export function formatProfileErrors(errors) {
+  return errors.map(e => (e.path ? `${e.path}: ${e.message}` : e.message)).join('; ');
+}
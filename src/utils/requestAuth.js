@@ -0,0 +1,142 @@
+// src/utils/requestAuth.js
+// Authentication for the public endpoints:
+//   /incoming-call   - X-Twilio-Signature (HMAC-SHA1 of URL + sorted POST params, keyed by TWILIO_AUTH_TOKEN)
+//   /media-stream    - short-lived signed token issued in the <Stream> URL path by /incoming-call
+//   /api/agent-chat  - gateway shared secret (X-Agent-Secret) or HMAC signature (X-Agent-Signature)
+//
+// Everything is enforced unless AUTH_DISABLED=true (local development only).
+// Env is read lazily because dotenv loads after imports.
+
+import crypto from 'crypto';
+
+const STREAM_TOKEN_TTL_SECONDS = 120;
+const SIGNATURE_TOLERANCE_SECONDS = 300;
+
+export function isAuthDisabled() {
+  return process.env.AUTH_DISABLED === 'true';
+}
+
+function safeEqual(a, b) {
+  const left = Buffer.from(String(a));
+  const right = Buffer.from(String(b));
+  return left.length === right.length && crypto.timingSafeEqual(left, right);
+}
+
+const base64url = (buf) => Buffer.from(buf).toString('base64url');
+
+/**
+ * The URL Twilio requested, as it signed it. Behind a proxy the public origin comes from
+ * PUBLIC_BASE_URL, or X-Forwarded-Proto + Host.
+ */
+export function getPublicUrl(request) {
+  const base = process.env.PUBLIC_BASE_URL;
+  if (base) return `${base.replace(/\/$/, '')}${request.url}`;
+  const proto = String(request.headers['x-forwarded-proto'] || 'https').split(',')[0].trim();
+  return `${proto}://${request.headers.host}${request.url}`;
+}
+
+/**
+ * Twilio request validation: base64(HMAC-SHA1(authToken, url + each POST param key+value sorted by key))
+ */
+export function computeTwilioSignature(authToken, url, params = {}) {
+  const data = Object.keys(params).sort().reduce((acc, key) => {
+    const value = params[key];
+    const values = Array.isArray(value) ? value : [value];
+    return acc + values.map(v => `${key}${v ?? ''}`).join('');
+  }, url);
+  return crypto.createHmac('sha1', authToken).update(Buffer.from(data, 'utf8')).digest('base64');
+}
+
+/**
+ * @returns {{ ok: boolean, reason?: string }}
+ */
+export function verifyTwilioRequest(request) {
+  if (isAuthDisabled()) return { ok: true };
+  const authToken = process.env.TWILIO_AUTH_TOKEN;
+  if (!authToken) return { ok: false, reason: 'TWILIO_AUTH_TOKEN is not configured' };
+
+  const signature = request.headers['x-twilio-signature'];
+  if (!signature) return { ok: false, reason: 'missing X-Twilio-Signature' };
+
+  const url = getPublicUrl(request);
+  const params = request.method === 'POST' && request.body && typeof request.body === 'object' ? request.body : {};
+  const expected = computeTwilioSignature(authToken, url, params);
+  return safeEqual(signature, expected) ? { ok: true } : { ok: false, reason: 'invalid X-Twilio-Signature' };
+}
+
+function streamTokenSecret() {
+  return process.env.STREAM_TOKEN_SECRET || process.env.TWILIO_AUTH_TOKEN || null;
+}
+
+/**
+ * Signed token for the <Stream> URL path: base64url(JSON claims) + "." + base64url(HMAC-SHA256).
+ * Claims carry the call context so /media-stream doesn't trust plain query params.
+ * Returns null when no secret is configured.
+ */
+export function createStreamToken(claims, { ttlSeconds = STREAM_TOKEN_TTL_SECONDS } = {}) {
+  const secret = streamTokenSecret();
+  if (!secret) return null;
+  const payload = base64url(JSON.stringify({ ...claims, exp: Math.floor(Date.now() / 1000) + ttlSeconds }));
+  const signature = base64url(crypto.createHmac('sha256', secret).update(payload).digest());
+  return `${payload}.${signature}`;
+}
+
+/**
+ * @returns {object|null} The token's claims, or null if it is missing, forged or expired
+ */
+export function verifyStreamToken(token) {
+  const secret = streamTokenSecret();
+  if (!secret || !token || typeof token !== 'string') return null;
+  const [payload, signature] = token.split('.');
+  if (!payload || !signature) return null;
+
+  const expected = base64url(crypto.createHmac('sha256', secret).update(payload).digest());
+  if (!safeEqual(signature, expected)) return null;
+
+  try {
+    const claims = JSON.parse(Buffer.from(payload, 'base64url').toString('utf8'));
+    if (!claims.exp || claims.exp < Math.floor(Date.now() / 1000)) return null;
+    return claims;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Gateway → agent authentication. Accepts either
+ *   X-Agent-Secret: <AGENT_SHARED_SECRET>
+ *   X-Agent-Signature: t=<unix seconds>,v1=<hex HMAC-SHA256(AGENT_SHARED_SECRET, "<t>.<raw body>")>
+ * The signature form keeps the secret off the wire and is rejected after 5 minutes.
+ * @returns {{ ok: boolean, reason?: string }}
+ */
+export function verifyGatewayRequest(request) {
+  if (isAuthDisabled()) return { ok: true };
+  const secret = process.env.AGENT_SHARED_SECRET;
+  if (!secret) return { ok: false, reason: 'AGENT_SHARED_SECRET is not configured' };
+
+  const sharedSecret = request.headers['x-agent-secret'];
+  if (sharedSecret) {
+    return safeEqual(sharedSecret, secret) ? { ok: true } : { ok: false, reason: 'invalid X-Agent-Secret' };
+  }
+
+  const header = request.headers['x-agent-signature'];
+  if (!header) return { ok: false, reason: 'missing X-Agent-Secret or X-Agent-Signature' };
+
+  const parts = Object.fromEntries(String(header).split(',').map(part => part.trim().split('=')));
+  const timestamp = Number(parts.t);
+  if (!timestamp || !parts.v1) return { ok: false, reason: 'malformed X-Agent-Signature' };
+  if (Math.abs(Date.now() / 1000 - timestamp) > SIGNATURE_TOLERANCE_SECONDS) {
+    return { ok: false, reason: 'expired X-Agent-Signature' };
+  }
+
+  const expected = crypto.createHmac('sha256', secret).update(`${timestamp}.${request.rawBody ?? ''}`).digest('hex');
+  return safeEqual(parts.v1, expected) ? { ok: true } : { ok: false, reason: 'invalid X-Agent-Signature' };
+}
+
+// CORS_ALLOWED_ORIGINS="https://app.book8.com,https://admin.book8.com" → exact-match list
+export function getAllowedOrigins() {
+  return String(process.env.CORS_ALLOWED_ORIGINS || '')
+    .split(',')
+    .map(origin => origin.trim().replace(/\/$/, ''))
+    .filter(Boolean);
+}
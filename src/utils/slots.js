@@ -0,0 +1,139 @@
+// src/utils/slots.js
+// Helpers for the day-scoped slot list returned by check-availability
+
+import { t, DEFAULT_LANGUAGE } from '../i18n/index.js';
+
+// Pull the raw slot list out of a check-availability response
+function rawSlots(checkResult) {
+  if (!checkResult || typeof checkResult !== 'object') return [];
+  const list = checkResult.slots || checkResult.availableSlots || checkResult.times || [];
+  return Array.isArray(list) ? list : [];
+}
+
+// Convert one slot (ISO string, "HH:mm" string or { start } object) to "HH:mm" in the business timezone
+function slotToLocalTime(slot, timezone) {
+  const value = (slot && typeof slot === 'object') ? (slot.start || slot.startTime || slot.time) : slot;
+  if (!value || typeof value !== 'string') return null;
+
+  const hhmm = value.match(/^(\d{1,2}):(\d{2})$/);
+  if (hhmm) return `${hhmm[1].padStart(2, '0')}:${hhmm[2]}`;
+
+  return toLocalDateTime(value, timezone)?.time || null;
+}
+
+/**
+ * Split an ISO timestamp into the business-local { date: "YYYY-MM-DD", time: "HH:mm" }.
+ * Timestamps without an offset are taken as already local. Returns null if unparseable.
+ */
+export function toLocalDateTime(iso, timezone) {
+  if (!iso || typeof iso !== 'string') return null;
+  if (!/(Z|[+-]\d{2}:?\d{2})$/.test(iso)) {
+    const local = iso.match(/^(\d{4}-\d{2}-\d{2})(?:T(\d{2}):(\d{2}))?/);
+    return local ? { date: local[1], time: local[2] ? `${local[2]}:${local[3]}` : null } : null;
+  }
+
+  const parsed = new Date(iso);
+  if (isNaN(parsed.getTime())) return null;
+
+  const parts = new Intl.DateTimeFormat('en-CA', {
+    timeZone: timezone || 'America/Toronto',
+    year: 'numeric',
+    month: '2-digit',
+    day: '2-digit',
+    hour: '2-digit',
+    minute: '2-digit',
+    hourCycle: 'h23'
+  }).formatToParts(parsed);
+  const get = type => parts.find(p => p.type === type)?.value;
+  return { date: `${get('year')}-${get('month')}-${get('day')}`, time: `${get('hour')}:${get('minute')}` };
+}
+
+function toMinutes(time) {
+  const [h, m] = String(time).split(':').map(Number);
+  return h * 60 + m;
+}
+
+/**
+ * Open start times for the day as sorted, de-duplicated "HH:mm" strings.
+ * Returns null when the response carries no slot list at all.
+ */
+export function getOpenTimes(checkResult, timezone) {
+  const hasSlotList = ['slots', 'availableSlots', 'times'].some(key => Array.isArray(checkResult?.[key]));
+  if (!hasSlotList) return null;
+  const list = rawSlots(checkResult);
+
+  const times = list
+    .filter(slot => !(slot && typeof slot === 'object' && slot.available === false))
+    .map(slot => slotToLocalTime(slot, timezone))
+    .filter(Boolean);
+  return [...new Set(times)].sort((a, b) => toMinutes(a) - toMinutes(b));
+}
+
+// Up to `count` open times closest to the requested time, returned in chronological order
+export function closestTimes(time, openTimes, count = 3) {
+  if (!Array.isArray(openTimes) || openTimes.length === 0) return [];
+  const target = /^\d{1,2}:\d{2}$/.test(String(time)) ? toMinutes(time) : 12 * 60;
+  return [...openTimes]
+    .sort((a, b) => Math.abs(toMinutes(a) - target) - Math.abs(toMinutes(b) - target))
+    .slice(0, count)
+    .sort((a, b) => toMinutes(a) - toMinutes(b));
+}
+
+// "14:30" → "2:30 PM" ("14 h 30" in French)
+export function formatSpokenTime(time, language = DEFAULT_LANGUAGE) {
+  const [h, m] = String(time).split(':').map(Number);
+  if (isNaN(h) || isNaN(m)) return String(time);
+  return t(language, 'time', { hour: h, minutes: String(m).padStart(2, '0') });
+}
+
+// "I have 2:30 PM or 4:00 PM" style list
+export function formatSpokenTimes(times, language = DEFAULT_LANGUAGE) {
+  return t(language, 'listOr', { items: times.map(time => formatSpokenTime(time, language)) });
+}
+
+const ORDINALS = [
+  { pattern: /\b(first|earlier|earliest|1st)\b/, index: 0 },
+  { pattern: /\b(second|middle|2nd)\b/, index: 1 },
+  { pattern: /\b(third|3rd)\b/, index: 2 },
+  { pattern: /\b(last|later|latest)\b/, index: -1 }
+];
+
+/**
+ * Work out which offered time the caller picked, from either the time the NLU
+ * extracted or what they said ("the first one", "2:30", "the later one").
+ * Returns the offered "HH:mm" or null.
+ */
+export function matchOfferedTime(offered, { userText, extractedTime } = {}) {
+  if (!Array.isArray(offered) || offered.length === 0) return null;
+
+  if (extractedTime) {
+    if (offered.includes(extractedTime)) return extractedTime;
+    // "4:00" without AM/PM may come back as 04:00 — match on the 12-hour clock
+    const [h, m] = extractedTime.split(':').map(Number);
+    const match = offered.find(t => {
+      const [oh, om] = t.split(':').map(Number);
+      return oh % 12 === h % 12 && om === m;
+    });
+    if (match) return match;
+  }
+
+  const text = String(userText || '').toLowerCase();
+  for (const { pattern, index } of ORDINALS) {
+    if (pattern.test(text)) {
+      return index === -1 ? offered[offered.length - 1] : (offered[index] || null);
+    }
+  }
+
+  const spoken = text.match(/\b(\d{1,2})(?::(\d{2})|\s+(\d{2}))?\b/);
+  if (spoken) {
+    const h = Number(spoken[1]);
+    const m = Number(spoken[2] || spoken[3] || 0);
+    const match = offered.find(t => {
+      const [oh, om] = t.split(':').map(Number);
+      return oh % 12 === h % 12 && om === m;
+    });
+    if (match) return match;
+  }
+
+  return null;
+}
@@ -0,0 +1,130 @@
+// test/bookingNotifications.test.js
+// Booking texts through the fake SMS sender: the confirmation, which reminders can be scheduled
+// (Twilio only takes 15 minutes to 35 days ahead), and when nothing is sent at all.
+
+import { describe, test, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { sendBookingTexts, canTextBooking, renderTemplate } from '../src/services/bookingNotifications.js';
+import { createFakeSmsSender, setSmsSender } from '../src/services/smsSender.js';
+import { normalizeProfile } from '../src/utils/profileSchema.js';
+
+const NOW = new Date('2026-10-19T14:00:00Z');
+const HOUR_MS = 60 * 60 * 1000;
+const MINUTE_MS = 60 * 1000;
+
+function buildProfile(sms = {}) {
+  return normalizeProfile({
+    id: 'waismofit',
+    name: 'Wais Mo Fitness',
+    location: '123 King St W, Toronto',
+    sms: { enabled: true, fromNumber: '+16475550100', ...sms }
+  }).profile;
+}
+
+// A booking starting `msAhead` after NOW
+function bookingIn(msAhead, extra = {}) {
+  return {
+    service: '30-minute intro call',
+    start: new Date(NOW.getTime() + msAhead).toISOString(),
+    date: '2026-10-21',
+    time: '15:00',
+    guestName: 'Sam',
+    guestPhone: '416-555-0100',
+    ...extra
+  };
+}
+
+let sender;
+beforeEach(() => {
+  sender = createFakeSmsSender();
+  setSmsSender(sender);
+});
+
+describe('sendBookingTexts', () => {
+  test('texts a confirmation and schedules a reminder a day ahead', async () => {
+    const result = await sendBookingTexts({ profile: buildProfile(), booking: bookingIn(3 * 24 * HOUR_MS), now: NOW });
+
+    assert.equal(result.confirmation.ok, true);
+    assert.equal(sender.sent.length, 2);
+    const [confirmation, reminder] = sender.sent;
+    assert.equal(confirmation.to, '+14165550100');
+    assert.equal(confirmation.from, '+16475550100');
+    assert.equal(confirmation.sendAt, null);
+    assert.equal(confirmation.body, "Hi Sam, you're booked for 30-minute intro call at Wais Mo Fitness on Wed, Oct 21 at 3:00 PM. Address: 123 King St W, Toronto.");
+    assert.equal(reminder.sendAt.getTime(), NOW.getTime() + 2 * 24 * HOUR_MS);
+    assert.deepEqual(result.reminders.map(r => r.hoursBefore), [24]);
+  });
+
+  test('skips a reminder that would go out less than 15 minutes from now', async () => {
+    const profile = buildProfile({ reminderHoursBefore: [24, 2] });
+    const result = await sendBookingTexts({ profile, booking: bookingIn(24 * HOUR_MS + 10 * MINUTE_MS), now: NOW });
+    assert.deepEqual(result.reminders.map(r => r.hoursBefore), [2]);
+  });
+
+  test('schedules a reminder exactly 15 minutes from now', async () => {
+    const profile = buildProfile({ reminderHoursBefore: [1] });
+    const result = await sendBookingTexts({ profile, booking: bookingIn(HOUR_MS + 15 * MINUTE_MS), now: NOW });
+    assert.deepEqual(result.reminders.map(r => r.hoursBefore), [1]);
+  });
+
+  test('skips a reminder that would go out more than 35 days from now', async () => {
+    const profile = buildProfile({ reminderHoursBefore: [24 * 7, 24] });
+    const result = await sendBookingTexts({ profile, booking: bookingIn(40 * 24 * HOUR_MS), now: NOW });
+    assert.deepEqual(result.reminders.map(r => r.hoursBefore), [24 * 7]);
+  });
+
+  test('schedules no reminders when the profile asks for none', async () => {
+    const result = await sendBookingTexts({ profile: buildProfile({ reminderHoursBefore: [] }), booking: bookingIn(3 * 24 * HOUR_MS), now: NOW });
+    assert.equal(result.confirmation.ok, true);
+    assert.deepEqual(result.reminders, []);
+    assert.equal(sender.sent.length, 1);
+  });
+
+  test('sends nothing without a phone number', async () => {
+    const result = await sendBookingTexts({ profile: buildProfile(), booking: bookingIn(3 * 24 * HOUR_MS, { guestPhone: null }), now: NOW });
+    assert.equal(result.confirmation.ok, false);
+    assert.deepEqual(result.reminders, []);
+    assert.equal(sender.sent.length, 0);
+  });
+
+  test("sends nothing when the business hasn't turned texts on", async () => {
+    const profile = normalizeProfile({ id: 'waismofit', name: 'Wais Mo Fitness', sms: { fromNumber: '+16475550100' } }).profile;
+    const result = await sendBookingTexts({ profile, booking: bookingIn(3 * 24 * HOUR_MS), now: NOW });
+    assert.equal(result.confirmation.ok, false);
+    assert.equal(sender.sent.length, 0);
+  });
+
+  test('sends nothing when the business has turned texts off', async () => {
+    const result = await sendBookingTexts({ profile: buildProfile({ enabled: false }), booking: bookingIn(3 * 24 * HOUR_MS), now: NOW });
+    assert.equal(result.confirmation.ok, false);
+    assert.equal(sender.sent.length, 0);
+  });
+
+  test("uses the business's own wording", async () => {
+    const profile = buildProfile({ confirmationTemplate: 'See you {date} at {time}, {name}! {unknown}' });
+    await sendBookingTexts({ profile, booking: bookingIn(3 * 24 * HOUR_MS), now: NOW });
+    assert.equal(sender.sent[0].body, 'See you Wed, Oct 21 at 3:00 PM, Sam!');
+  });
+
+  test("writes the date and time in the call's language", async () => {
+    await sendBookingTexts({ profile: buildProfile({ reminderHoursBefore: [] }), booking: bookingIn(3 * 24 * HOUR_MS), language: 'fr-CA', now: NOW });
+    assert.match(sender.sent[0].body, /mer\. 21 oct\./);
+    assert.match(sender.sent[0].body, /15 h 00/);
+  });
+});
+
+describe('canTextBooking', () => {
+  test('needs texts on, a phone number and a sender that can send', () => {
+    assert.equal(canTextBooking(buildProfile(), '4165550100'), true);
+    assert.equal(canTextBooking(buildProfile(), null), false);
+    assert.equal(canTextBooking(buildProfile({ enabled: false }), '4165550100'), false);
+    setSmsSender({ canSend: () => false, send: async () => ({ ok: false }) });
+    assert.equal(canTextBooking(buildProfile(), '4165550100'), false);
+  });
+});
+
+describe('renderTemplate', () => {
+  test('leaves out placeholders with no value', () => {
+    assert.equal(renderTemplate('Hi {name}, see you {date}', { name: null, date: 'Wed, Oct 21' }), 'Hi , see you Wed, Oct 21');
+  });
+});
@@ -0,0 +1,107 @@
+// test/businessHours.test.js
+// Opening hours, closures and per-service windows checked against a studio open weekdays and
+// Saturday mornings, with an intro call bookable only during office hours.
+
+import { describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  findClosure,
+  getOpenWindows,
+  checkBusinessHours,
+  isOpenNow,
+  nextOpening,
+  describeWeeklyHours,
+  describeHoursProblem
+} from '../src/utils/businessHours.js';
+
+const weekdays = (open, close) =>
+  Object.fromEntries(['monday', 'tuesday', 'wednesday', 'thursday', 'friday'].map(day => [day, [{ open, close }]]));
+
+const introCall = { id: 'intro_call_30', name: '30-minute intro call', hours: weekdays('09:00', '17:00') };
+const profile = {
+  timezone: 'America/Toronto',
+  hours: { ...weekdays('06:00', '21:00'), saturday: [{ open: '08:00', close: '14:00' }] },
+  closures: [
+    { date: '2026-12-25', reason: 'Christmas Day' },
+    { from: '2026-12-31', to: '2027-01-02', reason: 'the New Year holiday' }
+  ],
+  services: [introCall]
+};
+
+// 2026-10-19 is a Monday; 2026-10-24 a Saturday and 2026-10-25 a Sunday
+describe('getOpenWindows', () => {
+  test("gives the day's hours, narrowed to the service's", () => {
+    assert.deepEqual(getOpenWindows(profile, '2026-10-19'), [{ open: '06:00', close: '21:00' }]);
+    assert.deepEqual(getOpenWindows(profile, '2026-10-19', introCall), [{ open: '09:00', close: '17:00' }]);
+    assert.deepEqual(getOpenWindows(profile, '2026-10-24', introCall), []);
+    assert.deepEqual(getOpenWindows(profile, '2026-10-25'), []);
+  });
+
+  test('has no restriction for a profile without hours', () => {
+    assert.equal(getOpenWindows({}, '2026-10-25'), null);
+  });
+});
+
+describe('findClosure', () => {
+  test('finds single-day closures and ranges', () => {
+    assert.equal(findClosure(profile, '2026-12-25').reason, 'Christmas Day');
+    assert.equal(findClosure(profile, '2027-01-01').reason, 'the New Year holiday');
+    assert.equal(findClosure(profile, '2027-01-03'), null);
+  });
+});
+
+describe('checkBusinessHours', () => {
+  test('accepts a booking that fits the hours', () => {
+    assert.deepEqual(checkBusinessHours(profile, { date: '2026-10-19', time: '20:00', durationMinutes: 60 }), { open: true });
+    assert.deepEqual(checkBusinessHours(profile, { date: '2026-10-19' }), { open: true });
+  });
+
+  test('turns down a closure, a closed day and a booking running past closing', () => {
+    assert.equal(checkBusinessHours(profile, { date: '2026-12-25', time: '10:00' }).reason, 'closure');
+    assert.equal(checkBusinessHours(profile, { date: '2026-10-25' }).reason, 'closed_day');
+    assert.deepEqual(
+      checkBusinessHours(profile, { date: '2026-10-19', time: '20:30', durationMinutes: 60 }),
+      { open: false, reason: 'outside_hours', windows: [{ open: '06:00', close: '21:00' }] }
+    );
+  });
+
+  test("turns down a service outside its own windows on a day the business is open", () => {
+    assert.equal(checkBusinessHours(profile, { date: '2026-10-24', service: introCall }).reason, 'service_unavailable');
+    assert.equal(checkBusinessHours(profile, { date: '2026-10-19', time: '18:00', service: introCall }).reason, 'outside_hours');
+  });
+});
+
+describe('isOpenNow and nextOpening', () => {
+  test('use the business timezone', () => {
+    // 01:30 UTC on Tuesday is still 21:30 on Monday in Toronto
+    const mondayNight = new Date('2026-10-20T01:30:00Z');
+    assert.equal(isOpenNow(profile, mondayNight), false);
+    assert.deepEqual(nextOpening(profile, mondayNight), { date: '2026-10-20', time: '06:00' });
+    assert.equal(isOpenNow(profile, new Date('2026-10-19T14:00:00Z')), true);
+  });
+
+  test('skip closures', () => {
+    assert.deepEqual(nextOpening(profile, new Date('2026-12-31T15:00:00Z')), { date: '2027-01-04', time: '06:00' });
+  });
+});
+
+describe('describing hours', () => {
+  test('groups days with the same hours', () => {
+    assert.equal(
+      describeWeeklyHours(profile.hours),
+      'Monday to Friday 6:00 AM to 9:00 PM, Saturday 8:00 AM to 2:00 PM, and closed Sunday'
+    );
+    assert.equal(describeWeeklyHours(undefined), null);
+  });
+
+  test('explains why a time was turned down', () => {
+    const now = new Date('2026-10-19T14:00:00Z');
+    const check = checkBusinessHours(profile, { date: '2026-10-20', time: '18:00', service: introCall });
+    assert.equal(
+      describeHoursProblem(check, { date: '2026-10-20', serviceName: introCall.name, profile, now }),
+      'The 30-minute intro call is available tomorrow from 9:00 AM to 5:00 PM.'
+    );
+    const closed = checkBusinessHours(profile, { date: '2026-10-25' });
+    assert.equal(describeHoursProblem(closed, { date: '2026-10-25', profile, now }), "We're closed on Sundays.");
+  });
+});
@@ -0,0 +1,92 @@
+// test/businessProfiles.test.js
+// Business profiles with fetch stubbed in place of core-api: what a handle core-api doesn't have,
+// or an outage, resolves to, and the bound on the profile cache. Each test uses its own handles,
+// since profiles stay cached for the life of the module.
+
+import { describe, test, afterEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import { getBusinessProfile } from '../businessProfiles.js';
+
+const realFetch = globalThis.fetch;
+const HOUR_MS = 60 * 60 * 1000;
+
+// core-api answering from `businesses` (handle → record), or down when `down` is set
+function stubCoreApi({ businesses = {}, down = false } = {}) {
+  const requests = [];
+  globalThis.fetch = async (url) => {
+    const handle = decodeURIComponent(String(url).split('/api/businesses/')[1]);
+    requests.push(handle);
+    if (down) throw new Error('connect ECONNREFUSED');
+    if (!businesses[handle]) return new Response('{"ok":false}', { status: 404 });
+    return new Response(JSON.stringify({ ok: true, business: businesses[handle] }), { status: 200 });
+  };
+  return requests;
+}
+
+const business = (handle, name) => ({
+  id: handle,
+  handle,
+  name,
+  category: 'salon',
+  timezone: 'America/Toronto',
+  services: [{ id: 'cut', name: 'Haircut', duration: 30, price: 40 }]
+});
+
+afterEach(() => {
+  globalThis.fetch = realFetch;
+  mock.restoreAll();
+});
+
+describe('getBusinessProfile', () => {
+  test('serves a business core-api has from the cache', async () => {
+    const requests = stubCoreApi({ businesses: { 'salon-a': business('salon-a', 'Salon A') } });
+    assert.equal((await getBusinessProfile('salon-a')).name, 'Salon A');
+    assert.equal((await getBusinessProfile('salon-a')).name, 'Salon A');
+    assert.equal(requests.length, 1);
+  });
+
+  test("uses the local seed for a business core-api doesn't have", async () => {
+    stubCoreApi();
+    const profile = await getBusinessProfile('waismofit');
+    assert.equal(profile.name, 'Wais Mo Fitness');
+    assert.ok(profile.services.some(service => service.name === '30-minute intro call'));
+  });
+
+  test('uses a neutral profile for a business nobody has', async () => {
+    stubCoreApi();
+    const profile = await getBusinessProfile('nobody-knows');
+    assert.equal(profile.name, 'nobody-knows');
+    assert.equal(profile.category, 'other');
+    assert.deepEqual(profile.services, []);
+  });
+
+  test('keeps the last known good profile while core-api is down', async () => {
+    stubCoreApi({ businesses: { 'salon-b': business('salon-b', 'Salon B') } });
+    await getBusinessProfile('salon-b');
+
+    const later = Date.now() + 2 * HOUR_MS;
+    mock.method(Date, 'now', () => later);
+    const requests = stubCoreApi({ down: true });
+    assert.equal((await getBusinessProfile('salon-b')).name, 'Salon B');
+    assert.equal(requests.length, 1);
+  });
+
+  test('evicts the least recently used profile once the cache is full', async () => {
+    mock.method(console, 'log', () => {});
+    const businesses = {};
+    for (let i = 0; i <= 500; i++) businesses[`shop-${i}`] = business(`shop-${i}`, `Shop ${i}`);
+    const requests = stubCoreApi({ businesses });
+
+    await getBusinessProfile('shop-0');
+    await getBusinessProfile('shop-1');
+    for (let i = 2; i < 500; i++) await getBusinessProfile(`shop-${i}`);
+    await getBusinessProfile('shop-0');
+    await getBusinessProfile('shop-500');
+    assert.equal(requests.length, 501);
+
+    await getBusinessProfile('shop-0');
+    assert.equal(requests.length, 501);
+    await getBusinessProfile('shop-1');
+    assert.equal(requests.length, 502);
+  });
+});
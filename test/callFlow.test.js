@@ -0,0 +1,58 @@
+// test/callFlow.test.js
+// The booking state machine: which step the collected fields call for, and how advanceStep counts
+// retries against each step's limit before handing the call off.
+
+import { describe, test, beforeEach, afterEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import { STEPS, initialCallState, canTransition, deriveStep, advanceStep } from '../src/state/callFlow.js';
+
+beforeEach(() => {
+  mock.method(console, 'warn', () => {});
+});
+
+afterEach(() => {
+  mock.restoreAll();
+});
+
+describe('deriveStep', () => {
+  test('asks for each missing field in turn', () => {
+    const state = initialCallState();
+    assert.equal(deriveStep(state), STEPS.SERVICE);
+    assert.equal(deriveStep({ ...state, service: 'Haircut' }), STEPS.DATETIME);
+    assert.equal(deriveStep({ ...state, service: 'Haircut', date: '2026-10-20' }), STEPS.DATETIME);
+    assert.equal(deriveStep({ ...state, service: 'Haircut', date: '2026-10-20', time: '14:00' }), STEPS.CONTACT);
+    assert.equal(deriveStep({ ...state, service: 'Haircut', date: '2026-10-20', time: '14:00', name: 'Sam' }), STEPS.CONTACT);
+  });
+
+  test('moves on to the read-back once the booking is complete', () => {
+    const state = { ...initialCallState(), service: 'Haircut', date: '2026-10-20', time: '14:00', name: 'Sam', phone: '+14165550100' };
+    assert.equal(deriveStep({ ...state, confirmedPhone: '+14165550100' }), STEPS.CONFIRM);
+  });
+});
+
+describe('advanceStep', () => {
+  test('moves to an allowed step and starts its count', () => {
+    assert.ok(canTransition(STEPS.GREETING, STEPS.SERVICE));
+    assert.deepEqual(advanceStep(initialCallState(), STEPS.SERVICE), { step: STEPS.SERVICE, stepAttempts: 1 });
+  });
+
+  test('hands off once a step has been asked more than its limit of 3 times', () => {
+    let state = { step: STEPS.DATETIME, stepAttempts: 1 };
+    state = { ...state, ...advanceStep(state, STEPS.DATETIME) };
+    state = { ...state, ...advanceStep(state, STEPS.DATETIME) };
+    assert.deepEqual(state, { step: STEPS.DATETIME, stepAttempts: 3 });
+    assert.deepEqual(advanceStep(state, STEPS.DATETIME), { step: STEPS.HANDOFF, stepAttempts: 0 });
+  });
+
+  test('starts the count over when the caller made progress', () => {
+    const state = { step: STEPS.CONTACT, stepAttempts: 3 };
+    assert.deepEqual(advanceStep(state, STEPS.CONTACT, { progressed: true }), { step: STEPS.CONTACT, stepAttempts: 1 });
+  });
+
+  test('leaves the step unchanged on a transition the flow does not allow', () => {
+    const state = { step: STEPS.SERVICE, stepAttempts: 2 };
+    assert.equal(canTransition(STEPS.SERVICE, STEPS.DONE), false);
+    assert.deepEqual(advanceStep(state, STEPS.DONE), { step: STEPS.SERVICE, stepAttempts: 2 });
+    assert.equal(console.warn.mock.callCount(), 1);
+  });
+});
@@ -0,0 +1,369 @@
+// test/callStateStores.test.js
+// The call-state stores behind src/state/callState.js: memory, file and Redis keep the same
+// contract, including merges and list appends that overlapping writers can't undo. The Redis
+// store runs against a small RESP server started in the test.
+
+import { describe, test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import net from 'node:net';
+import os from 'node:os';
+import path from 'node:path';
+import fs from 'node:fs/promises';
+import { createMemoryStore } from '../src/state/stores/memoryStore.js';
+import { createFileStore } from '../src/state/stores/fileStore.js';
+import { createRedisStore } from '../src/state/stores/redisStore.js';
+import { setCallStateStore, upsertCallState, getCallState, appendCallTurn, getCallTurns } from '../src/state/callState.js';
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+// Just enough of Redis for the store: GET, SET ... PX, DEL, INCR, PEXPIRE, HSET, HDEL, HGETALL,
+// RPUSH, LTRIM, LRANGE, MULTI / EXEC, AUTH, SELECT, QUIT
+function startRedisStandIn() {
+  const data = new Map();
+  const commands = [];
+  const sockets = new Set();
+
+  const live = (key) => {
+    const entry = data.get(key);
+    if (entry && entry.expiresAt !== null && entry.expiresAt <= Date.now()) {
+      data.delete(key);
+      return null;
+    }
+    return entry || null;
+  };
+  // The entry at key, created empty with `value` if there is none
+  const entryFor = (key, value) => {
+    if (!live(key)) data.set(key, { value, expiresAt: null });
+    return data.get(key);
+  };
+  const bulk = (value) => (value === null ? '$-1\r\n' : `$${Buffer.byteLength(value)}\r\n${value}\r\n`);
+  const array = (items) => `*${items.length}\r\n${items.join('')}`;
+
+  const reply = (args) => {
+    const [name, key, value, ...rest] = args;
+    switch (name.toUpperCase()) {
+      case 'AUTH':
+      case 'SELECT':
+        return '+OK\r\n';
+      case 'GET':
+        return bulk(live(key)?.value ?? null);
+      case 'SET': {
+        const px = rest[0]?.toUpperCase() === 'PX' ? Number(rest[1]) : null;
+        data.set(key, { value, expiresAt: px === null ? null : Date.now() + px });
+        return '+OK\r\n';
+      }
+      case 'DEL':
+        return `:${data.delete(key) ? 1 : 0}\r\n`;
+      case 'INCR': {
+        const next = (Number(live(key)?.value) || 0) + 1;
+        data.set(key, { value: String(next), expiresAt: live(key)?.expiresAt ?? null });
+        return `:${next}\r\n`;
+      }
+      case 'PEXPIRE': {
+        const entry = live(key);
+        if (!entry) return ':0\r\n';
+        entry.expiresAt = Date.now() + Number(value);
+        return ':1\r\n';
+      }
+      case 'HSET': {
+        const fields = entryFor(key, new Map()).value;
+        const pairs = args.slice(2);
+        for (let i = 0; i < pairs.length; i += 2) fields.set(pairs[i], pairs[i + 1]);
+        return `:${pairs.length / 2}\r\n`;
+      }
+      case 'HDEL': {
+        const fields = live(key)?.value;
+        return `:${args.slice(2).filter(field => fields?.delete(field)).length}\r\n`;
+      }
+      case 'HGETALL':
+        return array([...(live(key)?.value || new Map())].flat().map(bulk));
+      case 'RPUSH': {
+        const items = entryFor(key, []).value;
+        items.push(...args.slice(2));
+        return `:${items.length}\r\n`;
+      }
+      case 'LTRIM': {
+        const entry = live(key);
+        if (entry) entry.value = entry.value.slice(Number(value), Number(rest[0]) === -1 ? undefined : Number(rest[0]) + 1);
+        return '+OK\r\n';
+      }
+      case 'LRANGE': {
+        const items = live(key)?.value || [];
+        return array(items.slice(Number(value), Number(rest[0]) === -1 ? undefined : Number(rest[0]) + 1).map(bulk));
+      }
+      case 'QUIT':
+        return '+OK\r\n';
+      default:
+        return `-ERR unknown command '${name}'\r\n`;
+    }
+  };
+
+  // MULTI queues a connection's commands until EXEC runs them together
+  const transactions = new Map();
+  const handle = (socket, args) => {
+    const name = args[0].toUpperCase();
+    if (name === 'MULTI') {
+      transactions.set(socket, []);
+      return '+OK\r\n';
+    }
+    if (name === 'EXEC') {
+      const queued = transactions.get(socket) || [];
+      transactions.delete(socket);
+      return array(queued.map(reply));
+    }
+    if (transactions.has(socket)) {
+      transactions.get(socket).push(args);
+      return '+QUEUED\r\n';
+    }
+    return reply(args);
+  };
+
+  const server = net.createServer((socket) => {
+    sockets.add(socket);
+    socket.on('close', () => sockets.delete(socket));
+    let buffer = '';
+    socket.on('data', (chunk) => {
+      buffer += chunk.toString('utf8');
+      for (;;) {
+        const header = buffer.match(/^\*(\d+)\r\n/);
+        if (!header) return;
+        let offset = header[0].length;
+        const args = [];
+        for (let i = 0; i < Number(header[1]); i++) {
+          const length = buffer.slice(offset).match(/^\$(\d+)\r\n/);
+          if (!length) return;
+          offset += length[0].length;
+          if (buffer.length < offset + Number(length[1]) + 2) return;
+          args.push(buffer.slice(offset, offset + Number(length[1])));
+          offset += Number(length[1]) + 2;
+        }
+        buffer = buffer.slice(offset);
+        commands.push(args);
+        socket.write(handle(socket, args));
+      }
+    });
+  });
+
+  return new Promise((resolve) => {
+    server.listen(0, '127.0.0.1', () => resolve({
+      port: server.address().port,
+      commands,
+      // Drop every open connection, as a Redis restart would
+      dropConnections: () => sockets.forEach(socket => socket.destroy()),
+      close: () => new Promise(done => {
+        sockets.forEach(socket => socket.destroy());
+        server.close(done);
+      })
+    }));
+  });
+}
+
+function storeContract(createStore) {
+  let store;
+  before(async () => { store = await createStore(); });
+  after(async () => { await store.close(); });
+
+  test('returns null for a key it has never seen', async () => {
+    assert.equal(await store.get('missing'), null);
+  });
+
+  test('gives back what was stored', async () => {
+    const state = { step: 'datetime', service: 'Haircut', offeredTimes: ['13:00', '14:30'] };
+    await store.set('CA1', state, 60000);
+    assert.deepEqual(await store.get('CA1'), state);
+  });
+
+  test('forgets an entry once its TTL has passed', async () => {
+    await store.set('CA2', { step: 'service' }, 20);
+    await sleep(40);
+    assert.equal(await store.get('CA2'), null);
+  });
+
+  test('deletes an entry', async () => {
+    await store.set('CA3', { step: 'contact' }, 60000);
+    await store.delete('CA3');
+    assert.equal(await store.get('CA3'), null);
+  });
+
+  test('counts turns from 1', async () => {
+    assert.equal(await store.incr('turns:CA4', 60000), 1);
+    assert.equal(await store.incr('turns:CA4', 60000), 2);
+    assert.equal(await store.incr('turns:CA4', 60000), 3);
+  });
+
+  test('starts a counter over once it has expired', async () => {
+    await store.incr('turns:CA5', 20);
+    await sleep(40);
+    assert.equal(await store.incr('turns:CA5', 60000), 1);
+  });
+
+  test('sweeps expired entries without them being read', async () => {
+    await store.set('CA6', { step: 'confirm' }, 20);
+    await sleep(40);
+    await store.sweep();
+    assert.equal(await store.get('CA6'), null);
+  });
+
+  test('merges fields, removing the ones set to undefined', async () => {
+    assert.equal(await store.getFields('call:CA13'), null);
+    assert.deepEqual(await store.merge('call:CA13', { step: 'service', service: null }, 60000), { step: 'service', service: null });
+    assert.deepEqual(await store.merge('call:CA13', { service: 'Haircut', offeredTimes: ['13:00'] }, 60000),
+      { step: 'service', service: 'Haircut', offeredTimes: ['13:00'] });
+    await store.merge('call:CA13', { offeredTimes: undefined }, 60000);
+    assert.deepEqual(await store.getFields('call:CA13'), { step: 'service', service: 'Haircut' });
+  });
+
+  test('keeps every field of overlapping merges', async () => {
+    await Promise.all([
+      store.merge('call:CA14', { name: 'Sam' }, 60000),
+      store.merge('call:CA14', { email: 'sam@example.com' }, 60000),
+      store.merge('call:CA14', { step: 'confirm' }, 60000)
+    ]);
+    assert.deepEqual(await store.getFields('call:CA14'), { name: 'Sam', email: 'sam@example.com', step: 'confirm' });
+  });
+
+  test('keeps the newest items of a list, in order', async () => {
+    await Promise.all([1, 2, 3, 4].map(turnIndex => store.push('turns:CA15', { turnIndex }, { maxLength: 3, ttlMs: 60000 })));
+    assert.deepEqual(await store.list('turns:CA15'), [{ turnIndex: 2 }, { turnIndex: 3 }, { turnIndex: 4 }]);
+    assert.deepEqual(await store.list('turns:CA16'), []);
+  });
+
+  test('forgets a list once its TTL has passed', async () => {
+    await store.push('turns:CA17', { turnIndex: 0 }, { maxLength: 10, ttlMs: 20 });
+    await sleep(40);
+    assert.deepEqual(await store.list('turns:CA17'), []);
+  });
+}
+
+describe('memory store', () => {
+  storeContract(() => createMemoryStore());
+
+  test('reports how many entries a sweep removed', async () => {
+    const store = createMemoryStore();
+    await store.set('a', 1, 20);
+    await store.set('b', 2, 60000);
+    await sleep(40);
+    assert.equal(await store.sweep(), 1);
+  });
+});
+
+describe('file store', () => {
+  let dir;
+  before(async () => { dir = await fs.mkdtemp(path.join(os.tmpdir(), 'book8-call-state-')); });
+  after(async () => { await fs.rm(dir, { recursive: true, force: true }); });
+
+  storeContract(() => createFileStore({ filePath: path.join(dir, 'contract.json') }));
+
+  test('keeps entries across a restart', async () => {
+    const filePath = path.join(dir, 'restart.json');
+    const first = createFileStore({ filePath });
+    await first.set('CA7', { step: 'confirm', name: 'Sam' }, 60000);
+    await first.close();
+
+    const second = createFileStore({ filePath });
+    assert.deepEqual(await second.get('CA7'), { step: 'confirm', name: 'Sam' });
+    await second.close();
+  });
+
+  test('runs overlapping writes one at a time', async () => {
+    const store = createFileStore({ filePath: path.join(dir, 'overlap.json') });
+    const counts = await Promise.all(Array.from({ length: 10 }, () => store.incr('turns:CA8', 60000)));
+    assert.deepEqual(counts, [1, 2, 3, 4, 5, 6, 7, 8, 9, 10]);
+    await store.close();
+  });
+});
+
+describe('redis store', () => {
+  let redis;
+  before(async () => { redis = await startRedisStandIn(); });
+  after(async () => { await redis.close(); });
+
+  storeContract(() => createRedisStore({ url: `redis://127.0.0.1:${redis.port}` }));
+
+  test('logs in and selects the database from the URL', async () => {
+    const store = createRedisStore({ url: `redis://:s3cret@127.0.0.1:${redis.port}/2` });
+    await store.get('anything');
+    const connect = redis.commands.slice(-3);
+    assert.deepEqual(connect, [['AUTH', 's3cret'], ['SELECT', '2'], ['GET', 'book8:voice:anything']]);
+    await store.close();
+  });
+
+  test('prefixes its keys', async () => {
+    const store = createRedisStore({ url: `redis://127.0.0.1:${redis.port}`, keyPrefix: 'test:' });
+    await store.set('CA9', { step: 'done' }, 60000);
+    assert.deepEqual(redis.commands.at(-1).slice(0, 2), ['SET', 'test:CA9']);
+    await store.close();
+  });
+
+  test('matches pipelined replies to their commands', async () => {
+    const store = createRedisStore({ url: `redis://127.0.0.1:${redis.port}` });
+    await Promise.all(Array.from({ length: 20 }, (_, i) => store.set(`CA10-${i}`, { turn: i }, 60000)));
+    const values = await Promise.all(Array.from({ length: 20 }, (_, i) => store.get(`CA10-${i}`)));
+    assert.deepEqual(values, Array.from({ length: 20 }, (_, i) => ({ turn: i })));
+    await store.close();
+  });
+
+  test('reconnects after the server drops the connection', async () => {
+    const store = createRedisStore({ url: `redis://127.0.0.1:${redis.port}` });
+    await store.set('CA11', { step: 'service' }, 60000);
+    redis.dropConnections();
+    await sleep(20);
+    assert.deepEqual(await store.get('CA11'), { step: 'service' });
+    await store.close();
+  });
+
+  test('keeps writes from two instances to the same call', async () => {
+    const first = createRedisStore({ url: `redis://127.0.0.1:${redis.port}` });
+    const second = createRedisStore({ url: `redis://127.0.0.1:${redis.port}` });
+    await Promise.all([
+      first.merge('call:CA18', { name: 'Sam' }, 60000),
+      second.merge('call:CA18', { service: 'Haircut' }, 60000),
+      first.push('turns:CA18', { role: 'caller', turnIndex: 0 }, { maxLength: 200, ttlMs: 60000 }),
+      second.push('turns:CA18', { role: 'agent', turnIndex: 0 }, { maxLength: 200, ttlMs: 60000 })
+    ]);
+    assert.deepEqual(await first.getFields('call:CA18'), { name: 'Sam', service: 'Haircut' });
+    assert.equal((await second.list('turns:CA18')).length, 2);
+    await Promise.all([first.close(), second.close()]);
+  });
+
+  test('keeps replies matched to commands when the connection drops mid-pipeline', async () => {
+    const store = createRedisStore({ url: `redis://127.0.0.1:${redis.port}` });
+    await store.set('CA19', { step: 'service' }, 60000);
+    redis.dropConnections();
+    const settled = await Promise.allSettled(Array.from({ length: 10 }, () => store.get('CA19')));
+    for (const result of settled) {
+      if (result.status === 'fulfilled') assert.deepEqual(result.value, { step: 'service' });
+      else assert.match(result.reason.message, /closed|ECONNRESET|EPIPE/);
+    }
+    await sleep(20);
+    assert.deepEqual(await store.get('CA19'), { step: 'service' });
+    await store.close();
+  });
+
+  test('passes server errors on to the caller', async () => {
+    const store = createRedisStore({
+      client: { command: async () => { throw new Error('READONLY You can\'t write against a read only replica.'); } }
+    });
+    await assert.rejects(store.set('CA12', {}, 60000), /READONLY/);
+  });
+});
+
+describe('call state', () => {
+  let redis;
+  before(async () => { redis = await startRedisStandIn(); });
+  after(async () => { await redis.close(); });
+
+  test("keeps the caller's and the agent's overlapping updates", async () => {
+    const store = createRedisStore({ url: `redis://127.0.0.1:${redis.port}` });
+    setCallStateStore(store);
+    await Promise.all([
+      upsertCallState('CA20', { name: 'Sam' }),
+      upsertCallState('CA20', { step: 'datetime' }),
+      appendCallTurn('CA20', { role: 'caller', text: 'Hi, I want a haircut', turnIndex: 0 }),
+      appendCallTurn('CA20', { role: 'agent', text: 'Sure. What day?', turnIndex: 0 })
+    ]);
+    assert.deepEqual(await getCallState('CA20'), { name: 'Sam', step: 'datetime' });
+    assert.deepEqual((await getCallTurns('CA20')).map(turn => turn.role), ['caller', 'agent']);
+    await store.close();
+  });
+});
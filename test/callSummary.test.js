@@ -0,0 +1,156 @@
+// test/callSummary.test.js
+// Post-call summaries: the disposition and follow-up rules of the call-state fallback, and how
+// an LLM's answer is checked, with a stub client in place of OpenAI.
+
+import { describe, test, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { fallbackSummary, summarizeCall, DISPOSITIONS } from '../src/services/callSummary.js';
+import { extractFields } from '../src/services/nluExtract.js';
+import { setOpenAiClient } from '../src/services/openAiClient.js';
+
+const turns = [
+  { role: 'agent', text: 'What time works for you?', turnIndex: 1 },
+  { role: 'caller', text: 'Hi, I want a haircut', turnIndex: 0 },
+  { role: 'agent', text: 'Sure. What day?', turnIndex: 0 },
+  { role: 'caller', text: 'Wednesday at 3', turnIndex: 1 }
+];
+
+// Records what it was asked and answers with `result` (or throws it when it's an Error)
+function stubClient(result) {
+  const calls = [];
+  return {
+    calls,
+    async completeJson(request) {
+      calls.push(request);
+      if (result instanceof Error) throw result;
+      return result;
+    }
+  };
+}
+
+describe('fallbackSummary', () => {
+  test('uses the outcome as the disposition', () => {
+    for (const outcome of ['booked', 'rescheduled', 'cancelled', 'transferred', 'message_taken', 'abandoned']) {
+      assert.equal(fallbackSummary({}, { outcome }).disposition, outcome);
+    }
+  });
+
+  test('files an unknown outcome as other', () => {
+    assert.equal(fallbackSummary({}, { outcome: 'in_progress' }).disposition, DISPOSITIONS.OTHER);
+  });
+
+  test('needs no follow-up after a booking', () => {
+    const result = fallbackSummary(
+      { name: 'Sam', service: 'Haircut', date: '2026-10-21', time: '15:00' },
+      { outcome: 'booked' }
+    );
+    assert.equal(result.followUpNeeded, false);
+    assert.equal(result.summary, 'Sam booked Haircut on 2026-10-21 at 15:00.');
+  });
+
+  test('needs a follow-up when a message was taken', () => {
+    const result = fallbackSummary({ messageText: 'Call me back about pricing' }, { outcome: 'message_taken' });
+    assert.equal(result.followUpNeeded, true);
+    assert.match(result.summary, /Call me back about pricing/);
+  });
+
+  test('needs a follow-up when the caller hung up partway through booking', () => {
+    const result = fallbackSummary({ service: 'Haircut' }, { outcome: 'abandoned', abandonedAtStep: 'datetime' });
+    assert.equal(result.followUpNeeded, true);
+    assert.equal(result.summary, 'The caller hung up at the datetime step (Haircut).');
+  });
+
+  test('needs no follow-up when the caller hung up at the greeting', () => {
+    assert.equal(fallbackSummary({}, { outcome: 'abandoned', abandonedAtStep: 'greeting' }).followUpNeeded, false);
+    assert.equal(fallbackSummary({}, { outcome: 'abandoned', abandonedAtStep: null }).followUpNeeded, false);
+  });
+
+  test('needs a follow-up only when a transfer failed', () => {
+    const failed = fallbackSummary({ handoff: { reason: 'caller_request', transferred: false } }, { outcome: 'abandoned' });
+    const put = fallbackSummary({ handoff: { reason: 'caller_request', transferred: true } }, { outcome: 'transferred' });
+    assert.equal(failed.followUpNeeded, true);
+    assert.equal(put.followUpNeeded, false);
+  });
+
+  test('takes the contact number from the booking, the callback, then caller ID', () => {
+    const phone = (state) => fallbackSummary(state, { outcome: 'booked' }).contact.phone;
+    assert.equal(phone({ phone: '+14165550100', callbackPhone: '+14165550101', callerPhone: '+14165550102' }), '+14165550100');
+    assert.equal(phone({ callbackPhone: '+14165550101', callerPhone: '+14165550102' }), '+14165550101');
+    assert.equal(phone({ callerPhone: '+14165550102' }), '+14165550102');
+    assert.equal(phone({}), null);
+  });
+});
+
+describe('summarizeCall', () => {
+  const state = { name: 'Sam', callerPhone: '+14165550100', service: 'Haircut' };
+
+  test('gives the transcript to the LLM in turn order', async () => {
+    const llm = stubClient({
+      summary: 'Sam wanted a haircut.',
+      disposition: 'abandoned',
+      contact: { name: 'Sam', phone: null, email: null },
+      followUpNeeded: true
+    });
+    await summarizeCall({ turns, state, outcome: 'abandoned', abandonedAtStep: 'datetime', llm });
+
+    assert.equal(llm.calls.length, 1);
+    assert.match(llm.calls[0].user, /Caller: Hi, I want a haircut\nAgent: Sure\. What day\?\nCaller: Wednesday at 3\nAgent: What time works for you\?/);
+    assert.match(llm.calls[0].user, /"abandonedAtStep":"datetime"/);
+  });
+
+  test("keeps the LLM's answer when it is well formed", async () => {
+    const answer = {
+      summary: 'Sam wanted a haircut but hung up before picking a time.',
+      disposition: 'abandoned',
+      contact: { name: 'Sam', phone: '+14165550100', email: 'sam@example.com' },
+      followUpNeeded: true
+    };
+    const result = await summarizeCall({ turns, state, outcome: 'abandoned', abandonedAtStep: 'datetime', llm: stubClient(answer) });
+    assert.deepEqual(result, { ...answer, source: 'llm' });
+  });
+
+  test("replaces the LLM's unusable fields with the fallback's", async () => {
+    const result = await summarizeCall({
+      turns,
+      state,
+      outcome: 'booked',
+      llm: stubClient({ summary: '  ', disposition: 'sold', contact: { name: '', phone: null, email: null }, followUpNeeded: 'yes' })
+    });
+    const fallback = fallbackSummary(state, { outcome: 'booked' });
+    assert.equal(result.summary, fallback.summary);
+    assert.equal(result.disposition, DISPOSITIONS.BOOKED);
+    assert.equal(result.contact.name, 'Sam');
+    assert.equal(result.contact.phone, '+14165550100');
+    assert.equal(result.followUpNeeded, false);
+    assert.equal(result.source, 'llm');
+  });
+
+  test('falls back to the call state when the LLM fails', async () => {
+    const result = await summarizeCall({ turns, state, outcome: 'message_taken', llm: stubClient(new Error('OpenAI API error: 503')) });
+    assert.equal(result.source, 'fallback');
+    assert.equal(result.disposition, DISPOSITIONS.MESSAGE_TAKEN);
+    assert.equal(result.followUpNeeded, true);
+  });
+
+  test('does not call the LLM for a call with no transcript', async () => {
+    const llm = stubClient({});
+    const result = await summarizeCall({ turns: [], state: {}, outcome: 'abandoned', llm });
+    assert.equal(llm.calls.length, 0);
+    assert.equal(result.source, 'fallback');
+    assert.equal(result.summary, 'The caller hung up before anything was settled.');
+  });
+
+  describe('without a client of its own', () => {
+    afterEach(() => setOpenAiClient(null));
+
+    test('uses the client NLU extraction uses', async () => {
+      const llm = stubClient({ summary: 'Sam wanted a haircut.', intent: 'book' });
+      setOpenAiClient(llm);
+      await extractFields({ businessName: 'Cutz', services: [], userText: 'A haircut please', today: '2026-10-19', timezone: 'America/Toronto' });
+      const result = await summarizeCall({ turns, state, outcome: 'abandoned' });
+
+      assert.deepEqual(llm.calls.map(call => call.task), ['nlu', 'summary']);
+      assert.equal(result.summary, 'Sam wanted a haircut.');
+    });
+  });
+});
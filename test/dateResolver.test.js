@@ -0,0 +1,114 @@
+// test/dateResolver.test.js
+// Spoken dates and times resolved against the business's clock. "Now" is Monday 2026-10-19 at
+// 10:00 in Toronto unless a test says otherwise.
+
+import { describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+import { getZonedNow, resolveDate, resolveTime, resolveDateTime, toZonedISO } from '../src/utils/dateResolver.js';
+
+const timezone = 'America/Toronto';
+const now = new Date('2026-10-19T14:00:00Z');
+const at = { timezone, now };
+
+describe('resolveDate', () => {
+  test('reads relative days and weekdays from today in the business timezone', () => {
+    assert.equal(resolveDate('today', at), '2026-10-19');
+    assert.equal(resolveDate('tomorrow', at), '2026-10-20');
+    assert.equal(resolveDate('the day after tomorrow', at), '2026-10-21');
+    assert.equal(resolveDate('in two weeks', at), '2026-11-02');
+    assert.equal(resolveDate('Friday', at), '2026-10-23');
+    assert.equal(resolveDate('next Monday', at), '2026-10-26');
+    assert.equal(resolveDate('Friday next week', at), '2026-10-30');
+  });
+
+  test("uses the business's date rather than the server's near midnight", () => {
+    // 22:30 on the 19th in Toronto is already the 20th in UTC
+    const lateEvening = new Date('2026-10-20T02:30:00Z');
+    assert.equal(resolveDate('tomorrow', { timezone, now: lateEvening }), '2026-10-20');
+    assert.equal(resolveDate('tomorrow', { timezone: 'UTC', now: lateEvening }), '2026-10-21');
+  });
+
+  test('puts a month and day without a year on its next occurrence', () => {
+    assert.equal(resolveDate('October 21st', at), '2026-10-21');
+    assert.equal(resolveDate('the 3rd of March', at), '2027-03-03');
+    assert.equal(resolveDate('10/1', at), '2027-10-01');
+    assert.equal(resolveDate('the 5th', at), '2026-11-05');
+    assert.equal(resolveDate('February 30', at), null);
+  });
+
+  test('returns null without a date', () => {
+    assert.equal(resolveDate('whenever works', at), null);
+    assert.equal(resolveDate('', at), null);
+  });
+});
+
+describe('resolveTime', () => {
+  test('reads clock times, taking 1 to 6 without AM/PM as the afternoon', () => {
+    assert.deepEqual(resolveTime('3pm'), { time: '15:00' });
+    assert.deepEqual(resolveTime('at 10:30 a.m.'), { time: '10:30' });
+    assert.deepEqual(resolveTime('at 3'), { time: '15:00' });
+    assert.deepEqual(resolveTime('at 9'), { time: '09:00' });
+    assert.deepEqual(resolveTime('half past four'), { time: '16:30' });
+    assert.deepEqual(resolveTime('quarter to ten in the morning'), { time: '09:45' });
+    assert.deepEqual(resolveTime('noon'), { time: '12:00' });
+  });
+
+  test('reads the minutes after a spoken hour', () => {
+    assert.deepEqual(resolveTime('ten thirty'), { time: '10:30' });
+    assert.deepEqual(resolveTime('at 3 45'), { time: '15:45' });
+    assert.deepEqual(resolveTime('two forty five'), { time: '14:45' });
+  });
+
+  test("leaves minutes it can't read to the NLU instead of dropping them", () => {
+    assert.equal(resolveTime('at ten twenty'), null);
+    assert.equal(resolveTime('at ten thirty five'), null);
+    assert.equal(resolveTime('three oh five'), null);
+  });
+
+  test('marks a part of the day or an approximate time as vague', () => {
+    assert.deepEqual(resolveTime('sometime in the morning'), { vague: 'morning', suggestion: null });
+    assert.deepEqual(resolveTime('after work'), { vague: 'evening', suggestion: null });
+    assert.deepEqual(resolveTime('around lunch'), { vague: 'lunch', suggestion: '12:00' });
+    assert.deepEqual(resolveTime('around 3'), { vague: 'approximate', suggestion: '15:00' });
+  });
+});
+
+describe('resolveDateTime', () => {
+  test("prefers the caller's words over the NLU's values", () => {
+    assert.deepEqual(
+      resolveDateTime({ datePhrase: 'tomorrow', timePhrase: 'at 2', date: '2026-10-25', time: '09:00' }, at),
+      { date: '2026-10-20', time: '14:00', past: null, vague: null }
+    );
+    assert.deepEqual(resolveDateTime({ date: '2026-10-25', time: '9:00' }, at), { date: '2026-10-25', time: '09:00', past: null, vague: null });
+  });
+
+  test('turns down a past date, or a time already gone today', () => {
+    assert.equal(resolveDateTime({ datePhrase: 'yesterday' }, at).past, 'date');
+    assert.deepEqual(resolveDateTime({ datePhrase: 'today', timePhrase: 'at 9' }, at), { date: '2026-10-19', time: null, past: 'time', vague: null });
+    assert.equal(resolveDateTime({ datePhrase: 'today', timePhrase: 'at 11' }, at).time, '11:00');
+  });
+
+  test("checks a time said on its own against the date already on the call", () => {
+    assert.equal(resolveDateTime({ timePhrase: '9am', storedDate: '2026-10-19' }, at).past, 'time');
+    assert.equal(resolveDateTime({ timePhrase: '9am', storedDate: '2026-10-20' }, at).time, '09:00');
+  });
+
+  test("doesn't let the NLU guess an exact time for a vague one", () => {
+    const result = resolveDateTime({ timePhrase: 'in the afternoon', time: '14:00' }, at);
+    assert.equal(result.time, null);
+    assert.deepEqual(result.vague, { vague: 'afternoon', suggestion: null });
+  });
+});
+
+describe('getZonedNow and toZonedISO', () => {
+  test("give the business's wall clock", () => {
+    assert.deepEqual(getZonedNow(timezone, now), { date: '2026-10-19', time: '10:00', weekday: 1 });
+  });
+
+  test('add the offset in effect on the day, across daylight saving', () => {
+    assert.equal(toZonedISO('2026-10-21', '15:00', timezone), '2026-10-21T15:00:00-04:00');
+    assert.equal(toZonedISO('2026-11-02', '15:00', timezone), '2026-11-02T15:00:00-05:00');
+    assert.equal(toZonedISO('2026-10-21T15:00:00Z'), '2026-10-21T15:00:00Z');
+    assert.equal(toZonedISO('someday', '15:00', timezone), null);
+  });
+});
@@ -0,0 +1,60 @@
+// test/email.test.js
+// Email addresses as callers say them, in English and French, put back together, checked and
+// spelled back in the call's language.
+
+import { describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+import { normalizeSpokenEmail, joinSpokenEmail, isValidEmail, spellEmail } from '../src/utils/email.js';
+import { t } from '../src/i18n/index.js';
+
+describe('normalizeSpokenEmail', () => {
+  test('reads English symbol words and leaves out the words around the address', () => {
+    assert.equal(normalizeSpokenEmail('my email is john dot smith at gmail dot com'), 'john.smith@gmail.com');
+    assert.equal(normalizeSpokenEmail('jean underscore roy at hotmail dot com'), 'jean_roy@hotmail.com');
+    assert.equal(normalizeSpokenEmail('john plus book8 at gmail dot com'), 'john+book8@gmail.com');
+  });
+
+  test('reads French symbol words', () => {
+    assert.equal(normalizeSpokenEmail("mon courriel c'est marie point tremblay arobase videotron point ca"), 'marie.tremblay@videotron.ca');
+    assert.equal(normalizeSpokenEmail('jean tiret bas roy arobase hotmail point com'), 'jean_roy@hotmail.com');
+    assert.equal(normalizeSpokenEmail('anne tiret marie arobase gmail point com'), 'anne-marie@gmail.com');
+  });
+
+  test('closes up spelled letters and doubles', () => {
+    assert.equal(normalizeSpokenEmail('j o h n at gmail dot com.'), 'john@gmail.com');
+    assert.equal(normalizeSpokenEmail('double l e e at yahoo dot com'), 'llee@yahoo.com');
+  });
+
+  test('returns null for what doesn\'t make an address', () => {
+    assert.equal(normalizeSpokenEmail('sam at gmail'), null);
+    assert.equal(normalizeSpokenEmail('john smith'), null);
+    assert.equal(normalizeSpokenEmail(''), null);
+  });
+});
+
+describe('joinSpokenEmail', () => {
+  test('takes part of an address', () => {
+    assert.equal(joinSpokenEmail('j o h n dot smith'), 'john.smith');
+    assert.equal(joinSpokenEmail('at gmail dot com'), '@gmail.com');
+  });
+});
+
+describe('isValidEmail', () => {
+  test('needs one @, a local part and a domain with an ending', () => {
+    assert.equal(isValidEmail('john.smith@gmail.com'), true);
+    assert.equal(isValidEmail('john..smith@gmail.com'), false);
+    assert.equal(isValidEmail('john@gmail'), false);
+    assert.equal(isValidEmail('john@@gmail.com'), false);
+  });
+});
+
+describe('spellEmail', () => {
+  test('spells the address letter by letter, saying well-known providers as words', () => {
+    assert.equal(spellEmail('john.smith@gmail.com', t('en-US', 'emailSymbols')), 'J O H N dot S M I T H at gmail dot com');
+    assert.equal(spellEmail('sam@book8.ca', t('en-US', 'emailSymbols')), 'S A M at B O O K 8 dot C A');
+  });
+
+  test("says the symbols in the call's language", () => {
+    assert.equal(spellEmail('jean_roy@hotmail.com', t('fr-CA', 'emailSymbols')), 'J E A N tiret bas R O Y arobase hotmail point com');
+  });
+});
@@ -0,0 +1,109 @@
+// test/eventOutbox.test.js
+// The on-disk outbox for core-api call-log events, with a stub in place of the HTTP POST.
+
+import { describe, test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import os from 'node:os';
+import path from 'node:path';
+import fs from 'node:fs';
+import { createOutbox } from '../src/services/eventOutbox.js';
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+async function waitFor(condition, timeoutMs = 5000) {
+  const deadline = Date.now() + timeoutMs;
+  while (!condition()) {
+    if (Date.now() > deadline) throw new Error('Timed out waiting for the outbox');
+    await sleep(10);
+  }
+}
+
+// Delivers everything, except ids listed in `reject` (answered 404)
+function stubDelivery({ reject = [] } = {}) {
+  const delivered = [];
+  const deliver = async (url, body) => {
+    if (reject.includes(body.eventId)) return { ok: false, status: 404, error: 'HTTP 404: unknown call' };
+    delivered.push(body.eventId);
+    return { ok: true, status: 200 };
+  };
+  return { delivered, deliver };
+}
+
+const event = (callSid, eventId) => ({
+  id: eventId,
+  callSid,
+  kind: 'tool',
+  url: 'http://core-api.test/internal/calls/tool',
+  body: { eventId, callSid }
+});
+
+describe('createOutbox', () => {
+  let root;
+  let count = 0;
+  const freshDir = () => path.join(root, String(++count));
+  before(() => { root = fs.mkdtempSync(path.join(os.tmpdir(), 'book8-outbox-')); });
+  after(() => { fs.rmSync(root, { recursive: true, force: true }); });
+
+  test("delivers each call's events in order, once", async () => {
+    const { delivered, deliver } = stubDelivery();
+    const outbox = createOutbox({ dir: freshDir(), deliver });
+    assert.equal(outbox.enqueue(event('CA1', 'CA1:1')), true);
+    assert.equal(outbox.enqueue(event('CA1', 'CA1:2')), true);
+    assert.equal(outbox.enqueue(event('CA1', 'CA1:1')), false);
+    await waitFor(() => outbox.status().depth === 0);
+    assert.deepEqual(delivered, ['CA1:1', 'CA1:2']);
+    assert.equal(outbox.enqueue(event('CA1', 'CA1:2')), false);
+  });
+
+  test('writes events to the log after enqueue returns, and recovers them after a restart', async () => {
+    const dir = freshDir();
+    const outbox = createOutbox({ dir, deliver: async () => ({ ok: false, status: 503, error: 'HTTP 503' }) });
+    for (let i = 0; i < 20; i++) outbox.enqueue(event('CA6', `CA6:${i}`));
+    assert.equal(fs.existsSync(path.join(dir, 'events.jsonl')), false);
+    await outbox.flush();
+
+    const { delivered, deliver } = stubDelivery();
+    const restarted = createOutbox({ dir, deliver });
+    assert.equal(restarted.enqueue(event('CA6', 'CA6:19')), false);
+    await waitFor(() => restarted.status().depth === 0);
+    assert.equal(delivered.length, 20);
+  });
+
+  test('dead-letters an event core-api rejects instead of retrying it', async () => {
+    const { delivered, deliver } = stubDelivery({ reject: ['CA2:1'] });
+    const outbox = createOutbox({ dir: freshDir(), deliver });
+    outbox.enqueue(event('CA2', 'CA2:1'));
+    outbox.enqueue(event('CA2', 'CA2:2'));
+    await waitFor(() => outbox.status().depth === 0);
+    assert.deepEqual(delivered, ['CA2:2']);
+    assert.equal(outbox.status().deadLetters, 1);
+  });
+
+  test('picks up undelivered events after a restart', async () => {
+    const dir = freshDir();
+    fs.mkdirSync(dir, { recursive: true });
+    const { id, callSid, kind, url, body } = event('CA3', 'CA3:1');
+    fs.writeFileSync(path.join(dir, 'events.jsonl'), `${JSON.stringify({ op: 'enqueue', id, callSid, kind, url, body, enqueuedAt: new Date().toISOString() })}\n`);
+
+    const { delivered, deliver } = stubDelivery();
+    const outbox = createOutbox({ dir, deliver });
+    await waitFor(() => outbox.status().depth === 0);
+    assert.deepEqual(delivered, ['CA3:1']);
+  });
+
+  test('keeps the dead-letter count through compaction and a restart', async () => {
+    const dir = freshDir();
+    const { deliver } = stubDelivery({ reject: ['CA4:dead'] });
+    const outbox = createOutbox({ dir, deliver });
+    outbox.enqueue(event('CA4', 'CA4:dead'));
+    // Enough acked events for the log to be compacted
+    for (let i = 0; i < 300; i++) outbox.enqueue(event(`CA5-${i % 4}`, `CA5:${i}`));
+    await waitFor(() => outbox.status().depth === 0);
+    await outbox.flush();
+
+    const log = fs.readFileSync(path.join(dir, 'events.jsonl'), 'utf8');
+    assert.ok(!log.includes('"op":"dead"'), 'the dead record itself was compacted away');
+    const restarted = createOutbox({ dir, deliver });
+    assert.equal(restarted.status().deadLetters, 1);
+  });
+});
@@ -0,0 +1,73 @@
+// test/phone.test.js
+// Phone numbers as callers say them, in English and French, put back together, stored in E.164
+// and spelled back digit by digit.
+
+import { describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+import { parseSpokenPhone, toE164, spellPhone, formatSpokenPhone } from '../src/utils/phone.js';
+
+describe('parseSpokenPhone', () => {
+  test('reads English digit words, doubles and hundreds', () => {
+    assert.equal(parseSpokenPhone('four one six, double five five, oh one hundred'), '4165550100');
+    assert.equal(parseSpokenPhone('six four seven triple five zero one zero zero'), '6475550100');
+  });
+
+  test('reads French digit words', () => {
+    assert.equal(parseSpokenPhone('quatre un six, cinq cinq cinq, zéro un zéro zéro'), '4165550100');
+    assert.equal(parseSpokenPhone('cinq un quatre, huit cent, neuf neuf neuf deux'), '5148009992');
+  });
+
+  test('leaves out French articles that aren\'t between digits', () => {
+    assert.equal(parseSpokenPhone("c'est un 416 555 0100"), '4165550100');
+    assert.equal(parseSpokenPhone('une seconde, quatre un six cinq cinq cinq zéro un zéro zéro'), '4165550100');
+    assert.equal(parseSpokenPhone('cinq un un deux'), '5112');
+  });
+
+  test('passes written digits through and keeps a leading plus', () => {
+    assert.equal(parseSpokenPhone('416-555-0100'), '4165550100');
+    assert.equal(parseSpokenPhone('plus four four, 20 7946 0018'), '+442079460018');
+  });
+
+  test('only counts "oh" once the number has started', () => {
+    assert.equal(parseSpokenPhone("oh, it's four one six five five five oh one oh oh"), '4165550100');
+  });
+
+  test('returns null when nothing was a digit', () => {
+    assert.equal(parseSpokenPhone('I would rather not say'), null);
+    assert.equal(parseSpokenPhone(null), null);
+  });
+});
+
+describe('toE164', () => {
+  test('adds the default country code to a 10-digit number', () => {
+    assert.equal(toE164('(416) 555-0100'), '+14165550100');
+    assert.equal(toE164('1 416 555 0100'), '+14165550100');
+  });
+
+  test('keeps a number given with its country code', () => {
+    assert.equal(toE164('+44 20 7946 0018'), '+442079460018');
+    assert.equal(toE164('0044 20 7946 0018'), '+442079460018');
+  });
+
+  test("drops the trunk 0 outside North America", () => {
+    assert.equal(toE164('020 7946 0018', { defaultCountryCode: '44' }), '+442079460018');
+  });
+
+  test('returns null for what can\'t be a number', () => {
+    assert.equal(toE164('555-0100'), null);
+    assert.equal(toE164(''), null);
+    assert.equal(toE164(undefined), null);
+  });
+});
+
+describe('read-backs', () => {
+  test('spell a number digit by digit in groups', () => {
+    assert.equal(spellPhone('+14165550100'), '4 1 6, 5 5 5, 0 1 0 0');
+    assert.equal(spellPhone('+442079460018'), '+4 4 2, 0 7 9, 4 6 0, 0 1 8');
+  });
+
+  test('format a North American number with dashes', () => {
+    assert.equal(formatSpokenPhone('+14165550100'), '416-555-0100');
+    assert.equal(formatSpokenPhone('+442079460018'), '+442079460018');
+  });
+});
@@ -0,0 +1,86 @@
+// test/phoneRouting.test.js
+// Dialed number → business, with fetch stubbed in place of core-api. Each test dials its own
+// numbers, since resolved routes stay cached for the life of the module.
+
+import { describe, test, afterEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import { resolveBusinessByPhone } from '../src/services/phoneRouting.js';
+
+const realFetch = globalThis.fetch;
+const MINUTE_MS = 60 * 1000;
+
+// core-api answering from `numbers` (E.164 → handle), or down when `down` is set
+function stubCoreApi({ numbers = {}, down = false } = {}) {
+  const requests = [];
+  globalThis.fetch = async (url) => {
+    requests.push(String(url));
+    if (down) throw new Error('connect ECONNREFUSED');
+    const phone = decodeURIComponent(String(url).split('/by-phone/')[1]);
+    if (!numbers[phone]) return new Response('{"ok":false}', { status: 404 });
+    return new Response(JSON.stringify({ ok: true, business: { handle: numbers[phone] } }), { status: 200 });
+  };
+  return requests;
+}
+
+afterEach(() => {
+  globalThis.fetch = realFetch;
+  mock.restoreAll();
+});
+
+describe('resolveBusinessByPhone', () => {
+  test('routes a number core-api knows, then serves it from the cache', async () => {
+    const requests = stubCoreApi({ numbers: { '+14165550201': 'cutzbarber' } });
+    assert.deepEqual(await resolveBusinessByPhone('(416) 555-0201'), { handle: 'cutzbarber', phone: '+14165550201', source: 'core-api' });
+    assert.deepEqual(await resolveBusinessByPhone('+14165550201'), { handle: 'cutzbarber', phone: '+14165550201', source: 'cache' });
+    assert.equal(requests.length, 1);
+  });
+
+  test('asks core-api again once the cached route is a few minutes old', async () => {
+    stubCoreApi({ numbers: { '+14165550202': 'cutzbarber' } });
+    await resolveBusinessByPhone('+14165550202');
+
+    const later = Date.now() + 10 * MINUTE_MS;
+    mock.method(Date, 'now', () => later);
+    const requests = stubCoreApi({ numbers: { '+14165550202': 'waismofit' } });
+    assert.equal((await resolveBusinessByPhone('+14165550202')).handle, 'waismofit');
+    assert.equal(requests.length, 1);
+  });
+
+  test('keeps using the last known business while core-api is down', async () => {
+    stubCoreApi({ numbers: { '+14165550203': 'cutzbarber' } });
+    await resolveBusinessByPhone('+14165550203');
+
+    const later = Date.now() + 60 * MINUTE_MS;
+    mock.method(Date, 'now', () => later);
+    stubCoreApi({ down: true });
+    assert.deepEqual(await resolveBusinessByPhone('+14165550203'), { handle: 'cutzbarber', phone: '+14165550203', source: 'cache' });
+  });
+
+  test('falls back to phoneNumbers.json while core-api is down', async () => {
+    stubCoreApi({ down: true });
+    assert.deepEqual(await resolveBusinessByPhone('+16475550100'), { handle: 'waismofit', phone: '+16475550100', source: 'local' });
+  });
+
+  test("reports routing as unavailable, not the number as unknown, while core-api is down", async () => {
+    stubCoreApi({ down: true });
+    assert.deepEqual(await resolveBusinessByPhone('+14165550204'), { handle: null, phone: '+14165550204', source: 'unavailable' });
+  });
+
+  test('returns null for a number nobody knows', async () => {
+    stubCoreApi();
+    assert.equal(await resolveBusinessByPhone('+14165550205'), null);
+    assert.equal(await resolveBusinessByPhone('not a number'), null);
+  });
+
+  test('forgets a cached route core-api no longer has', async () => {
+    stubCoreApi({ numbers: { '+14165550206': 'cutzbarber' } });
+    await resolveBusinessByPhone('+14165550206');
+
+    const later = Date.now() + 10 * MINUTE_MS;
+    mock.method(Date, 'now', () => later);
+    stubCoreApi();
+    assert.equal(await resolveBusinessByPhone('+14165550206'), null);
+    stubCoreApi({ down: true });
+    assert.equal((await resolveBusinessByPhone('+14165550206')).source, 'unavailable');
+  });
+});
@@ -0,0 +1,152 @@
+// test/requestAuth.test.js
+// The signed /media-stream token, Twilio's X-Twilio-Signature and the gateway's shared secret or
+// X-Agent-Signature, checked against requests shaped like Fastify's.
+
+import { describe, test, beforeEach, afterEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import crypto from 'node:crypto';
+import {
+  createStreamToken,
+  verifyStreamToken,
+  computeTwilioSignature,
+  verifyTwilioRequest,
+  verifyGatewayRequest
+} from '../src/utils/requestAuth.js';
+
+const AUTH_ENV = ['AUTH_DISABLED', 'TWILIO_AUTH_TOKEN', 'STREAM_TOKEN_SECRET', 'AGENT_SHARED_SECRET', 'PUBLIC_BASE_URL'];
+let savedEnv;
+
+beforeEach(() => {
+  savedEnv = Object.fromEntries(AUTH_ENV.map(name => [name, process.env[name]]));
+  for (const name of AUTH_ENV) delete process.env[name];
+  process.env.TWILIO_AUTH_TOKEN = 'twilio-token';
+  process.env.AGENT_SHARED_SECRET = 'gateway-secret';
+});
+
+afterEach(() => {
+  for (const [name, value] of Object.entries(savedEnv)) {
+    if (value === undefined) delete process.env[name];
+    else process.env[name] = value;
+  }
+  mock.restoreAll();
+});
+
+describe('stream tokens', () => {
+  const claims = { callSid: 'CA1', businessId: 'waismofit', callerPhone: '+14165550100' };
+
+  test('carry the call context', () => {
+    const token = createStreamToken(claims);
+    assert.match(token, /^[\w-]+\.[\w-]+$/);
+    const { exp, ...verified } = verifyStreamToken(token);
+    assert.deepEqual(verified, claims);
+    assert.ok(exp > Date.now() / 1000);
+  });
+
+  test('are turned down once changed', () => {
+    const [, signature] = createStreamToken(claims).split('.');
+    const forged = Buffer.from(JSON.stringify({ ...claims, businessId: 'cutzbarber', exp: 9999999999 })).toString('base64url');
+    assert.equal(verifyStreamToken(`${forged}.${signature}`), null);
+    assert.equal(verifyStreamToken(forged), null);
+    assert.equal(verifyStreamToken(''), null);
+    assert.equal(verifyStreamToken(undefined), null);
+  });
+
+  test('expire', () => {
+    const token = createStreamToken(claims, { ttlSeconds: 120 });
+    const later = Date.now() + 121 * 1000;
+    mock.method(Date, 'now', () => later);
+    assert.equal(verifyStreamToken(token), null);
+  });
+
+  test('are signed with STREAM_TOKEN_SECRET when it is set', () => {
+    process.env.STREAM_TOKEN_SECRET = 'stream-secret';
+    const token = createStreamToken(claims);
+    process.env.STREAM_TOKEN_SECRET = 'rotated';
+    assert.equal(verifyStreamToken(token), null);
+  });
+
+  test('are not issued without a secret', () => {
+    delete process.env.TWILIO_AUTH_TOKEN;
+    assert.equal(createStreamToken(claims), null);
+    assert.equal(verifyStreamToken('e30.c2ln'), null);
+  });
+});
+
+describe('verifyTwilioRequest', () => {
+  const params = { CallSid: 'CA1', From: '+14165550100', To: '+16475550100' };
+
+  function twilioRequest({ signature, body = params, url = '/incoming-call', headers = {} } = {}) {
+    return {
+      method: 'POST',
+      url,
+      body,
+      headers: { host: 'voice.example.com', 'x-twilio-signature': signature, ...headers }
+    };
+  }
+
+  test('signs the URL followed by each parameter, sorted by name', () => {
+    const data = 'https://voice.example.com/incoming-callCallSidCA1From+14165550100To+16475550100';
+    const expected = crypto.createHmac('sha1', 'twilio-token').update(data).digest('base64');
+    assert.equal(computeTwilioSignature('twilio-token', 'https://voice.example.com/incoming-call', params), expected);
+  });
+
+  test('accepts a request Twilio signed', () => {
+    const signature = computeTwilioSignature('twilio-token', 'https://voice.example.com/incoming-call', params);
+    assert.deepEqual(verifyTwilioRequest(twilioRequest({ signature })), { ok: true });
+  });
+
+  test('turns down a request with a changed parameter or no signature', () => {
+    const signature = computeTwilioSignature('twilio-token', 'https://voice.example.com/incoming-call', params);
+    assert.equal(verifyTwilioRequest(twilioRequest({ signature, body: { ...params, To: '+16475550199' } })).ok, false);
+    assert.equal(verifyTwilioRequest(twilioRequest({})).reason, 'missing X-Twilio-Signature');
+  });
+
+  test('checks the public URL behind a proxy', () => {
+    process.env.PUBLIC_BASE_URL = 'https://public.example.com/';
+    const signature = computeTwilioSignature('twilio-token', 'https://public.example.com/incoming-call', params);
+    assert.equal(verifyTwilioRequest(twilioRequest({ signature })).ok, true);
+  });
+
+  test('fails closed without TWILIO_AUTH_TOKEN, unless auth is disabled', () => {
+    delete process.env.TWILIO_AUTH_TOKEN;
+    assert.equal(verifyTwilioRequest(twilioRequest({ signature: 'x' })).ok, false);
+    process.env.AUTH_DISABLED = 'true';
+    assert.equal(verifyTwilioRequest(twilioRequest({})).ok, true);
+  });
+});
+
+describe('verifyGatewayRequest', () => {
+  const rawBody = '{"callSid":"CA1","text":"hi"}';
+  const sign = (timestamp, body = rawBody, secret = 'gateway-secret') =>
+    `t=${timestamp},v1=${crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex')}`;
+  const gatewayRequest = (headers) => ({ headers, rawBody });
+  const now = () => Math.floor(Date.now() / 1000);
+
+  test('accepts the shared secret', () => {
+    assert.equal(verifyGatewayRequest(gatewayRequest({ 'x-agent-secret': 'gateway-secret' })).ok, true);
+    assert.equal(verifyGatewayRequest(gatewayRequest({ 'x-agent-secret': 'guess' })).reason, 'invalid X-Agent-Secret');
+  });
+
+  test('accepts a signature of the raw body', () => {
+    assert.equal(verifyGatewayRequest(gatewayRequest({ 'x-agent-signature': sign(now()) })).ok, true);
+  });
+
+  test('turns down a signature of another body, or by another secret', () => {
+    assert.equal(verifyGatewayRequest(gatewayRequest({ 'x-agent-signature': sign(now(), '{"callSid":"CA2"}') })).reason, 'invalid X-Agent-Signature');
+    assert.equal(verifyGatewayRequest(gatewayRequest({ 'x-agent-signature': sign(now(), rawBody, 'guess') })).reason, 'invalid X-Agent-Signature');
+  });
+
+  test('turns down a signature more than five minutes old', () => {
+    assert.equal(verifyGatewayRequest(gatewayRequest({ 'x-agent-signature': sign(now() - 301) })).reason, 'expired X-Agent-Signature');
+  });
+
+  test('turns down a request with neither header, or a malformed signature', () => {
+    assert.equal(verifyGatewayRequest(gatewayRequest({})).ok, false);
+    assert.equal(verifyGatewayRequest(gatewayRequest({ 'x-agent-signature': 'v1=abc' })).reason, 'malformed X-Agent-Signature');
+  });
+
+  test('fails closed without AGENT_SHARED_SECRET', () => {
+    delete process.env.AGENT_SHARED_SECRET;
+    assert.equal(verifyGatewayRequest(gatewayRequest({ 'x-agent-secret': 'undefined' })).ok, false);
+  });
+});
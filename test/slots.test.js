@@ -0,0 +1,83 @@
+// test/slots.test.js
+// Reading the open times out of a check-availability response, picking the ones closest to what
+// the caller asked for, and matching the caller's choice back to an offered time.
+
+import { describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+import { getOpenTimes, closestTimes, formatSpokenTime, formatSpokenTimes, matchOfferedTime } from '../src/utils/slots.js';
+
+describe('getOpenTimes', () => {
+  test('reads each slot shape into sorted, de-duplicated local times', () => {
+    const checkResult = {
+      slots: [
+        '15:00',
+        { start: '2026-10-20T13:00:00Z' },
+        { startTime: '2026-10-20T10:30:00', available: true },
+        { time: '9:00' },
+        '2026-10-20T19:00:00.000Z'
+      ]
+    };
+    assert.deepEqual(getOpenTimes(checkResult, 'America/Toronto'), ['09:00', '10:30', '15:00']);
+  });
+
+  test('skips slots marked unavailable and anything unreadable', () => {
+    const checkResult = { availableSlots: [{ start: '10:00', available: false }, '11:00', null, 42, 'soon'] };
+    assert.deepEqual(getOpenTimes(checkResult, 'America/Toronto'), ['11:00']);
+  });
+
+  test('returns null when the response has no slot list', () => {
+    assert.equal(getOpenTimes({ available: false }), null);
+    assert.equal(getOpenTimes(null), null);
+    assert.deepEqual(getOpenTimes({ times: [] }), []);
+  });
+});
+
+describe('closestTimes', () => {
+  const open = ['09:00', '10:00', '13:30', '15:00', '17:00'];
+
+  test('offers the open times nearest the requested one, in order', () => {
+    assert.deepEqual(closestTimes('14:00', open), ['13:30', '15:00', '17:00']);
+    assert.deepEqual(closestTimes('09:15', open, 2), ['09:00', '10:00']);
+  });
+
+  test('centres on midday without a requested time', () => {
+    assert.deepEqual(closestTimes(null, ['08:00', '11:00', '13:30', '17:00']), ['08:00', '11:00', '13:30']);
+    assert.deepEqual(closestTimes('14:00', []), []);
+  });
+});
+
+describe('formatSpokenTime', () => {
+  test('reads times on the 12-hour clock', () => {
+    assert.equal(formatSpokenTime('00:15'), '12:15 AM');
+    assert.equal(formatSpokenTime('12:00'), '12:00 PM');
+    assert.equal(formatSpokenTime('14:30'), '2:30 PM');
+    assert.equal(formatSpokenTime('later'), 'later');
+  });
+
+  test('joins a list with "or"', () => {
+    assert.equal(formatSpokenTimes(['09:00']), '9:00 AM');
+    assert.equal(formatSpokenTimes(['09:00', '14:30', '16:00']), '9:00 AM, 2:30 PM or 4:00 PM');
+  });
+});
+
+describe('matchOfferedTime', () => {
+  const offered = ['09:00', '14:30', '16:00'];
+
+  test('matches the extracted time, on the 12-hour clock when AM/PM was left off', () => {
+    assert.equal(matchOfferedTime(offered, { extractedTime: '14:30' }), '14:30');
+    assert.equal(matchOfferedTime(offered, { extractedTime: '04:00' }), '16:00');
+  });
+
+  test('matches "the first one", "the later one" and spoken times', () => {
+    assert.equal(matchOfferedTime(offered, { userText: 'The first one please' }), '09:00');
+    assert.equal(matchOfferedTime(offered, { userText: 'the second' }), '14:30');
+    assert.equal(matchOfferedTime(offered, { userText: "I'll take the later one" }), '16:00');
+    assert.equal(matchOfferedTime(offered, { userText: 'two 30 works' }), null);
+    assert.equal(matchOfferedTime(offered, { userText: '2 30 works' }), '14:30');
+  });
+
+  test('returns null when the caller picked none of them', () => {
+    assert.equal(matchOfferedTime(offered, { userText: 'none of those work' }), null);
+    assert.equal(matchOfferedTime([], { extractedTime: '09:00' }), null);
+  });
+});